@@ -0,0 +1,355 @@
+/**
+ * Analytics próprio (first-party) - só roda com o consentimento da categoria "analytics"
+ * Registra visualizações de página (evento page:change do script.js), cliques nos CTAs,
+ * profundidade de rolagem por .content-section, cliques em links externos e mailto e
+ * pedidos de consultoria enviados. Os eventos vão em lotes para o coletor (server/analytics.js);
+ * sem conexão, ficam na fila do localStorage até a próxima tentativa.
+ * Deve ser carregado depois do cookie-consent-config.js.
+ */
+
+(function() {
+    'use strict';
+
+    // Coletor do servidor de referência (node server/index.js); troque pelo de produção
+    const ENDPOINT = '/api/analytics';
+    const CATEGORY = 'analytics';
+
+    // Fila de eventos ainda não enviados (sobrevive a recarregar a página e a ficar offline)
+    const QUEUE_KEY = 'analytics_queue';
+    // Identifica a visita (aba) para agrupar as páginas vistas; some quando a aba fecha
+    const SESSION_KEY = 'analytics_session';
+
+    // Envia quando o lote chega a BATCH_SIZE eventos ou FLUSH_INTERVAL depois do primeiro da fila
+    const BATCH_SIZE = 10;
+    const FLUSH_INTERVAL = 15000;
+    // Limite de eventos por requisição (o mesmo do coletor) e da fila guardada
+    const MAX_BATCH = 50;
+    const MAX_QUEUE = 500;
+
+    // Elementos cujos cliques contam como CTA (o id vai no evento)
+    const CTA_SELECTORS = ['#cta-hero'];
+    // Marcos de profundidade de rolagem de cada seção, em %
+    const SCROLL_MARKS = [25, 50, 75, 100];
+
+    let started = false;
+    let sending = false;
+    let flushTimer = null;
+    let queue = [];
+    let sessionId = null;
+
+    // Página exibida e a visualização atual (cada troca de página é uma nova)
+    let currentPage = null;
+    let viewId = null;
+    // Profundidade máxima por seção na visualização atual, e a que já foi registrada
+    let depths = {};
+    let reportedDepths = {};
+    let scrollScheduled = false;
+
+    /**
+     * Identificador aleatório (UUID v4 onde houver)
+     */
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    function readQueue() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveQueue() {
+        try {
+            if (queue.length) {
+                localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(QUEUE_KEY);
+            }
+        } catch (e) {}
+    }
+
+    function readSession() {
+        try {
+            let id = sessionStorage.getItem(SESSION_KEY);
+            if (!id) {
+                id = generateId();
+                sessionStorage.setItem(SESSION_KEY, id);
+            }
+            return id;
+        } catch (e) {
+            return generateId();
+        }
+    }
+
+    /**
+     * Enfileira um evento; o lote sai assim que atinge BATCH_SIZE
+     */
+    function record(type, data) {
+        if (!started) return;
+
+        queue.push(Object.assign({
+            id: generateId(),
+            type: type,
+            timestamp: new Date().toISOString(),
+            sessionId: sessionId,
+            page: currentPage,
+            viewId: viewId
+        }, data));
+        if (queue.length > MAX_QUEUE) {
+            queue = queue.slice(-MAX_QUEUE);
+        }
+        saveQueue();
+
+        if (queue.length >= BATCH_SIZE) {
+            flush();
+        } else {
+            scheduleFlush();
+        }
+    }
+
+    /**
+     * Agenda o envio do que estiver na fila (sem timer enquanto a fila está vazia)
+     */
+    function scheduleFlush() {
+        if (flushTimer || !queue.length) return;
+        flushTimer = setTimeout(function() {
+            flushTimer = null;
+            flush();
+        }, FLUSH_INTERVAL);
+    }
+
+    /**
+     * Tira da fila os eventos enviados (outros podem ter chegado durante o envio)
+     */
+    function removeSent(batch) {
+        const sent = new Set(batch.map(event => event.id));
+        queue = queue.filter(event => !sent.has(event.id));
+        saveQueue();
+    }
+
+    /**
+     * Envia o próximo lote. Com useBeacon (página sendo fechada), usa sendBeacon, que
+     * sobrevive ao descarregamento; sem conexão ou com erro, os eventos ficam na fila.
+     */
+    function flush(useBeacon) {
+        if (!started || sending || !queue.length || navigator.onLine === false) return;
+
+        const batch = queue.slice(0, MAX_BATCH);
+        const body = JSON.stringify({ events: batch });
+
+        if (useBeacon && typeof navigator.sendBeacon === 'function') {
+            if (navigator.sendBeacon(ENDPOINT, body)) {
+                removeSent(batch);
+            }
+            return;
+        }
+        if (typeof fetch !== 'function') return;
+
+        sending = true;
+        fetch(ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            credentials: 'same-origin',
+            keepalive: true
+        }).then(response => {
+            // Outros erros 4xx: o coletor nunca vai aceitar este lote, não adianta reenviar
+            const rejected = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+            if (response.ok || rejected) {
+                removeSent(batch);
+            }
+            return response.ok;
+        }).catch(() => false).then(sent => {
+            sending = false;
+            // Ainda há lotes cheios na fila (ex.: eventos guardados enquanto estava offline);
+            // o resto, ou o lote que falhou, sai na próxima rodada
+            if (sent && queue.length >= BATCH_SIZE) {
+                flush();
+            } else if (started) {
+                scheduleFlush();
+            }
+        });
+    }
+
+    /**
+     * Registra a profundidade que cada seção alcançou desde o último registro
+     */
+    function reportScrollDepth() {
+        Object.keys(depths).forEach(section => {
+            if (depths[section] > (reportedDepths[section] || 0)) {
+                reportedDepths[section] = depths[section];
+                record('scroll_depth', { section: section, depth: depths[section] });
+            }
+        });
+    }
+
+    /**
+     * Mede quanto de cada .content-section da página ativa já passou pela tela
+     */
+    function measureScrollDepth() {
+        scrollScheduled = false;
+        const page = document.querySelector('.page.active');
+        if (!started || !page) return;
+
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        page.querySelectorAll('.content-section').forEach((section, index) => {
+            const rect = section.getBoundingClientRect();
+            if (!rect.height) return;
+
+            const seen = Math.min(1, Math.max(0, (viewportHeight - rect.top) / rect.height)) * 100;
+            const mark = SCROLL_MARKS.filter(value => seen >= value).pop() || 0;
+            const key = section.id || `section-${index + 1}`;
+            if (mark > (depths[key] || 0)) {
+                depths[key] = mark;
+            }
+        });
+    }
+
+    function scheduleScrollMeasure() {
+        if (scrollScheduled) return;
+        scrollScheduled = true;
+        (window.requestAnimationFrame || setTimeout)(measureScrollDepth);
+    }
+
+    /**
+     * Nova visualização da página atual
+     */
+    function trackPageView() {
+        viewId = generateId();
+        depths = {};
+        reportedDepths = {};
+        record('pageview', {
+            language: window.I18n ? window.I18n.getLanguage() : document.documentElement.lang
+        });
+        // A parte da página visível ao abrir já conta como rolagem
+        scheduleScrollMeasure();
+    }
+
+    /**
+     * Cliques em CTAs, links mailto e links para outros sites
+     */
+    function handleClick(e) {
+        if (!started || !e.target.closest) return;
+
+        const cta = e.target.closest(CTA_SELECTORS.join(','));
+        if (cta) {
+            record('cta_click', { target: cta.id });
+        }
+
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+        let url;
+        try {
+            url = new URL(link.getAttribute('href'), window.location.href);
+        } catch (err) {
+            return;
+        }
+        if (url.protocol === 'mailto:') {
+            record('mailto_click', {});
+        } else if ((url.protocol === 'http:' || url.protocol === 'https:') && url.host !== window.location.host) {
+            // Sem query string nem fragmento, que podem levar dados pessoais
+            record('outbound_click', { url: url.origin + url.pathname });
+        }
+    }
+
+    // Pedido de consultoria aceito pelo servidor (booking-form.js)
+    function handleBookingSent() {
+        record('contact_submit', {});
+    }
+
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            reportScrollDepth();
+            flush(true);
+        }
+    }
+
+    function handleOnline() {
+        flush();
+    }
+
+    /**
+     * Liga a coleta (consentimento dado); reenvia o que ficou na fila de visitas anteriores
+     */
+    function start() {
+        if (started) return;
+        started = true;
+        sessionId = readSession();
+        queue = readQueue().concat(queue);
+
+        document.addEventListener('click', handleClick, true);
+        document.addEventListener('booking:sent', handleBookingSent);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', handleVisibilityChange);
+        window.addEventListener('scroll', scheduleScrollMeasure, { passive: true });
+        window.addEventListener('online', handleOnline);
+        if (currentPage) {
+            trackPageView();
+        }
+        flush();
+    }
+
+    /**
+     * Desliga a coleta e apaga tudo o que ela guardou (consentimento retirado)
+     */
+    function stop() {
+        started = false;
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        queue = [];
+        sessionId = null;
+        viewId = null;
+
+        document.removeEventListener('click', handleClick, true);
+        document.removeEventListener('booking:sent', handleBookingSent);
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        window.removeEventListener('pagehide', handleVisibilityChange);
+        window.removeEventListener('scroll', scheduleScrollMeasure);
+        window.removeEventListener('online', handleOnline);
+
+        try {
+            localStorage.removeItem(QUEUE_KEY);
+            sessionStorage.removeItem(SESSION_KEY);
+        } catch (e) {}
+    }
+
+    if (!window.CookieConsent) return;
+
+    // A página exibida é acompanhada mesmo sem consentimento (nada é registrado), para que a
+    // primeira visualização conte quando o visitante aceitar
+    window.addEventListener('page:change', function(e) {
+        if (started) {
+            // A rolagem vale para a página que está saindo
+            reportScrollDepth();
+        }
+        currentPage = e.detail.page;
+        if (started) {
+            trackPageView();
+        }
+    });
+
+    window.addEventListener(`cookieConsent:${CATEGORY}`, start);
+
+    // O analytics é desligado por completo aqui: não é preciso recarregar a página
+    window.addEventListener(`cookieConsent:revoked:${CATEGORY}`, function(e) {
+        stop();
+        e.preventDefault();
+    });
+
+    if (window.CookieConsent.isCategoryAllowed(CATEGORY)) {
+        start();
+    }
+
+    window.Analytics = {
+        flush: function() {
+            flush();
+        },
+        isRunning: () => started
+    };
+})();
@@ -0,0 +1,379 @@
+/**
+ * Formulário de agendamento de consultoria
+ * Valida no navegador com mensagens acessíveis, protege contra spam (honeypot + tempo
+ * mínimo de preenchimento) e envia os dados em JSON para o endpoint do atributo action.
+ * Deve ser carregado depois do i18n.js e do form-fields.js.
+ */
+
+(function() {
+    'use strict';
+
+    // Envios mais rápidos que isso (desde que o formulário apareceu) não são de pessoas
+    const MIN_FILL_MS = 3000;
+
+    const PHONE_PATTERN = /^\+?[0-9\s().-]{7,20}$/;
+
+    // Textos do formulário em inglês; as traduções ficam em locales/*.js (booking.*)
+    const MESSAGES = {
+        'booking.error.name': 'Enter your full name.',
+        'booking.error.emailRequired': 'Enter your email address.',
+        'booking.error.emailInvalid': 'Enter a valid email address, like name@example.com.',
+        'booking.error.serviceLine': 'Choose the service you are interested in.',
+        'booking.error.country': 'Choose a country of interest for tax advisory (or "Not sure yet").',
+        'booking.error.contactMethods': 'Choose at least one way for us to contact you.',
+        'booking.error.phoneRequired': 'Enter a phone number so we can call you or message you on WhatsApp.',
+        'booking.error.phoneInvalid': 'Enter a valid phone number with the country code, like +1 555 123 4567.',
+        'booking.error.dateRequired': 'Choose a preferred date.',
+        'booking.error.datePast': 'Choose today or a later date.',
+        'booking.error.timeRequired': 'Choose a preferred time.',
+        'booking.error.consent': 'Confirm that we may use these details to contact you.',
+        'booking.tooFast': 'Please take a moment to review your details, then send the form again.',
+        'booking.sending': 'Sending your request…',
+        'booking.success': 'Thank you! Your request was sent. We will contact you to confirm your consultation.',
+        'booking.failure': 'We could not send your request. Please try again, or email us at info@digitalbusinessresolutions.com.',
+        'booking.timezone': 'Times are in your time zone ({timezone}).'
+    };
+    const text = window.I18n.translator(MESSAGES);
+
+    /**
+     * Data local de hoje no formato do input date (AAAA-MM-DD)
+     */
+    function today() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    function getTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Lê os campos do formulário já normalizados
+     */
+    function readValues(form) {
+        const data = new FormData(form);
+        const field = name => String(data.get(name) || '').trim();
+        return {
+            name: field('name'),
+            email: field('email'),
+            serviceLine: field('serviceLine'),
+            country: field('country'),
+            contactMethods: data.getAll('contactMethods'),
+            phone: field('phone'),
+            preferredDate: field('preferredDate'),
+            preferredTime: field('preferredTime'),
+            message: field('message'),
+            consent: data.get('consent') === 'yes',
+            website: field('website')
+        };
+    }
+
+    /**
+     * Regras de validação, na ordem dos campos. Cada uma devolve a chave da mensagem de erro ou null;
+     * "focus" é o id do controle que recebe o foco a partir do resumo de erros.
+     */
+    const RULES = [
+        {
+            field: 'name',
+            focus: 'booking-name',
+            validate: values => (values.name.length >= 2 ? null : 'booking.error.name')
+        },
+        {
+            field: 'email',
+            focus: 'booking-email',
+            validate: values => {
+                if (!values.email) return 'booking.error.emailRequired';
+                return window.FormFields.isEmail(values.email) ? null : 'booking.error.emailInvalid';
+            }
+        },
+        {
+            field: 'serviceLine',
+            focus: 'booking-service-digital-marketing',
+            validate: values => (values.serviceLine ? null : 'booking.error.serviceLine')
+        },
+        {
+            // O país só é obrigatório quando há assessoria tributária
+            field: 'country',
+            focus: 'booking-country',
+            validate: values => (values.country || values.serviceLine === 'digital-marketing' ? null : 'booking.error.country')
+        },
+        {
+            field: 'contactMethods',
+            focus: 'booking-contact-email',
+            validate: values => (values.contactMethods.length > 0 ? null : 'booking.error.contactMethods')
+        },
+        {
+            field: 'phone',
+            focus: 'booking-phone',
+            validate: values => {
+                const needsPhone = values.contactMethods.some(method => method === 'phone' || method === 'whatsapp');
+                if (!values.phone) return needsPhone ? 'booking.error.phoneRequired' : null;
+                return PHONE_PATTERN.test(values.phone) ? null : 'booking.error.phoneInvalid';
+            }
+        },
+        {
+            field: 'preferredDate',
+            focus: 'booking-date',
+            validate: values => {
+                if (!values.preferredDate) return 'booking.error.dateRequired';
+                return values.preferredDate >= today() ? null : 'booking.error.datePast';
+            }
+        },
+        {
+            field: 'preferredTime',
+            focus: 'booking-time',
+            validate: values => (values.preferredTime ? null : 'booking.error.timeRequired')
+        },
+        {
+            field: 'consent',
+            focus: 'booking-consent',
+            validate: values => (values.consent ? null : 'booking.error.consent')
+        }
+    ];
+
+    function initBookingForm(form) {
+        const summary = document.getElementById('booking-error-summary');
+        const status = document.getElementById('booking-status');
+        const submitButton = document.getElementById('booking-submit');
+        const dateInput = document.getElementById('booking-date');
+        const timezoneHint = document.getElementById('booking-timezone');
+        const timezone = getTimezone();
+
+        // Erros exibidos no momento: campo -> chave da mensagem
+        let errors = {};
+        // Depois da primeira tentativa de envio, os campos são revalidados enquanto o usuário corrige
+        let attempted = false;
+        let startedAt = Date.now();
+        let statusKey = '';
+        let sending = false;
+
+        if (dateInput) {
+            dateInput.min = today();
+        }
+
+        function renderStatus() {
+            if (status) {
+                status.textContent = statusKey ? text(statusKey) : '';
+            }
+        }
+
+        function renderTimezone() {
+            if (timezoneHint) {
+                timezoneHint.textContent = timezone ? text('booking.timezone', { timezone: timezone }) : '';
+            }
+        }
+
+        function renderFieldError(rule) {
+            const key = errors[rule.field];
+            const message = document.getElementById(`booking-${rule.field}-error`);
+            window.FormFields.showError(form, rule.field, message, key ? text(key) : '');
+        }
+
+        function renderSummary() {
+            if (!summary) return;
+            const list = summary.querySelector('ul');
+            list.innerHTML = '';
+            RULES.filter(rule => errors[rule.field]).forEach(rule => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${rule.focus}`;
+                link.textContent = text(errors[rule.field]);
+                link.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    const control = document.getElementById(rule.focus);
+                    if (control) control.focus();
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            summary.hidden = list.children.length === 0;
+        }
+
+        function validate() {
+            const values = readValues(form);
+            errors = {};
+            RULES.forEach(rule => {
+                const key = rule.validate(values);
+                if (key) errors[rule.field] = key;
+                renderFieldError(rule);
+            });
+            return values;
+        }
+
+        // Enquanto o usuário corrige, atualiza os erros já exibidos (novos erros só aparecem no envio)
+        function revalidate() {
+            if (!attempted) return;
+            const values = readValues(form);
+            RULES.filter(rule => errors[rule.field]).forEach(rule => {
+                const key = rule.validate(values);
+                if (key) {
+                    errors[rule.field] = key;
+                } else {
+                    delete errors[rule.field];
+                }
+                renderFieldError(rule);
+            });
+        }
+
+        function setSending(value) {
+            sending = value;
+            submitButton.disabled = value;
+            form.setAttribute('aria-busy', value ? 'true' : 'false');
+        }
+
+        function buildPayload(values) {
+            return {
+                name: values.name,
+                email: values.email,
+                serviceLine: values.serviceLine,
+                country: values.country || null,
+                contactMethods: values.contactMethods,
+                phone: values.phone || null,
+                preferredDate: values.preferredDate,
+                preferredTime: values.preferredTime,
+                timezone: timezone || null,
+                message: values.message,
+                language: window.I18n.getLanguage(),
+                consent: values.consent,
+                // Sinais antispam, conferidos também pelo servidor
+                website: values.website,
+                elapsedMs: Date.now() - startedAt
+            };
+        }
+
+        function handleSuccess() {
+            form.reset();
+            attempted = false;
+            errors = {};
+            RULES.forEach(renderFieldError);
+            renderSummary();
+            startedAt = Date.now();
+            statusKey = 'booking.success';
+            renderStatus();
+        }
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (sending) return;
+
+            attempted = true;
+            statusKey = '';
+            renderStatus();
+
+            const values = validate();
+            renderSummary();
+            if (Object.keys(errors).length > 0) {
+                summary.focus();
+                return;
+            }
+
+            // Honeypot preenchido: responde como sucesso, sem enviar nada
+            if (values.website) {
+                handleSuccess();
+                return;
+            }
+
+            if (Date.now() - startedAt < MIN_FILL_MS) {
+                statusKey = 'booking.tooFast';
+                renderStatus();
+                return;
+            }
+
+            setSending(true);
+            statusKey = 'booking.sending';
+            renderStatus();
+
+            fetch(form.getAttribute('action'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildPayload(values))
+            }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Booking request failed with status ${response.status}`);
+                }
+                handleSuccess();
+                // Avisa a página (ex.: analytics.js) de que o pedido foi aceito pelo servidor
+                form.dispatchEvent(new CustomEvent('booking:sent', { bubbles: true }));
+            }).catch(error => {
+                console.warn('Error sending booking request:', error);
+                statusKey = 'booking.failure';
+                renderStatus();
+            }).then(() => {
+                setSending(false);
+            });
+        });
+
+        form.addEventListener('input', revalidate);
+        form.addEventListener('change', revalidate);
+
+        // Troca de idioma: traduz as mensagens que estão na tela
+        window.addEventListener('i18n:change', function() {
+            RULES.forEach(renderFieldError);
+            if (summary && !summary.hidden) {
+                renderSummary();
+            }
+            renderStatus();
+            renderTimezone();
+        });
+
+        renderTimezone();
+    }
+
+    // Formulário já inicializado e o preenchimento pedido antes de ele existir
+    let bookingForm = null;
+    let pendingPrefill = null;
+    // Última mensagem preenchida por outro módulo (pode ser trocada; a digitada pelo visitante, não)
+    let prefilledMessage = '';
+
+    /**
+     * Preenche serviço, país e mensagem (ex.: a partir do comparador de países da Home)
+     */
+    function applyPrefill(form, values) {
+        if (values.serviceLine) {
+            const radio = form.querySelector(`input[name="serviceLine"][value="${values.serviceLine}"]`);
+            if (radio) radio.checked = true;
+        }
+        if (values.country) {
+            form.elements.namedItem('country').value = values.country;
+        }
+        const message = form.elements.namedItem('message');
+        if (values.message && (!message.value.trim() || message.value === prefilledMessage)) {
+            message.value = values.message;
+            prefilledMessage = values.message;
+        }
+        // Erros já exibidos para esses campos são revalidados
+        form.dispatchEvent(new Event('change'));
+    }
+
+    // O formulário fica na página Quem Somos, carregada sob demanda (pages/quem-somos.html)
+    window.Pages.onInit('quem-somos', function(page) {
+        const form = page.querySelector('#booking-form');
+        if (form) {
+            initBookingForm(form);
+            bookingForm = form;
+            if (pendingPrefill) {
+                applyPrefill(form, pendingPrefill);
+                pendingPrefill = null;
+            }
+        }
+    });
+
+    window.BookingForm = {
+        /**
+         * values: { serviceLine, country, message }; se o formulário ainda não foi carregado,
+         * o preenchimento acontece quando ele entrar no DOM
+         */
+        prefill: function(values) {
+            if (bookingForm) {
+                applyPrefill(bookingForm, values);
+            } else {
+                pendingPrefill = values;
+            }
+        }
+    };
+})();
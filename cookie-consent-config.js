@@ -0,0 +1,163 @@
+/**
+ * Cookie Consent configuration for digitalbusinessresolutions.com
+ * Declares the consent categories shown in the banner and preferences modal.
+ * Must be loaded right after cookie-consent.js.
+ */
+
+(function() {
+    'use strict';
+
+    if (!window.CookieConsent) return;
+
+    window.CookieConsent.init({
+        expiryDays: 365,
+        reconsentDays: 180,
+        // Shared with the subdomains (client portal, blog); local hosts keep a host-only cookie
+        cookie: {
+            domain: 'digitalbusinessresolutions.com',
+            secure: 'auto',
+            sameSite: 'Lax'
+        },
+        // Add a revision (newest last) whenever cookie-policy.html changes
+        policy: {
+            revisions: [
+                {
+                    id: '2026-10-19',
+                    summary: 'Added functional, personalization, YouTube video and external media cookie categories, and our first-party statistics under Analytics.',
+                    categories: []
+                }
+            ]
+        },
+        // Served by the reference server (node server/index.js); point it at the production receiver
+        receipts: {
+            endpoint: '/api/consent-receipts'
+        },
+        // Every cookie and storage key by category with its provider, purpose and duration, checked
+        // against the site by scripts/scan-cookies.js; the modal, the preferences center and
+        // cookie-policy.html list it
+        inventory: {
+            url: '/data/cookie-inventory.json'
+        },
+        // Interface text comes from the site catalogs (locales/*.js), under "consent.<key>"
+        translate: function(key, fallback) {
+            return window.I18n ? window.I18n.t('consent.' + key, fallback) : fallback;
+        },
+        // Policies and the preferences center are routes of the site (pages/*.html, loaded by script.js)
+        banner: {
+            text: 'We use cookies to improve your experience, analyze traffic, and personalize content. You can accept, reject, or manage your preferences.',
+            privacyPolicyUrl: '/#/privacy-policy',
+            cookiePolicyUrl: '/#/cookie-policy'
+        },
+        // "Cookie settings" in the footer opens the modal, which links to the full preferences center
+        preferencesCenter: {
+            url: '/#/cookie-preferences'
+        },
+        // The server hint (<meta name="consent-jurisdiction">, see server/index.js) picks the profile;
+        // without it the time zone and language decide, and anything unmatched gets strict opt-in
+        jurisdictions: {
+            fallback: 'gdpr',
+            profiles: [
+                {
+                    id: 'gdpr',
+                    label: 'European Union (GDPR)',
+                    mode: 'opt-in',
+                    regions: [
+                        'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+                        'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+                        'IS', 'LI', 'NO', 'GB', 'CH'
+                    ],
+                    timeZones: ['Europe/*', 'Atlantic/Azores', 'Atlantic/Canary', 'Atlantic/Madeira', 'Atlantic/Reykjavik']
+                },
+                {
+                    id: 'lgpd',
+                    label: 'Brazil (LGPD)',
+                    mode: 'opt-in',
+                    regions: ['BR'],
+                    timeZones: [
+                        'America/Sao_Paulo', 'America/Bahia', 'America/Fortaleza', 'America/Recife', 'America/Maceio',
+                        'America/Belem', 'America/Araguaina', 'America/Santarem', 'America/Manaus', 'America/Cuiaba',
+                        'America/Campo_Grande', 'America/Porto_Velho', 'America/Boa_Vista', 'America/Rio_Branco',
+                        'America/Eirunepe', 'America/Noronha'
+                    ]
+                },
+                {
+                    id: 'cpra',
+                    label: 'California (CCPA/CPRA)',
+                    mode: 'opt-out',
+                    // Advertising cookies share data with Meta and Google: "Do Not Sell or Share" turns them off
+                    doNotSell: ['marketing'],
+                    bannerText: 'We use cookies to improve your experience, analyze traffic, and for advertising. You can opt out of the sale or sharing of your personal information at any time.',
+                    regions: ['US-CA'],
+                    timeZones: ['America/Los_Angeles']
+                },
+                {
+                    id: 'notice',
+                    label: 'Other markets',
+                    mode: 'notice',
+                    // Advertising still waits for a choice
+                    defaults: { marketing: false },
+                    bannerText: 'We use cookies to improve your experience and analyze traffic. You can change which cookies we use at any time.',
+                    regions: ['AE', 'DO', 'PY'],
+                    timeZones: ['Asia/Dubai', 'America/Santo_Domingo', 'America/Asuncion']
+                }
+            ]
+        },
+        // Each category lists the names of its cookies (a trailing * matches a prefix) so they are deleted
+        // when consent is withdrawn, even before the inventory loads; the scanner keeps both in step
+        categories: [
+            {
+                id: 'necessary',
+                label: 'Necessary Cookies',
+                description: 'Essential for the website to function. Always active.',
+                required: true,
+                cookies: ['cookie_consent']
+            },
+            {
+                id: 'functional',
+                label: 'Functional Cookies',
+                description: 'Enable optional features, such as remembering details you enter in forms.',
+                default: false
+            },
+            {
+                id: 'analytics',
+                label: 'Analytics Cookies',
+                description: 'Help us understand how the website is used (statistics).',
+                default: false,
+                cookies: ['_ga', '_ga_*', '_gid', '_gat*']
+            },
+            {
+                id: 'marketing',
+                label: 'Marketing Cookies',
+                description: 'Used for marketing campaigns and to measure advertising performance.',
+                default: false,
+                cookies: ['_fbp', '_fbc', '_gcl_*'],
+                // Global Privacy Control and Do Not Track keep marketing off
+                optOutSignals: ['gpc', 'dnt']
+            },
+            {
+                id: 'personalization',
+                label: 'Personalization Cookies',
+                description: 'Tailor content and recommendations to your interests.',
+                default: false
+            },
+            {
+                id: 'youtube',
+                label: 'YouTube Videos',
+                description: 'Load embedded YouTube videos. YouTube may set cookies and receive your IP address.',
+                default: false,
+                cookies: ['YSC', 'VISITOR_INFO1_LIVE', 'VISITOR_PRIVACY_METADATA']
+            },
+            {
+                // Images and maps behind click-to-load placeholders (embed-facade.js)
+                id: 'media',
+                label: 'External Media',
+                description: 'Load images and maps hosted by other services, such as Unsplash photos and Google Maps. These services receive your IP address, and Google Maps may set cookies.',
+                default: false,
+                cookies: ['NID']
+            }
+        ]
+    });
+
+    // Redraw the open banner or modal when the visitor switches language
+    window.addEventListener('i18n:change', window.CookieConsent.refreshUI);
+})();
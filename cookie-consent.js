@@ -6,26 +6,575 @@
 (function() {
     'use strict';
 
-    const CONSENT_VERSION = '1.0';
+    // Version of the stored record's shape (not of the cookie policy)
+    const CONSENT_VERSION = '2.1';
     const CONSENT_COOKIE_NAME = 'cookie_consent';
     const CONSENT_EXPIRY_DAYS = 365;
+    const RECEIPT_QUEUE_KEY = 'cookie_consent_receipts';
 
-    // Cookie categories
-    const CATEGORIES = {
-        NECESSARY: 'necessary',
-        ANALYTICS: 'analytics',
-        MARKETING: 'marketing'
+    // Always-active category; it can never be switched off
+    const NECESSARY = 'necessary';
+
+    /**
+     * Default configuration. Sites override it with CookieConsent.init(config)
+     * or a <script type="application/json" id="cookie-consent-config"> block.
+     *
+     * Each category: { id, label, description, required, default, cookies, optOutSignals }.
+     * A cookie entry is either a name pattern ('*' matches any suffix) or an
+     * object { name, provider, purpose, duration }. The patterns are used to
+     * delete the category's cookies when consent for it is withdrawn.
+     * optOutSignals lists the browser opt-out signals ('gpc', 'dnt') that lock
+     * the category off while the browser sends them.
+     */
+    const DEFAULT_CONFIG = {
+        // Days a stored choice stays valid, counted from its timestamp
+        expiryDays: CONSENT_EXPIRY_DAYS,
+        // Attributes of the consent cookie
+        cookie: {
+            // Parent domain that shares consent with its subdomains (e.g. 'example.com').
+            // null, or a domain the page isn't served from (e.g. on localhost): this host only
+            domain: null,
+            // true, false or 'auto' (Secure on https pages)
+            secure: 'auto',
+            // 'Lax', 'Strict' or 'None' (None is always sent with Secure)
+            sameSite: 'Lax'
+        },
+        // Days after which the banner asks again while keeping the stored choices (null: never)
+        reconsentDays: null,
+        // Cookie policy revisions, oldest first: { id, summary, categories }.
+        // A new revision re-prompts everyone who consented to an earlier one; stored
+        // choices are kept except for the categories the revision lists.
+        policy: {
+            revisions: []
+        },
+        // Consent receipts (proof of consent, LGPD Art. 8 / GDPR Art. 7).
+        // Each saved choice is POSTed to the endpoint; failed sends are queued and retried.
+        receipts: {
+            endpoint: null,
+            maxQueue: 50
+        },
+        // Cookie inventory: JSON file ({ items: [{ name, storage, category, provider, purpose, duration }] },
+        // see scripts/scan-cookies.js) that fills in the details of the categories' cookies when it loads and
+        // adds the storage keys they don't list. Deletion only uses the names in categories[].cookies.
+        inventory: {
+            url: null
+        },
+        // Standardized consent signals for third-party tags
+        signals: {
+            googleConsentMode: {
+                enabled: true,
+                // Milliseconds Google tags wait for the update after the default state
+                waitForUpdate: 500,
+                // Google consent type -> categories that must all be granted
+                mapping: {
+                    ad_storage: ['marketing'],
+                    ad_user_data: ['marketing'],
+                    ad_personalization: ['marketing'],
+                    analytics_storage: ['analytics'],
+                    functionality_storage: ['functional'],
+                    personalization_storage: ['personalization'],
+                    security_storage: [NECESSARY]
+                }
+            }
+        },
+        // Translation hook: function(key, fallback) returning the text for a UI_TEXT key,
+        // 'categories.<id>.label|description', 'revisions.<id>.summary' or
+        // 'cookies.<name>.purpose|duration', 'jurisdictions.<id>.label|bannerText' (null: English)
+        translate: null,
+        banner: {
+            text: 'We use cookies to improve your experience, analyze traffic, and personalize content. You can accept, reject, or manage your preferences.',
+            privacyPolicyUrl: '/privacy-policy',
+            cookiePolicyUrl: '/cookie-policy'
+        },
+        // "Cookie settings" control that reopens the preferences on every page
+        launcher: {
+            enabled: true,
+            // Element the control is added to (e.g. the footer links); without one it floats in a corner
+            container: 'footer .footer-nav'
+        },
+        // Page holding the full preferences center (<div id="cookie-preferences-center">), linked from the modal
+        preferencesCenter: {
+            url: null
+        },
+        // Jurisdiction profiles: how consent works where the visitor is. The profile is picked from
+        // the server's hint (<meta name="consent-jurisdiction" content="...">: a profile id or a
+        // region such as 'BR' or 'US-CA'), else the browser's time zone, else the region of its
+        // languages, else the fallback. A hint no profile matches goes straight to the fallback.
+        //
+        // Each profile: { id, label, mode, defaults, buttons, doNotSell, bannerText, regions, timeZones }.
+        // mode is one of JURISDICTION_MODES; defaults maps category ids to their state before
+        // a choice; buttons lists BANNER_BUTTONS keys in display order; doNotSell lists the
+        // categories the "Do Not Sell or Share" button turns off; timeZones entries may end in '*'.
+        jurisdictions: {
+            metaName: 'consent-jurisdiction',
+            fallback: 'default',
+            profiles: [
+                { id: 'default', mode: 'opt-in' }
+            ]
+        },
+        categories: [
+            {
+                id: NECESSARY,
+                label: 'Necessary Cookies',
+                description: 'Essential for the website to function. Always active.',
+                required: true,
+                default: true,
+                cookies: [CONSENT_COOKIE_NAME]
+            },
+            {
+                id: 'analytics',
+                label: 'Analytics Cookies',
+                description: 'Help us understand how the website is used (statistics).',
+                default: false,
+                cookies: ['_ga', '_ga_*', '_gid', '_gat', '_gat_*', '_gcl_au', '_hjSession*', '_hjid', '_clck', '_clsk']
+            },
+            {
+                id: 'marketing',
+                label: 'Marketing Cookies',
+                description: 'Used for personalization and marketing campaigns.',
+                default: false,
+                cookies: ['_fbp', '_fbc', 'fr', '_gcl_*', 'IDE', 'test_cookie', '_uetsid', '_uetvid', 'li_fat_id'],
+                optOutSignals: ['gpc', 'dnt']
+            }
+        ]
     };
 
-    // Default consent state
-    const defaultConsent = {
-        version: CONSENT_VERSION,
-        timestamp: new Date().toISOString(),
-        necessary: true,
-        analytics: false,
-        marketing: false
+    /**
+     * Browser-level opt-out signals: Global Privacy Control and Do Not Track
+     */
+    const OPT_OUT_SIGNALS = {
+        gpc: {
+            label: 'Global Privacy Control',
+            isActive: function() {
+                return navigator.globalPrivacyControl === true;
+            }
+        },
+        dnt: {
+            label: 'Do Not Track',
+            isActive: function() {
+                const value = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+                return value === '1' || value === 'yes';
+            }
+        }
     };
 
+    /**
+     * Consent modes and the banner buttons they show unless a profile lists its own.
+     * opt-in: optional categories stay off until the visitor allows them.
+     * opt-out: optional categories are on (profile defaults) until the visitor turns them off.
+     * notice: like opt-out, with a banner that only informs.
+     */
+    const JURISDICTION_MODES = {
+        'opt-in': ['reject', 'manage', 'accept'],
+        'opt-out': ['reject', 'manage', 'acknowledge'],
+        'notice': ['manage', 'acknowledge']
+    };
+
+    /**
+     * Buttons a banner can show, keyed by the names profiles use
+     */
+    const BANNER_BUTTONS = {
+        reject: { id: 'cookie-reject', className: 'cookie-btn-reject', text: 'banner.reject', label: 'banner.rejectLabel', handler: handleReject },
+        manage: { id: 'cookie-manage', className: 'cookie-btn-manage', text: 'banner.manage', label: 'banner.manageLabel', handler: handleManage },
+        accept: { id: 'cookie-accept-all', className: 'cookie-btn-accept', text: 'banner.acceptAll', label: 'banner.acceptAllLabel', handler: handleAcceptAll },
+        acknowledge: { id: 'cookie-acknowledge', className: 'cookie-btn-accept', text: 'banner.acknowledge', label: 'banner.acknowledgeLabel', handler: handleAcknowledge },
+        doNotSell: { id: 'cookie-do-not-sell', className: 'cookie-btn-link', text: 'banner.doNotSell', label: null, handler: handleDoNotSell }
+    };
+
+    /**
+     * Interface text (English). {name} placeholders are filled in after translation.
+     */
+    const UI_TEXT = {
+        'banner.label': 'Cookie Consent',
+        'banner.renewalLabel': 'Cookie Policy Update',
+        'banner.privacyPolicy': 'Privacy Policy',
+        'banner.cookiePolicy': 'Cookie Policy',
+        'banner.reject': 'Reject',
+        'banner.rejectLabel': 'Reject all cookies',
+        'banner.manage': 'Manage preferences',
+        'banner.manageLabel': 'Manage cookie preferences',
+        'banner.acceptAll': 'Accept all',
+        'banner.acceptAllLabel': 'Accept all cookies',
+        'banner.acknowledge': 'OK',
+        'banner.acknowledgeLabel': 'Acknowledge the cookie notice',
+        'banner.doNotSell': 'Do Not Sell or Share My Personal Information',
+        'renewal.policy': 'We updated our Cookie Policy. Your previous choices were kept where they still apply; please review them.',
+        'renewal.review': 'Please review your cookie preferences. Your previous choices were kept.',
+        'renewal.categories': 'New cookie categories: {categories}.',
+        'renewal.interval': 'It has been a while since you last reviewed your preferences.',
+        'modal.title': 'Cookie Preferences',
+        'modal.close': 'Close modal',
+        'modal.description': 'Select which types of cookies you want to accept. Necessary cookies are always active.',
+        'modal.alwaysActive': '{category} always active',
+        'modal.allow': 'Allow {category}',
+        'modal.signalLocked': '{category} turned off by your browser\'s {signal} setting',
+        'modal.signalNote': 'Your browser sends a {signal} signal, so this category stays off. Turn the signal off in your browser settings to enable it.',
+        'modal.reject': 'Reject',
+        'modal.acceptAll': 'Accept all',
+        'modal.save': 'Save preferences',
+        'modal.preferencesCenter': 'See every cookie we use and your consent details',
+        'modal.cookies': 'Cookies and storage used ({count})',
+        'launcher.label': 'Cookie settings',
+        'launcher.doNotSell': 'Do Not Sell or Share My Personal Information',
+        'center.consentTitle': 'Your consent',
+        'center.noChoice': 'You have not made a choice yet. Until you do, only necessary cookies are used.',
+        'center.noChoiceImplied': 'You have not made a choice yet. The categories switched on below are in use until you turn them off.',
+        'center.consentId': 'Consent ID',
+        'center.givenAt': 'Given on',
+        'center.policyRevision': 'Cookie Policy version',
+        'center.jurisdiction': 'Privacy rules applied',
+        'center.categoriesTitle': 'Cookie categories',
+        'center.cookiesCaption': 'Cookies set by {category}',
+        'center.cookieName': 'Name',
+        'center.cookieProvider': 'Provider',
+        'center.cookiePurpose': 'Purpose',
+        'center.cookieDuration': 'Duration',
+        'center.noCookies': 'This category does not set any cookies at the moment.',
+        'center.save': 'Save my choices',
+        'center.acceptAll': 'Accept all',
+        'center.withdraw': 'Withdraw consent',
+        'center.withdrawHint': 'Withdrawing turns off every optional category and deletes its cookies. Necessary cookies stay, because the site needs them to work.',
+        'center.saved': 'Your choices were saved.',
+        'center.withdrawn': 'Your consent was withdrawn.',
+        'center.saveFailed': 'Your choices could not be saved. Check that your browser allows cookies or site storage, then try again.',
+        'reload.text': 'Your preferences were saved and the related cookies were removed. Some features you turned off are still running on this page; reload it to stop them completely.',
+        'reload.later': 'Later',
+        'reload.now': 'Reload page',
+        'status.saved': 'Your cookie preferences were saved.',
+        'status.doNotSell': 'Your choice was saved: we will not sell or share your personal information.'
+    };
+
+    // Active configuration (set by init)
+    let config = normalizeConfig(DEFAULT_CONFIG);
+
+    /**
+     * Fill in defaults and validate a user-supplied configuration
+     */
+    function normalizeConfig(userConfig) {
+        const source = userConfig || {};
+        const categories = (source.categories || DEFAULT_CONFIG.categories)
+            .filter(function(category) {
+                if (!category || typeof category.id !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(category.id)) {
+                    console.warn('Ignoring cookie category with an invalid id:', category);
+                    return false;
+                }
+                return true;
+            })
+            .map(function(category) {
+                const required = category.id === NECESSARY || category.required === true;
+                return {
+                    id: category.id,
+                    label: category.label || category.id,
+                    description: category.description || '',
+                    required: required,
+                    default: required || category.default === true,
+                    cookies: (category.cookies || []).map(function(cookie) {
+                        return typeof cookie === 'string' ? { name: cookie } : cookie;
+                    }),
+                    // Required categories can't be opted out of
+                    optOutSignals: required ? [] : (category.optOutSignals || []).filter(function(signal) {
+                        return OPT_OUT_SIGNALS.hasOwnProperty(signal);
+                    })
+                };
+            });
+
+        // Necessary cookies always exist, even if the site config forgets them
+        if (!categories.some(function(category) { return category.id === NECESSARY; })) {
+            categories.unshift(normalizeConfig({ categories: [DEFAULT_CONFIG.categories[0]] }).categories[0]);
+        }
+
+        const policy = source.policy || DEFAULT_CONFIG.policy;
+
+        return {
+            expiryDays: source.expiryDays > 0 ? source.expiryDays : DEFAULT_CONFIG.expiryDays,
+            cookie: normalizeCookieOptions(source.cookie),
+            reconsentDays: source.reconsentDays > 0 ? source.reconsentDays : null,
+            policy: {
+                revisions: (policy.revisions || []).map(function(revision) {
+                    return {
+                        id: String(revision.id),
+                        summary: revision.summary || '',
+                        categories: revision.categories || []
+                    };
+                })
+            },
+            receipts: Object.assign({}, DEFAULT_CONFIG.receipts, source.receipts),
+            inventory: Object.assign({}, DEFAULT_CONFIG.inventory, source.inventory),
+            signals: {
+                googleConsentMode: Object.assign({}, DEFAULT_CONFIG.signals.googleConsentMode,
+                    source.signals && source.signals.googleConsentMode)
+            },
+            translate: typeof source.translate === 'function' ? source.translate : null,
+            banner: Object.assign({}, DEFAULT_CONFIG.banner, source.banner),
+            launcher: Object.assign({}, DEFAULT_CONFIG.launcher, source.launcher),
+            preferencesCenter: Object.assign({}, DEFAULT_CONFIG.preferencesCenter, source.preferencesCenter),
+            jurisdictions: normalizeJurisdictions(source.jurisdictions),
+            categories: categories
+        };
+    }
+
+    /**
+     * Validate the jurisdiction profiles; there is always at least one, and the fallback exists
+     */
+    function normalizeJurisdictions(options) {
+        const source = Object.assign({}, DEFAULT_CONFIG.jurisdictions, options);
+        const profiles = (source.profiles || [])
+            .filter(function(profile) {
+                if (!profile || typeof profile.id !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(profile.id)) {
+                    console.warn('Ignoring jurisdiction profile with an invalid id:', profile);
+                    return false;
+                }
+                return true;
+            })
+            .map(function(profile) {
+                if (profile.mode && !JURISDICTION_MODES.hasOwnProperty(profile.mode)) {
+                    console.warn('Unknown consent mode, using opt-in:', profile.mode);
+                }
+                const mode = JURISDICTION_MODES.hasOwnProperty(profile.mode) ? profile.mode : 'opt-in';
+                const doNotSell = profile.doNotSell || [];
+                const buttons = profile.buttons ||
+                    (doNotSell.length ? ['doNotSell'] : []).concat(JURISDICTION_MODES[mode]);
+                return {
+                    id: profile.id,
+                    label: profile.label || profile.id,
+                    mode: mode,
+                    defaults: Object.assign({}, profile.defaults),
+                    buttons: buttons.filter(function(button) {
+                        return BANNER_BUTTONS.hasOwnProperty(button);
+                    }),
+                    doNotSell: doNotSell,
+                    bannerText: profile.bannerText || null,
+                    regions: (profile.regions || []).map(function(region) {
+                        return String(region).toUpperCase();
+                    }),
+                    timeZones: profile.timeZones || []
+                };
+            });
+
+        if (profiles.length === 0) {
+            return normalizeJurisdictions({ profiles: DEFAULT_CONFIG.jurisdictions.profiles });
+        }
+
+        const fallback = profiles.some(function(profile) { return profile.id === source.fallback; });
+        return {
+            metaName: source.metaName || DEFAULT_CONFIG.jurisdictions.metaName,
+            fallback: fallback ? source.fallback : profiles[0].id,
+            profiles: profiles
+        };
+    }
+
+    /**
+     * Validate the consent cookie's attributes against the page's host
+     */
+    function normalizeCookieOptions(options) {
+        const source = Object.assign({}, DEFAULT_CONFIG.cookie, options);
+        let domain = null;
+        if (typeof source.domain === 'string' && source.domain) {
+            const candidate = source.domain.toLowerCase().replace(/^\./, '');
+            const hostname = window.location.hostname.toLowerCase();
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(candidate)) {
+                console.warn('Ignoring invalid cookie domain:', source.domain);
+            } else if (hostname === candidate || hostname.endsWith('.' + candidate)) {
+                domain = candidate;
+            }
+        }
+
+        const sameSite = ['Strict', 'Lax', 'None'].filter(function(value) {
+            return String(source.sameSite).toLowerCase() === value.toLowerCase();
+        })[0];
+        if (!sameSite) {
+            console.warn('Ignoring invalid cookie SameSite value:', source.sameSite);
+        }
+
+        return {
+            domain: domain,
+            secure: source.secure === true || source.secure === false ? source.secure : 'auto',
+            sameSite: sameSite || DEFAULT_CONFIG.cookie.sameSite
+        };
+    }
+
+    /**
+     * Look up a configured category by id
+     */
+    function getCategory(id) {
+        for (let i = 0; i < config.categories.length; i++) {
+            if (config.categories[i].id === id) return config.categories[i];
+        }
+        return null;
+    }
+
+    /**
+     * Opt-out signals the browser is sending right now
+     */
+    function getActiveSignals() {
+        return Object.keys(OPT_OUT_SIGNALS).filter(function(signal) {
+            try {
+                return OPT_OUT_SIGNALS[signal].isActive();
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * The active signal that locks a category off, or null
+     */
+    function getOptOutSignal(categoryId) {
+        const category = getCategory(categoryId);
+        if (!category) return null;
+        const active = getActiveSignals();
+        for (let i = 0; i < category.optOutSignals.length; i++) {
+            if (active.indexOf(category.optOutSignals[i]) !== -1) return category.optOutSignals[i];
+        }
+        return null;
+    }
+
+    /**
+     * Categories the user can switch on and off
+     */
+    function getOptionalCategories() {
+        return config.categories.filter(function(category) {
+            return !category.required;
+        });
+    }
+
+    // Profile picked for this visit (set by init)
+    let jurisdiction = null;
+
+    /**
+     * Look up a jurisdiction profile by id
+     */
+    function getProfile(id) {
+        const profiles = config.jurisdictions.profiles;
+        for (let i = 0; i < profiles.length; i++) {
+            if (profiles[i].id === id) return profiles[i];
+        }
+        return null;
+    }
+
+    /**
+     * Profile covering a region code ('US-CA' falls back to a profile for all of 'US')
+     */
+    function getProfileForRegion(region) {
+        const code = String(region).toUpperCase();
+        const country = code.split('-')[0];
+        const profiles = config.jurisdictions.profiles;
+        for (let i = 0; i < profiles.length; i++) {
+            if (profiles[i].regions.indexOf(code) !== -1) return profiles[i];
+        }
+        for (let i = 0; i < profiles.length; i++) {
+            if (profiles[i].regions.indexOf(country) !== -1) return profiles[i];
+        }
+        return null;
+    }
+
+    /**
+     * The browser's IANA time zone, or null
+     */
+    function getTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Pick the profile for this visit: server hint, time zone, language region, fallback
+     */
+    function detectJurisdiction() {
+        const settings = config.jurisdictions;
+        const meta = document.querySelector(`meta[name="${settings.metaName}"]`);
+        const hint = meta ? (meta.getAttribute('content') || '').trim() : '';
+        if (hint) {
+            // The server knows better than the heuristics, even when no profile matches
+            return getProfile(hint.toLowerCase()) || getProfile(hint) || getProfileForRegion(hint) ||
+                getProfile(settings.fallback);
+        }
+
+        const timeZone = getTimeZone();
+        if (timeZone) {
+            const byTimeZone = settings.profiles.filter(function(profile) {
+                return profile.timeZones.some(function(pattern) {
+                    return cookieNameMatches(timeZone, pattern);
+                });
+            })[0];
+            if (byTimeZone) return byTimeZone;
+        }
+
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        for (let i = 0; i < languages.length; i++) {
+            const region = /^[a-z]{2,3}-([a-z]{2})\b/i.exec(languages[i] || '');
+            const byLanguage = region && getProfileForRegion(region[1]);
+            if (byLanguage) return byLanguage;
+        }
+
+        return getProfile(settings.fallback);
+    }
+
+    /**
+     * Active jurisdiction profile (the fallback until init has run)
+     */
+    function getJurisdiction() {
+        return jurisdiction || getProfile(config.jurisdictions.fallback);
+    }
+
+    /**
+     * A category's state before the visitor chooses: on in opt-out and notice modes unless
+     * the profile says otherwise, the category's own default in opt-in mode
+     */
+    function getProfileDefault(profile, category) {
+        if (category.required) return true;
+        if (typeof profile.defaults[category.id] === 'boolean') return profile.defaults[category.id];
+        return profile.mode === 'opt-in' ? category.default : true;
+    }
+
+    /**
+     * Default consent state under the active jurisdiction profile
+     */
+    function getDefaultConsent() {
+        const profile = getJurisdiction();
+        const consent = {
+            version: CONSENT_VERSION,
+            policyRevision: getPolicyRevision(),
+            jurisdiction: profile.id,
+            timestamp: new Date().toISOString()
+        };
+        config.categories.forEach(function(category) {
+            consent[category.id] = getProfileDefault(profile, category) && !getOptOutSignal(category.id);
+        });
+        return consent;
+    }
+
+    /**
+     * Consent choices with every optional category set to the same value
+     */
+    function allCategories(value) {
+        const choices = {};
+        getOptionalCategories().forEach(function(category) {
+            choices[category.id] = value;
+        });
+        return choices;
+    }
+
+    /**
+     * Domain, Secure and SameSite attributes from config.cookie
+     */
+    function getCookieAttributes() {
+        const options = config.cookie;
+        const secure = options.sameSite === 'None' ||
+            (options.secure === 'auto' ? window.location.protocol === 'https:' : options.secure);
+        return `;path=/${options.domain ? `;domain=${options.domain}` : ''};SameSite=${options.sameSite}${secure ? ';Secure' : ''}`;
+    }
+
+    /**
+     * Time a stored value was written (0 when it has no timestamp)
+     */
+    function getWrittenAt(value) {
+        const time = value && typeof value.timestamp === 'string' ? Date.parse(value.timestamp) : NaN;
+        return isNaN(time) ? 0 : time;
+    }
+
     /**
      * Cookie utilities with localStorage fallback
      */
@@ -37,7 +586,11 @@
             
             // Try to set cookie
             try {
-                document.cookie = `${name}=${cookieValue};expires=${expires.toUTCString()};path=/;SameSite=Lax`;
+                document.cookie = `${name}=${cookieValue};expires=${expires.toUTCString()}${getCookieAttributes()}`;
+                // A host-only copy from before a domain was configured would shadow the shared one
+                if (config.cookie.domain) {
+                    document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/`;
+                }
             } catch (e) {
                 console.warn('Error setting cookie:', e);
             }
@@ -50,8 +603,12 @@
             }
         },
 
+        /**
+         * Read every copy (host-only and domain cookies can coexist, plus the localStorage
+         * backup) and return the most recently written one; on a tie the cookie wins.
+         */
         get: function(name) {
-            // Try to get from cookie first
+            const copies = [];
             const nameEQ = name + '=';
             const ca = document.cookie.split(';');
             for (let i = 0; i < ca.length; i++) {
@@ -60,35 +617,47 @@
                 if (c.indexOf(nameEQ) === 0) {
                     try {
                         const cookieValue = c.substring(nameEQ.length, c.length);
-                        const parsed = JSON.parse(decodeURIComponent(cookieValue));
-                        // Also sync to localStorage
-                        try {
-                            localStorage.setItem(name, JSON.stringify(parsed));
-                        } catch (e) {}
-                        return parsed;
+                        copies.push({ fromCookie: true, value: JSON.parse(decodeURIComponent(cookieValue)) });
                     } catch (e) {
                         console.warn('Error parsing cookie:', e);
                     }
                 }
             }
-            
-            // Fallback to localStorage
+
+            let stored = null;
             try {
-                const stored = localStorage.getItem(name);
+                stored = localStorage.getItem(name);
                 if (stored) {
-                    return JSON.parse(stored);
+                    copies.push({ fromCookie: false, value: JSON.parse(stored) });
                 }
             } catch (e) {
                 console.warn('Error reading localStorage:', e);
             }
-            
-            return null;
+
+            if (copies.length === 0) return null;
+            const latest = copies.reduce(function(best, copy) {
+                return getWrittenAt(copy.value) > getWrittenAt(best.value) ? copy : best;
+            });
+
+            // Bring the backup up to date with a newer cookie (e.g. written on another subdomain)
+            if (latest.fromCookie) {
+                const serialized = JSON.stringify(latest.value);
+                if (serialized !== stored) {
+                    try {
+                        localStorage.setItem(name, serialized);
+                    } catch (e) {}
+                }
+            }
+            return latest.value;
         },
 
         remove: function(name) {
-            // Remove from cookie
+            // Remove from cookie (the host-only copy and the shared one)
             try {
-                document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;SameSite=Lax`;
+                document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC${getCookieAttributes()}`;
+                if (config.cookie.domain) {
+                    document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/`;
+                }
             } catch (e) {}
             
             // Remove from localStorage
@@ -99,57 +668,569 @@
     };
 
     /**
-     * Get current consent state
+     * Upgrades for older stored records, keyed by the version they upgrade from.
+     * Each step returns the next version's shape; getStoredConsent() chains them.
      */
-    function getConsent() {
+    const CONSENT_MIGRATIONS = {
+        // Records written before versioning carried the same flags without a version
+        'none': function(record) {
+            return Object.assign({}, record, { version: '1.0' });
+        },
+        // 1.0 predates policy revisions: keep the choices, mark the revision as unknown
+        '1.0': function(record) {
+            return Object.assign({}, record, { version: '2.0', policyRevision: null });
+        },
+        // 2.0 predates jurisdiction profiles: the profile the choice was made under is unknown
+        '2.0': function(record) {
+            return Object.assign({}, record, { version: '2.1', jurisdiction: null });
+        }
+    };
+
+    /**
+     * Current cookie policy revision id (null when the config declares none)
+     */
+    function getPolicyRevision() {
+        const revisions = config.policy.revisions;
+        return revisions.length ? revisions[revisions.length - 1].id : null;
+    }
+
+    /**
+     * Bring a stored record up to CONSENT_VERSION, or null if it can't be migrated
+     */
+    function migrateConsent(record) {
+        let current = record;
+        for (let step = 0; current.version !== CONSENT_VERSION; step++) {
+            const migrate = CONSENT_MIGRATIONS[current.version || 'none'];
+            if (!migrate || step > 10) return null;
+            current = migrate(current);
+        }
+        return current;
+    }
+
+    /**
+     * Days elapsed since a record was written
+     */
+    function getConsentAgeDays(record) {
+        return (Date.now() - Date.parse(record.timestamp)) / (24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Read the stored record, migrated to the current shape; null if missing, invalid or expired
+     */
+    function getStoredConsent() {
         try {
             const stored = CookieUtils.get(CONSENT_COOKIE_NAME);
-            if (stored && typeof stored === 'object') {
-                // Check if version matches (or if version doesn't exist, accept it for backward compatibility)
-                if (stored.version === CONSENT_VERSION || !stored.version) {
-                    // Ensure all required fields exist
-                    if (typeof stored.necessary !== 'undefined' && 
-                        typeof stored.analytics !== 'undefined' && 
-                        typeof stored.marketing !== 'undefined') {
-                        return stored;
-                    }
-                }
-            }
+            if (!stored || typeof stored !== 'object') return null;
+
+            const record = migrateConsent(stored);
+            if (!record) return null;
+
+            // Without a valid timestamp there is no proof of when consent was given
+            if (typeof record.timestamp !== 'string' || isNaN(Date.parse(record.timestamp))) return null;
+            if (getConsentAgeDays(record) > config.expiryDays) return null;
+
+            const valid = config.categories.every(function(category) {
+                return typeof record[category.id] === 'undefined' || typeof record[category.id] === 'boolean';
+            });
+            return valid ? record : null;
         } catch (e) {
             console.warn('Error getting consent:', e);
         }
         return null;
     }
 
+    /**
+     * Policy revisions published after the one a record was given under
+     */
+    function getPendingRevisions(record) {
+        const revisions = config.policy.revisions;
+        let index = -1;
+        for (let i = 0; i < revisions.length; i++) {
+            if (revisions[i].id === record.policyRevision) index = i;
+        }
+        return revisions.slice(index + 1);
+    }
+
+    /**
+     * Why stored consent needs to be reviewed again: 'policy', 'categories' and/or 'interval'
+     */
+    function getRenewalReasons() {
+        const record = getStoredConsent();
+        if (!record) return [];
+
+        const reasons = [];
+        if (getPendingRevisions(record).length) {
+            reasons.push('policy');
+        }
+        if (getOptionalCategories().some(function(category) { return typeof record[category.id] !== 'boolean'; })) {
+            reasons.push('categories');
+        }
+        if (config.reconsentDays && getConsentAgeDays(record) > config.reconsentDays) {
+            reasons.push('interval');
+        }
+        return reasons;
+    }
+
+    /**
+     * Get current consent state. Choices still apply after a policy update, except for
+     * categories a newer revision changed and categories added since: those read as false.
+     * Categories locked by an active browser opt-out signal read as false too.
+     * Before any choice, opt-out and notice profiles return their defaults marked implied
+     * (without a timestamp, so hasConsent() stays false); opt-in profiles return null.
+     */
+    function getConsent() {
+        const record = getStoredConsent();
+        if (!record) {
+            if (getJurisdiction().mode === 'opt-in') return null;
+            const implied = getDefaultConsent();
+            delete implied.timestamp;
+            implied.implied = true;
+            return implied;
+        }
+
+        const voided = [];
+        getPendingRevisions(record).forEach(function(revision) {
+            voided.push.apply(voided, revision.categories);
+        });
+
+        const consent = Object.assign({}, record);
+        config.categories.forEach(function(category) {
+            consent[category.id] = category.required ||
+                (record[category.id] === true && voided.indexOf(category.id) === -1 && !getOptOutSignal(category.id));
+        });
+        return consent;
+    }
+
+    /**
+     * Cookie name matches a registry pattern
+     */
+    function cookieNameMatches(name, pattern) {
+        if (pattern.charAt(pattern.length - 1) === '*') {
+            return name.indexOf(pattern.slice(0, -1)) === 0;
+        }
+        return name === pattern;
+    }
+
+    /**
+     * Domains a cookie may have been set on: host-only, the current host and every parent domain
+     */
+    function getCookieDomains() {
+        const parts = window.location.hostname.split('.');
+        const domains = [''];
+        for (let i = 0; i < parts.length - 1; i++) {
+            const domain = parts.slice(i).join('.');
+            domains.push(domain, '.' + domain);
+        }
+        return domains;
+    }
+
+    /**
+     * Delete every cookie owned by a category, across the current domain and its parents
+     */
+    function deleteCategoryCookies(category) {
+        const definition = getCategory(category);
+        const patterns = definition ? definition.cookies.map(function(cookie) { return cookie.name; }) : [];
+        const deleted = [];
+
+        document.cookie.split(';').forEach(function(entry) {
+            const name = entry.split('=')[0].trim();
+            if (!name || name === CONSENT_COOKIE_NAME) return;
+            const owned = patterns.some(function(pattern) {
+                return cookieNameMatches(name, pattern);
+            });
+            if (!owned) return;
+
+            const paths = ['/', window.location.pathname];
+            getCookieDomains().forEach(function(domain) {
+                paths.forEach(function(path) {
+                    try {
+                        document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=${path}` +
+                            (domain ? `;domain=${domain}` : '');
+                    } catch (e) {}
+                });
+            });
+            deleted.push(name);
+        });
+
+        return deleted;
+    }
+
+    // Inventory request (config.inventory.url), made once
+    let inventoryRequest = null;
+
+    /**
+     * Load the cookie inventory: entries fill in the details of the cookies their category lists and
+     * the rest are added to it; resolves with the entries, or [] without an inventory or when it can't be loaded
+     */
+    function loadInventory() {
+        if (inventoryRequest) return inventoryRequest;
+        if (!config.inventory.url) {
+            inventoryRequest = Promise.resolve([]);
+            return inventoryRequest;
+        }
+
+        inventoryRequest = fetch(config.inventory.url).then(function(response) {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        }).then(function(inventory) {
+            const items = [];
+            (inventory.items || []).forEach(function(item) {
+                const category = item && typeof item.name === 'string' ? getCategory(item.category) : null;
+                if (!category) {
+                    console.warn('Ignoring cookie inventory entry with an unknown category:', item);
+                    return;
+                }
+                const entry = {
+                    name: item.name,
+                    category: category.id,
+                    storage: item.storage || [],
+                    provider: item.provider || '',
+                    purpose: item.purpose || '',
+                    duration: item.duration || ''
+                };
+                const listed = category.cookies.findIndex(function(cookie) { return cookie.name === entry.name; });
+                if (listed === -1) {
+                    category.cookies.push(entry);
+                } else {
+                    category.cookies[listed] = Object.assign({}, category.cookies[listed], entry);
+                }
+                items.push(entry);
+            });
+            refreshUI();
+            return items;
+        }).catch(function(error) {
+            console.warn('Could not load the cookie inventory:', error);
+            return [];
+        });
+        return inventoryRequest;
+    }
+
+    /**
+     * Re-block a category's iframes and images so they stop loading third-party content
+     */
+    function deactivateCategoryEmbeds(category) {
+        const embeds = document.querySelectorAll(
+            `iframe[data-cookie-activated][data-cookie-category="${category}"], ` +
+            `img[data-cookie-activated][data-cookie-category="${category}"]`
+        );
+        embeds.forEach(function(embed) {
+            embed.setAttribute('data-src', embed.getAttribute('src'));
+            embed.removeAttribute('src');
+            if (embed.hasAttribute('srcset')) {
+                embed.setAttribute('data-srcset', embed.getAttribute('srcset'));
+                embed.removeAttribute('srcset');
+            }
+            embed.removeAttribute('data-cookie-activated');
+        });
+    }
+
+    /**
+     * Withdraw consent for a category: delete its cookies, re-block embeds and notify the page.
+     * Scripts that already ran cannot be unloaded; unless a listener calls preventDefault()
+     * on the revoked event to signal it tore them down, the user is asked to reload.
+     */
+    function revokeCategory(category, consent) {
+        const deletedCookies = deleteCategoryCookies(category);
+        deactivateCategoryEmbeds(category);
+
+        const event = new CustomEvent(`cookieConsent:revoked:${category}`, {
+            detail: { category: category, consent: consent, deletedCookies: deletedCookies },
+            cancelable: true
+        });
+        window.dispatchEvent(event);
+
+        const scriptsRan = loadedCategories[category] ||
+            document.querySelector(`script[data-cookie-activated][data-cookie-category="${category}"]`) !== null;
+
+        return scriptsRan && !event.defaultPrevented;
+    }
+
+    /**
+     * Revoke every category that was granted before and is denied now
+     */
+    function revokeWithdrawnCategories(previous, current) {
+        if (!previous) return;
+
+        let needsReload = false;
+        getOptionalCategories().forEach(function(category) {
+            if (previous[category.id] === true && current[category.id] !== true) {
+                if (revokeCategory(category.id, current)) {
+                    needsReload = true;
+                }
+            }
+        });
+
+        if (needsReload) {
+            showReloadPrompt();
+        }
+    }
+
+    /**
+     * Random identifier (UUID v4 where available)
+     */
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        if (window.crypto && typeof window.crypto.getRandomValues === 'function') {
+            const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+            return Array.prototype.map.call(bytes, function(byte) {
+                return ('0' + byte.toString(16)).slice(-2);
+            }).join('');
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    /**
+     * Consent receipt queue (localStorage), for sends that failed
+     */
+    function readReceiptQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(RECEIPT_QUEUE_KEY) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeReceiptQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(RECEIPT_QUEUE_KEY, JSON.stringify(queue.slice(-config.receipts.maxQueue)));
+            } else {
+                localStorage.removeItem(RECEIPT_QUEUE_KEY);
+            }
+        } catch (e) {
+            console.warn('Error queueing consent receipt:', e);
+        }
+    }
+
+    /**
+     * POST a receipt; resolves to true when it is done with: accepted, or rejected for good
+     * (a 4xx other than 408/429 would be rejected again on every retry)
+     */
+    function postReceipt(receipt) {
+        if (typeof fetch !== 'function') return Promise.resolve(false);
+        return fetch(config.receipts.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(receipt),
+            credentials: 'same-origin',
+            keepalive: true
+        }).then(function(response) {
+            const rejected = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+            if (rejected) {
+                console.warn('Consent receipt rejected by the endpoint (HTTP ' + response.status + '), not retrying:', receipt.receiptId);
+            }
+            return response.ok || rejected;
+        }).catch(function() {
+            return false;
+        });
+    }
+
+    /**
+     * Send a receipt now, queueing it for a later retry if that fails
+     */
+    function sendReceipt(receipt) {
+        if (!config.receipts.endpoint) return;
+        postReceipt(receipt).then(function(sent) {
+            if (!sent) {
+                writeReceiptQueue(readReceiptQueue().concat([receipt]));
+            }
+        });
+    }
+
+    let flushingReceipts = false;
+
+    /**
+     * Retry queued receipts one by one; the ones that fail again (network, 5xx, 408, 429) stay queued
+     */
+    function flushReceiptQueue() {
+        if (!config.receipts.endpoint || flushingReceipts) return;
+        const queue = readReceiptQueue();
+        if (!queue.length) return;
+
+        flushingReceipts = true;
+        const failed = [];
+        queue.reduce(function(chain, receipt) {
+            return chain.then(function() {
+                return postReceipt(receipt).then(function(sent) {
+                    if (!sent) failed.push(receipt);
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            // Keep receipts queued by sendReceipt() while the flush was running
+            const added = readReceiptQueue().filter(function(receipt) {
+                return !queue.some(function(old) {
+                    return old.receiptId === receipt.receiptId;
+                });
+            });
+            writeReceiptQueue(failed.concat(added));
+            flushingReceipts = false;
+        });
+    }
+
+    /**
+     * Hand queued receipts to sendBeacon when the page is being left
+     */
+    function beaconReceiptQueue() {
+        if (!config.receipts.endpoint || !navigator.sendBeacon) return;
+        const queue = readReceiptQueue();
+        if (!queue.length) return;
+
+        // text/plain keeps the beacon a "simple" request (no CORS preflight)
+        const remaining = queue.filter(function(receipt) {
+            const body = new Blob([JSON.stringify(receipt)], { type: 'text/plain;charset=UTF-8' });
+            return !navigator.sendBeacon(config.receipts.endpoint, body);
+        });
+        writeReceiptQueue(remaining);
+    }
+
+    /**
+     * Build the receipt that proves a consent decision
+     */
+    function createReceipt(consentData, action) {
+        const categories = {};
+        config.categories.forEach(function(category) {
+            categories[category.id] = consentData[category.id];
+        });
+        return {
+            receiptId: generateId(),
+            consentId: consentData.consentId,
+            recordVersion: consentData.version,
+            policyRevision: consentData.policyRevision,
+            jurisdiction: consentData.jurisdiction,
+            timestamp: consentData.timestamp,
+            action: action,
+            categories: categories,
+            optOutSignals: consentData.optOutSignals,
+            page: window.location.pathname
+        };
+    }
+
     /**
      * Save consent preferences
+     * action: 'accept_all', 'reject_all', 'save', 'withdraw', 'acknowledge', 'do_not_sell'
+     * or 'browser_signal' (recorded in the consent receipt)
      */
-    function saveConsent(consent) {
+    function saveConsent(consent, action) {
+        const stored = getStoredConsent();
+        // Without a stored choice, the defaults an opt-out profile applied are what gets withdrawn
+        const previous = stored || getConsent();
         const consentData = {
             version: CONSENT_VERSION,
+            // Anonymous id linking every decision made on this browser
+            consentId: (stored && stored.consentId) || generateId(),
+            policyRevision: getPolicyRevision(),
+            // Profile the choice was made under
+            jurisdiction: getJurisdiction().id,
             timestamp: new Date().toISOString(),
-            necessary: true, // Always true
-            analytics: consent.analytics || false,
-            marketing: consent.marketing || false
+            // Categories switched off by a browser signal rather than by the user
+            optOutSignals: {}
         };
-        CookieUtils.set(CONSENT_COOKIE_NAME, consentData, CONSENT_EXPIRY_DAYS);
+        config.categories.forEach(function(category) {
+            const signal = getOptOutSignal(category.id);
+            if (signal) {
+                consentData.optOutSignals[category.id] = signal;
+            }
+            // Required categories are always true
+            consentData[category.id] = category.required || (consent[category.id] === true && !signal);
+        });
+        CookieUtils.set(CONSENT_COOKIE_NAME, consentData, config.expiryDays);
+        lastSeenRecord = consentData;
+        notifyOtherTabs();
         
         // Verify cookie was saved
         const saved = CookieUtils.get(CONSENT_COOKIE_NAME);
         if (!saved || saved.version !== CONSENT_VERSION) {
             console.warn('Cookie consent may not have been saved correctly');
         }
+
+        // Compare with what was stored, so grants hidden by a signal or a policy update are revoked too
+        revokeWithdrawnCategories(previous, consentData);
+        sendReceipt(createReceipt(consentData, action || 'save'));
+
+        // An open preferences center shows the new record
+        renderPreferencesCenter();
         
         return consentData;
     }
 
+    const SYNC_CHANNEL_NAME = 'cookie_consent';
+    let syncChannel = null;
+    // Record this tab last acted on; anything else in storage was written elsewhere
+    let lastSeenRecord = null;
+
+    /**
+     * Follow consent changes made in other tabs (BroadcastChannel, or the storage event where
+     * it's missing) and on other subdomains (shared cookie, checked when the tab is shown again)
+     */
+    function startSync() {
+        lastSeenRecord = getStoredConsent();
+
+        if (typeof window.BroadcastChannel === 'function') {
+            try {
+                syncChannel = new window.BroadcastChannel(SYNC_CHANNEL_NAME);
+                syncChannel.addEventListener('message', applyExternalChange);
+            } catch (e) {
+                syncChannel = null;
+            }
+        }
+        window.addEventListener('storage', function(e) {
+            // key is null when another tab cleared the whole storage
+            if (e.key === CONSENT_COOKIE_NAME || e.key === null) {
+                applyExternalChange();
+            }
+        });
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'visible') {
+                applyExternalChange();
+            }
+        });
+    }
+
+    function notifyOtherTabs() {
+        if (!syncChannel) return;
+        try {
+            syncChannel.postMessage({ type: 'change' });
+        } catch (e) {
+            console.warn('Error notifying other tabs of a consent change:', e);
+        }
+    }
+
+    /**
+     * Apply a record written elsewhere: revoke what it withdrew, run what it granted and update
+     * the UI. Both notifications can arrive for one change; the second finds nothing new.
+     */
+    function applyExternalChange() {
+        const record = getStoredConsent();
+        const previous = lastSeenRecord;
+        if ((record && record.timestamp) === (previous && previous.timestamp)) return;
+        lastSeenRecord = record;
+
+        if (record) {
+            revokeWithdrawnCategories(previous, record);
+            if (getRenewalReasons().length === 0) {
+                hideBanner();
+            }
+            loadScripts();
+        } else {
+            // Consent was reset elsewhere: back to the defaults until the user chooses again
+            updateAdapters(getDefaultConsent());
+            showBanner();
+        }
+        renderPreferencesCenter();
+    }
+
     /**
      * Check if user has given consent
      */
     function hasConsent() {
         const consent = getConsent();
         // Return true only if consent exists and has valid structure
-        return consent !== null && typeof consent === 'object' && consent.timestamp;
+        return consent !== null && typeof consent === 'object' && typeof consent.timestamp === 'string';
     }
 
     /**
@@ -158,52 +1239,376 @@
     function isCategoryAllowed(category) {
         const consent = getConsent();
         if (!consent) return false;
-        if (category === CATEGORIES.NECESSARY) return true;
+        const definition = getCategory(category);
+        if (definition && definition.required) return true;
         return consent[category] === true;
     }
 
     /**
-     * Load scripts based on consent
+     * Consent-gated elements: <script type="text/plain" data-cookie-category="...">
+     * and <iframe>/<img> carrying data-src + data-cookie-category
+     */
+    const BLOCKED_SELECTOR = [
+        'script[type="text/plain"][data-cookie-category]',
+        'iframe[data-cookie-category][data-src]',
+        'img[data-cookie-category][data-src]'
+    ].join(', ');
+
+    let blockedElementsObserver = null;
+
+    // Categories whose scripts were started on this page load
+    const loadedCategories = {};
+
+    /**
+     * Check if a gated element's category may run (necessary never needs consent)
+     */
+    function isElementAllowed(element) {
+        const category = element.getAttribute('data-cookie-category');
+        const definition = getCategory(category);
+        return (definition !== null && definition.required) || isCategoryAllowed(category);
+    }
+
+    /**
+     * Replace a blocked script with an executable copy
+     */
+    function activateScript(blocked) {
+        const script = document.createElement('script');
+        for (let i = 0; i < blocked.attributes.length; i++) {
+            const attr = blocked.attributes[i];
+            if (attr.name !== 'type' && attr.name !== 'data-src' && attr.name !== 'data-type') {
+                script.setAttribute(attr.name, attr.value);
+            }
+        }
+        if (blocked.hasAttribute('data-type')) {
+            script.setAttribute('type', blocked.getAttribute('data-type'));
+        }
+        const src = blocked.getAttribute('data-src') || blocked.getAttribute('src');
+        if (src) {
+            script.src = src;
+            // Keep document order between gated external scripts unless async was requested
+            if (!blocked.hasAttribute('async')) {
+                script.async = false;
+            }
+        } else {
+            script.text = blocked.text;
+        }
+        script.setAttribute('data-cookie-activated', 'true');
+        blocked.parentNode.replaceChild(script, blocked);
+    }
+
+    /**
+     * Swap data-src/data-srcset into a blocked iframe or image
+     */
+    function activateEmbed(blocked) {
+        if (blocked.hasAttribute('data-srcset')) {
+            blocked.setAttribute('srcset', blocked.getAttribute('data-srcset'));
+            blocked.removeAttribute('data-srcset');
+        }
+        blocked.setAttribute('src', blocked.getAttribute('data-src'));
+        blocked.removeAttribute('data-src');
+        blocked.setAttribute('data-cookie-activated', 'true');
+    }
+
+    /**
+     * Activate every gated element under root whose category is allowed
+     */
+    function activateConsentedElements(root) {
+        if (!root || !root.querySelectorAll) return;
+
+        const candidates = Array.prototype.slice.call(root.querySelectorAll(BLOCKED_SELECTOR));
+        if (root.matches && root.matches(BLOCKED_SELECTOR)) {
+            candidates.unshift(root);
+        }
+
+        candidates.forEach(function(element) {
+            if (!element.parentNode || !isElementAllowed(element)) return;
+            try {
+                if (element.tagName === 'SCRIPT') {
+                    activateScript(element);
+                } else {
+                    activateEmbed(element);
+                }
+            } catch (e) {
+                console.warn('Error activating consent-gated element:', e);
+            }
+        });
+    }
+
+    /**
+     * Activate one gated element regardless of consent (the visitor asked for it,
+     * e.g. "load this video once"); nothing is saved, and a later withdrawal re-blocks it
+     */
+    function activateElement(element) {
+        if (!element || !element.parentNode || !element.matches || !element.matches(BLOCKED_SELECTOR)) {
+            return false;
+        }
+        if (element.tagName === 'SCRIPT') {
+            activateScript(element);
+        } else {
+            activateEmbed(element);
+        }
+        return true;
+    }
+
+    /**
+     * Watch for gated elements added after load (e.g. tags pasted by a tag manager)
+     */
+    function observeBlockedElements() {
+        activateConsentedElements(document);
+
+        if (blockedElementsObserver || typeof MutationObserver === 'undefined') return;
+
+        blockedElementsObserver = new MutationObserver(function(mutations) {
+            mutations.forEach(function(mutation) {
+                mutation.addedNodes.forEach(function(node) {
+                    if (node.nodeType === 1) {
+                        activateConsentedElements(node);
+                    }
+                });
+            });
+        });
+        blockedElementsObserver.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    /**
+     * Consent signal adapters translate our categories into the signals tags expect.
+     * An adapter is { name, setDefault(consent), update(consent) }: setDefault runs once
+     * at init, before any gated tag is activated; update runs on every consent change.
+     */
+    const adapters = [];
+    let adaptersStarted = false;
+
+    /**
+     * Register an adapter (e.g. a __tcfapi/__gpp stub); late registrations catch up immediately
+     */
+    function registerAdapter(adapter) {
+        if (!adapter || typeof adapter.name !== 'string') {
+            console.warn('Ignoring invalid consent adapter:', adapter);
+            return;
+        }
+        adapters.push(adapter);
+        if (adaptersStarted) {
+            callAdapter(adapter, 'setDefault', getDefaultConsent());
+            const consent = getConsent();
+            if (consent) callAdapter(adapter, 'update', consent);
+        }
+    }
+
+    /**
+     * Call an adapter method without letting a faulty adapter break the consent flow
+     */
+    function callAdapter(adapter, method, consent) {
+        if (typeof adapter[method] !== 'function') return;
+        try {
+            adapter[method](consent);
+        } catch (e) {
+            console.warn(`Consent adapter "${adapter.name}" failed:`, e);
+        }
+    }
+
+    function startAdapters() {
+        adaptersStarted = true;
+        const defaults = getDefaultConsent();
+        adapters.forEach(function(adapter) {
+            callAdapter(adapter, 'setDefault', defaults);
+        });
+    }
+
+    function updateAdapters(consent) {
+        adapters.forEach(function(adapter) {
+            callAdapter(adapter, 'update', consent);
+        });
+    }
+
+    /**
+     * Google Consent Mode v2 adapter: pushes gtag('consent', ...) commands to the dataLayer
+     */
+    function createGoogleConsentModeAdapter(options) {
+        // gtag.js only understands commands pushed as an arguments object
+        function gtag() {
+            if (typeof window.gtag === 'function') {
+                window.gtag.apply(window, arguments);
+                return;
+            }
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push(arguments);
+        }
+
+        function toGoogleState(consent) {
+            const state = {};
+            Object.keys(options.mapping).forEach(function(type) {
+                const granted = options.mapping[type].every(function(category) {
+                    return consent[category] === true;
+                });
+                state[type] = granted ? 'granted' : 'denied';
+            });
+            return state;
+        }
+
+        return {
+            name: 'google-consent-mode',
+            setDefault: function(consent) {
+                const state = toGoogleState(consent);
+                if (options.waitForUpdate > 0) {
+                    state.wait_for_update = options.waitForUpdate;
+                }
+                gtag('consent', 'default', state);
+            },
+            update: function(consent) {
+                gtag('consent', 'update', toGoogleState(consent));
+            }
+        };
+    }
+
+    /**
+     * Load scripts based on consent
+     */
+    function loadScripts() {
+        const consent = getConsent();
+        if (!consent) return;
+
+        // Signals go out before any gated tag runs
+        updateAdapters(consent);
+
+        activateConsentedElements(document);
+
+        // Dispatch custom events for each granted category (required ones last, as before)
+        getOptionalCategories().forEach(function(category) {
+            if (consent[category.id] === true) {
+                loadedCategories[category.id] = true;
+                window.dispatchEvent(new CustomEvent(`cookieConsent:${category.id}`, { detail: consent }));
+            }
+        });
+        config.categories.forEach(function(category) {
+            if (category.required) {
+                window.dispatchEvent(new CustomEvent(`cookieConsent:${category.id}`, { detail: consent }));
+            }
+        });
+    }
+
+    /**
+     * Escape text for safe interpolation into markup
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Text for a key in the site's language (through config.translate), with {name} placeholders filled in
+     */
+    function translate(key, fallback, params) {
+        let message = fallback;
+        if (config.translate) {
+            try {
+                const translated = config.translate(key, fallback);
+                if (typeof translated === 'string') message = translated;
+            } catch (e) {
+                console.warn('Error translating cookie consent text:', e);
+            }
+        }
+        return String(message).replace(/\{(\w+)\}/g, function(match, name) {
+            return params && params.hasOwnProperty(name) ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * Interface text by UI_TEXT key
+     */
+    function uiText(key, params) {
+        return translate(key, UI_TEXT[key], params);
+    }
+
+    /**
+     * Translated label or description of a category
+     */
+    function categoryText(category, field) {
+        return translate(`categories.${category.id}.${field}`, category[field]);
+    }
+
+    /**
+     * Explanation shown when stored consent has to be reviewed again
+     */
+    function createRenewalNotice(reasons) {
+        const record = getStoredConsent();
+        const items = [];
+
+        if (reasons.indexOf('policy') !== -1) {
+            getPendingRevisions(record).forEach(function(revision) {
+                if (revision.summary) items.push(translate(`revisions.${revision.id}.summary`, revision.summary));
+            });
+        }
+        if (reasons.indexOf('categories') !== -1) {
+            const added = getOptionalCategories().filter(function(category) {
+                return typeof record[category.id] !== 'boolean';
+            }).map(function(category) {
+                return categoryText(category, 'label');
+            });
+            items.push(uiText('renewal.categories', { categories: added.join(', ') }));
+        }
+        if (reasons.indexOf('interval') !== -1) {
+            items.push(uiText('renewal.interval'));
+        }
+
+        const intro = uiText(reasons.indexOf('policy') !== -1 ? 'renewal.policy' : 'renewal.review');
+
+        return `
+                    <p>${escapeHtml(intro)}</p>
+                    <ul class="cookie-banner-changes">
+                        ${items.map(function(item) { return `<li>${escapeHtml(item)}</li>`; }).join('')}
+                    </ul>`;
+    }
+
+    /**
+     * Banner text of the active profile, or the site-wide text
      */
-    function loadScripts() {
-        const consent = getConsent();
-        if (!consent) return;
+    function getBannerText() {
+        const profile = getJurisdiction();
+        return profile.bannerText
+            ? translate(`jurisdictions.${profile.id}.bannerText`, profile.bannerText)
+            : translate('banner.text', config.banner.text);
+    }
 
-        // Dispatch custom events for each category
-        if (consent.analytics) {
-            window.dispatchEvent(new CustomEvent('cookieConsent:analytics', { detail: consent }));
-        }
-        if (consent.marketing) {
-            window.dispatchEvent(new CustomEvent('cookieConsent:marketing', { detail: consent }));
-        }
-        window.dispatchEvent(new CustomEvent('cookieConsent:necessary', { detail: consent }));
+    /**
+     * The active profile's banner buttons, in its order
+     */
+    function createBannerButtons() {
+        return getJurisdiction().buttons.map(function(name) {
+            const button = BANNER_BUTTONS[name];
+            const label = button.label ? ` aria-label="${escapeHtml(uiText(button.label))}"` : '';
+            return `
+                    <button type="button" class="cookie-btn ${button.className}" id="${button.id}"${label}>${escapeHtml(uiText(button.text))}</button>`;
+        }).join('');
     }
 
     /**
      * Cookie Banner Component
      */
-    function createCookieBanner() {
+    function createCookieBanner(renewalReasons) {
+        const renewal = renewalReasons && renewalReasons.length > 0;
         const banner = document.createElement('div');
         banner.id = 'cookie-banner';
-        banner.className = 'cookie-banner';
+        banner.className = 'cookie-banner' + (renewal ? ' cookie-banner-renewal' : '');
         banner.setAttribute('role', 'dialog');
-        banner.setAttribute('aria-label', 'Cookie Consent');
-        banner.setAttribute('aria-live', 'polite');
 
         banner.innerHTML = `
             <div class="cookie-banner-content">
                 <div class="cookie-banner-text">
-                    <p>We use cookies to improve your experience, analyze traffic, and personalize content. You can accept, reject, or manage your preferences.</p>
+                    <h2 id="cookie-banner-title" class="visually-hidden">${escapeHtml(uiText(renewal ? 'banner.renewalLabel' : 'banner.label'))}</h2>
+                    <div id="cookie-banner-description">
+                        ${renewal ? createRenewalNotice(renewalReasons) : `<p>${escapeHtml(getBannerText())}</p>`}
+                    </div>
                     <div class="cookie-banner-links">
-                        <a href="/privacy-policy" class="cookie-link">Privacy Policy</a>
+                        <a href="${escapeHtml(config.banner.privacyPolicyUrl)}" class="cookie-link">${escapeHtml(uiText('banner.privacyPolicy'))}</a>
                         <span class="cookie-link-separator">|</span>
-                        <a href="/cookie-policy" class="cookie-link">Cookie Policy</a>
+                        <a href="${escapeHtml(config.banner.cookiePolicyUrl)}" class="cookie-link">${escapeHtml(uiText('banner.cookiePolicy'))}</a>
                     </div>
                 </div>
-                <div class="cookie-banner-buttons">
-                    <button type="button" class="cookie-btn cookie-btn-reject" id="cookie-reject" aria-label="Reject all cookies">Reject</button>
-                    <button type="button" class="cookie-btn cookie-btn-manage" id="cookie-manage" aria-label="Manage cookie preferences">Manage preferences</button>
-                    <button type="button" class="cookie-btn cookie-btn-accept" id="cookie-accept-all" aria-label="Accept all cookies">Accept all</button>
+                <div class="cookie-banner-buttons">${createBannerButtons()}
                 </div>
             </div>
         `;
@@ -211,6 +1616,56 @@
         return banner;
     }
 
+    /**
+     * Category title, description and toggle; the toggle's id is idPrefix + category id
+     */
+    function createCategoryHeader(category, consent, idPrefix) {
+        const plainLabel = categoryText(category, 'label');
+        const label = escapeHtml(plainLabel);
+        const toggleId = escapeHtml(idPrefix + category.id);
+        const signal = getOptOutSignal(category.id);
+        const signalLabel = signal ? OPT_OUT_SIGNALS[signal].label : '';
+        const note = signal ? `
+                                <p class="cookie-category-note">${escapeHtml(uiText('modal.signalNote', { signal: signalLabel }))}</p>` : '';
+        const toggle = category.required ? `
+                            <label class="cookie-toggle cookie-toggle-disabled" aria-label="${escapeHtml(uiText('modal.alwaysActive', { category: plainLabel }))}">
+                                <input type="checkbox" checked disabled aria-disabled="true">
+                                <span class="cookie-toggle-slider"></span>
+                            </label>` : signal ? `
+                            <label class="cookie-toggle cookie-toggle-disabled cookie-toggle-locked" aria-label="${escapeHtml(uiText('modal.signalLocked', { category: plainLabel, signal: signalLabel }))}">
+                                <input type="checkbox" id="${toggleId}" data-cookie-category="${escapeHtml(category.id)}" disabled aria-disabled="true">
+                                <span class="cookie-toggle-slider"></span>
+                            </label>` : `
+                            <label class="cookie-toggle" aria-label="${escapeHtml(uiText('modal.allow', { category: plainLabel }))}">
+                                <input type="checkbox" id="${toggleId}" data-cookie-category="${escapeHtml(category.id)}" ${consent[category.id] ? 'checked' : ''}>
+                                <span class="cookie-toggle-slider"></span>
+                            </label>`;
+        return `
+                        <div class="cookie-category-header">
+                            <div class="cookie-category-info">
+                                <h3>${label}</h3>
+                                <p class="cookie-category-desc">${escapeHtml(categoryText(category, 'description'))}</p>${note}
+                            </div>${toggle}
+                        </div>`;
+    }
+
+    /**
+     * Collapsed list of the cookies a category sets, under its toggle in the modal
+     */
+    function createCookieList(category) {
+        if (category.cookies.length === 0) return '';
+        const items = category.cookies.map(function(cookie) {
+            return `
+                                <li><code>${escapeHtml(cookie.name)}</code> — ${escapeHtml(translate(`cookies.${cookie.name}.purpose`, cookie.purpose || ''))}</li>`;
+        }).join('');
+        return `
+                        <details class="cookie-category-cookies">
+                            <summary>${escapeHtml(uiText('modal.cookies', { count: category.cookies.length }))}</summary>
+                            <ul>${items}
+                            </ul>
+                        </details>`;
+    }
+
     /**
      * Cookie Preferences Modal Component
      */
@@ -219,69 +1674,42 @@
         modal.id = 'cookie-modal';
         modal.className = 'cookie-modal';
         modal.setAttribute('role', 'dialog');
-        modal.setAttribute('aria-labelledby', 'cookie-modal-title');
-        modal.setAttribute('aria-modal', 'true');
         modal.setAttribute('aria-hidden', 'true');
 
-        const currentConsent = getConsent() || defaultConsent;
+        const currentConsent = getConsent() || getDefaultConsent();
+
+        const categoriesMarkup = config.categories.map(function(category) {
+            return `
+                    <div class="cookie-category">${createCategoryHeader(category, currentConsent, 'cookie-')}${createCookieList(category)}
+                    </div>`;
+        }).join('');
+
+        // Not linked from the preferences center itself
+        const centerLink = config.preferencesCenter.url && !isPreferencesCenterShown() ? `
+                    <p class="cookie-modal-more">
+                        <a href="${escapeHtml(config.preferencesCenter.url)}" class="cookie-link" id="cookie-modal-center-link">${escapeHtml(uiText('modal.preferencesCenter'))}</a>
+                    </p>` : '';
 
         modal.innerHTML = `
             <div class="cookie-modal-overlay" id="cookie-modal-overlay"></div>
             <div class="cookie-modal-content">
                 <div class="cookie-modal-header">
-                    <h2 id="cookie-modal-title">Cookie Preferences</h2>
-                    <button type="button" class="cookie-modal-close" id="cookie-modal-close" aria-label="Close modal">
+                    <h2 id="cookie-modal-title">${escapeHtml(uiText('modal.title'))}</h2>
+                    <button type="button" class="cookie-modal-close" id="cookie-modal-close" aria-label="${escapeHtml(uiText('modal.close'))}">
                         <span aria-hidden="true">&times;</span>
                     </button>
                 </div>
                 <div class="cookie-modal-body">
-                    <p class="cookie-modal-description">
-                        Select which types of cookies you want to accept. Necessary cookies are always active.
+                    <p class="cookie-modal-description" id="cookie-modal-description">
+                        ${escapeHtml(uiText('modal.description'))}
                     </p>
                     
-                    <div class="cookie-category">
-                        <div class="cookie-category-header">
-                            <div class="cookie-category-info">
-                                <h3>Necessary Cookies</h3>
-                                <p class="cookie-category-desc">Essential for the website to function. Always active.</p>
-                            </div>
-                            <label class="cookie-toggle cookie-toggle-disabled" aria-label="Necessary cookies always active">
-                                <input type="checkbox" checked disabled aria-disabled="true">
-                                <span class="cookie-toggle-slider"></span>
-                            </label>
-                        </div>
-                    </div>
-
-                    <div class="cookie-category">
-                        <div class="cookie-category-header">
-                            <div class="cookie-category-info">
-                                <h3>Analytics Cookies</h3>
-                                <p class="cookie-category-desc">Help us understand how the website is used (statistics).</p>
-                            </div>
-                            <label class="cookie-toggle" aria-label="Allow analytics cookies">
-                                <input type="checkbox" id="cookie-analytics" ${currentConsent.analytics ? 'checked' : ''}>
-                                <span class="cookie-toggle-slider"></span>
-                            </label>
-                        </div>
-                    </div>
-
-                    <div class="cookie-category">
-                        <div class="cookie-category-header">
-                            <div class="cookie-category-info">
-                                <h3>Marketing Cookies</h3>
-                                <p class="cookie-category-desc">Used for personalization and marketing campaigns.</p>
-                            </div>
-                            <label class="cookie-toggle" aria-label="Allow marketing cookies">
-                                <input type="checkbox" id="cookie-marketing" ${currentConsent.marketing ? 'checked' : ''}>
-                                <span class="cookie-toggle-slider"></span>
-                            </label>
-                        </div>
-                    </div>
+                    ${categoriesMarkup}${centerLink}
                 </div>
                 <div class="cookie-modal-footer">
-                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-modal-reject">Reject</button>
-                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-modal-accept-all">Accept all</button>
-                    <button type="button" class="cookie-btn cookie-btn-primary" id="cookie-modal-save">Save preferences</button>
+                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-modal-reject">${escapeHtml(uiText('modal.reject'))}</button>
+                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-modal-accept-all">${escapeHtml(uiText('modal.acceptAll'))}</button>
+                    <button type="button" class="cookie-btn cookie-btn-primary" id="cookie-modal-save">${escapeHtml(uiText('modal.save'))}</button>
                 </div>
             </div>
         `;
@@ -289,101 +1717,177 @@
         return modal;
     }
 
+    /**
+     * Reload Prompt Component (shown when withdrawn scripts are still running)
+     */
+    function createReloadPrompt() {
+        const prompt = document.createElement('div');
+        prompt.id = 'cookie-reload-prompt';
+        prompt.className = 'cookie-banner cookie-reload-prompt';
+        prompt.setAttribute('role', 'alert');
+
+        prompt.innerHTML = `
+            <div class="cookie-banner-content">
+                <div class="cookie-banner-text">
+                    <p>${escapeHtml(uiText('reload.text'))}</p>
+                </div>
+                <div class="cookie-banner-buttons">
+                    <button type="button" class="cookie-btn cookie-btn-reject" id="cookie-reload-later">${escapeHtml(uiText('reload.later'))}</button>
+                    <button type="button" class="cookie-btn cookie-btn-accept" id="cookie-reload-now">${escapeHtml(uiText('reload.now'))}</button>
+                </div>
+            </div>
+        `;
+
+        return prompt;
+    }
+
+    /**
+     * Show reload prompt
+     */
+    function showReloadPrompt() {
+        if (document.getElementById('cookie-reload-prompt')) return;
+
+        const prompt = createReloadPrompt();
+        document.body.appendChild(prompt);
+
+        setTimeout(() => {
+            prompt.classList.add('cookie-banner-visible');
+        }, 100);
+
+        bindReloadPrompt(prompt);
+    }
+
+    /**
+     * Reload prompt event listeners
+     */
+    function bindReloadPrompt(prompt) {
+        document.getElementById('cookie-reload-now').addEventListener('click', function() {
+            window.location.reload();
+        });
+        document.getElementById('cookie-reload-later').addEventListener('click', function() {
+            prompt.classList.remove('cookie-banner-visible');
+            setTimeout(() => {
+                prompt.remove();
+            }, 300);
+        });
+    }
+
     /**
      * Show cookie banner
      */
     function showBanner() {
-        if (hasConsent()) return;
+        const renewalReasons = getRenewalReasons();
+        if (hasConsent() && renewalReasons.length === 0) return;
+        if (document.getElementById('cookie-banner')) return;
 
-        const banner = createCookieBanner();
+        const banner = createCookieBanner(renewalReasons);
         document.body.appendChild(banner);
+        openBannerDialog(banner, true);
+        updateLauncher();
 
         // Animate in
         setTimeout(() => {
             banner.classList.add('cookie-banner-visible');
         }, 100);
 
-        // Event listeners
-        document.getElementById('cookie-accept-all').addEventListener('click', handleAcceptAll);
-        document.getElementById('cookie-reject').addEventListener('click', handleReject);
-        document.getElementById('cookie-manage').addEventListener('click', handleManage);
+        bindBannerButtons();
+    }
+
+    /**
+     * The banner is a non-modal dialog: the page stays usable and focus is not moved
+     */
+    function openBannerDialog(banner, announce) {
+        window.Dialog.open(banner, {
+            modal: false,
+            labelledBy: 'cookie-banner-title',
+            describedBy: 'cookie-banner-description',
+            closeOnEscape: false,
+            announce: announce ? document.getElementById('cookie-banner-title').textContent : null
+        });
+    }
+
+    /**
+     * Banner event listeners
+     */
+    function bindBannerButtons() {
+        getJurisdiction().buttons.forEach(function(name) {
+            const button = BANNER_BUTTONS[name];
+            document.getElementById(button.id).addEventListener('click', button.handler);
+        });
     }
 
     /**
-     * Hide cookie banner
+     * Hide cookie banner; options are passed to Dialog.close
      */
-    function hideBanner() {
+    function hideBanner(options) {
         const banner = document.getElementById('cookie-banner');
         if (banner) {
+            window.Dialog.close(banner, options);
             banner.classList.remove('cookie-banner-visible');
             setTimeout(() => {
                 banner.remove();
+                updateLauncher();
             }, 300);
         }
     }
 
     /**
-     * Show cookie modal
+     * Show cookie modal (only one at a time: calling it again focuses the open one)
      */
     function showModal() {
+        const existing = document.getElementById('cookie-modal');
+        if (existing && !existing.classList.contains('cookie-modal-closing')) {
+            if (!existing.contains(document.activeElement)) {
+                const focusable = window.Dialog.getFocusable(existing);
+                if (focusable.length > 0) focusable[0].focus();
+            }
+            return;
+        }
+        // A modal still animating out would duplicate every id
+        if (existing) {
+            existing.remove();
+        }
+
         const modal = createCookieModal();
         document.body.appendChild(modal);
+        bindModalButtons();
 
-        // Focus trap
-        const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
-
-        // Set initial focus
+        // Opened once visible: hidden elements can't take focus
         setTimeout(() => {
-            modal.setAttribute('aria-hidden', 'false');
             modal.classList.add('cookie-modal-visible');
-            firstFocusable.focus();
+            window.Dialog.open(modal, {
+                labelledBy: 'cookie-modal-title',
+                describedBy: 'cookie-modal-description',
+                onEscape: hideModal
+            });
         }, 10);
+    }
 
-        // Focus trap handler
-        function trapFocus(e) {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        e.preventDefault();
-                        lastFocusable.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        e.preventDefault();
-                        firstFocusable.focus();
-                    }
-                }
-            }
-        }
-
-        modal.addEventListener('keydown', trapFocus);
-
-        // Event listeners
+    /**
+     * Modal event listeners
+     */
+    function bindModalButtons() {
         document.getElementById('cookie-modal-close').addEventListener('click', hideModal);
         document.getElementById('cookie-modal-overlay').addEventListener('click', hideModal);
         document.getElementById('cookie-modal-save').addEventListener('click', handleSave);
         document.getElementById('cookie-modal-accept-all').addEventListener('click', handleAcceptAll);
         document.getElementById('cookie-modal-reject').addEventListener('click', handleReject);
 
-        // ESC key handler
-        function handleEsc(e) {
-            if (e.key === 'Escape') {
-                hideModal();
-            }
+        // The center may be a route of the same page (no reload), so the modal closes first
+        const centerLink = document.getElementById('cookie-modal-center-link');
+        if (centerLink) {
+            centerLink.addEventListener('click', hideModal);
         }
-        modal.addEventListener('keydown', handleEsc);
     }
 
     /**
-     * Hide cookie modal
+     * Hide cookie modal, returning focus to where it was before it opened
      */
     function hideModal() {
         const modal = document.getElementById('cookie-modal');
-        if (modal) {
+        if (modal && !modal.classList.contains('cookie-modal-closing')) {
+            window.Dialog.close(modal);
+            modal.classList.add('cookie-modal-closing');
             modal.classList.remove('cookie-modal-visible');
             modal.setAttribute('aria-hidden', 'true');
             setTimeout(() => {
@@ -392,32 +1896,295 @@
         }
     }
 
+    /**
+     * Confirm a saved choice to screen reader users
+     */
+    function announceSaved() {
+        window.Dialog.announce(uiText('status.saved'));
+    }
+
+    /**
+     * Id of the focused element inside a container, to focus it again after re-rendering
+     */
+    function getFocusedId(container) {
+        const active = document.activeElement;
+        return active && active.id && container.contains(active) ? active.id : null;
+    }
+
+    function refocus(id) {
+        const element = id && document.getElementById(id);
+        if (element) element.focus();
+    }
+
+    /**
+     * Re-render the open banner, modal and reload prompt, e.g. after the site changes language
+     */
+    function refreshUI() {
+        const banner = document.getElementById('cookie-banner');
+        if (banner && banner.classList.contains('cookie-banner-visible')) {
+            const renewalReasons = banner.classList.contains('cookie-banner-renewal') ? getRenewalReasons() : [];
+            const focusedId = getFocusedId(banner);
+            const updated = createCookieBanner(renewalReasons);
+            updated.classList.add('cookie-banner-visible');
+            window.Dialog.close(banner, { restoreFocus: false });
+            banner.replaceWith(updated);
+            openBannerDialog(updated, false);
+            bindBannerButtons();
+            refocus(focusedId);
+        }
+
+        const prompt = document.getElementById('cookie-reload-prompt');
+        if (prompt && prompt.classList.contains('cookie-banner-visible')) {
+            const focusedId = getFocusedId(prompt);
+            const updated = createReloadPrompt();
+            updated.classList.add('cookie-banner-visible');
+            prompt.replaceWith(updated);
+            bindReloadPrompt(updated);
+            refocus(focusedId);
+        }
+
+        // Re-render the modal in place (it stays open), keeping the toggles the user has not saved yet
+        const modal = document.getElementById('cookie-modal');
+        if (modal && modal.classList.contains('cookie-modal-visible')) {
+            const choices = {};
+            modal.querySelectorAll('input[data-cookie-category]').forEach(function(toggle) {
+                choices[toggle.getAttribute('data-cookie-category')] = toggle.checked;
+            });
+            const focusedId = getFocusedId(modal);
+            modal.innerHTML = createCookieModal().innerHTML;
+            bindModalButtons();
+            Object.keys(choices).forEach(function(id) {
+                const toggle = document.getElementById(`cookie-${id}`);
+                if (toggle && !toggle.disabled) toggle.checked = choices[id];
+            });
+            refocus(focusedId || 'cookie-modal-close');
+        }
+
+        const launcher = document.getElementById('cookie-settings-launcher');
+        if (launcher) {
+            launcher.textContent = uiText('launcher.label');
+        }
+        const doNotSell = document.getElementById('cookie-do-not-sell-launcher');
+        if (doNotSell) {
+            doNotSell.textContent = uiText('launcher.doNotSell');
+        }
+        renderPreferencesCenter();
+    }
+
+    /**
+     * "Cookie settings" control: a button in the configured container, or a floating one
+     */
+    function createLauncher() {
+        if (!config.launcher.enabled || document.getElementById('cookie-settings-launcher')) return;
+
+        const container = config.launcher.container ? document.querySelector(config.launcher.container) : null;
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.id = 'cookie-settings-launcher';
+        launcher.className = container ? 'cookie-settings-link' : 'cookie-settings-launcher';
+        launcher.setAttribute('aria-haspopup', 'dialog');
+        launcher.textContent = uiText('launcher.label');
+        launcher.addEventListener('click', function() {
+            showModal();
+        });
+        (container || document.body).appendChild(launcher);
+        updateLauncher();
+
+        // Profiles with a "Do Not Sell or Share" choice keep it one click away next to the settings
+        if (container && getJurisdiction().doNotSell.length > 0) {
+            const doNotSell = document.createElement('button');
+            doNotSell.type = 'button';
+            doNotSell.id = 'cookie-do-not-sell-launcher';
+            doNotSell.className = 'cookie-settings-link';
+            doNotSell.textContent = uiText('launcher.doNotSell');
+            doNotSell.addEventListener('click', handleDoNotSell);
+            container.appendChild(doNotSell);
+        }
+    }
+
+    /**
+     * The floating control stays out of the way while the banner is on screen
+     */
+    function updateLauncher() {
+        const launcher = document.getElementById('cookie-settings-launcher');
+        if (launcher && launcher.classList.contains('cookie-settings-launcher')) {
+            launcher.hidden = document.getElementById('cookie-banner') !== null;
+        }
+    }
+
+    // UI_TEXT key of the message under the preferences center's buttons
+    let centerStatusKey = '';
+
+    /**
+     * Date and time in the page's language
+     */
+    function formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        try {
+            return date.toLocaleString(document.documentElement.lang || undefined, { dateStyle: 'long', timeStyle: 'short' });
+        } catch (e) {
+            return date.toISOString();
+        }
+    }
+
+    /**
+     * Table of the cookies a category sets
+     */
+    function createCookieTable(category) {
+        if (category.cookies.length === 0) {
+            return `
+                        <p class="cookie-center-empty">${escapeHtml(uiText('center.noCookies'))}</p>`;
+        }
+        const rows = category.cookies.map(function(cookie) {
+            return `
+                                <tr>
+                                    <th scope="row"><code>${escapeHtml(cookie.name)}</code></th>
+                                    <td>${escapeHtml(cookie.provider || '')}</td>
+                                    <td>${escapeHtml(translate(`cookies.${cookie.name}.purpose`, cookie.purpose || ''))}</td>
+                                    <td>${escapeHtml(translate(`cookies.${cookie.name}.duration`, cookie.duration || ''))}</td>
+                                </tr>`;
+        }).join('');
+        return `
+                        <div class="cookie-center-table-wrapper">
+                            <table class="cookie-center-table">
+                                <caption>${escapeHtml(uiText('center.cookiesCaption', { category: categoryText(category, 'label') }))}</caption>
+                                <thead>
+                                    <tr>
+                                        <th scope="col">${escapeHtml(uiText('center.cookieName'))}</th>
+                                        <th scope="col">${escapeHtml(uiText('center.cookieProvider'))}</th>
+                                        <th scope="col">${escapeHtml(uiText('center.cookiePurpose'))}</th>
+                                        <th scope="col">${escapeHtml(uiText('center.cookieDuration'))}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}
+                                </tbody>
+                            </table>
+                        </div>`;
+    }
+
+    /**
+     * Whether the preferences center is on screen (a single-page site can keep it in a hidden page)
+     */
+    function isPreferencesCenterShown() {
+        const center = document.getElementById('cookie-preferences-center');
+        return center !== null && center.closest('[hidden], .page:not(.active)') === null;
+    }
+
+    /**
+     * Preferences center: the stored consent record and every category with the cookies it sets.
+     * Rendered into <div id="cookie-preferences-center"> when the page has one; pages that add the
+     * container later (e.g. loaded on demand) call CookieConsent.renderPreferencesCenter().
+     */
+    function renderPreferencesCenter() {
+        const center = document.getElementById('cookie-preferences-center');
+        if (!center) return;
+
+        // The status region is created once, so screen readers announce its changes
+        let body = center.querySelector('.cookie-center-body');
+        let status = document.getElementById('cookie-center-status');
+        if (!body || !status) {
+            center.innerHTML = `
+                <div class="cookie-center-body"></div>
+                <p class="cookie-center-status" id="cookie-center-status" role="status"></p>`;
+            body = center.querySelector('.cookie-center-body');
+            status = document.getElementById('cookie-center-status');
+        }
+
+        const focusedId = getFocusedId(body);
+        const record = hasConsent() ? getStoredConsent() : null;
+        const consent = getConsent() || getDefaultConsent();
+        const profile = record && record.jurisdiction ? getProfile(record.jurisdiction) : null;
+
+        const details = record ? `
+                    <dl class="cookie-center-details">
+                        <dt>${escapeHtml(uiText('center.consentId'))}</dt>
+                        <dd><code id="cookie-center-consent-id">${escapeHtml(record.consentId || '')}</code></dd>
+                        <dt>${escapeHtml(uiText('center.givenAt'))}</dt>
+                        <dd><time datetime="${escapeHtml(record.timestamp)}">${escapeHtml(formatTimestamp(record.timestamp))}</time></dd>${record.policyRevision ? `
+                        <dt>${escapeHtml(uiText('center.policyRevision'))}</dt>
+                        <dd>${escapeHtml(record.policyRevision)}</dd>` : ''}${record.jurisdiction ? `
+                        <dt>${escapeHtml(uiText('center.jurisdiction'))}</dt>
+                        <dd id="cookie-center-jurisdiction">${escapeHtml(profile ? translate(`jurisdictions.${profile.id}.label`, profile.label) : record.jurisdiction)}</dd>` : ''}
+                    </dl>` : `
+                    <p>${escapeHtml(uiText(consent.implied ? 'center.noChoiceImplied' : 'center.noChoice'))}</p>`;
+
+        const categoriesMarkup = config.categories.map(function(category) {
+            return `
+                    <div class="cookie-category">${createCategoryHeader(category, consent, 'cookie-center-')}${createCookieTable(category)}
+                    </div>`;
+        }).join('');
+
+        body.innerHTML = `
+                <section class="cookie-center-section" aria-labelledby="cookie-center-consent-title">
+                    <h2 id="cookie-center-consent-title">${escapeHtml(uiText('center.consentTitle'))}</h2>${details}
+                </section>
+                <section class="cookie-center-section" aria-labelledby="cookie-center-categories-title">
+                    <h2 id="cookie-center-categories-title">${escapeHtml(uiText('center.categoriesTitle'))}</h2>${categoriesMarkup}
+                </section>
+                <div class="cookie-center-actions">
+                    <button type="button" class="cookie-btn cookie-btn-primary" id="cookie-center-save">${escapeHtml(uiText('center.save'))}</button>
+                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-center-accept-all">${escapeHtml(uiText('center.acceptAll'))}</button>
+                    <button type="button" class="cookie-btn cookie-btn-secondary" id="cookie-center-withdraw" aria-describedby="cookie-center-withdraw-hint">${escapeHtml(uiText('center.withdraw'))}</button>
+                </div>
+                <p class="cookie-center-hint" id="cookie-center-withdraw-hint">${escapeHtml(uiText('center.withdrawHint'))}</p>`;
+        status.textContent = centerStatusKey ? uiText(centerStatusKey) : '';
+
+        document.getElementById('cookie-center-save').addEventListener('click', function() {
+            const choices = {};
+            getOptionalCategories().forEach(function(category) {
+                const toggle = document.getElementById(`cookie-center-${category.id}`);
+                choices[category.id] = toggle ? toggle.checked : false;
+            });
+            applyCenterChoice(choices, 'save', 'center.saved');
+        });
+        document.getElementById('cookie-center-accept-all').addEventListener('click', function() {
+            applyCenterChoice(allCategories(true), 'accept_all', 'center.saved');
+        });
+        document.getElementById('cookie-center-withdraw').addEventListener('click', function() {
+            applyCenterChoice(allCategories(false), 'withdraw', 'center.withdrawn');
+        });
+
+        refocus(focusedId);
+    }
+
+    /**
+     * Save a choice made in the preferences center and report the result under its buttons
+     */
+    function applyCenterChoice(choices, action, statusKey) {
+        saveConsent(choices, action);
+        if (hasConsent()) {
+            hideBanner();
+            loadScripts();
+            centerStatusKey = statusKey;
+        } else {
+            console.error('Failed to save consent');
+            centerStatusKey = 'center.saveFailed';
+        }
+        renderPreferencesCenter();
+    }
+
     /**
      * Handle Accept All
      */
     function handleAcceptAll() {
-        const consent = saveConsent({
-            analytics: true,
-            marketing: true
-        });
+        const consent = saveConsent(allCategories(true), 'accept_all');
         
         // Verify consent was saved before hiding
         if (hasConsent()) {
             hideBanner();
             hideModal();
             loadScripts();
+            announceSaved();
         } else {
             console.error('Failed to save consent');
             // Retry saving
             setTimeout(function() {
-                saveConsent({
-                    analytics: true,
-                    marketing: true
-                });
+                saveConsent(allCategories(true), 'accept_all');
                 if (hasConsent()) {
                     hideBanner();
                     hideModal();
                     loadScripts();
+                    announceSaved();
                 }
             }, 100);
         }
@@ -427,38 +2194,87 @@
      * Handle Reject
      */
     function handleReject() {
-        const consent = saveConsent({
-            analytics: false,
-            marketing: false
-        });
+        const consent = saveConsent(allCategories(false), 'reject_all');
         
         // Verify consent was saved before hiding
         if (hasConsent()) {
             hideBanner();
             hideModal();
             loadScripts();
+            announceSaved();
         } else {
             console.error('Failed to save consent');
             // Retry saving
             setTimeout(function() {
-                saveConsent({
-                    analytics: false,
-                    marketing: false
-                });
+                saveConsent(allCategories(false), 'reject_all');
                 if (hasConsent()) {
                     hideBanner();
                     hideModal();
                     loadScripts();
+                    announceSaved();
                 }
             }, 100);
         }
     }
 
+    /**
+     * Handle Acknowledge (opt-out and notice banners): keep what is in effect as the choice
+     */
+    function handleAcknowledge() {
+        saveConsent(getConsent() || getDefaultConsent(), 'acknowledge');
+        if (hasConsent()) {
+            hideBanner();
+            loadScripts();
+            announceSaved();
+        } else {
+            console.error('Failed to save consent');
+        }
+    }
+
+    /**
+     * Handle "Do Not Sell or Share": turn off the profile's doNotSell categories, keep the rest
+     */
+    function handleDoNotSell() {
+        const choices = Object.assign({}, getConsent() || getDefaultConsent());
+        getJurisdiction().doNotSell.forEach(function(id) {
+            choices[id] = false;
+        });
+        saveConsent(choices, 'do_not_sell');
+        if (hasConsent()) {
+            hideBanner();
+            loadScripts();
+            window.Dialog.announce(uiText('status.doNotSell'));
+        } else {
+            console.error('Failed to save consent');
+        }
+    }
+
+    /**
+     * Grant one category and keep every other choice in effect (e.g. "always allow videos"
+     * on a click-to-load placeholder); returns whether the category is now allowed
+     */
+    function allowCategory(id) {
+        const category = getCategory(id);
+        if (!category || category.required) return false;
+
+        const choices = Object.assign({}, getConsent() || getDefaultConsent());
+        choices[id] = true;
+        saveConsent(choices, 'save');
+        if (hasConsent()) {
+            hideBanner();
+            loadScripts();
+        } else {
+            console.error('Failed to save consent');
+        }
+        return isCategoryAllowed(id);
+    }
+
     /**
      * Handle Manage Preferences
      */
     function handleManage() {
-        hideBanner();
+        // Focus goes straight to the modal instead of back to the page
+        hideBanner({ restoreFocus: false });
         showModal();
     }
 
@@ -466,43 +2282,97 @@
      * Handle Save Preferences
      */
     function handleSave() {
-        const analytics = document.getElementById('cookie-analytics').checked;
-        const marketing = document.getElementById('cookie-marketing').checked;
-
-        const consent = saveConsent({
-            analytics: analytics,
-            marketing: marketing
+        const choices = {};
+        getOptionalCategories().forEach(function(category) {
+            const toggle = document.getElementById(`cookie-${category.id}`);
+            choices[category.id] = toggle ? toggle.checked : false;
         });
+
+        const consent = saveConsent(choices, 'save');
         
         // Verify consent was saved
         if (hasConsent()) {
             hideModal();
             loadScripts();
+            announceSaved();
         } else {
             console.error('Failed to save consent');
             // Retry saving
             setTimeout(function() {
-                saveConsent({
-                    analytics: analytics,
-                    marketing: marketing
-                });
+                saveConsent(choices, 'save');
                 if (hasConsent()) {
                     hideModal();
                     loadScripts();
+                    announceSaved();
                 }
             }, 100);
         }
     }
 
+    /**
+     * Read the JSON configuration block, if the page has one
+     */
+    function readConfigBlock() {
+        const block = document.getElementById('cookie-consent-config');
+        if (!block) return null;
+        try {
+            return JSON.parse(block.textContent);
+        } catch (e) {
+            console.warn('Invalid cookie consent configuration:', e);
+            return null;
+        }
+    }
+
+    let initialized = false;
+
     /**
      * Initialize cookie consent system
      */
-    function init() {
+    function init(userConfig) {
+        if (initialized) {
+            console.warn('Cookie consent is already initialized');
+            return;
+        }
+        initialized = true;
+        config = normalizeConfig(userConfig || readConfigBlock());
+        jurisdiction = detectJurisdiction();
+
+        // Default (denied) signals must be in place before any tag loads
+        if (config.signals.googleConsentMode.enabled) {
+            adapters.unshift(createGoogleConsentModeAdapter(config.signals.googleConsentMode));
+        }
+        startAdapters();
+
+        // Activate gated elements that are already allowed and watch for new ones
+        observeBlockedElements();
+
+        // A browser opt-out signal overrides earlier grants: persist it and remove those cookies
+        const stored = getStoredConsent();
+        const overridden = stored && getOptionalCategories().some(function(category) {
+            return stored[category.id] === true && getOptOutSignal(category.id) !== null;
+        });
+        if (overridden) {
+            saveConsent(stored, 'browser_signal');
+        }
+
+        createLauncher();
+        renderPreferencesCenter();
+        loadInventory();
+        startSync();
+
+        // Retry consent receipts that could not be sent before
+        flushReceiptQueue();
+        window.addEventListener('online', flushReceiptQueue);
+        window.addEventListener('pagehide', beaconReceiptQueue);
+
         // Check if consent already exists immediately
         const consent = getConsent();
         const hasValidConsent = hasConsent();
         
         if (!consent || !hasValidConsent) {
+            // Opt-out and notice profiles run their defaults until the visitor chooses
+            loadScripts();
+
             // Only show banner if no valid consent exists
             // Small delay to ensure DOM is ready
             setTimeout(function() {
@@ -514,25 +2384,77 @@
         } else {
             // Load scripts based on existing consent
             loadScripts();
+
+            // Stored choices keep applying while the user reviews a policy update
+            if (getRenewalReasons().length > 0) {
+                setTimeout(showBanner, 100);
+            }
+        }
+    }
+
+    /**
+     * Initialize with the page's configuration unless CookieConsent.init(config) ran first
+     */
+    function autoInit() {
+        if (!initialized) {
+            init();
         }
     }
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', autoInit);
     } else {
-        init();
+        autoInit();
     }
 
     // Export public API
     window.CookieConsent = {
+        init: init,
+        getPolicyRevision: getPolicyRevision,
+        getActiveSignals: getActiveSignals,
+        getJurisdiction: function() {
+            const profile = getJurisdiction();
+            return { id: profile.id, mode: profile.mode };
+        },
+        getConsentId: function() {
+            const stored = getStoredConsent();
+            return stored && stored.consentId ? stored.consentId : null;
+        },
+        needsRenewal: function() {
+            return getRenewalReasons().length > 0;
+        },
+        getCategories: function() {
+            return config.categories.map(function(category) {
+                return Object.assign({}, category, { cookies: category.cookies.slice() });
+            });
+        },
+        getInventory: function() {
+            return loadInventory().then(function(items) {
+                return items.map(function(item) {
+                    return Object.assign({}, item, { storage: item.storage.slice() });
+                });
+            });
+        },
         hasConsent: hasConsent,
         isCategoryAllowed: isCategoryAllowed,
+        allowCategory: allowCategory,
+        activateElement: activateElement,
         getConsent: getConsent,
+        getConsentRecord: function() {
+            const record = getStoredConsent();
+            return record ? Object.assign({}, record) : null;
+        },
         showBanner: showBanner,
         showModal: showModal,
+        refreshUI: refreshUI,
+        renderPreferencesCenter: renderPreferencesCenter,
+        registerAdapter: registerAdapter,
         reset: function() {
             CookieUtils.remove(CONSENT_COOKIE_NAME);
+            lastSeenRecord = null;
+            notifyOtherTabs();
+            updateAdapters(getDefaultConsent());
             showBanner();
         }
     };
@@ -0,0 +1,502 @@
+/**
+ * Pedidos de titulares de dados (LGPD/GDPR) - seção "Your Rights" da Política de Privacidade
+ * Três passos: o pedido (tipo, lei aplicável e contato; dele corre o prazo legal), a verificação de
+ * identidade com o código enviado por e-mail e o acompanhamento pela referência.
+ * Também baixa em JSON os dados que o site guarda no navegador (consentimento, tema e idioma).
+ * Os endpoints são os atributos action dos formulários (servidor de referência: server/data-requests.js).
+ * Deve ser carregado depois do i18n.js e do form-fields.js.
+ */
+
+(function() {
+    'use strict';
+
+    const CODE_PATTERN = /^\d{6}$/;
+    const REFERENCE_PATTERN = /^DSR-[A-Z0-9]{8}$/;
+
+    // Chaves gravadas pelo theme.js, pelo i18n.js e pelo cookie-consent.js (cópia do cookie)
+    const THEME_KEY = 'theme';
+    const LANGUAGE_KEY = 'language';
+    const CONSENT_KEY = 'cookie_consent';
+
+    // Textos do portal em inglês; as traduções ficam em locales/*.js (dsar.*)
+    const MESSAGES = {
+        'dsar.error.type': 'Choose what you would like us to do.',
+        'dsar.error.law': 'Choose the law that applies to you.',
+        'dsar.error.name': 'Enter your full name.',
+        'dsar.error.emailRequired': 'Enter your email address.',
+        'dsar.error.emailInvalid': 'Enter a valid email address, like name@example.com.',
+        'dsar.error.details': 'Tell us which information is wrong and what it should be.',
+        'dsar.error.confirmed': 'Confirm that the data is about you or that you are authorized to ask for it.',
+        'dsar.error.code': 'Enter the 6-digit code from the email.',
+        'dsar.error.reference': 'Enter the reference of your request, like DSR-ABCD2345.',
+        'dsar.sending': 'Sending your request…',
+        'dsar.failure': 'We could not send your request. Please try again, or email us at info@digitalbusinessresolutions.com.',
+        'dsar.codeSent': 'Your reference is {reference}. We sent a 6-digit code to {email}: enter it below within 24 hours to confirm your identity.',
+        'dsar.verifying': 'Checking the code…',
+        'dsar.codeInvalid': 'This code is not correct. Check the email and try again.',
+        'dsar.codeExpired': 'This code has expired. Please send your request again.',
+        'dsar.tooManyAttempts': 'Too many incorrect codes. Please send your request again.',
+        'dsar.verified': 'Request {reference} confirmed. We will answer by {date}.',
+        'dsar.checking': 'Looking up your request…',
+        'dsar.notFound': 'We found no request with this reference and email.',
+        'dsar.statusFailure': 'We could not check your request. Please try again later.',
+        'dsar.result.reference': 'Reference',
+        'dsar.result.type': 'Request',
+        'dsar.result.law': 'Law',
+        'dsar.result.status': 'Status',
+        'dsar.result.received': 'Received on',
+        'dsar.result.due': 'Answer due by',
+        'dsar.result.resolved': 'Closed on',
+        'dsar.result.daysLeft': '{date} ({days} days left)',
+        'dsar.result.overdue': '{date} (overdue: we are working on it with priority)',
+        'dsar.type.access': 'Give me a copy of my data (access)',
+        'dsar.type.rectification': 'Correct my data (rectification)',
+        'dsar.type.erasure': 'Delete my data (erasure)',
+        'dsar.type.portability': 'Send my data in a portable format (portability)',
+        'dsar.type.consent-withdrawal': 'Stop using my data based on my consent (consent withdrawal)',
+        'dsar.law.lgpd': 'Brazil (LGPD)',
+        'dsar.law.gdpr': 'European Union or United Kingdom (GDPR)',
+        'dsar.law.other': 'Another country, or not sure',
+        'dsar.status.awaiting_verification': 'Waiting for identity verification',
+        'dsar.status.open': 'In progress',
+        'dsar.status.completed': 'Answered',
+        'dsar.status.rejected': 'Closed without action (we explained why by email)',
+        'dsar.exported': 'The file was downloaded. It only holds what this browser keeps for our site.'
+    };
+    const text = window.I18n.translator(MESSAGES);
+
+    function formatDate(value) {
+        return window.I18n.formatDate(new Date(value));
+    }
+
+    function readForm(form) {
+        const data = new FormData(form);
+        const values = {};
+        data.forEach((value, name) => {
+            values[name] = String(value).trim();
+        });
+        return values;
+    }
+
+    /**
+     * Erros por campo, ligados ao controle (aria-describedby) e marcados com aria-invalid.
+     * rules: [{ field, focus (id do controle), validate(values) -> chave da mensagem ou null }];
+     * a mensagem fica em #<id do controle>-error, ou no id indicado em error (grupos de radio).
+     */
+    function createValidator(form, rules) {
+        let errors = {};
+
+        function render() {
+            rules.forEach(rule => {
+                const key = errors[rule.field];
+                const message = document.getElementById(rule.error || `${rule.focus}-error`);
+                window.FormFields.showError(form, rule.field, message, key ? text(key) : '');
+            });
+        }
+
+        // Enquanto o usuário corrige, atualiza só os erros já exibidos
+        function revalidate() {
+            const values = readForm(form);
+            rules.filter(rule => errors[rule.field]).forEach(rule => {
+                const key = rule.validate(values);
+                if (key) {
+                    errors[rule.field] = key;
+                } else {
+                    delete errors[rule.field];
+                }
+            });
+            render();
+        }
+
+        form.addEventListener('input', revalidate);
+        form.addEventListener('change', revalidate);
+
+        return {
+            render: render,
+
+            /**
+             * Valida tudo e leva o foco ao primeiro erro; devolve os valores ou null
+             */
+            check: function() {
+                const values = readForm(form);
+                errors = {};
+                rules.forEach(rule => {
+                    const key = rule.validate(values);
+                    if (key) errors[rule.field] = key;
+                });
+                render();
+                const first = rules.find(rule => errors[rule.field]);
+                if (first) {
+                    document.getElementById(first.focus).focus();
+                    return null;
+                }
+                return values;
+            },
+
+            clear: function() {
+                errors = {};
+                render();
+            }
+        };
+    }
+
+    /**
+     * Mensagem de situação (role="status") refeita na troca de idioma;
+     * params pode ser uma função, para datas formatadas no idioma da vez
+     */
+    function createStatus(element) {
+        let key = '';
+        let params = null;
+
+        function render() {
+            element.textContent = key ? text(key, typeof params === 'function' ? params() : params) : '';
+        }
+
+        return {
+            render: render,
+            set: function(nextKey, nextParams) {
+                key = nextKey;
+                params = nextParams || null;
+                render();
+            }
+        };
+    }
+
+    function setBusy(form, busy) {
+        form.querySelector('button[type="submit"]').disabled = busy;
+        form.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+
+    /**
+     * Chamada ao servidor; respostas de erro viram exceções com o status HTTP
+     */
+    function requestJson(url, options) {
+        return fetch(url, options).then(response => {
+            if (!response.ok) {
+                const error = new Error(`${url} returned ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        });
+    }
+
+    function postJson(form, body) {
+        return requestJson(form.getAttribute('action'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Regra do e-mail (pedido e acompanhamento)
+     */
+    function emailRule(focus) {
+        return {
+            field: 'email',
+            focus: focus,
+            validate: values => {
+                if (!values.email) return 'dsar.error.emailRequired';
+                return window.FormFields.isEmail(values.email) ? null : 'dsar.error.emailInvalid';
+            }
+        };
+    }
+
+    function initDataRequests(page) {
+        const requestForm = page.querySelector('#dsar-request-form');
+        const verifyForm = page.querySelector('#dsar-verify-form');
+        const statusForm = page.querySelector('#dsar-status-form');
+        const codeSent = verifyForm.querySelector('.dsar-code-sent');
+        const result = statusForm.querySelector('.dsar-result');
+        const exportButton = page.querySelector('#dsar-export');
+
+        const requestStatus = createStatus(requestForm.querySelector('.dsar-status'));
+        const verifyStatus = createStatus(verifyForm.querySelector('.dsar-status'));
+        const trackStatus = createStatus(statusForm.querySelector('.dsar-status'));
+        const exportStatus = createStatus(exportButton.parentNode.querySelector('.dsar-status'));
+
+        // Pedido aguardando o código ({ reference, email }) e a última situação exibida
+        let pending = null;
+        let shown = null;
+
+        const requestValidator = createValidator(requestForm, [
+            { field: 'type', focus: 'dsar-type-access', error: 'dsar-type-error', validate: values => (values.type ? null : 'dsar.error.type') },
+            { field: 'law', focus: 'dsar-law', validate: values => (values.law ? null : 'dsar.error.law') },
+            { field: 'name', focus: 'dsar-name', validate: values => ((values.name || '').length >= 2 ? null : 'dsar.error.name') },
+            emailRule('dsar-email'),
+            {
+                // Para corrigir, é preciso dizer o que está errado
+                field: 'details',
+                focus: 'dsar-details',
+                validate: values => (values.type !== 'rectification' || values.details ? null : 'dsar.error.details')
+            },
+            { field: 'confirmed', focus: 'dsar-confirmed', validate: values => (values.confirmed === 'yes' ? null : 'dsar.error.confirmed') }
+        ]);
+
+        const verifyValidator = createValidator(verifyForm, [
+            { field: 'code', focus: 'dsar-code', validate: values => (CODE_PATTERN.test(values.code.replace(/\s/g, '')) ? null : 'dsar.error.code') }
+        ]);
+
+        const statusValidator = createValidator(statusForm, [
+            {
+                field: 'reference',
+                focus: 'dsar-reference',
+                validate: values => (REFERENCE_PATTERN.test(values.reference.toUpperCase()) ? null : 'dsar.error.reference')
+            },
+            emailRule('dsar-status-email')
+        ]);
+
+        function renderCodeSent() {
+            codeSent.textContent = pending ? text('dsar.codeSent', pending) : '';
+        }
+
+        function addResultRow(labelKey, value) {
+            const term = document.createElement('dt');
+            term.textContent = text(labelKey);
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            result.append(term, detail);
+        }
+
+        function renderResult() {
+            result.replaceChildren();
+            result.hidden = !shown;
+            if (!shown) return;
+
+            addResultRow('dsar.result.reference', shown.reference);
+            addResultRow('dsar.result.type', text(`dsar.type.${shown.type}`));
+            addResultRow('dsar.result.law', text(`dsar.law.${shown.law}`));
+            addResultRow('dsar.result.status', text(`dsar.status.${shown.status}`));
+            addResultRow('dsar.result.received', formatDate(shown.receivedAt));
+            if (shown.status === 'open') {
+                const key = shown.overdue ? 'dsar.result.overdue' : 'dsar.result.daysLeft';
+                addResultRow('dsar.result.due', text(key, { date: formatDate(shown.dueAt), days: shown.daysLeft }));
+            }
+            if (shown.resolvedAt) {
+                addResultRow('dsar.result.resolved', formatDate(shown.resolvedAt));
+            }
+        }
+
+        function showResult(request) {
+            shown = request;
+            renderResult();
+            result.focus();
+        }
+
+        requestForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (requestForm.getAttribute('aria-busy') === 'true') return;
+
+            requestStatus.set('');
+            const values = requestValidator.check();
+            if (!values) return;
+
+            setBusy(requestForm, true);
+            requestStatus.set('dsar.sending');
+            postJson(requestForm, {
+                type: values.type,
+                law: values.law,
+                name: values.name,
+                email: values.email,
+                details: values.details,
+                confirmed: true,
+                language: window.I18n.getLanguage()
+            }).then(data => {
+                pending = { reference: data.reference, email: values.email };
+                requestForm.reset();
+                requestStatus.set('');
+                renderCodeSent();
+                verifyForm.reset();
+                verifyValidator.clear();
+                verifyStatus.set('');
+                verifyForm.hidden = false;
+                verifyForm.focus();
+            }).catch(error => {
+                console.warn('Error sending data subject request:', error);
+                requestStatus.set('dsar.failure');
+            }).then(() => {
+                setBusy(requestForm, false);
+            });
+        });
+
+        verifyForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (!pending || verifyForm.getAttribute('aria-busy') === 'true') return;
+
+            verifyStatus.set('');
+            const values = verifyValidator.check();
+            if (!values) return;
+
+            setBusy(verifyForm, true);
+            verifyStatus.set('dsar.verifying');
+            postJson(verifyForm, {
+                reference: pending.reference,
+                email: pending.email,
+                code: values.code.replace(/\s/g, '')
+            }).then(request => {
+                // O acompanhamento já fica preenchido para as próximas consultas
+                statusForm.elements.namedItem('reference').value = request.reference;
+                statusForm.elements.namedItem('email').value = pending.email;
+                pending = null;
+                renderCodeSent();
+                verifyStatus.set('');
+                verifyForm.hidden = true;
+                trackStatus.set('dsar.verified', () => ({ reference: request.reference, date: formatDate(request.dueAt) }));
+                showResult(request);
+            }).catch(error => {
+                const messages = { 400: 'dsar.codeInvalid', 410: 'dsar.codeExpired', 429: 'dsar.tooManyAttempts' };
+                if (!messages[error.status]) {
+                    console.warn('Error verifying data subject request:', error);
+                }
+                verifyStatus.set(messages[error.status] || 'dsar.failure');
+            }).then(() => {
+                setBusy(verifyForm, false);
+            });
+        });
+
+        statusForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (statusForm.getAttribute('aria-busy') === 'true') return;
+
+            trackStatus.set('');
+            const values = statusValidator.check();
+            if (!values) return;
+
+            const query = new URLSearchParams({ reference: values.reference.toUpperCase(), email: values.email });
+            setBusy(statusForm, true);
+            trackStatus.set('dsar.checking');
+            requestJson(`${statusForm.getAttribute('action')}?${query}`).then(request => {
+                trackStatus.set('');
+                showResult(request);
+            }).catch(error => {
+                if (error.status !== 404) {
+                    console.warn('Error checking data subject request:', error);
+                }
+                shown = null;
+                renderResult();
+                trackStatus.set(error.status === 404 ? 'dsar.notFound' : 'dsar.statusFailure');
+            }).then(() => {
+                setBusy(statusForm, false);
+            });
+        });
+
+        exportButton.addEventListener('click', function() {
+            downloadJson(exportLocalData());
+            exportStatus.set('dsar.exported');
+        });
+
+        // Troca de idioma: traduz as mensagens e a situação que estão na tela
+        window.addEventListener('i18n:change', function() {
+            [requestValidator, verifyValidator, statusValidator].forEach(validator => validator.render());
+            [requestStatus, verifyStatus, trackStatus, exportStatus].forEach(status => status.render());
+            renderCodeSent();
+            renderResult();
+        });
+    }
+
+    function parseValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Itens de localStorage/sessionStorage, menos os já exportados à parte
+     */
+    function readStorage(name, skip) {
+        const entries = {};
+        try {
+            const storage = window[name];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                if (skip.indexOf(key) === -1) {
+                    entries[key] = parseValue(storage.getItem(key));
+                }
+            }
+        } catch (e) {
+            // Armazenamento bloqueado pelo navegador: não há o que exportar
+        }
+        return entries;
+    }
+
+    /**
+     * Valor de um cookie decodificado; com uma sequência % inválida, fica como está
+     */
+    function decodeCookie(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    function readCookies(skip) {
+        const cookies = {};
+        document.cookie.split(';').forEach(pair => {
+            const index = pair.indexOf('=');
+            const name = pair.slice(0, index).trim();
+            if (name && skip.indexOf(name) === -1) {
+                cookies[name] = parseValue(decodeCookie(pair.slice(index + 1)));
+            }
+        });
+        return cookies;
+    }
+
+    function readPreference(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Dados que o site guarda neste navegador: consentimento, tema, idioma e os demais itens
+     */
+    function exportLocalData() {
+        const known = [THEME_KEY, LANGUAGE_KEY, CONSENT_KEY];
+        return {
+            site: window.location.origin,
+            exportedAt: new Date().toISOString(),
+            consent: window.CookieConsent ? window.CookieConsent.getConsentRecord() : null,
+            preferences: {
+                theme: readPreference(THEME_KEY),
+                language: readPreference(LANGUAGE_KEY)
+            },
+            otherData: {
+                localStorage: readStorage('localStorage', known),
+                sessionStorage: readStorage('sessionStorage', known),
+                cookies: readCookies(known)
+            }
+        };
+    }
+
+    function downloadJson(data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `digitalbusinessresolutions-data-${data.exportedAt.slice(0, 10)}.json`;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    window.DataRequests = {
+        exportLocalData: exportLocalData
+    };
+
+    if (!window.Pages) return;
+
+    // O portal fica na Política de Privacidade, carregada sob demanda (pages/privacy-policy.html)
+    window.Pages.onInit('privacy-policy', function(page) {
+        if (page.querySelector('#exercer-direitos')) {
+            initDataRequests(page);
+        }
+    });
+})();
@@ -0,0 +1,298 @@
+/**
+ * Accessible Dialog - shared by the cookie consent UI and the site's other dialogs
+ * One instance per element, a focus trap that follows the dialog's current content,
+ * focus restored to the opener on close, an inert background and scroll locking for
+ * modal dialogs, and a polite live region for announcements.
+ */
+
+(function() {
+    'use strict';
+
+    const FOCUSABLE_SELECTOR = [
+        'a[href]',
+        'area[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        'iframe',
+        '[contenteditable="true"]',
+        '[tabindex]'
+    ].map(function(selector) {
+        return `${selector}:not([tabindex="-1"])`;
+    }).join(', ');
+
+    const ANNOUNCER_ID = 'dialog-announcer';
+
+    // Open dialogs, most recent last
+    const stack = [];
+
+    // Body styles saved while modal dialogs lock scrolling
+    let scrollLock = null;
+
+    /**
+     * Focusable elements inside a container, in tab order of the markup
+     */
+    function getFocusable(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(function(element) {
+            return !element.closest('[hidden], [inert]');
+        });
+    }
+
+    function findInstance(element) {
+        for (let i = 0; i < stack.length; i++) {
+            if (stack[i].element === element) return stack[i];
+        }
+        return null;
+    }
+
+    function getTopModal() {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i].modal) return stack[i];
+        }
+        return null;
+    }
+
+    /**
+     * Make everything outside the dialog inert; only elements this dialog changed are remembered
+     */
+    function setBackgroundInert(instance) {
+        Array.from(document.body.children).forEach(function(child) {
+            if (child === instance.element || child.contains(instance.element)) return;
+            if (child.id === ANNOUNCER_ID || child.tagName === 'SCRIPT' || child.hasAttribute('inert')) return;
+            child.setAttribute('inert', '');
+            instance.inerted.push(child);
+        });
+    }
+
+    function restoreBackground(instance) {
+        instance.inerted.forEach(function(child) {
+            child.removeAttribute('inert');
+        });
+        instance.inerted = [];
+    }
+
+    /**
+     * Stop the page behind modal dialogs from scrolling, keeping the scrollbar's width
+     */
+    function lockScroll() {
+        if (scrollLock) return;
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        scrollLock = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+        if (scrollbarWidth > 0) {
+            const padding = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+            body.style.paddingRight = `${padding + scrollbarWidth}px`;
+        }
+        body.style.overflow = 'hidden';
+    }
+
+    function unlockScroll() {
+        if (!scrollLock || getTopModal()) return;
+        document.body.style.overflow = scrollLock.overflow;
+        document.body.style.paddingRight = scrollLock.paddingRight;
+        scrollLock = null;
+    }
+
+    /**
+     * Move focus into a dialog: the requested element, else the first focusable one, else the dialog itself
+     */
+    function focusInitial(instance) {
+        const requested = instance.options.initialFocus;
+        let target = typeof requested === 'string' ? instance.element.querySelector(requested) : requested;
+        if (!target) {
+            target = getFocusable(instance.element)[0];
+        }
+        if (!target) {
+            if (!instance.element.hasAttribute('tabindex')) {
+                instance.element.setAttribute('tabindex', '-1');
+            }
+            target = instance.element;
+        }
+        target.focus();
+    }
+
+    /**
+     * Return focus to the opener; if it is gone, to the main content
+     */
+    function restoreFocus(target) {
+        if (target && target !== document.body && target.isConnected && typeof target.focus === 'function' &&
+            !target.closest('[inert]')) {
+            target.focus();
+            return;
+        }
+        const main = document.querySelector('main');
+        if (main) {
+            if (!main.hasAttribute('tabindex')) {
+                main.setAttribute('tabindex', '-1');
+            }
+            main.focus();
+        }
+    }
+
+    /**
+     * Tab and Shift+Tab wrap inside the dialog; the focusable list is read on every key press
+     */
+    function trapTab(instance, e) {
+        const focusable = getFocusable(instance.element);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            instance.element.focus();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const inside = instance.element.contains(active);
+
+        if (e.shiftKey && (active === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    function handleKeydown(instance, e) {
+        if (stack[stack.length - 1] !== instance) return;
+
+        if (e.key === 'Escape' && instance.options.closeOnEscape !== false) {
+            e.preventDefault();
+            if (instance.options.onEscape) {
+                instance.options.onEscape();
+            } else {
+                close(instance.element);
+            }
+        } else if (e.key === 'Tab' && instance.modal) {
+            trapTab(instance, e);
+        }
+    }
+
+    /**
+     * Focus that escapes a modal dialog (e.g. where inert isn't supported) is brought back in
+     */
+    document.addEventListener('focusin', function(e) {
+        const top = getTopModal();
+        if (top && !top.element.contains(e.target)) {
+            focusInitial(top);
+        }
+    });
+
+    /**
+     * Open a dialog. Opening an element that is already open returns its instance.
+     *
+     * Options:
+     *   modal          true (default): trap focus, inert background, lock scrolling
+     *   labelledBy     id of the element naming the dialog (or label: text)
+     *   describedBy    id of the element describing it
+     *   initialFocus   element or selector focused on open (default: first focusable)
+     *   returnFocus    element focused on close (default: the element focused before opening)
+     *   closeOnEscape  false to ignore Escape
+     *   onEscape       called on Escape instead of closing directly
+     *   onClose        called after the dialog closed
+     *   announce       text for screen readers to announce on open
+     */
+    function open(element, options) {
+        const existing = findInstance(element);
+        if (existing) return existing;
+
+        const settings = options || {};
+        const instance = {
+            element: element,
+            options: settings,
+            modal: settings.modal !== false,
+            returnFocus: settings.returnFocus || document.activeElement,
+            inerted: [],
+            onKeydown: null
+        };
+
+        if (!element.hasAttribute('role')) {
+            element.setAttribute('role', 'dialog');
+        }
+        element.setAttribute('aria-modal', instance.modal ? 'true' : 'false');
+        if (settings.labelledBy) {
+            element.setAttribute('aria-labelledby', settings.labelledBy);
+        } else if (settings.label) {
+            element.setAttribute('aria-label', settings.label);
+        }
+        if (settings.describedBy) {
+            element.setAttribute('aria-describedby', settings.describedBy);
+        }
+        element.removeAttribute('aria-hidden');
+
+        instance.onKeydown = function(e) {
+            handleKeydown(instance, e);
+        };
+        element.addEventListener('keydown', instance.onKeydown);
+        stack.push(instance);
+
+        if (instance.modal) {
+            setBackgroundInert(instance);
+            lockScroll();
+            focusInitial(instance);
+        }
+        if (settings.announce) {
+            announce(settings.announce);
+        }
+        return instance;
+    }
+
+    /**
+     * Close a dialog opened with open(); returns false if it wasn't open.
+     * Pass { restoreFocus: false } when focus is handed to another dialog right away.
+     */
+    function close(element, options) {
+        const instance = findInstance(element);
+        if (!instance) return false;
+        const settings = options || {};
+
+        stack.splice(stack.indexOf(instance), 1);
+        element.removeEventListener('keydown', instance.onKeydown);
+        element.setAttribute('aria-hidden', 'true');
+
+        const hadFocus = element.contains(document.activeElement);
+        if (instance.modal) {
+            restoreBackground(instance);
+            unlockScroll();
+        }
+        if (settings.restoreFocus !== false && (instance.modal || hadFocus)) {
+            restoreFocus(instance.returnFocus);
+        }
+        if (instance.options.onClose) {
+            instance.options.onClose();
+        }
+        return true;
+    }
+
+    /**
+     * Announce a message through a polite live region
+     */
+    function announce(message) {
+        let announcer = document.getElementById(ANNOUNCER_ID);
+        if (!announcer) {
+            announcer = document.createElement('div');
+            announcer.id = ANNOUNCER_ID;
+            announcer.className = 'visually-hidden';
+            announcer.setAttribute('role', 'status');
+            announcer.setAttribute('aria-live', 'polite');
+            announcer.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(announcer);
+        }
+        // Cleared first so repeating the same message is announced again
+        announcer.textContent = '';
+        setTimeout(function() {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    window.Dialog = {
+        open: open,
+        close: close,
+        isOpen: function(element) {
+            return findInstance(element) !== null;
+        },
+        getFocusable: getFocusable,
+        announce: announce
+    };
+})();
@@ -0,0 +1,249 @@
+/**
+ * Conteúdo de terceiros sob demanda (click-to-load) - fotos do Unsplash, mapas do Google Maps
+ * e vídeos do YouTube
+ * Enquanto a categoria de cookies do conteúdo não tem consentimento, cada .embed-facade mostra
+ * um espaço local (imagem opcional, explicação e botão "Carregar"). O clique carrega só aquele
+ * conteúdo; com "Sempre permitir" marcado, a categoria é liberada pelo cookie-consent.js e a
+ * escolha vale para o site todo. Retirar o consentimento volta a mostrar os espaços locais.
+ * Deve ser carregado depois do i18n.js e do cookie-consent-config.js.
+ *
+ * <div class="embed-facade" data-facade-provider="YouTube" data-facade-kind="video"
+ *      data-facade-placeholder="/assets/hero-youtube.png">
+ *     <iframe data-cookie-category="youtube" data-src="https://www.youtube-nocookie.com/embed/..." title="..."></iframe>
+ * </div>
+ *
+ * Fundos decorativos (como o do hero) usam data-cookie-category + data-facade-background="<url>":
+ * a imagem só é aplicada com a categoria permitida, sem espaço local.
+ */
+
+(function() {
+    'use strict';
+
+    const FACADE_SELECTOR = '.embed-facade';
+    const BACKGROUND_SELECTOR = '[data-cookie-category][data-facade-background]';
+    const KINDS = ['image', 'video', 'map'];
+
+    // Textos dos espaços locais em inglês; as traduções ficam em locales/*.js (facade.*)
+    const MESSAGES = {
+        'facade.image.text': 'This image is hosted by {provider}. Loading it sends your IP address to {provider}.',
+        'facade.image.load': 'Load image',
+        'facade.video.text': 'This video is hosted by {provider}, which may set cookies and receive your IP address.',
+        'facade.video.load': 'Load video',
+        'facade.map.text': 'This map is provided by {provider}, which may set cookies and receive your IP address.',
+        'facade.map.load': 'Load map',
+        'facade.remember': 'Always allow “{category}”'
+    };
+    const text = window.I18n.translator(MESSAGES);
+
+    // Numeração dos checkboxes "Sempre permitir" (cada um precisa de um id para o <label>)
+    let counter = 0;
+
+    /**
+     * Nome da categoria como aparece no banner e nas preferências de cookies
+     */
+    function categoryLabel(id) {
+        const category = window.CookieConsent.getCategories().find(item => item.id === id);
+        const label = category ? category.label : id;
+        return window.I18n.t(`consent.categories.${id}.label`, label);
+    }
+
+    // O iframe ou a imagem bloqueada dentro do espaço
+    function getEmbed(facade) {
+        return facade.querySelector('iframe[data-cookie-category], img[data-cookie-category]');
+    }
+
+    function getKind(facade) {
+        const kind = facade.getAttribute('data-facade-kind');
+        return KINDS.indexOf(kind) !== -1 ? kind : 'image';
+    }
+
+    // Carregado = o cookie-consent.js já trocou o data-src pelo src
+    function isLoaded(embed) {
+        return !embed.hasAttribute('data-src');
+    }
+
+    /**
+     * Textos do espaço local no idioma atual
+     */
+    function translatePlaceholder(facade, placeholder) {
+        const kind = getKind(facade);
+        const provider = facade.getAttribute('data-facade-provider') || '';
+        const category = getEmbed(facade).getAttribute('data-cookie-category');
+
+        placeholder.querySelector('.embed-facade-text').textContent = text(`facade.${kind}.text`, { provider: provider });
+        placeholder.querySelector('.embed-facade-button').textContent = text(`facade.${kind}.load`);
+        placeholder.querySelector('.embed-facade-remember span').textContent = text('facade.remember', {
+            category: categoryLabel(category)
+        });
+    }
+
+    /**
+     * Espaço local: imagem do site (opcional), explicação, botão e "Sempre permitir"
+     */
+    function createPlaceholder(facade) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'embed-facade-placeholder';
+
+        const image = facade.getAttribute('data-facade-placeholder');
+        if (image) {
+            const img = document.createElement('img');
+            img.className = 'embed-facade-image';
+            img.src = image;
+            img.alt = '';
+            placeholder.appendChild(img);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'embed-facade-body';
+
+        const description = document.createElement('p');
+        description.className = 'embed-facade-text';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'embed-facade-button';
+
+        counter += 1;
+        const remember = document.createElement('label');
+        remember.className = 'embed-facade-remember';
+        remember.htmlFor = `embed-facade-remember-${counter}`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = remember.htmlFor;
+        remember.append(checkbox, document.createElement('span'));
+
+        button.addEventListener('click', function() {
+            load(facade, checkbox.checked);
+        });
+
+        body.append(description, button, remember);
+        placeholder.appendChild(body);
+        translatePlaceholder(facade, placeholder);
+        return placeholder;
+    }
+
+    /**
+     * Mostra o conteúdo carregado ou o espaço local no lugar dele
+     */
+    function render(facade) {
+        const embed = getEmbed(facade);
+        if (!embed) return;
+
+        const loaded = isLoaded(embed);
+        const placeholder = facade.querySelector('.embed-facade-placeholder');
+        embed.hidden = !loaded;
+        facade.classList.toggle('embed-facade-loaded', loaded);
+
+        if (loaded && placeholder) {
+            placeholder.remove();
+        } else if (!loaded && !placeholder) {
+            facade.appendChild(createPlaceholder(facade));
+        }
+    }
+
+    /**
+     * Clique em "Carregar": com remember, libera a categoria (o evento cookieConsent:<categoria>
+     * redesenha os demais espaços); sem, carrega só este conteúdo, nesta visita
+     */
+    function load(facade, remember) {
+        const embed = getEmbed(facade);
+        const category = embed.getAttribute('data-cookie-category');
+
+        if (remember) {
+            window.CookieConsent.allowCategory(category);
+        }
+        // Se a escolha não pôde ser salva, o clique ainda vale para este conteúdo
+        if (!isLoaded(embed)) {
+            window.CookieConsent.activateElement(embed);
+        }
+        render(facade);
+
+        // O botão sumiu: o foco vai para o conteúdo carregado
+        if (embed.tagName === 'IFRAME') {
+            embed.focus();
+        } else {
+            facade.setAttribute('tabindex', '-1');
+            facade.focus();
+        }
+    }
+
+    /**
+     * Prepara um espaço: já carrega o conteúdo se a categoria estiver permitida
+     * (o fragmento acabou de entrar no DOM e o cookie-consent.js ainda não o viu)
+     */
+    function setup(facade) {
+        const embed = getEmbed(facade);
+        if (!embed) return;
+
+        if (!isLoaded(embed) && window.CookieConsent.isCategoryAllowed(embed.getAttribute('data-cookie-category'))) {
+            window.CookieConsent.activateElement(embed);
+        }
+        render(facade);
+    }
+
+    function renderBackground(element) {
+        const allowed = window.CookieConsent.isCategoryAllowed(element.getAttribute('data-cookie-category'));
+        element.style.backgroundImage = allowed ? `url("${element.getAttribute('data-facade-background')}")` : '';
+    }
+
+    /**
+     * Aplica o consentimento atual a todos os espaços e fundos sob root
+     */
+    function refresh(root) {
+        root.querySelectorAll(FACADE_SELECTOR).forEach(setup);
+        root.querySelectorAll(BACKGROUND_SELECTOR).forEach(renderBackground);
+    }
+
+    /**
+     * A categoria só carrega conteúdo por aqui (nenhum script dela rodou): retirar o
+     * consentimento não exige recarregar a página
+     */
+    function handleRevoked(e) {
+        const category = e.detail.category;
+        refresh(document);
+
+        const usedHere = document.querySelector(
+            `${FACADE_SELECTOR} [data-cookie-category="${category}"], ${BACKGROUND_SELECTOR}[data-cookie-category="${category}"]`
+        );
+        const scriptsRan = document.querySelector(`script[data-cookie-activated][data-cookie-category="${category}"]`);
+        if (usedHere && !scriptsRan) {
+            e.preventDefault();
+        }
+    }
+
+    if (!window.CookieConsent) return;
+
+    window.CookieConsent.getCategories().forEach(function(category) {
+        if (category.required) return;
+        window.addEventListener(`cookieConsent:${category.id}`, function() {
+            refresh(document);
+        });
+        window.addEventListener(`cookieConsent:revoked:${category.id}`, handleRevoked);
+    });
+
+    // Páginas carregadas sob demanda (script.js)
+    window.addEventListener('page:load', function(e) {
+        refresh(e.detail.element);
+    });
+
+    // Troca de idioma: traduz os espaços que estão na tela
+    window.addEventListener('i18n:change', function() {
+        document.querySelectorAll('.embed-facade-placeholder').forEach(function(placeholder) {
+            translatePlaceholder(placeholder.closest(FACADE_SELECTOR), placeholder);
+        });
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            refresh(document);
+        });
+    } else {
+        refresh(document);
+    }
+
+    window.EmbedFacade = {
+        refresh: function(root) {
+            refresh(root || document);
+        }
+    };
+})();
@@ -0,0 +1,47 @@
+/**
+ * Campos dos formulários do site (agendamento em booking-form.js, pedidos de titulares em
+ * data-requests.js): validação do e-mail e exibição do erro de cada campo, com a mensagem
+ * ligada ao controle e aria-invalid.
+ * Deve ser carregado antes dos formulários.
+ */
+
+(function() {
+    'use strict';
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    /**
+     * Controles de um campo (grupos de radio/checkbox têm vários)
+     */
+    function getControls(form, field) {
+        const control = form.elements.namedItem(field);
+        if (!control) return [];
+        return control.tagName ? [control] : Array.from(control);
+    }
+
+    /**
+     * Mostra (ou, com message vazia, esconde) o erro de um campo em element e marca os controles
+     * com aria-invalid; element pode faltar
+     */
+    function showError(form, field, element, message) {
+        if (element) {
+            element.textContent = message || '';
+            element.hidden = !message;
+        }
+        getControls(form, field).forEach(control => {
+            if (message) {
+                control.setAttribute('aria-invalid', 'true');
+            } else {
+                control.removeAttribute('aria-invalid');
+            }
+        });
+    }
+
+    window.FormFields = {
+        isEmail: function(value) {
+            return EMAIL_PATTERN.test(value);
+        },
+        getControls: getControls,
+        showError: showError
+    };
+})();
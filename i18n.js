@@ -0,0 +1,214 @@
+/**
+ * Sistema de tradução (i18n) - pt-BR / en / es
+ * Os textos originais das páginas estão em inglês; os catálogos em locales/ traduzem as chaves
+ * marcadas no HTML com data-i18n (texto), data-i18n-html (texto com marcação) e
+ * data-i18n-attr ("atributo:chave; atributo:chave").
+ */
+
+(function() {
+    'use strict';
+
+    // Idioma em que o conteúdo do HTML e os textos padrão do código foram escritos
+    const SOURCE_LANGUAGE = 'en';
+    const STORAGE_KEY = 'language';
+
+    const LANGUAGES = [
+        { code: 'pt-BR', label: 'Português' },
+        { code: 'en', label: 'English' },
+        { code: 'es', label: 'Español' }
+    ];
+
+    const catalogs = {};
+
+    // Textos originais de cada elemento, para voltar ao idioma de origem
+    const originals = new WeakMap();
+
+    let currentLanguage = SOURCE_LANGUAGE;
+
+    /**
+     * Registra (ou completa) o catálogo de mensagens de um idioma
+     */
+    function register(language, messages) {
+        catalogs[language] = Object.assign(catalogs[language] || {}, messages);
+    }
+
+    /**
+     * Normaliza um código de idioma do navegador para um idioma suportado (ou null)
+     */
+    function matchLanguage(code) {
+        if (!code) return null;
+        const lower = String(code).toLowerCase();
+        const exact = LANGUAGES.find(language => language.code.toLowerCase() === lower);
+        if (exact) return exact.code;
+        const base = lower.split('-')[0];
+        const partial = LANGUAGES.find(language => language.code.toLowerCase().split('-')[0] === base);
+        return partial ? partial.code : null;
+    }
+
+    /**
+     * Idioma do parâmetro ?lang= da URL (links hreflang das páginas pré-renderizadas),
+     * senão o salvo, senão o do navegador, senão o de origem
+     */
+    function detectLanguage() {
+        const requested = matchLanguage(new URLSearchParams(window.location.search).get('lang'));
+        if (requested) return requested;
+
+        try {
+            const saved = matchLanguage(localStorage.getItem(STORAGE_KEY));
+            if (saved) return saved;
+        } catch (e) {}
+
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        for (let i = 0; i < preferred.length; i++) {
+            const match = matchLanguage(preferred[i]);
+            if (match) return match;
+        }
+        return SOURCE_LANGUAGE;
+    }
+
+    /**
+     * Substitui {param} pelos valores informados
+     */
+    function interpolate(message, params) {
+        if (!params) return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Traduz uma chave no idioma atual; sem tradução, usa o texto padrão (em inglês)
+     */
+    function t(key, fallback, params) {
+        const catalog = catalogs[currentLanguage] || {};
+        const message = Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : fallback;
+        if (typeof message !== 'string') return key;
+        return interpolate(message, params);
+    }
+
+    /**
+     * Tradução das mensagens de um módulo: devolve text(key, params), que usa o catálogo do idioma
+     * atual e, sem tradução, o texto em inglês de messages. Os módulos que a usam dependem do
+     * i18n.js, o primeiro script do index.html
+     */
+    function translator(messages) {
+        return function(key, params) {
+            return t(key, messages[key], params);
+        };
+    }
+
+    /**
+     * Guarda o conteúdo original de um elemento antes da primeira tradução
+     */
+    function rememberOriginal(element) {
+        if (originals.has(element)) return originals.get(element);
+        const original = { text: element.textContent, html: element.innerHTML, attrs: {} };
+        originals.set(element, original);
+        return original;
+    }
+
+    /**
+     * Aplica as traduções aos elementos marcados dentro de root
+     */
+    function apply(root) {
+        const scope = root || document;
+
+        scope.querySelectorAll('[data-i18n]').forEach(element => {
+            const original = rememberOriginal(element);
+            element.textContent = t(element.getAttribute('data-i18n'), original.text.trim());
+        });
+
+        scope.querySelectorAll('[data-i18n-html]').forEach(element => {
+            const original = rememberOriginal(element);
+            // Catálogos são conteúdo do próprio site (confiável), por isso podem conter marcação
+            element.innerHTML = t(element.getAttribute('data-i18n-html'), original.html.trim());
+        });
+
+        scope.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            const original = rememberOriginal(element);
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const parts = pair.split(':');
+                if (parts.length !== 2) return;
+                const attr = parts[0].trim();
+                const key = parts[1].trim();
+                if (!Object.prototype.hasOwnProperty.call(original.attrs, attr)) {
+                    original.attrs[attr] = element.getAttribute(attr) || '';
+                }
+                element.setAttribute(attr, t(key, original.attrs[attr]));
+            });
+        });
+    }
+
+    /**
+     * Sincroniza os seletores de idioma da página com o idioma atual
+     */
+    function updateSwitchers() {
+        document.querySelectorAll('.language-switcher select').forEach(select => {
+            select.value = currentLanguage;
+        });
+    }
+
+    /**
+     * Troca o idioma: atualiza o HTML, salva a escolha e avisa o restante do site
+     */
+    function setLanguage(language, options) {
+        const settings = options || {};
+        const code = matchLanguage(language) || SOURCE_LANGUAGE;
+        currentLanguage = code;
+
+        document.documentElement.lang = code;
+        apply(document);
+        updateSwitchers();
+
+        if (settings.persist !== false) {
+            try {
+                localStorage.setItem(STORAGE_KEY, code);
+            } catch (e) {}
+        }
+
+        window.dispatchEvent(new CustomEvent('i18n:change', { detail: { language: code } }));
+    }
+
+    /**
+     * Liga os seletores de idioma (select dentro de .language-switcher)
+     */
+    function bindSwitchers() {
+        document.querySelectorAll('.language-switcher select').forEach(select => {
+            select.innerHTML = LANGUAGES.map(language =>
+                `<option value="${language.code}" lang="${language.code}">${language.label}</option>`
+            ).join('');
+            select.value = currentLanguage;
+            select.addEventListener('change', function() {
+                setLanguage(this.value);
+            });
+        });
+    }
+
+    function init() {
+        bindSwitchers();
+        // A detecção pelo navegador não é salva: só a escolha explícita do usuário
+        setLanguage(detectLanguage(), { persist: false });
+    }
+
+    // Roda antes dos demais scripts que escutam DOMContentLoaded (i18n.js é carregado primeiro)
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    window.I18n = {
+        languages: LANGUAGES.slice(),
+        register: register,
+        t: t,
+        translator: translator,
+        apply: apply,
+        setLanguage: setLanguage,
+        getLanguage: function() {
+            return currentLanguage;
+        },
+        formatDate: function(date) {
+            return date.toLocaleDateString(currentLanguage, { year: 'numeric', month: 'long', day: 'numeric' });
+        }
+    };
+})();
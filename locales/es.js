@@ -0,0 +1,463 @@
+/**
+ * Catálogo de traduções - Español
+ * As chaves correspondem às marcações data-i18n do HTML e aos textos do cookie-consent.js
+ */
+
+window.I18n.register('es', {
+    // Navegação e acessibilidade
+    'a11y.skip': 'Saltar al contenido',
+    'a11y.loading': 'Cargando la página',
+    'nav.home': 'Inicio',
+    'nav.about': 'Quiénes Somos',
+    'a11y.theme': 'Tema',
+    'theme.system': 'Sistema',
+    'theme.light': 'Claro',
+    'theme.dark': 'Oscuro',
+    'a11y.language': 'Idioma',
+
+    // Títulos das páginas
+    'title.home': 'Digital Business Resolutions LLC — Estrategia Digital y Optimización Fiscal Internacional',
+    'title.quem-somos': 'Quiénes Somos — Digital Business Resolutions LLC',
+    'title.not-found': 'Página No Encontrada — Digital Business Resolutions LLC',
+    'title.cookie-policy': 'Política de Cookies — Digital Business Resolutions LLC',
+    'title.privacy-policy': 'Política de Privacidad — Digital Business Resolutions LLC',
+    'title.cookie-preferences': 'Preferencias de Cookies — Digital Business Resolutions LLC',
+    'title.page-error': 'Página No Disponible — Digital Business Resolutions LLC',
+
+    // Home
+    'meta.home.description': 'Digital Business Resolutions LLC - Estrategia Digital y Optimización Fiscal Internacional. Impulsamos a emprendedores con estrategias avanzadas de marketing digital y asesoría fiscal internacional.',
+    'meta.quem-somos.description': 'Conozca Digital Business Resolutions LLC: nuestra misión, cómo trabajamos y cómo agendar una consultoría de estrategia digital o fiscalidad internacional.',
+    'meta.privacy-policy.description': 'Cómo Digital Business Resolutions LLC recopila, usa, comparte y protege sus datos personales, y cómo ejercer sus derechos.',
+    'meta.cookie-policy.description': 'Qué cookies usa el sitio de Digital Business Resolutions LLC, por qué, y cómo gestionar o retirar su consentimiento.',
+    'meta.cookie-preferences.description': 'Revise las cookies que usamos y cambie o retire su consentimiento.',
+    'home.hero.title': 'Estrategia Digital y Optimización Fiscal Internacional<br>Pensadas para un Mundo sin Fronteras',
+    'home.hero.subtitle': 'Ayudamos a emprendedores y pequeñas empresas a crecer en lo digital y a estructurarse internacionalmente con precisión.',
+    'home.hero.cta': 'Agende una Consulta',
+    'home.hero.explore': 'Conozca Nuestros Servicios',
+    'home.trust.integrated': 'Estrategia Integrada',
+    'home.trust.compliance': 'Enfoque en Cumplimiento',
+    'home.trust.network': 'Red Internacional',
+    'home.who.title': 'Quiénes Somos',
+    'home.who.p1': 'Digital Business Resolutions LLC es una firma orientada a resultados, especializada en Marketing Digital, SEO, SEM y posicionamiento estratégico, combinados con servicios de asesoría fiscal nacional e internacional.',
+    'home.who.p2': 'Trabajamos en la intersección entre el crecimiento digital y la optimización fiscal — ayudando a personas y empresas a escalar con eficiencia mientras estructuran sus operaciones de forma inteligente.',
+    'home.digital.title': 'Crecimiento Digital Basado en Datos',
+    'home.digital.intro': 'Ofrecemos servicios integrales de marketing diseñados para aumentar la visibilidad, la autoridad y los ingresos.',
+    'home.digital.item1': 'Optimización para Motores de Búsqueda (SEO)',
+    'home.digital.item2': 'Marketing en Motores de Búsqueda (SEM)',
+    'home.digital.item3': 'Estrategia de Posicionamiento Online',
+    'home.digital.item4': 'Campañas Digitales Orientadas al Rendimiento',
+    'home.digital.item5': 'Optimización de Conversiones',
+    'home.digital.item6': 'Herramientas Digitales para Emprendedores y Pequeñas Empresas',
+    'home.digital.item7': 'Desarrollo Estratégico de Marca',
+    'home.digital.outro': 'Nuestro enfoque es analítico, orientado al rendimiento y alineado con KPIs medibles.',
+    'home.fiscal.title': 'Planificación Fiscal Estratégica para un Mundo Globalizado',
+    'home.fiscal.intro': 'Asesoramos a personas y empresas que buscan soluciones legales y eficientes de estructuración fiscal, a nivel nacional e internacional.',
+    'home.fiscal.residency.title': 'Cambio de Residencia Fiscal',
+    'home.fiscal.residency.text': 'Orientación estratégica para personas que buscan la mejor solución de residencia fiscal.',
+    'home.fiscal.territorial.title': 'Asesoría en Tributación Territorial',
+    'home.fiscal.territorial.text': 'Asesoría experta en sistemas de tributación territorial y oportunidades de estructuración.',
+    'home.fiscal.optimization.title': 'Estrategias de Optimización Fiscal Internacional',
+    'home.fiscal.optimization.alt': 'Optimización Fiscal Internacional',
+    'home.fiscal.optimization.text': 'Estructuración fiscal transfronteriza y asesoría estratégica para emprendedores y nómadas digitales.',
+    'home.fiscal.outro': 'Nos enfocamos en el cumplimiento, la sostenibilidad y la eficiencia fiscal a largo plazo.',
+    'home.countries.title': 'Países de Especialización',
+    'home.countries.dr.name': 'República Dominicana',
+    'home.countries.dr.text': 'Soluciones estratégicas de residencia fiscal y estructuración territorial.',
+    'home.countries.py.name': 'Paraguay',
+    'home.countries.py.text': 'Regímenes atractivos de tributación territorial para emprendedores internacionales.',
+    'home.countries.ph.name': 'Filipinas',
+    'home.countries.ph.text': 'Oportunidades emergentes en el Sudeste Asiático y asesoría de residencia.',
+    'home.countries.ae.name': 'Dubái',
+    'home.countries.ae.text': 'Estructuración internacional avanzada en un entorno sin impuesto sobre la renta.',
+    'home.expansion.title': 'Estrategia de Expansión',
+    'home.expansion.intro': 'Actualmente estamos ampliando nuestra capacidad operativa hacia:',
+    'home.expansion.vanuatu': 'Vanuatu',
+    'home.expansion.mauritius': 'Mauricio',
+    'home.expansion.text': 'Se están concretando alianzas estratégicas para ofrecer soluciones competitivas y conformes a la normativa en estas jurisdicciones. Como firma en crecimiento, nuestra misión es la expansión internacional continua, manteniendo estrictos estándares profesionales.',
+    'home.why.title': 'Por Qué Elegirnos',
+    'home.why.item1': 'Estrategia Digital + Fiscal Integrada',
+    'home.why.item2': 'Red Internacional de Socios Verificados',
+    'home.why.item3': 'Asesoría Enfocada en el Cumplimiento',
+    'home.why.item4': 'Visión Estratégica a Largo Plazo',
+    'home.why.item5': 'Soluciones Enfocadas en el Crecimiento',
+    'home.why.cta': 'Agende Hoy Su Consulta Estratégica',
+
+    // Comparador de residência fiscal (tax-comparison.js)
+    'tax.title': 'Compare los Países',
+    'tax.intro': 'Filtre por lo que le importa y compare las principales reglas lado a lado, o responda cuatro preguntas para ver qué país le conviene más.',
+    'tax.loading': 'Cargando la comparación…',
+    'tax.loadError': 'No pudimos cargar la comparación. Recargue la página o agende una consultoría y lo conversamos.',
+    'tax.reviewed': 'Información revisada el {date}.',
+    'tax.filters.title': 'Filtrar países',
+    'tax.filters.any': 'Cualquiera',
+    'tax.filters.taxation': 'Tributación',
+    'tax.filters.stay': 'Días que puede pasar en el país al año',
+    'tax.filters.stay.90': 'Hasta 90 días',
+    'tax.filters.stay.120': 'Hasta 120 días',
+    'tax.filters.stay.180': 'Hasta 180 días',
+    'tax.filters.budget': 'Inversión o depósito',
+    'tax.filters.budget.0': 'Ninguno',
+    'tax.filters.budget.25000': 'Hasta USD 25.000',
+    'tax.filters.setup': 'Listo en hasta',
+    'tax.filters.setup.3': '3 meses',
+    'tax.filters.setup.6': '6 meses',
+    'tax.table.caption': 'Reglas de residencia fiscal por país',
+    'tax.empty': 'Ningún país cumple estos filtros. Quite un filtro o agende una consultoría para evaluar otras opciones.',
+    'tax.taxation.territorial': 'Territorial',
+    'tax.taxation.worldwide': 'Renta mundial',
+    'tax.taxation.none': 'Sin impuesto a la renta personal',
+    'tax.topRate': 'hasta el {rate}%',
+    'tax.row.taxation': 'Tributación',
+    'tax.row.incomeRules': 'Renta del exterior',
+    'tax.row.minimumStay': 'Permanencia para la residencia fiscal',
+    'tax.row.investment': 'Inversión o depósito',
+    'tax.row.setup': 'Plazo',
+    'tax.foreignIncome.exempt': 'No tributa',
+    'tax.foreignIncome.partial': 'Tributa en parte',
+    'tax.foreignIncome.taxed': 'Tributa',
+    'tax.days': '{days} días al año',
+    'tax.noInvestment': 'No se exige',
+    'tax.fromAmount': 'Desde {amount}',
+    'tax.months': '{min}–{max} meses',
+    'tax.book': 'Agendar consultoría',
+    'tax.bookCountry': 'Agendar consultoría sobre {country}',
+    'tax.quiz.title': '¿Qué País le Conviene?',
+    'tax.quiz.income': '¿De dónde vendrá la mayor parte de sus ingresos?',
+    'tax.quiz.income.foreign': 'De clientes, empleadores o inversiones en el exterior',
+    'tax.quiz.income.local': 'De una empresa o empleo en el nuevo país',
+    'tax.quiz.income.mixed': 'De ambas fuentes',
+    'tax.quiz.stay': '¿Cuánto tiempo puede pasar en el país al año?',
+    'tax.quiz.stay.60': 'Menos de 3 meses',
+    'tax.quiz.stay.150': 'De 3 a 6 meses',
+    'tax.quiz.stay.365': 'Más de 6 meses',
+    'tax.quiz.budget': '¿Cuánto puede invertir o depositar para obtener la residencia?',
+    'tax.quiz.budget.0': 'Nada',
+    'tax.quiz.budget.25000': 'Hasta USD 25.000',
+    'tax.quiz.budget.250000': 'Hasta USD 250.000',
+    'tax.quiz.budget.unlimited': 'Más que eso',
+    'tax.quiz.setup': '¿Cuándo necesita la residencia?',
+    'tax.quiz.setup.3': 'En hasta 3 meses',
+    'tax.quiz.setup.6': 'En hasta 6 meses',
+    'tax.quiz.setup.12': 'Tengo flexibilidad',
+    'tax.quiz.submit': 'Ver Mi Ranking',
+    'tax.quiz.missing': 'Responda todas las preguntas para ver su ranking.',
+    'tax.ranking.title': 'Su Ranking',
+    'tax.ranking.score': 'Compatibilidad: {score}/10',
+    'tax.reason.foreign.exempt': 'La renta del exterior no tributa.',
+    'tax.reason.foreign.partial': 'Parte de su renta del exterior puede tributar.',
+    'tax.reason.foreign.taxed': 'La renta del exterior tributa.',
+    'tax.reason.local.none': 'No hay impuesto sobre la renta obtenida en el país.',
+    'tax.reason.local.rate': 'La renta obtenida en el país paga hasta el {rate}%.',
+    'tax.reason.stay.ok': 'Su tiempo en el país alcanza para la residencia fiscal ({days} días).',
+    'tax.reason.stay.short': 'La residencia fiscal exige unos {days} días al año.',
+    'tax.reason.budget.ok': 'La residencia cabe en su presupuesto.',
+    'tax.reason.budget.over': 'La opción más accesible exige {amount}.',
+    'tax.reason.setup.ok': 'Suele estar lista en {min}–{max} meses.',
+    'tax.reason.setup.slow': 'Suele tardar {min}–{max} meses.',
+    'tax.prefill.country': 'Me interesa la residencia fiscal en {country}.',
+    'tax.prefill.answers': 'Mis respuestas en la comparación de países: {answers}.',
+    'tax.disclaimer': 'Esta comparación es una guía simplificada, no una asesoría tributaria: las reglas cambian y cada caso es distinto. Confirmamos los detalles de su situación en una consultoría.',
+
+    // Quem Somos
+    'about.mission.title': 'Nuestra Misión',
+    'about.mission.p1': 'En Digital Business Resolutions LLC, nuestra misión es brindar a emprendedores y pequeñas empresas las herramientas, estrategias y estructuras fiscales necesarias para operar de forma global y eficiente.',
+    'about.mission.p2': 'Creemos en el posicionamiento estratégico — tanto digital como fiscal.',
+    'about.vision.title': 'Nuestra Visión',
+    'about.vision.p1': 'Convertirnos en una firma de asesoría internacional líder que combine la experiencia en marketing digital con estrategias globales de optimización fiscal.',
+    'about.vision.p2': 'Buscamos apoyar a emprendedores independientes de la ubicación e inversionistas internacionales ofreciendo soluciones sostenibles, conformes a la normativa e inteligentes.',
+    'about.digital.title': 'Nuestra Especialidad – Estrategia Digital',
+    'about.digital.alt': 'Estrategia Digital',
+    'about.digital.intro': 'Nuestro equipo desarrolla marcos de marketing orientados al rendimiento que se centran en:',
+    'about.digital.item1': 'Visibilidad en buscadores',
+    'about.digital.item2': 'Eficiencia en adquisición pagada',
+    'about.digital.item3': 'Autoridad de marca',
+    'about.digital.item4': 'Infraestructura digital escalable',
+    'about.digital.outro': 'Trabajamos con objetivos medibles e implementación estratégica.',
+    'about.tax.title': 'Nuestra Especialidad – Asesoría Fiscal y Optimización de Residencia',
+    'about.tax.p1': 'Nos especializamos en sistemas de tributación territorial y en la planificación de cambios de residencia para personas que buscan optimizar su exposición fiscal cumpliendo plenamente con la normativa.',
+    'about.tax.p2': 'Nuestros servicios de asesoría incluyen:',
+    'about.tax.item1': 'Transiciones de residencia fiscal',
+    'about.tax.item2': 'Estructuración internacional',
+    'about.tax.item3': 'Análisis comparativo de jurisdicciones',
+    'about.tax.item4': 'Coordinación de servicios locales con socios',
+    'about.network.title': 'Nuestra Red',
+    'about.network.p1': 'A través de socios locales consolidados en República Dominicana, Paraguay, Filipinas y Dubái, garantizamos apoyo operativo en el terreno para nuestros clientes.',
+    'about.network.p2': 'Nuestra próxima expansión a Vanuatu y Mauricio refleja nuestro compromiso con la cobertura global y el crecimiento estratégico.',
+    'about.commitment.title': 'Nuestro Compromiso',
+    'about.commitment.intro': 'Trabajamos con:',
+    'about.commitment.item1': 'Integridad profesional',
+    'about.commitment.item2': 'Claridad estratégica',
+    'about.commitment.item3': 'Relaciones a largo plazo con los clientes',
+    'about.commitment.item4': 'Impacto medible',
+    'about.commitment.outro': 'Digital Business Resolutions LLC está estructurada para crecer — y para ayudar a nuestros clientes a crecer con nosotros.',
+    'about.contact.title': 'Contáctenos',
+    'about.contact.text': 'Para consultas y asesorías: <a href="mailto:info@digitalbusinessresolutions.com">info@digitalbusinessresolutions.com</a>',
+    'about.map.title': 'Mapa: 412 W 7th St Ste 1141, Clovis, NM 88101, EE. UU.',
+
+    // Conteúdo externo sob demanda (embed-facade.js)
+    'facade.image.text': 'Esta imagen está alojada en {provider}. Al cargarla, su dirección IP se envía a {provider}.',
+    'facade.image.load': 'Cargar imagen',
+    'facade.video.text': 'Este video está alojado en {provider}, que puede establecer cookies y recibir su dirección IP.',
+    'facade.video.load': 'Cargar video',
+    'facade.map.text': 'Este mapa lo proporciona {provider}, que puede establecer cookies y recibir su dirección IP.',
+    'facade.map.load': 'Cargar mapa',
+    'facade.remember': 'Permitir siempre “{category}”',
+
+    // Página não encontrada
+    'notFound.title': 'Página No Encontrada',
+    'notFound.text': 'La página que busca no existe o fue movida.',
+    'notFound.back': 'Volver al Inicio',
+
+    // Falha ao carregar uma página
+    'pageError.title': 'No se pudo cargar esta página',
+    'pageError.text': 'Compruebe su conexión e inténtelo de nuevo.',
+    'pageError.retry': 'Intentar de nuevo',
+
+    // Rodapé
+    'footer.rights': '&copy; Digital Business Resolutions LLC. Todos los derechos reservados.',
+    'footer.disclaimer': 'Digital Business Resolutions LLC presta servicios de marketing digital y asesoría fiscal internacional. Trabajamos con integridad profesional y una asesoría orientada al cumplimiento.',
+
+    // Políticas
+    'policy.lastUpdated': 'Última actualización:',
+    'policy.cookiePolicy.title': 'Política de Cookies',
+    'policy.privacyPolicy.title': 'Política de Privacidad',
+    'policy.languageNote': 'Esta política se publica en inglés, que es la versión que prevalece.',
+    'policy.cookiePreferences.title': 'Preferencias de Cookies',
+    'policy.cookiePreferences.intro': 'Consulte qué cookies usamos, quién las establece y por cuánto tiempo, y cambie o retire su consentimiento en cualquier momento. Los cambios se aplican de inmediato en este navegador.',
+    'policy.inventory.caption': 'Cookies y almacenamiento: {category}',
+    'policy.inventory.name': 'Nombre',
+    'policy.inventory.storage': 'Dónde se guarda',
+    'policy.inventory.provider': 'Proveedor',
+    'policy.inventory.purpose': 'Finalidad',
+    'policy.inventory.duration': 'Duración',
+    'policy.inventory.empty': 'Por ahora no usamos ninguna cookie ni almacenamiento de este tipo.',
+    'policy.inventory.cookie': 'Cookie',
+    'policy.inventory.localStorage': 'Almacenamiento local',
+    'policy.inventory.sessionStorage': 'Almacenamiento de la sesión',
+
+    // Agendamento de consultoria (booking-form.js)
+    'booking.title': 'Agende una Consulta',
+    'booking.intro': 'Cuéntenos qué necesita y cuándo prefiere conversar. Le responderemos para confirmar su consulta.',
+    'booking.errorSummary': 'Corrija lo siguiente:',
+    'booking.requiredHint': 'Los campos marcados con * son obligatorios.',
+    'booking.name': 'Nombre completo',
+    'booking.email': 'Correo electrónico',
+    'booking.serviceLine': 'Servicio',
+    'booking.serviceLine.digitalMarketing': 'Marketing digital (SEO, SEM, campañas)',
+    'booking.serviceLine.taxAdvisory': 'Asesoría fiscal internacional',
+    'booking.serviceLine.both': 'Ambos',
+    'booking.country': 'País de interés (obligatorio para asesoría fiscal)',
+    'booking.country.placeholder': 'Seleccione un país',
+    'booking.country.undecided': 'Aún no lo sé',
+    'booking.contactMethods': '¿Cómo prefiere que lo contactemos?',
+    'booking.contactMethods.email': 'Correo electrónico',
+    'booking.contactMethods.phone': 'Llamada telefónica',
+    'booking.contactMethods.whatsapp': 'WhatsApp',
+    'booking.phone': 'Teléfono / WhatsApp (con código de país)',
+    'booking.phoneHint': 'Obligatorio si elige llamada o WhatsApp.',
+    'booking.preferredDate': 'Fecha preferida',
+    'booking.preferredTime': 'Horario preferido',
+    'booking.preferredTime.placeholder': 'Seleccione un horario',
+    'booking.preferredTime.morning': 'Mañana (9:00–12:00)',
+    'booking.preferredTime.afternoon': 'Tarde (12:00–17:00)',
+    'booking.preferredTime.evening': 'Noche (17:00–20:00)',
+    'booking.timezone': 'Horarios en su zona horaria ({timezone}).',
+    'booking.message': '¿Sobre qué le gustaría conversar?',
+    'booking.consent': 'Acepto que Digital Business Resolutions LLC use estos datos para contactarme sobre esta consulta, según la <a href="#/privacy-policy" data-page="privacy-policy">Política de Privacidad</a>. <span class="form-required" aria-hidden="true">*</span>',
+    'booking.submit': 'Solicitar Consulta',
+    'booking.sending': 'Enviando su solicitud…',
+    'booking.success': '¡Gracias! Su solicitud fue enviada. Nos pondremos en contacto para confirmar su consulta.',
+    'booking.failure': 'No pudimos enviar su solicitud. Inténtelo de nuevo o escríbanos a info@digitalbusinessresolutions.com.',
+    'booking.tooFast': 'Revise sus datos un momento y vuelva a enviar el formulario.',
+    'booking.error.name': 'Ingrese su nombre completo.',
+    'booking.error.emailRequired': 'Ingrese su correo electrónico.',
+    'booking.error.emailInvalid': 'Ingrese un correo válido, como nombre@ejemplo.com.',
+    'booking.error.serviceLine': 'Elija el servicio que le interesa.',
+    'booking.error.country': 'Elija un país de interés para la asesoría fiscal (o "Aún no lo sé").',
+    'booking.error.contactMethods': 'Elija al menos una forma de contacto.',
+    'booking.error.phoneRequired': 'Ingrese un teléfono para que podamos llamarle o escribirle por WhatsApp.',
+    'booking.error.phoneInvalid': 'Ingrese un teléfono válido con el código de país, como +595 981 123 456.',
+    'booking.error.dateRequired': 'Elija una fecha preferida.',
+    'booking.error.datePast': 'Elija hoy o una fecha posterior.',
+    'booking.error.timeRequired': 'Elija un horario preferido.',
+    'booking.error.consent': 'Confirme que podemos usar estos datos para contactarle.',
+
+    // Pedidos de titulares de dados (data-requests.js)
+    'dsar.request.title': '1. Haga una Solicitud',
+    'dsar.type': '¿Qué le gustaría que hiciéramos?',
+    'dsar.type.access': 'Enviarme una copia de mis datos (acceso)',
+    'dsar.type.rectification': 'Corregir mis datos (rectificación)',
+    'dsar.type.erasure': 'Eliminar mis datos (supresión)',
+    'dsar.type.portability': 'Enviarme mis datos en un formato portable (portabilidad)',
+    'dsar.type.consent-withdrawal': 'Dejar de usar mis datos tratados con base en mi consentimiento (retiro del consentimiento)',
+    'dsar.type.hint': 'Sus elecciones de cookies se pueden cambiar al instante en <a href="#/cookie-preferences" data-page="cookie-preferences">Preferencias de Cookies</a>.',
+    'dsar.law': '¿Qué ley se aplica a usted?',
+    'dsar.law.placeholder': 'Seleccione',
+    'dsar.law.lgpd': 'Brasil (LGPD)',
+    'dsar.law.gdpr': 'Unión Europea o Reino Unido (RGPD)',
+    'dsar.law.other': 'Otro país, o no lo sé',
+    'dsar.law.hint': 'Define el plazo de nuestra respuesta: 15 días según la LGPD, un mes según el RGPD y 15 días en los demás casos.',
+    'dsar.email.hint': 'Use el correo que nos proporcionó: enviamos allí el código de verificación.',
+    'dsar.details': 'Detalles de la solicitud',
+    'dsar.details.hint': 'Obligatorio para corregir datos: indique qué está mal y cuál es la información correcta.',
+    'dsar.confirmed': 'Soy la persona a quien se refieren los datos, o estoy autorizado a actuar en su nombre.',
+    'dsar.request.submit': 'Enviar Solicitud',
+    'dsar.verify.title': '2. Confirme Su Identidad',
+    'dsar.code': 'Código de verificación',
+    'dsar.verify.submit': 'Confirmar',
+    'dsar.track.title': '3. Siga Su Solicitud',
+    'dsar.reference': 'Referencia',
+    'dsar.track.submit': 'Consultar Estado',
+    'dsar.export.title': 'Datos Guardados en Este Navegador',
+    'dsar.export.text': 'Su registro de consentimiento de cookies, el tema y el idioma se guardan solo en este dispositivo. Descárguelos en un archivo JSON; no se nos envía nada.',
+    'dsar.export.submit': 'Descargar Mis Datos (JSON)',
+    'dsar.exported': 'El archivo se descargó. Contiene solo lo que este navegador guarda de nuestro sitio.',
+    'dsar.error.type': 'Elija lo que le gustaría que hiciéramos.',
+    'dsar.error.law': 'Elija la ley que se aplica a usted.',
+    'dsar.error.name': 'Ingrese su nombre completo.',
+    'dsar.error.emailRequired': 'Ingrese su correo electrónico.',
+    'dsar.error.emailInvalid': 'Ingrese un correo electrónico válido, como nombre@ejemplo.com.',
+    'dsar.error.details': 'Indique qué información está mal y cuál es la correcta.',
+    'dsar.error.confirmed': 'Confirme que los datos son suyos o que está autorizado a solicitarlos.',
+    'dsar.error.code': 'Ingrese el código de 6 dígitos del correo.',
+    'dsar.error.reference': 'Ingrese la referencia de su solicitud, como DSR-ABCD2345.',
+    'dsar.sending': 'Enviando su solicitud…',
+    'dsar.failure': 'No pudimos enviar su solicitud. Inténtelo de nuevo o escríbanos a info@digitalbusinessresolutions.com.',
+    'dsar.codeSent': 'Su referencia es {reference}. Enviamos un código de 6 dígitos a {email}: ingréselo abajo dentro de 24 horas para confirmar su identidad.',
+    'dsar.verifying': 'Verificando el código…',
+    'dsar.codeInvalid': 'Este código no es correcto. Revise el correo e inténtelo de nuevo.',
+    'dsar.codeExpired': 'Este código venció. Envíe su solicitud de nuevo.',
+    'dsar.tooManyAttempts': 'Demasiados códigos incorrectos. Envíe su solicitud de nuevo.',
+    'dsar.verified': 'Solicitud {reference} confirmada. Responderemos a más tardar el {date}.',
+    'dsar.checking': 'Buscando su solicitud…',
+    'dsar.notFound': 'No encontramos ninguna solicitud con esta referencia y este correo.',
+    'dsar.statusFailure': 'No pudimos consultar su solicitud. Inténtelo más tarde.',
+    'dsar.result.reference': 'Referencia',
+    'dsar.result.type': 'Solicitud',
+    'dsar.result.law': 'Ley',
+    'dsar.result.status': 'Estado',
+    'dsar.result.received': 'Recibida el',
+    'dsar.result.due': 'Plazo de respuesta',
+    'dsar.result.resolved': 'Cerrada el',
+    'dsar.result.daysLeft': '{date} (faltan {days} días)',
+    'dsar.result.overdue': '{date} (plazo vencido: la atendemos con prioridad)',
+    'dsar.status.awaiting_verification': 'Esperando la confirmación de identidad',
+    'dsar.status.open': 'En curso',
+    'dsar.status.completed': 'Respondida',
+    'dsar.status.rejected': 'Cerrada sin atender (le explicamos el motivo por correo)',
+
+    // Banner e preferências de cookies (cookie-consent.js)
+    'consent.banner.text': 'Usamos cookies para mejorar su experiencia, analizar el tráfico y personalizar el contenido. Puede aceptar, rechazar o gestionar sus preferencias.',
+    'consent.banner.label': 'Consentimiento de cookies',
+    'consent.banner.renewalLabel': 'Actualización de la Política de Cookies',
+    'consent.banner.privacyPolicy': 'Política de Privacidad',
+    'consent.banner.cookiePolicy': 'Política de Cookies',
+    'consent.banner.reject': 'Rechazar',
+    'consent.banner.rejectLabel': 'Rechazar todas las cookies',
+    'consent.banner.manage': 'Gestionar preferencias',
+    'consent.banner.manageLabel': 'Gestionar preferencias de cookies',
+    'consent.banner.acceptAll': 'Aceptar todas',
+    'consent.banner.acceptAllLabel': 'Aceptar todas las cookies',
+    'consent.banner.acknowledge': 'Entendido',
+    'consent.banner.acknowledgeLabel': 'Entendido, cerrar el aviso de cookies',
+    'consent.banner.doNotSell': 'No vender ni compartir mi información personal',
+    'consent.renewal.policy': 'Actualizamos nuestra Política de Cookies. Sus elecciones anteriores se mantuvieron donde aún aplican; por favor, revíselas.',
+    'consent.renewal.review': 'Revise sus preferencias de cookies. Sus elecciones anteriores se mantuvieron.',
+    'consent.renewal.categories': 'Nuevas categorías de cookies: {categories}.',
+    'consent.renewal.interval': 'Ha pasado un tiempo desde que revisó sus preferencias.',
+    'consent.modal.title': 'Preferencias de Cookies',
+    'consent.modal.close': 'Cerrar',
+    'consent.modal.description': 'Seleccione qué tipos de cookies desea aceptar. Las cookies necesarias están siempre activas.',
+    'consent.modal.alwaysActive': '{category}: siempre activas',
+    'consent.modal.allow': 'Permitir {category}',
+    'consent.modal.signalLocked': '{category} desactivadas por la configuración {signal} de su navegador',
+    'consent.modal.signalNote': 'Su navegador envía la señal {signal}, por lo que esta categoría permanece desactivada. Desactive la señal en la configuración del navegador para habilitarla.',
+    'consent.modal.reject': 'Rechazar',
+    'consent.modal.acceptAll': 'Aceptar todas',
+    'consent.modal.save': 'Guardar preferencias',
+    'consent.modal.preferencesCenter': 'Ver todas las cookies que usamos y los detalles de su consentimiento',
+    'consent.modal.cookies': 'Cookies y almacenamiento usados ({count})',
+    'consent.launcher.label': 'Configuración de cookies',
+    'consent.launcher.doNotSell': 'No vender ni compartir mi información personal',
+    'consent.center.consentTitle': 'Su consentimiento',
+    'consent.center.noChoice': 'Todavía no ha elegido. Hasta entonces, solo usamos cookies necesarias.',
+    'consent.center.noChoiceImplied': 'Todavía no ha elegido. Las categorías activadas abajo están en uso hasta que las desactive.',
+    'consent.center.consentId': 'ID del consentimiento',
+    'consent.center.givenAt': 'Otorgado el',
+    'consent.center.policyRevision': 'Versión de la Política de Cookies',
+    'consent.center.jurisdiction': 'Reglas de privacidad aplicadas',
+    'consent.center.categoriesTitle': 'Categorías de cookies',
+    'consent.center.cookiesCaption': 'Cookies establecidas por {category}',
+    'consent.center.cookieName': 'Nombre',
+    'consent.center.cookieProvider': 'Proveedor',
+    'consent.center.cookiePurpose': 'Finalidad',
+    'consent.center.cookieDuration': 'Duración',
+    'consent.center.noCookies': 'Esta categoría no establece ninguna cookie por ahora.',
+    'consent.center.save': 'Guardar mis elecciones',
+    'consent.center.acceptAll': 'Aceptar todas',
+    'consent.center.withdraw': 'Retirar consentimiento',
+    'consent.center.withdrawHint': 'Al retirar el consentimiento se desactivan todas las categorías opcionales y se eliminan sus cookies. Las cookies necesarias se mantienen, porque el sitio las necesita para funcionar.',
+    'consent.center.saved': 'Sus elecciones se guardaron.',
+    'consent.center.withdrawn': 'Su consentimiento fue retirado.',
+    'consent.center.saveFailed': 'No se pudieron guardar sus elecciones. Compruebe que su navegador permite cookies o el almacenamiento del sitio e inténtelo de nuevo.',
+    'consent.reload.text': 'Sus preferencias se guardaron y se eliminaron las cookies relacionadas. Algunas funciones que desactivó siguen en ejecución en esta página; recárguela para detenerlas por completo.',
+    'consent.reload.later': 'Más tarde',
+    'consent.reload.now': 'Recargar página',
+    'consent.status.saved': 'Sus preferencias de cookies se guardaron.',
+    'consent.status.doNotSell': 'Su elección se guardó: no venderemos ni compartiremos su información personal.',
+    'consent.jurisdictions.gdpr.label': 'Unión Europea (RGPD)',
+    'consent.jurisdictions.lgpd.label': 'Brasil (LGPD)',
+    'consent.jurisdictions.cpra.label': 'California (CCPA/CPRA)',
+    'consent.jurisdictions.cpra.bannerText': 'Usamos cookies para mejorar su experiencia, analizar el tráfico y con fines publicitarios. Puede oponerse a la venta o el intercambio de su información personal en cualquier momento.',
+    'consent.jurisdictions.notice.label': 'Otros mercados',
+    'consent.jurisdictions.notice.bannerText': 'Usamos cookies para mejorar su experiencia y analizar el tráfico. Puede cambiar qué cookies usamos en cualquier momento.',
+    'consent.categories.necessary.label': 'Cookies Necesarias',
+    'consent.categories.necessary.description': 'Esenciales para el funcionamiento del sitio. Siempre activas.',
+    'consent.categories.functional.label': 'Cookies Funcionales',
+    'consent.categories.functional.description': 'Habilitan funciones opcionales, como recordar los datos que ingresa en formularios.',
+    'consent.categories.analytics.label': 'Cookies de Análisis',
+    'consent.categories.analytics.description': 'Nos ayudan a entender cómo se utiliza el sitio (estadísticas).',
+    'consent.categories.marketing.label': 'Cookies de Marketing',
+    'consent.categories.marketing.description': 'Se usan en campañas de marketing y para medir el rendimiento de los anuncios.',
+    'consent.categories.personalization.label': 'Cookies de Personalización',
+    'consent.categories.personalization.description': 'Adaptan contenidos y recomendaciones a sus intereses.',
+    'consent.categories.youtube.label': 'Videos de YouTube',
+    'consent.categories.youtube.description': 'Cargan videos incrustados de YouTube. YouTube puede establecer cookies y recibir su dirección IP.',
+    'consent.categories.media.label': 'Medios Externos',
+    'consent.categories.media.description': 'Cargan imágenes y mapas alojados en otros servicios, como fotos de Unsplash y Google Maps. Estos servicios reciben su dirección IP, y Google Maps puede establecer cookies.',
+    'consent.cookies.cookie_consent.purpose': 'Guarda sus preferencias de cookies',
+    'consent.cookies.cookie_consent.duration': '365 días',
+    'consent.cookies.cookie_consent_receipts.purpose': 'Guarda los comprobantes de sus elecciones de consentimiento aún no enviados, por ejemplo sin conexión',
+    'consent.cookies.cookie_consent_receipts.duration': 'Hasta su envío',
+    'consent.cookies.theme.purpose': 'Recuerda el tema que eligió (claro, oscuro o del sistema)',
+    'consent.cookies.theme.duration': 'Hasta que lo cambie',
+    'consent.cookies.language.purpose': 'Recuerda el idioma que eligió',
+    'consent.cookies.language.duration': 'Hasta que lo cambie',
+    'consent.cookies.analytics_session.purpose': 'Agrupa las páginas vistas en una visita (sessionStorage)',
+    'consent.cookies.analytics_session.duration': 'Sesión',
+    'consent.cookies.analytics_queue.purpose': 'Guarda estadísticas aún no enviadas, por ejemplo sin conexión (localStorage)',
+    'consent.cookies.analytics_queue.duration': 'Hasta su envío',
+    'consent.cookies._ga.purpose': 'Distingue visitantes únicos',
+    'consent.cookies._ga.duration': '2 años',
+    'consent.cookies._ga_*.purpose': 'Mantiene el estado de la sesión',
+    'consent.cookies._ga_*.duration': '2 años',
+    'consent.cookies._gid.purpose': 'Distingue visitantes durante 24 horas',
+    'consent.cookies._gid.duration': '24 horas',
+    'consent.cookies._gat*.purpose': 'Limita la frecuencia de solicitudes',
+    'consent.cookies._gat*.duration': '1 minuto',
+    'consent.cookies._fbp.purpose': 'Muestra y mide anuncios',
+    'consent.cookies._fbp.duration': '90 días',
+    'consent.cookies._fbc.purpose': 'Guarda el último clic en un anuncio',
+    'consent.cookies._fbc.duration': '90 días',
+    'consent.cookies._gcl_*.purpose': 'Atribuye conversiones a clics en anuncios',
+    'consent.cookies._gcl_*.duration': '90 días',
+    'consent.cookies.YSC.purpose': 'Registra las reproducciones de video en la sesión',
+    'consent.cookies.YSC.duration': 'Sesión',
+    'consent.cookies.VISITOR_INFO1_LIVE.purpose': 'Estima el ancho de banda para el reproductor',
+    'consent.cookies.VISITOR_INFO1_LIVE.duration': '6 meses',
+    'consent.cookies.VISITOR_PRIVACY_METADATA.purpose': 'Guarda el estado de consentimiento del visitante en YouTube',
+    'consent.cookies.VISITOR_PRIVACY_METADATA.duration': '6 meses',
+    'consent.cookies.NID.purpose': 'Recuerda las preferencias del mapa',
+    'consent.cookies.NID.duration': '6 meses',
+    'consent.revisions.2026-10-19.summary': 'Se añadieron las categorías de cookies funcionales, de personalización, de videos de YouTube y de medios externos, y nuestras estadísticas propias en Análisis.'
+});
@@ -0,0 +1,463 @@
+/**
+ * Catálogo de traduções - Português (Brasil)
+ * As chaves correspondem às marcações data-i18n do HTML e aos textos do cookie-consent.js
+ */
+
+window.I18n.register('pt-BR', {
+    // Navegação e acessibilidade
+    'a11y.skip': 'Pular para o conteúdo',
+    'a11y.loading': 'Carregando a página',
+    'nav.home': 'Início',
+    'nav.about': 'Quem Somos',
+    'a11y.theme': 'Tema',
+    'theme.system': 'Sistema',
+    'theme.light': 'Claro',
+    'theme.dark': 'Escuro',
+    'a11y.language': 'Idioma',
+
+    // Títulos das páginas
+    'title.home': 'Digital Business Resolutions LLC — Estratégia Digital e Otimização Tributária Internacional',
+    'title.quem-somos': 'Quem Somos — Digital Business Resolutions LLC',
+    'title.not-found': 'Página Não Encontrada — Digital Business Resolutions LLC',
+    'title.cookie-policy': 'Política de Cookies — Digital Business Resolutions LLC',
+    'title.privacy-policy': 'Política de Privacidade — Digital Business Resolutions LLC',
+    'title.cookie-preferences': 'Preferências de Cookies — Digital Business Resolutions LLC',
+    'title.page-error': 'Página Indisponível — Digital Business Resolutions LLC',
+
+    // Home
+    'meta.home.description': 'Digital Business Resolutions LLC - Estratégia Digital e Otimização Tributária Internacional. Capacitamos empreendedores com estratégias avançadas de marketing digital e assessoria tributária internacional.',
+    'meta.quem-somos.description': 'Conheça a Digital Business Resolutions LLC: nossa missão, como trabalhamos e como agendar uma consultoria de estratégia digital ou tributação internacional.',
+    'meta.privacy-policy.description': 'Como a Digital Business Resolutions LLC coleta, usa, compartilha e protege seus dados pessoais, e como exercer seus direitos.',
+    'meta.cookie-policy.description': 'Quais cookies o site da Digital Business Resolutions LLC usa, por que, e como gerenciar ou retirar seu consentimento.',
+    'meta.cookie-preferences.description': 'Veja os cookies que usamos e altere ou retire seu consentimento.',
+    'home.hero.title': 'Estratégia Digital e Otimização Tributária Internacional<br>Feitas para um Mundo sem Fronteiras',
+    'home.hero.subtitle': 'Ajudamos empreendedores e pequenas empresas a crescer no digital e a se estruturar internacionalmente com precisão.',
+    'home.hero.cta': 'Agende uma Consultoria',
+    'home.hero.explore': 'Conheça Nossos Serviços',
+    'home.trust.integrated': 'Estratégia Integrada',
+    'home.trust.compliance': 'Foco em Conformidade',
+    'home.trust.network': 'Rede Internacional',
+    'home.who.title': 'Quem Somos',
+    'home.who.p1': 'A Digital Business Resolutions LLC é uma empresa orientada a resultados, especializada em Marketing Digital, SEO, SEM e posicionamento estratégico, aliados a serviços de assessoria tributária nacional e internacional.',
+    'home.who.p2': 'Atuamos na interseção entre crescimento digital e otimização fiscal — ajudando pessoas e empresas a escalar com eficiência enquanto estruturam suas operações de forma inteligente.',
+    'home.digital.title': 'Crescimento Digital Orientado por Dados',
+    'home.digital.intro': 'Oferecemos serviços completos de marketing para aumentar visibilidade, autoridade e receita.',
+    'home.digital.item1': 'Otimização para Mecanismos de Busca (SEO)',
+    'home.digital.item2': 'Marketing em Mecanismos de Busca (SEM)',
+    'home.digital.item3': 'Estratégia de Posicionamento Online',
+    'home.digital.item4': 'Campanhas Digitais de Performance',
+    'home.digital.item5': 'Otimização de Conversão',
+    'home.digital.item6': 'Ferramentas Digitais para Empreendedores e Pequenas Empresas',
+    'home.digital.item7': 'Desenvolvimento Estratégico de Marca',
+    'home.digital.outro': 'Nossa abordagem é analítica, voltada a performance e alinhada a KPIs mensuráveis.',
+    'home.fiscal.title': 'Planejamento Fiscal Estratégico para um Mundo Globalizado',
+    'home.fiscal.intro': 'Assessoramos pessoas e empresas que buscam soluções legais e eficientes de estruturação tributária, em âmbito nacional e internacional.',
+    'home.fiscal.residency.title': 'Mudança de Residência Fiscal',
+    'home.fiscal.residency.text': 'Orientação estratégica para quem busca a melhor solução de residência fiscal.',
+    'home.fiscal.territorial.title': 'Assessoria em Tributação Territorial',
+    'home.fiscal.territorial.text': 'Consultoria especializada em sistemas de tributação territorial e oportunidades de estruturação.',
+    'home.fiscal.optimization.title': 'Estratégias de Otimização Tributária Internacional',
+    'home.fiscal.optimization.alt': 'Otimização Tributária Internacional',
+    'home.fiscal.optimization.text': 'Estruturação fiscal internacional e assessoria estratégica para empreendedores e nômades digitais.',
+    'home.fiscal.outro': 'Nosso foco é conformidade, sustentabilidade e eficiência fiscal de longo prazo.',
+    'home.countries.title': 'Países de Atuação',
+    'home.countries.dr.name': 'República Dominicana',
+    'home.countries.dr.text': 'Soluções estratégicas de residência fiscal e estruturação territorial.',
+    'home.countries.py.name': 'Paraguai',
+    'home.countries.py.text': 'Regimes atrativos de tributação territorial para empreendedores internacionais.',
+    'home.countries.ph.name': 'Filipinas',
+    'home.countries.ph.text': 'Oportunidades emergentes no Sudeste Asiático e assessoria de residência.',
+    'home.countries.ae.name': 'Dubai',
+    'home.countries.ae.text': 'Estruturação internacional avançada em um ambiente sem imposto de renda.',
+    'home.expansion.title': 'Estratégia de Expansão',
+    'home.expansion.intro': 'Estamos ampliando nossa capacidade de atuação para:',
+    'home.expansion.vanuatu': 'Vanuatu',
+    'home.expansion.mauritius': 'Maurício',
+    'home.expansion.text': 'Parcerias estratégicas estão sendo concluídas para oferecer soluções competitivas e em conformidade nessas jurisdições. Como empresa em crescimento, nossa missão é a expansão internacional contínua, mantendo padrões profissionais rigorosos.',
+    'home.why.title': 'Por Que Nos Escolher',
+    'home.why.item1': 'Estratégia Digital + Fiscal Integrada',
+    'home.why.item2': 'Rede Internacional de Parceiros Verificados',
+    'home.why.item3': 'Assessoria com Foco em Conformidade',
+    'home.why.item4': 'Visão Estratégica de Longo Prazo',
+    'home.why.item5': 'Soluções Focadas em Crescimento',
+    'home.why.cta': 'Agende Hoje Sua Consultoria Estratégica',
+
+    // Comparador de residência fiscal (tax-comparison.js)
+    'tax.title': 'Compare os Países',
+    'tax.intro': 'Filtre pelo que importa para você e compare as principais regras lado a lado, ou responda a quatro perguntas para ver qual país combina mais com você.',
+    'tax.loading': 'Carregando a comparação…',
+    'tax.loadError': 'Não foi possível carregar a comparação. Recarregue a página ou agende uma consultoria para conversarmos.',
+    'tax.reviewed': 'Informações revisadas em {date}.',
+    'tax.filters.title': 'Filtrar países',
+    'tax.filters.any': 'Qualquer',
+    'tax.filters.taxation': 'Tributação',
+    'tax.filters.stay': 'Dias que você pode passar no país por ano',
+    'tax.filters.stay.90': 'Até 90 dias',
+    'tax.filters.stay.120': 'Até 120 dias',
+    'tax.filters.stay.180': 'Até 180 dias',
+    'tax.filters.budget': 'Investimento ou depósito',
+    'tax.filters.budget.0': 'Nenhum',
+    'tax.filters.budget.25000': 'Até USD 25.000',
+    'tax.filters.setup': 'Pronto em até',
+    'tax.filters.setup.3': '3 meses',
+    'tax.filters.setup.6': '6 meses',
+    'tax.table.caption': 'Regras de residência fiscal por país',
+    'tax.empty': 'Nenhum país atende a esses filtros. Retire um filtro ou agende uma consultoria para avaliarmos outras opções.',
+    'tax.taxation.territorial': 'Territorial',
+    'tax.taxation.worldwide': 'Renda mundial',
+    'tax.taxation.none': 'Sem imposto de renda pessoal',
+    'tax.topRate': 'até {rate}%',
+    'tax.row.taxation': 'Tributação',
+    'tax.row.incomeRules': 'Renda do exterior',
+    'tax.row.minimumStay': 'Permanência para residência fiscal',
+    'tax.row.investment': 'Investimento ou depósito',
+    'tax.row.setup': 'Prazo',
+    'tax.foreignIncome.exempt': 'Não tributada',
+    'tax.foreignIncome.partial': 'Tributada em parte',
+    'tax.foreignIncome.taxed': 'Tributada',
+    'tax.days': '{days} dias por ano',
+    'tax.noInvestment': 'Não exigido',
+    'tax.fromAmount': 'A partir de {amount}',
+    'tax.months': '{min}–{max} meses',
+    'tax.book': 'Agendar consultoria',
+    'tax.bookCountry': 'Agendar consultoria sobre {country}',
+    'tax.quiz.title': 'Qual País Combina com Você?',
+    'tax.quiz.income': 'De onde virá a maior parte da sua renda?',
+    'tax.quiz.income.foreign': 'De clientes, empregadores ou investimentos no exterior',
+    'tax.quiz.income.local': 'De uma empresa ou emprego no novo país',
+    'tax.quiz.income.mixed': 'Das duas fontes',
+    'tax.quiz.stay': 'Quanto tempo você pode passar no país por ano?',
+    'tax.quiz.stay.60': 'Menos de 3 meses',
+    'tax.quiz.stay.150': 'De 3 a 6 meses',
+    'tax.quiz.stay.365': 'Mais de 6 meses',
+    'tax.quiz.budget': 'Quanto você pode investir ou depositar para obter a residência?',
+    'tax.quiz.budget.0': 'Nada',
+    'tax.quiz.budget.25000': 'Até USD 25.000',
+    'tax.quiz.budget.250000': 'Até USD 250.000',
+    'tax.quiz.budget.unlimited': 'Mais do que isso',
+    'tax.quiz.setup': 'Quando você precisa da residência?',
+    'tax.quiz.setup.3': 'Em até 3 meses',
+    'tax.quiz.setup.6': 'Em até 6 meses',
+    'tax.quiz.setup.12': 'Tenho flexibilidade',
+    'tax.quiz.submit': 'Ver Meu Ranking',
+    'tax.quiz.missing': 'Responda a todas as perguntas para ver o seu ranking.',
+    'tax.ranking.title': 'Seu Ranking',
+    'tax.ranking.score': 'Compatibilidade: {score}/10',
+    'tax.reason.foreign.exempt': 'A renda do exterior não é tributada.',
+    'tax.reason.foreign.partial': 'Parte da sua renda do exterior pode ser tributada.',
+    'tax.reason.foreign.taxed': 'A renda do exterior é tributada.',
+    'tax.reason.local.none': 'Não há imposto sobre a renda obtida no país.',
+    'tax.reason.local.rate': 'A renda obtida no país paga até {rate}%.',
+    'tax.reason.stay.ok': 'O seu tempo no país basta para a residência fiscal ({days} dias).',
+    'tax.reason.stay.short': 'A residência fiscal exige cerca de {days} dias por ano.',
+    'tax.reason.budget.ok': 'A residência cabe no seu orçamento.',
+    'tax.reason.budget.over': 'A opção mais acessível exige {amount}.',
+    'tax.reason.setup.ok': 'Costuma ficar pronta em {min}–{max} meses.',
+    'tax.reason.setup.slow': 'Costuma levar {min}–{max} meses.',
+    'tax.prefill.country': 'Tenho interesse em residência fiscal em {country}.',
+    'tax.prefill.answers': 'Minhas respostas na comparação de países: {answers}.',
+    'tax.disclaimer': 'Esta comparação é um guia simplificado, não uma consultoria tributária: as regras mudam e cada caso é diferente. Confirmamos os detalhes da sua situação em uma consultoria.',
+
+    // Quem Somos
+    'about.mission.title': 'Nossa Missão',
+    'about.mission.p1': 'Na Digital Business Resolutions LLC, nossa missão é oferecer a empreendedores e pequenas empresas as ferramentas, estratégias e estruturas fiscais necessárias para operar de forma global e eficiente.',
+    'about.mission.p2': 'Acreditamos em posicionamento estratégico — tanto digital quanto fiscal.',
+    'about.vision.title': 'Nossa Visão',
+    'about.vision.p1': 'Ser uma assessoria internacional de referência, unindo expertise em marketing digital a estratégias globais de otimização tributária.',
+    'about.vision.p2': 'Queremos apoiar empreendedores independentes de localização e investidores internacionais com soluções sustentáveis, em conformidade e inteligentes.',
+    'about.digital.title': 'Nossa Expertise – Estratégia Digital',
+    'about.digital.alt': 'Estratégia Digital',
+    'about.digital.intro': 'Nossa equipe desenvolve estruturas de marketing orientadas a performance com foco em:',
+    'about.digital.item1': 'Visibilidade nas buscas',
+    'about.digital.item2': 'Eficiência em mídia paga',
+    'about.digital.item3': 'Autoridade de marca',
+    'about.digital.item4': 'Infraestrutura digital escalável',
+    'about.digital.outro': 'Trabalhamos com objetivos mensuráveis e implementação estratégica.',
+    'about.tax.title': 'Nossa Expertise – Assessoria Tributária e Otimização de Residência',
+    'about.tax.p1': 'Somos especialistas em sistemas de tributação territorial e no planejamento de mudança de residência para quem deseja otimizar sua exposição fiscal mantendo total conformidade.',
+    'about.tax.p2': 'Nossos serviços de assessoria incluem:',
+    'about.tax.item1': 'Transição de residência fiscal',
+    'about.tax.item2': 'Estruturação internacional',
+    'about.tax.item3': 'Análise comparativa de jurisdições',
+    'about.tax.item4': 'Coordenação de serviços locais com parceiros',
+    'about.network.title': 'Nossa Rede',
+    'about.network.p1': 'Por meio de parceiros locais consolidados na República Dominicana, no Paraguai, nas Filipinas e em Dubai, garantimos suporte operacional presencial aos nossos clientes.',
+    'about.network.p2': 'Nossa próxima expansão para Vanuatu e Maurício reflete nosso compromisso com a cobertura global e o crescimento estratégico.',
+    'about.commitment.title': 'Nosso Compromisso',
+    'about.commitment.intro': 'Atuamos com:',
+    'about.commitment.item1': 'Integridade profissional',
+    'about.commitment.item2': 'Clareza estratégica',
+    'about.commitment.item3': 'Relacionamentos de longo prazo com clientes',
+    'about.commitment.item4': 'Impacto mensurável',
+    'about.commitment.outro': 'A Digital Business Resolutions LLC foi estruturada para crescer — e para ajudar nossos clientes a crescer conosco.',
+    'about.contact.title': 'Fale Conosco',
+    'about.contact.text': 'Para dúvidas e consultorias: <a href="mailto:info@digitalbusinessresolutions.com">info@digitalbusinessresolutions.com</a>',
+    'about.map.title': 'Mapa: 412 W 7th St Ste 1141, Clovis, NM 88101, EUA',
+
+    // Conteúdo externo sob demanda (embed-facade.js)
+    'facade.image.text': 'Esta imagem está hospedada no {provider}. Ao carregá-la, seu endereço IP é enviado ao {provider}.',
+    'facade.image.load': 'Carregar imagem',
+    'facade.video.text': 'Este vídeo está hospedado no {provider}, que pode definir cookies e receber seu endereço IP.',
+    'facade.video.load': 'Carregar vídeo',
+    'facade.map.text': 'Este mapa é fornecido pelo {provider}, que pode definir cookies e receber seu endereço IP.',
+    'facade.map.load': 'Carregar mapa',
+    'facade.remember': 'Sempre permitir “{category}”',
+
+    // Página não encontrada
+    'notFound.title': 'Página Não Encontrada',
+    'notFound.text': 'A página que você procura não existe ou foi movida.',
+    'notFound.back': 'Voltar ao Início',
+
+    // Falha ao carregar uma página
+    'pageError.title': 'Não foi possível carregar esta página',
+    'pageError.text': 'Verifique sua conexão e tente novamente.',
+    'pageError.retry': 'Tentar novamente',
+
+    // Rodapé
+    'footer.rights': '&copy; Digital Business Resolutions LLC. Todos os direitos reservados.',
+    'footer.disclaimer': 'A Digital Business Resolutions LLC presta serviços de marketing digital e assessoria tributária internacional. Atuamos com integridade profissional e assessoria voltada à conformidade.',
+
+    // Políticas
+    'policy.lastUpdated': 'Última atualização:',
+    'policy.cookiePolicy.title': 'Política de Cookies',
+    'policy.privacyPolicy.title': 'Política de Privacidade',
+    'policy.languageNote': 'Esta política é publicada em inglês, que é a versão que prevalece.',
+    'policy.cookiePreferences.title': 'Preferências de Cookies',
+    'policy.cookiePreferences.intro': 'Veja quais cookies usamos, quem os define e por quanto tempo, e altere ou retire seu consentimento a qualquer momento. As mudanças valem imediatamente neste navegador.',
+    'policy.inventory.caption': 'Cookies e armazenamento: {category}',
+    'policy.inventory.name': 'Nome',
+    'policy.inventory.storage': 'Onde fica',
+    'policy.inventory.provider': 'Fornecedor',
+    'policy.inventory.purpose': 'Finalidade',
+    'policy.inventory.duration': 'Duração',
+    'policy.inventory.empty': 'No momento, não usamos nenhum cookie ou armazenamento deste tipo.',
+    'policy.inventory.cookie': 'Cookie',
+    'policy.inventory.localStorage': 'Armazenamento local',
+    'policy.inventory.sessionStorage': 'Armazenamento da sessão',
+
+    // Agendamento de consultoria (booking-form.js)
+    'booking.title': 'Agende uma Consultoria',
+    'booking.intro': 'Conte o que você precisa e quando prefere conversar. Responderemos para confirmar sua consultoria.',
+    'booking.errorSummary': 'Corrija os seguintes itens:',
+    'booking.requiredHint': 'Campos marcados com * são obrigatórios.',
+    'booking.name': 'Nome completo',
+    'booking.email': 'E-mail',
+    'booking.serviceLine': 'Serviço',
+    'booking.serviceLine.digitalMarketing': 'Marketing digital (SEO, SEM, campanhas)',
+    'booking.serviceLine.taxAdvisory': 'Assessoria tributária internacional',
+    'booking.serviceLine.both': 'Ambos',
+    'booking.country': 'País de interesse (obrigatório para assessoria tributária)',
+    'booking.country.placeholder': 'Selecione um país',
+    'booking.country.undecided': 'Ainda não sei',
+    'booking.contactMethods': 'Como prefere ser contatado?',
+    'booking.contactMethods.email': 'E-mail',
+    'booking.contactMethods.phone': 'Ligação telefônica',
+    'booking.contactMethods.whatsapp': 'WhatsApp',
+    'booking.phone': 'Telefone / WhatsApp (com código do país)',
+    'booking.phoneHint': 'Obrigatório se você escolher ligação ou WhatsApp.',
+    'booking.preferredDate': 'Data preferida',
+    'booking.preferredTime': 'Horário preferido',
+    'booking.preferredTime.placeholder': 'Selecione um horário',
+    'booking.preferredTime.morning': 'Manhã (9:00–12:00)',
+    'booking.preferredTime.afternoon': 'Tarde (12:00–17:00)',
+    'booking.preferredTime.evening': 'Noite (17:00–20:00)',
+    'booking.timezone': 'Horários no seu fuso horário ({timezone}).',
+    'booking.message': 'Sobre o que você gostaria de conversar?',
+    'booking.consent': 'Concordo que a Digital Business Resolutions LLC use estes dados para me contatar sobre esta consultoria, conforme a <a href="#/privacy-policy" data-page="privacy-policy">Política de Privacidade</a>. <span class="form-required" aria-hidden="true">*</span>',
+    'booking.submit': 'Solicitar Consultoria',
+    'booking.sending': 'Enviando sua solicitação…',
+    'booking.success': 'Obrigado! Sua solicitação foi enviada. Entraremos em contato para confirmar sua consultoria.',
+    'booking.failure': 'Não foi possível enviar sua solicitação. Tente novamente ou escreva para info@digitalbusinessresolutions.com.',
+    'booking.tooFast': 'Revise seus dados por um momento e envie o formulário novamente.',
+    'booking.error.name': 'Informe seu nome completo.',
+    'booking.error.emailRequired': 'Informe seu e-mail.',
+    'booking.error.emailInvalid': 'Informe um e-mail válido, como nome@exemplo.com.',
+    'booking.error.serviceLine': 'Escolha o serviço de seu interesse.',
+    'booking.error.country': 'Escolha um país de interesse para a assessoria tributária (ou "Ainda não sei").',
+    'booking.error.contactMethods': 'Escolha pelo menos uma forma de contato.',
+    'booking.error.phoneRequired': 'Informe um telefone para que possamos ligar ou enviar mensagem no WhatsApp.',
+    'booking.error.phoneInvalid': 'Informe um telefone válido com o código do país, como +55 11 91234 5678.',
+    'booking.error.dateRequired': 'Escolha uma data preferida.',
+    'booking.error.datePast': 'Escolha hoje ou uma data futura.',
+    'booking.error.timeRequired': 'Escolha um horário preferido.',
+    'booking.error.consent': 'Confirme que podemos usar estes dados para entrar em contato.',
+
+    // Pedidos de titulares de dados (data-requests.js)
+    'dsar.request.title': '1. Faça um Pedido',
+    'dsar.type': 'O que você gostaria que fizéssemos?',
+    'dsar.type.access': 'Enviar uma cópia dos meus dados (acesso)',
+    'dsar.type.rectification': 'Corrigir meus dados (correção)',
+    'dsar.type.erasure': 'Eliminar meus dados (eliminação)',
+    'dsar.type.portability': 'Enviar meus dados em formato portável (portabilidade)',
+    'dsar.type.consent-withdrawal': 'Parar de usar meus dados tratados com base no meu consentimento (revogação do consentimento)',
+    'dsar.type.hint': 'As escolhas de cookies podem ser alteradas na hora em <a href="#/cookie-preferences" data-page="cookie-preferences">Preferências de Cookies</a>.',
+    'dsar.law': 'Qual lei se aplica a você?',
+    'dsar.law.placeholder': 'Selecione',
+    'dsar.law.lgpd': 'Brasil (LGPD)',
+    'dsar.law.gdpr': 'União Europeia ou Reino Unido (GDPR)',
+    'dsar.law.other': 'Outro país, ou não sei',
+    'dsar.law.hint': 'Ela define o prazo da nossa resposta: 15 dias pela LGPD, um mês pelo GDPR e 15 dias nos demais casos.',
+    'dsar.email.hint': 'Use o e-mail que você nos informou: o código de verificação é enviado para ele.',
+    'dsar.details': 'Detalhes do pedido',
+    'dsar.details.hint': 'Obrigatório para corrigir dados: diga o que está errado e qual é a informação correta.',
+    'dsar.confirmed': 'Sou a pessoa a quem os dados se referem, ou estou autorizado a agir em nome dela.',
+    'dsar.request.submit': 'Enviar Pedido',
+    'dsar.verify.title': '2. Confirme Sua Identidade',
+    'dsar.code': 'Código de verificação',
+    'dsar.verify.submit': 'Confirmar',
+    'dsar.track.title': '3. Acompanhe Seu Pedido',
+    'dsar.reference': 'Referência',
+    'dsar.track.submit': 'Consultar Situação',
+    'dsar.export.title': 'Dados Guardados Neste Navegador',
+    'dsar.export.text': 'Seu registro de consentimento de cookies, o tema e o idioma ficam só neste aparelho. Baixe-os em um arquivo JSON; nada é enviado para nós.',
+    'dsar.export.submit': 'Baixar Meus Dados (JSON)',
+    'dsar.exported': 'O arquivo foi baixado. Ele contém só o que este navegador guarda do nosso site.',
+    'dsar.error.type': 'Escolha o que você gostaria que fizéssemos.',
+    'dsar.error.law': 'Escolha a lei que se aplica a você.',
+    'dsar.error.name': 'Informe seu nome completo.',
+    'dsar.error.emailRequired': 'Informe seu e-mail.',
+    'dsar.error.emailInvalid': 'Informe um e-mail válido, como nome@exemplo.com.',
+    'dsar.error.details': 'Diga qual informação está errada e qual é a correta.',
+    'dsar.error.confirmed': 'Confirme que os dados são seus ou que você está autorizado a pedi-los.',
+    'dsar.error.code': 'Informe o código de 6 dígitos do e-mail.',
+    'dsar.error.reference': 'Informe a referência do seu pedido, como DSR-ABCD2345.',
+    'dsar.sending': 'Enviando seu pedido…',
+    'dsar.failure': 'Não foi possível enviar seu pedido. Tente novamente ou escreva para info@digitalbusinessresolutions.com.',
+    'dsar.codeSent': 'Sua referência é {reference}. Enviamos um código de 6 dígitos para {email}: informe-o abaixo em até 24 horas para confirmar sua identidade.',
+    'dsar.verifying': 'Conferindo o código…',
+    'dsar.codeInvalid': 'Este código não está correto. Confira o e-mail e tente novamente.',
+    'dsar.codeExpired': 'Este código expirou. Envie seu pedido novamente.',
+    'dsar.tooManyAttempts': 'Muitos códigos incorretos. Envie seu pedido novamente.',
+    'dsar.verified': 'Pedido {reference} confirmado. Responderemos até {date}.',
+    'dsar.checking': 'Procurando seu pedido…',
+    'dsar.notFound': 'Não encontramos nenhum pedido com esta referência e este e-mail.',
+    'dsar.statusFailure': 'Não foi possível consultar seu pedido. Tente novamente mais tarde.',
+    'dsar.result.reference': 'Referência',
+    'dsar.result.type': 'Pedido',
+    'dsar.result.law': 'Lei',
+    'dsar.result.status': 'Situação',
+    'dsar.result.received': 'Recebido em',
+    'dsar.result.due': 'Prazo da resposta',
+    'dsar.result.resolved': 'Encerrado em',
+    'dsar.result.daysLeft': '{date} (faltam {days} dias)',
+    'dsar.result.overdue': '{date} (prazo vencido: estamos tratando com prioridade)',
+    'dsar.status.awaiting_verification': 'Aguardando a confirmação de identidade',
+    'dsar.status.open': 'Em andamento',
+    'dsar.status.completed': 'Respondido',
+    'dsar.status.rejected': 'Encerrado sem atendimento (explicamos o motivo por e-mail)',
+
+    // Banner e preferências de cookies (cookie-consent.js)
+    'consent.banner.text': 'Usamos cookies para melhorar sua experiência, analisar o tráfego e personalizar conteúdo. Você pode aceitar, rejeitar ou gerenciar suas preferências.',
+    'consent.banner.label': 'Consentimento de cookies',
+    'consent.banner.renewalLabel': 'Atualização da Política de Cookies',
+    'consent.banner.privacyPolicy': 'Política de Privacidade',
+    'consent.banner.cookiePolicy': 'Política de Cookies',
+    'consent.banner.reject': 'Rejeitar',
+    'consent.banner.rejectLabel': 'Rejeitar todos os cookies',
+    'consent.banner.manage': 'Gerenciar preferências',
+    'consent.banner.manageLabel': 'Gerenciar preferências de cookies',
+    'consent.banner.acceptAll': 'Aceitar todos',
+    'consent.banner.acceptAllLabel': 'Aceitar todos os cookies',
+    'consent.banner.acknowledge': 'Entendi',
+    'consent.banner.acknowledgeLabel': 'Entendi, fechar o aviso de cookies',
+    'consent.banner.doNotSell': 'Não vender nem compartilhar minhas informações pessoais',
+    'consent.renewal.policy': 'Atualizamos nossa Política de Cookies. Suas escolhas anteriores foram mantidas onde ainda se aplicam; revise-as, por favor.',
+    'consent.renewal.review': 'Revise suas preferências de cookies. Suas escolhas anteriores foram mantidas.',
+    'consent.renewal.categories': 'Novas categorias de cookies: {categories}.',
+    'consent.renewal.interval': 'Já faz algum tempo desde que você revisou suas preferências.',
+    'consent.modal.title': 'Preferências de Cookies',
+    'consent.modal.close': 'Fechar',
+    'consent.modal.description': 'Selecione quais tipos de cookies você deseja aceitar. Os cookies necessários estão sempre ativos.',
+    'consent.modal.alwaysActive': '{category} sempre ativos',
+    'consent.modal.allow': 'Permitir {category}',
+    'consent.modal.signalLocked': '{category} desativados pela configuração {signal} do seu navegador',
+    'consent.modal.signalNote': 'Seu navegador envia o sinal {signal}, por isso esta categoria permanece desativada. Desative o sinal nas configurações do navegador para habilitá-la.',
+    'consent.modal.reject': 'Rejeitar',
+    'consent.modal.acceptAll': 'Aceitar todos',
+    'consent.modal.save': 'Salvar preferências',
+    'consent.modal.preferencesCenter': 'Ver todos os cookies que usamos e os detalhes do seu consentimento',
+    'consent.modal.cookies': 'Cookies e armazenamento usados ({count})',
+    'consent.launcher.label': 'Configurações de cookies',
+    'consent.launcher.doNotSell': 'Não vender nem compartilhar minhas informações pessoais',
+    'consent.center.consentTitle': 'Seu consentimento',
+    'consent.center.noChoice': 'Você ainda não fez uma escolha. Até lá, usamos apenas cookies necessários.',
+    'consent.center.noChoiceImplied': 'Você ainda não fez uma escolha. As categorias ativadas abaixo ficam em uso até você desativá-las.',
+    'consent.center.consentId': 'ID do consentimento',
+    'consent.center.givenAt': 'Dado em',
+    'consent.center.policyRevision': 'Versão da Política de Cookies',
+    'consent.center.jurisdiction': 'Regras de privacidade aplicadas',
+    'consent.center.categoriesTitle': 'Categorias de cookies',
+    'consent.center.cookiesCaption': 'Cookies definidos por {category}',
+    'consent.center.cookieName': 'Nome',
+    'consent.center.cookieProvider': 'Fornecedor',
+    'consent.center.cookiePurpose': 'Finalidade',
+    'consent.center.cookieDuration': 'Duração',
+    'consent.center.noCookies': 'Esta categoria não define nenhum cookie no momento.',
+    'consent.center.save': 'Salvar minhas escolhas',
+    'consent.center.acceptAll': 'Aceitar todos',
+    'consent.center.withdraw': 'Retirar consentimento',
+    'consent.center.withdrawHint': 'Ao retirar o consentimento, todas as categorias opcionais são desativadas e seus cookies são apagados. Os cookies necessários permanecem, pois o site precisa deles para funcionar.',
+    'consent.center.saved': 'Suas escolhas foram salvas.',
+    'consent.center.withdrawn': 'Seu consentimento foi retirado.',
+    'consent.center.saveFailed': 'Não foi possível salvar suas escolhas. Verifique se o navegador permite cookies ou armazenamento do site e tente novamente.',
+    'consent.reload.text': 'Suas preferências foram salvas e os cookies relacionados foram removidos. Alguns recursos que você desativou ainda estão em execução nesta página; recarregue-a para interrompê-los completamente.',
+    'consent.reload.later': 'Depois',
+    'consent.reload.now': 'Recarregar página',
+    'consent.status.saved': 'Suas preferências de cookies foram salvas.',
+    'consent.status.doNotSell': 'Sua escolha foi salva: não venderemos nem compartilharemos suas informações pessoais.',
+    'consent.jurisdictions.gdpr.label': 'União Europeia (RGPD)',
+    'consent.jurisdictions.lgpd.label': 'Brasil (LGPD)',
+    'consent.jurisdictions.cpra.label': 'Califórnia (CCPA/CPRA)',
+    'consent.jurisdictions.cpra.bannerText': 'Usamos cookies para melhorar sua experiência, analisar o tráfego e para publicidade. Você pode se opor à venda ou ao compartilhamento das suas informações pessoais a qualquer momento.',
+    'consent.jurisdictions.notice.label': 'Outros mercados',
+    'consent.jurisdictions.notice.bannerText': 'Usamos cookies para melhorar sua experiência e analisar o tráfego. Você pode alterar quais cookies usamos a qualquer momento.',
+    'consent.categories.necessary.label': 'Cookies Necessários',
+    'consent.categories.necessary.description': 'Essenciais para o funcionamento do site. Sempre ativos.',
+    'consent.categories.functional.label': 'Cookies Funcionais',
+    'consent.categories.functional.description': 'Habilitam recursos opcionais, como lembrar dados que você preenche em formulários.',
+    'consent.categories.analytics.label': 'Cookies de Análise',
+    'consent.categories.analytics.description': 'Ajudam a entender como o site é utilizado (estatísticas).',
+    'consent.categories.marketing.label': 'Cookies de Marketing',
+    'consent.categories.marketing.description': 'Usados em campanhas de marketing e para medir o desempenho de anúncios.',
+    'consent.categories.personalization.label': 'Cookies de Personalização',
+    'consent.categories.personalization.description': 'Adaptam conteúdos e recomendações aos seus interesses.',
+    'consent.categories.youtube.label': 'Vídeos do YouTube',
+    'consent.categories.youtube.description': 'Carregam vídeos incorporados do YouTube. O YouTube pode definir cookies e receber seu endereço IP.',
+    'consent.categories.media.label': 'Mídia Externa',
+    'consent.categories.media.description': 'Carregam imagens e mapas hospedados em outros serviços, como fotos do Unsplash e o Google Maps. Esses serviços recebem seu endereço IP, e o Google Maps pode definir cookies.',
+    'consent.cookies.cookie_consent.purpose': 'Guarda suas preferências de cookies',
+    'consent.cookies.cookie_consent.duration': '365 dias',
+    'consent.cookies.cookie_consent_receipts.purpose': 'Guarda os comprovantes das suas escolhas de consentimento ainda não enviados, por exemplo sem conexão',
+    'consent.cookies.cookie_consent_receipts.duration': 'Até o envio',
+    'consent.cookies.theme.purpose': 'Lembra o tema que você escolheu (claro, escuro ou do sistema)',
+    'consent.cookies.theme.duration': 'Até você alterá-lo',
+    'consent.cookies.language.purpose': 'Lembra o idioma que você escolheu',
+    'consent.cookies.language.duration': 'Até você alterá-lo',
+    'consent.cookies.analytics_session.purpose': 'Agrupa as páginas vistas em uma visita (sessionStorage)',
+    'consent.cookies.analytics_session.duration': 'Sessão',
+    'consent.cookies.analytics_queue.purpose': 'Guarda estatísticas ainda não enviadas, por exemplo sem conexão (localStorage)',
+    'consent.cookies.analytics_queue.duration': 'Até o envio',
+    'consent.cookies._ga.purpose': 'Distingue visitantes únicos',
+    'consent.cookies._ga.duration': '2 anos',
+    'consent.cookies._ga_*.purpose': 'Mantém o estado da sessão',
+    'consent.cookies._ga_*.duration': '2 anos',
+    'consent.cookies._gid.purpose': 'Distingue visitantes ao longo de 24 horas',
+    'consent.cookies._gid.duration': '24 horas',
+    'consent.cookies._gat*.purpose': 'Limita a taxa de requisições',
+    'consent.cookies._gat*.duration': '1 minuto',
+    'consent.cookies._fbp.purpose': 'Exibe e mede anúncios',
+    'consent.cookies._fbp.duration': '90 dias',
+    'consent.cookies._fbc.purpose': 'Guarda o último clique em anúncio',
+    'consent.cookies._fbc.duration': '90 dias',
+    'consent.cookies._gcl_*.purpose': 'Atribui conversões a cliques em anúncios',
+    'consent.cookies._gcl_*.duration': '90 dias',
+    'consent.cookies.YSC.purpose': 'Registra as visualizações de vídeo na sessão',
+    'consent.cookies.YSC.duration': 'Sessão',
+    'consent.cookies.VISITOR_INFO1_LIVE.purpose': 'Estima a largura de banda para o player',
+    'consent.cookies.VISITOR_INFO1_LIVE.duration': '6 meses',
+    'consent.cookies.VISITOR_PRIVACY_METADATA.purpose': 'Guarda o estado de consentimento do visitante no YouTube',
+    'consent.cookies.VISITOR_PRIVACY_METADATA.duration': '6 meses',
+    'consent.cookies.NID.purpose': 'Lembra as preferências do mapa',
+    'consent.cookies.NID.duration': '6 meses',
+    'consent.revisions.2026-10-19.summary': 'Inclusão das categorias de cookies funcionais, de personalização, de vídeos do YouTube e de mídia externa, e das nossas estatísticas próprias em Análise.'
+});
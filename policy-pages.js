@@ -0,0 +1,143 @@
+/**
+ * Páginas de política (pages/privacy-policy.html, pages/cookie-policy.html e pages/cookie-preferences.html)
+ * Cada uma é inicializada quando entra no DOM (Pages.onInit, em script.js): data de atualização,
+ * aviso de idioma, tabelas do inventário de cookies e centro de preferências de cookies.
+ * Deve ser carregado depois do i18n.js e do cookie-consent-config.js.
+ */
+
+(function() {
+    'use strict';
+
+    if (!window.Pages) return;
+
+    // Textos das tabelas do inventário em inglês; as traduções ficam em locales/*.js (policy.inventory.*)
+    const MESSAGES = {
+        'policy.inventory.caption': 'Cookies and storage: {category}',
+        'policy.inventory.name': 'Name',
+        'policy.inventory.storage': 'Stored in',
+        'policy.inventory.provider': 'Provider',
+        'policy.inventory.purpose': 'Purpose',
+        'policy.inventory.duration': 'Duration',
+        'policy.inventory.empty': 'We do not use any cookies or storage of this type at the moment.',
+        'policy.inventory.cookie': 'Cookie',
+        'policy.inventory.localStorage': 'Local storage',
+        'policy.inventory.sessionStorage': 'Session storage'
+    };
+    const text = window.I18n.translator(MESSAGES);
+
+    /**
+     * Preenche a data "Last updated" e o aviso de que a versão em inglês é a que vale;
+     * refeito na troca de idioma
+     */
+    function initPolicy(page, formatUpdated) {
+        function render() {
+            page.querySelector('.policy-last-updated').textContent = formatUpdated();
+            page.querySelector('.policy-language-note').hidden = window.I18n.getLanguage() === 'en';
+        }
+
+        window.addEventListener('i18n:change', render);
+        render();
+    }
+
+    // Política de privacidade: exibe a data do dia
+    window.Pages.onInit('privacy-policy', function(page) {
+        initPolicy(page, function() {
+            return window.I18n.formatDate(new Date());
+        });
+    });
+
+    /**
+     * Tabela com o que uma categoria guarda no navegador (itens do inventário de cookies)
+     */
+    function createInventoryTable(category, items) {
+        const table = document.createElement('table');
+        table.className = 'cookie-center-table';
+
+        const caption = table.createCaption();
+        caption.textContent = text('policy.inventory.caption', {
+            category: window.I18n.t('consent.categories.' + category.id + '.label', category.label)
+        });
+
+        const head = table.createTHead().insertRow();
+        ['name', 'storage', 'provider', 'purpose', 'duration'].forEach(function(column) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text('policy.inventory.' + column);
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        items.forEach(function(item) {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            const code = document.createElement('code');
+            code.textContent = item.name;
+            th.appendChild(code);
+            row.appendChild(th);
+            [
+                item.storage.map(function(storage) { return text('policy.inventory.' + storage); }).join(', '),
+                item.provider,
+                window.I18n.t('consent.cookies.' + item.name + '.purpose', item.purpose),
+                window.I18n.t('consent.cookies.' + item.name + '.duration', item.duration)
+            ].forEach(function(value) {
+                row.insertCell().textContent = value;
+            });
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'cookie-center-table-wrapper';
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    /**
+     * Preenche cada <div data-inventory-category> com os itens da categoria, no idioma atual
+     */
+    function renderInventory(page, items) {
+        const categories = window.CookieConsent.getCategories();
+        page.querySelectorAll('[data-inventory-category]').forEach(function(container) {
+            const category = categories.find(function(item) {
+                return item.id === container.getAttribute('data-inventory-category');
+            });
+            const own = items.filter(function(item) {
+                return category && item.category === category.id;
+            });
+            if (own.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'cookie-center-empty';
+                empty.textContent = text('policy.inventory.empty');
+                container.replaceChildren(empty);
+            } else {
+                container.replaceChildren(createInventoryTable(category, own));
+            }
+        });
+    }
+
+    // Política de cookies: a data é a revisão mais recente declarada no cookie-consent-config.js;
+    // as tabelas vêm do inventário (data/cookie-inventory.json, conferido por scripts/scan-cookies.js)
+    window.Pages.onInit('cookie-policy', function(page) {
+        const revision = window.CookieConsent ? window.CookieConsent.getPolicyRevision() : null;
+        const date = revision ? new Date(revision + 'T00:00:00') : null;
+
+        initPolicy(page, function() {
+            return date && !isNaN(date) ? window.I18n.formatDate(date) : (revision || '');
+        });
+
+        if (window.CookieConsent) {
+            window.CookieConsent.getInventory().then(function(items) {
+                renderInventory(page, items);
+                window.addEventListener('i18n:change', function() {
+                    renderInventory(page, items);
+                });
+            });
+        }
+    });
+
+    // Centro de preferências: desenhado pelo cookie-consent.js assim que a página chega
+    window.Pages.onInit('cookie-preferences', function() {
+        if (window.CookieConsent) {
+            window.CookieConsent.renderPreferencesCenter();
+        }
+    });
+})();
@@ -0,0 +1,77 @@
+/**
+ * Relatório do analytics próprio - busca o resumo do coletor (server/analytics.js) e
+ * preenche as tabelas de reports/analytics.html
+ */
+
+(function() {
+    'use strict';
+
+    const REPORT_URL = '/api/analytics/report';
+
+    const status = document.getElementById('report-status');
+
+    function percent(value) {
+        return `${value}%`;
+    }
+
+    /**
+     * Preenche o corpo de uma tabela (uma linha por item; texto puro, nunca HTML)
+     */
+    function fillTable(id, rows, emptyText) {
+        const table = document.getElementById(id);
+        const body = table.querySelector('tbody');
+        const columns = table.querySelectorAll('thead th').length;
+        body.textContent = '';
+
+        if (!rows.length) {
+            rows = [[emptyText]];
+        }
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = String(value);
+                if (cells.length === 1) cell.colSpan = columns;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    function render(report) {
+        document.getElementById('report-sessions').textContent = report.sessions;
+        document.getElementById('report-pageviews').textContent = report.pageviews;
+        document.getElementById('report-contact-sessions').textContent = report.contact.sessions;
+        document.getElementById('report-conversion').textContent = percent(report.contact.conversionRate);
+        document.getElementById('report-submits').textContent = report.contact.submits;
+        document.getElementById('report-mailto').textContent = report.contact.mailtoClicks;
+        document.getElementById('report-summary').hidden = false;
+
+        fillTable('report-pages', report.pages.map(page => [
+            page.page, page.views, page.sessions, page.contactSessions, percent(page.conversionRate)
+        ]), 'No page views yet.');
+        fillTable('report-cta', report.ctaClicks.map(item => [item.target, item.clicks]), 'No CTA clicks yet.');
+        fillTable('report-scroll', report.scrollDepth.map(item => [
+            item.page, item.section, item.views, item.reached[25], item.reached[50], item.reached[75], item.reached[100]
+        ]), 'No scroll data yet.');
+        fillTable('report-outbound', report.outboundClicks.map(item => [item.url, item.clicks]), 'No outbound clicks yet.');
+
+        status.textContent = `Updated ${new Date(report.generatedAt).toLocaleString()}.`;
+    }
+
+    function load() {
+        status.textContent = 'Loading…';
+        fetch(REPORT_URL, { credentials: 'same-origin' }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Report request failed with status ${response.status}`);
+            }
+            return response.json();
+        }).then(render).catch(error => {
+            console.warn('Error loading the analytics report:', error);
+            status.textContent = 'The report could not be loaded. Is the collector running (npm start)?';
+        });
+    }
+
+    document.getElementById('report-refresh').addEventListener('click', load);
+    load();
+})();
@@ -0,0 +1,64 @@
+/**
+ * Rotas do site - caminho, título e descrição de cada página
+ * Fonte única para o roteador (script.js) e para a pré-renderização (scripts/prerender.js):
+ * uma página registrada aqui ganha rota, título, descrição e um HTML estático no build.
+ * O conteúdo de cada página fica em pages/<id>.html; as traduções, em locales/*.js
+ * (chaves title.<id> e meta.<id>.description).
+ */
+
+(function() {
+    'use strict';
+
+    window.SiteRoutes = {
+        // Endereço público do site (URLs canônicas, sitemap e prévias de links)
+        origin: 'https://digitalbusinessresolutions.com',
+
+        // Imagem das prévias de links (Open Graph / Twitter)
+        image: {
+            path: '/assets/logo.jpeg',
+            width: 1536,
+            height: 1024,
+            alt: 'Digital Business Resolutions LLC'
+        },
+
+        // Título no padrão "Página — Marca"; index: false deixa a página fora dos buscadores e do sitemap.
+        // Dados estruturados (structured-data.js): schemaType é o tipo schema.org da página (padrão WebPage)
+        // e services: true inclui as linhas de serviço do site-data.js
+        pages: [
+            {
+                id: 'home',
+                path: '/',
+                services: true,
+                title: 'Digital Business Resolutions LLC — Digital Strategy & International Tax Optimization',
+                description: 'Digital Business Resolutions LLC - Digital Strategy & International Tax Optimization. We empower entrepreneurs through advanced digital marketing strategies and international tax advisory solutions.'
+            },
+            {
+                id: 'quem-somos',
+                path: '/quem-somos',
+                schemaType: 'AboutPage',
+                services: true,
+                title: 'About Us — Digital Business Resolutions LLC',
+                description: 'Meet Digital Business Resolutions LLC: our mission, how we work and how to book a digital strategy or international tax consultation.'
+            },
+            {
+                id: 'privacy-policy',
+                path: '/privacy-policy',
+                title: 'Privacy Policy — Digital Business Resolutions LLC',
+                description: 'How Digital Business Resolutions LLC collects, uses, shares and protects your personal data, and how to exercise your rights.'
+            },
+            {
+                id: 'cookie-policy',
+                path: '/cookie-policy',
+                title: 'Cookie Policy — Digital Business Resolutions LLC',
+                description: 'Which cookies the Digital Business Resolutions LLC website uses, why, and how to manage or withdraw your consent.'
+            },
+            {
+                id: 'cookie-preferences',
+                path: '/cookie-preferences',
+                title: 'Cookie Preferences — Digital Business Resolutions LLC',
+                description: 'Review the cookies we use and change or withdraw your consent.',
+                index: false
+            }
+        ]
+    };
+})();
@@ -1,103 +1,448 @@
-// Sistema de navegação entre páginas e dark mode
+// Sistema de navegação entre páginas (o tema fica em theme.js)
+
+/**
+ * Ganchos de inicialização por página: Pages.onInit('quem-somos', function(page) { ... })
+ * roda quando o fragmento da página (pages/<id>.html) entra no DOM, ou na hora se ele já estiver lá.
+ * Como o fragmento fica no DOM depois de carregado, cada gancho roda uma vez.
+ * Pages.urlFor(pageId, sectionId) devolve a URL de uma página no modo do roteador (depois do DOMContentLoaded).
+ */
+window.Pages = {
+    onInit: function(pageId, hook) {
+        const page = document.getElementById(pageId);
+        if (page && page.classList.contains('page')) {
+            hook(page);
+            return;
+        }
+        window.addEventListener('page:load', function(e) {
+            if (e.detail.page === pageId) {
+                hook(e.detail.element);
+            }
+        });
+    }
+};
+
 document.addEventListener('DOMContentLoaded', function() {
-    // Loading Screen
+    // Tela de loading: acompanha o trabalho real (carregamento inicial, imagens da página de destino
+    // e conteúdo buscado registrado com trackLoading) e só aparece quando há algo pendente
     const loadingScreen = document.getElementById('loading-screen');
     const loadingBar = document.getElementById('loading-bar');
-    
-    // Função para mostrar a tela de loading
+    const loadingProgress = loadingScreen ? loadingScreen.querySelector('[role="progressbar"]') : null;
+
+    // Espera antes de mostrar o overlay numa navegação (trabalhos rápidos, como imagens em cache, não piscam a tela)
+    const LOADING_SHOW_DELAY = 150;
+    // Duração do fade-out da tela de loading (.loading-screen em styles.css)
+    const LOADING_FADE = 500;
+    // Uma imagem que não responde não segura a página além deste tempo
+    const IMAGE_TIMEOUT = 10000;
+
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    const loading = {
+        total: 0,
+        done: 0,
+        // No carregamento inicial o overlay já vem visível no HTML
+        visible: Boolean(loadingScreen),
+        showTimer: null,
+        hideTimer: null
+    };
+
+    function prefersReducedMotion() {
+        return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+
+    // Rolagem sem animação para quem pediu menos movimento
+    function scrollBehavior() {
+        return prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
+    // Atualiza a barra e o valor anunciado aos leitores de tela (aria-valuenow)
+    function setLoadingProgress(percent) {
+        const value = String(Math.round(percent));
+        if (loadingBar) {
+            loadingBar.style.width = value + '%';
+        }
+        if (loadingProgress) {
+            loadingProgress.setAttribute('aria-valuenow', value);
+        }
+    }
+
     function showLoadingScreen() {
-        if (loadingScreen && loadingBar) {
-            loadingScreen.style.display = 'flex';
-            loadingScreen.classList.remove('hidden');
-            // Reset da barra de progresso
-            loadingBar.style.width = '0%';
-            // Força reflow para garantir que a animação comece do zero
-            void loadingBar.offsetWidth;
-            // Inicia animação
-            setTimeout(() => {
-                loadingBar.style.width = '100%';
-            }, 10);
+        if (!loadingScreen) {
+            return;
         }
+        clearTimeout(loading.hideTimer);
+        loading.visible = true;
+        setLoadingProgress(loading.done / loading.total * 100);
+        loadingScreen.style.display = 'flex';
+        loadingScreen.classList.remove('hidden');
     }
-    
-    // Função para esconder a tela de loading
+
     function hideLoadingScreen() {
-        if (loadingScreen) {
-            // Aguarda a animação da barra completar (1.5s) + um pequeno delay
-            setTimeout(() => {
-                loadingScreen.classList.add('hidden');
-                // Remove do DOM após a transição
-                setTimeout(() => {
-                    loadingScreen.style.display = 'none';
-                }, 500);
-            }, 1600);
+        if (!loadingScreen) {
+            return;
+        }
+        loading.visible = false;
+        loadingScreen.classList.add('hidden');
+        // Remove do layout após o fade-out (na hora, com movimento reduzido)
+        if (prefersReducedMotion()) {
+            loadingScreen.style.display = 'none';
+            return;
         }
+        loading.hideTimer = setTimeout(() => {
+            loadingScreen.style.display = 'none';
+        }, LOADING_FADE);
     }
-    
-    // Verifica se a página já está carregada (apenas no carregamento inicial)
-    if (document.readyState === 'complete') {
-        hideLoadingScreen();
-    } else {
-        window.addEventListener('load', hideLoadingScreen);
+
+    // Tudo concluído: completa a barra, esconde o overlay e zera a contagem
+    function finishLoading() {
+        clearTimeout(loading.showTimer);
+        loading.showTimer = null;
+        loading.total = 0;
+        loading.done = 0;
+        if (loading.visible) {
+            setLoadingProgress(100);
+            hideLoadingScreen();
+        }
+    }
+
+    /**
+     * Registra um trabalho pendente (Promise) na tela de loading e devolve a própria Promise.
+     * O overlay aparece se ainda houver algo pendente após LOADING_SHOW_DELAY e some quando tudo termina
+     * (com sucesso ou erro).
+     */
+    function trackLoading(task) {
+        loading.total++;
+        if (loading.visible) {
+            setLoadingProgress(loading.done / loading.total * 100);
+        } else if (!loading.showTimer) {
+            loading.showTimer = setTimeout(() => {
+                loading.showTimer = null;
+                showLoadingScreen();
+            }, LOADING_SHOW_DELAY);
+        }
+
+        const settle = () => {
+            loading.done++;
+            if (loading.done >= loading.total) {
+                finishLoading();
+            } else if (loading.visible) {
+                setLoadingProgress(loading.done / loading.total * 100);
+            }
+        };
+        Promise.resolve(task).then(settle, settle);
+        return task;
+    }
+
+    // Promise que termina quando a imagem carrega, falha ou passa de IMAGE_TIMEOUT
+    function imageLoaded(img) {
+        return new Promise(resolve => {
+            const timer = setTimeout(done, IMAGE_TIMEOUT);
+            function done() {
+                clearTimeout(timer);
+                img.removeEventListener('load', done);
+                img.removeEventListener('error', done);
+                resolve();
+            }
+            img.addEventListener('load', done);
+            img.addEventListener('error', done);
+        });
+    }
+
+    // Imagens escondidas não ocupam espaço; as lazy abaixo da dobra só carregam com a rolagem
+    function isInViewport(element) {
+        const rect = element.getBoundingClientRect();
+        return (rect.width > 0 || rect.height > 0) && rect.bottom >= 0 && rect.top <= window.innerHeight;
     }
 
+    // Acompanha as imagens ainda não carregadas que aparecem na tela de uma página
+    function trackImages(container) {
+        container.querySelectorAll('img').forEach(img => {
+            if (!img.complete && isInViewport(img)) {
+                trackLoading(imageLoaded(img));
+            }
+        });
+    }
+
+    // Carregamento inicial: a barra avança com as imagens que seguram o evento load
+    if (document.readyState !== 'complete') {
+        document.querySelectorAll('img:not([loading="lazy"])').forEach(img => {
+            if (!img.complete) {
+                trackLoading(imageLoaded(img));
+            }
+        });
+        trackLoading(new Promise(resolve => window.addEventListener('load', resolve, { once: true })));
+    }
+
+    // Outros scripts podem registrar o que buscam para a página atual (ex.: LoadingScreen.track(fetch(url)))
+    window.LoadingScreen = {
+        track: trackLoading
+    };
+
     const navLinks = document.querySelectorAll('.nav-link');
-    const pages = document.querySelectorAll('.page');
     const footerLinks = document.querySelectorAll('.footer-nav a[data-page]');
+    // Layout comum: as páginas entram no <main> e compartilham cabeçalho e rodapé
+    const pagesContainer = document.getElementById('main-content');
     
-    // Dark Mode Toggle
-    const darkModeToggle = document.getElementById('dark-mode-toggle');
-    const body = document.body;
-    
-    if (darkModeToggle) {
-        // Verifica se há preferência salva
-        const savedTheme = localStorage.getItem('theme');
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        
-        // Aplica tema salvo ou preferência do sistema
-        if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
-            body.classList.add('dark-mode');
-            darkModeToggle.classList.add('active');
-            darkModeToggle.setAttribute('aria-checked', 'true');
-            darkModeToggle.querySelector('.toggle-icon').textContent = '☀️';
-        } else {
-            darkModeToggle.setAttribute('aria-checked', 'false');
+    // Páginas com rota, registradas em routes.js (caminho, título e descrição)
+    const sitePages = window.SiteRoutes ? window.SiteRoutes.pages : [];
+
+    // Mapeamento de títulos das páginas (padrão: "Página — Marca"); as páginas com rota
+    // vêm de routes.js, aqui ficam só as que o roteador exibe em casos especiais
+    const pageTitles = {
+        'not-found': 'Page Not Found — Digital Business Resolutions LLC',
+        'page-error': 'Page Unavailable — Digital Business Resolutions LLC'
+    };
+    sitePages.forEach(page => {
+        pageTitles[page.id] = page.title;
+    });
+
+    // Atualiza o título da página seguindo o padrão "Página — Marca", no idioma atual
+    // (traduções em locales/*.js, chave "title.<página>")
+    function updateTitle(pageId) {
+        let title = pageTitles[pageId];
+        if (!title) {
+            // Fallback caso a página não esteja no mapeamento
+            const pageName = pageId.charAt(0).toUpperCase() + pageId.slice(1).replace('-', ' ');
+            title = `${pageName} — Digital Business Resolutions LLC`;
         }
-        
-        // Alterna dark mode
-        darkModeToggle.addEventListener('click', function() {
-            body.classList.toggle('dark-mode');
-            darkModeToggle.classList.toggle('active');
-            
-            // Atualiza aria-checked
-            const isDark = body.classList.contains('dark-mode');
-            darkModeToggle.setAttribute('aria-checked', isDark ? 'true' : 'false');
-            
-            // Salva preferência
-            if (isDark) {
-                localStorage.setItem('theme', 'dark');
-                darkModeToggle.querySelector('.toggle-icon').textContent = '☀️';
-            } else {
-                localStorage.setItem('theme', 'light');
-                darkModeToggle.querySelector('.toggle-icon').textContent = '🌙';
+        document.title = window.I18n ? window.I18n.t(`title.${pageId}`, title) : title;
+    }
+
+    // Atualiza a descrição (chave "meta.<página>.description") e, nas páginas pré-renderizadas,
+    // a URL canônica, para quem indexa a página depois de executar os scripts
+    function updateMeta(pageId) {
+        const page = sitePages.find(item => item.id === pageId);
+        const description = document.querySelector('meta[name="description"]');
+        if (page && description) {
+            description.setAttribute('content', window.I18n ? window.I18n.t(`meta.${pageId}.description`, page.description) : page.description);
+        }
+        const canonical = document.querySelector('link[rel="canonical"]');
+        if (page && canonical && window.SiteRoutes) {
+            const language = new URLSearchParams(window.location.search).get('lang');
+            canonical.setAttribute('href', window.SiteRoutes.origin + page.path + (language ? '?lang=' + encodeURIComponent(language) : ''));
+        }
+    }
+
+    // Rotas: mapeia o id de cada data-page para o caminho público da página
+    // Para adicionar uma página, registre-a em routes.js e crie o fragmento pages/<id>.html
+    const routes = {};
+    sitePages.forEach(page => {
+        routes[page.id] = page.path;
+    });
+
+    // Página exibida quando a URL não corresponde a nenhuma rota
+    const NOT_FOUND_PAGE = 'not-found';
+
+    // Página exibida quando o fragmento não pôde ser carregado (sem conexão, erro no servidor)
+    const ERROR_PAGE = 'page-error';
+
+    // Modo do roteador: 'hash' (#/quem-somos) funciona em qualquer hospedagem estática;
+    // 'path' (/quem-somos) exige um HTML por rota (npm run build) ou que o servidor reescreva as rotas para o index.html
+    const ROUTER_MODE = document.documentElement.getAttribute('data-router') === 'path' ? 'path' : 'hash';
+
+    // Fragmentos das páginas (pages/<id>.html, um <section id="<id>" class="page">); no modo path
+    // o caminho é absoluto, já que a URL da página não fica na raiz
+    const PARTIALS_PATH = ROUTER_MODE === 'path' ? '/pages/' : 'pages/';
+
+    // O roteador só atua no documento com o layout das páginas (index.html)
+    const routerEnabled = Boolean(pagesContainer && document.getElementById(NOT_FOUND_PAGE));
+
+    let currentPage = null;
+
+    // Cada navegação recebe um número: uma página que termina de carregar depois de outra
+    // navegação não é mais exibida
+    let navigationId = 0;
+
+    // Última navegação que falhou, repetida pelo botão "Try again" da página de erro
+    let failedNavigation = null;
+
+    // Buscas de fragmentos em andamento ou concluídas, por página
+    const pageRequests = {};
+
+    // Monta a URL de uma página (e, opcionalmente, de uma seção dentro dela)
+    function urlFor(pageId, sectionId) {
+        const path = routes[pageId] || routes.home;
+        if (ROUTER_MODE === 'path') {
+            return path + (sectionId ? '#' + sectionId : '');
+        }
+        if (!sectionId) {
+            return '#' + path;
+        }
+        return '#' + (path === '/' ? '' : path) + '/' + sectionId;
+    }
+
+    // Outros módulos montam links de página com a mesma URL (ex.: tax-comparison.js)
+    window.Pages.urlFor = urlFor;
+
+    // Links de página passam a apontar para URLs reais (podem ser salvas e compartilhadas);
+    // data-section leva a uma seção dentro da página
+    function prepareLinks(root) {
+        root.querySelectorAll('a[data-page]').forEach(link => {
+            link.setAttribute('href', urlFor(link.getAttribute('data-page'), link.getAttribute('data-section')));
+        });
+    }
+
+    // Página já está no DOM (no index.html ou carregada antes)
+    function isLoaded(pageId) {
+        const page = document.getElementById(pageId);
+        return Boolean(page && page.classList.contains('page'));
+    }
+
+    // Encontra a página que contém um elemento (aceita o id da própria página ou de uma seção)
+    function findPageFor(elementId) {
+        const element = elementId ? document.getElementById(elementId) : null;
+        const page = element ? element.closest('.page') : null;
+        if (!page || !routes[page.id]) {
+            return null;
+        }
+        return { page: page.id, section: element === page ? '' : elementId };
+    }
+
+    // Converte um caminho + seção em { page, section }
+    function matchRoute(path, sectionId) {
+        const segments = path.split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (e) {
+                return segment;
             }
         });
+
+        if (segments.length === 0) {
+            // Âncoras antigas (#quem-somos, #como-trabalhamos) continuam funcionando
+            const match = findPageFor(sectionId);
+            if (match) {
+                return match;
+            }
+            if (routes[sectionId]) {
+                return { page: sectionId, section: '' };
+            }
+            // Fragmentos fora das páginas (ex.: #main-content do skip link) mantêm a página atual
+            if (currentPage && sectionId && document.getElementById(sectionId)) {
+                return { page: currentPage, section: '' };
+            }
+            // As demais âncoras antigas são seções da home, que pode ainda não ter sido carregada
+            return { page: 'home', section: sectionId };
+        }
+
+        const pageId = Object.keys(routes).find(id => routes[id] === '/' + segments[0]);
+        if (pageId && segments.length <= 2) {
+            return { page: pageId, section: segments[1] || sectionId || '' };
+        }
+
+        // Seções da home usam a forma curta #/como-trabalhamos; se a home ainda não foi
+        // carregada, a seção é conferida depois de carregá-la
+        if (segments.length === 1) {
+            const match = findPageFor(segments[0]);
+            if (match) {
+                return match;
+            }
+            if (!isLoaded('home')) {
+                return { page: 'home', section: segments[0], sectionRequired: true };
+            }
+        }
+
+        return { page: NOT_FOUND_PAGE, section: '' };
     }
 
-    // Mapeamento de títulos das páginas (padrão: "Página — Marca")
-    const pageTitles = {
-        'home': 'Digital Business Resolutions LLC — Digital Strategy & International Tax Optimization',
-        'quem-somos': 'About Us — Digital Business Resolutions LLC'
-        // Adicione novas páginas aqui seguindo o padrão "Nome da Página — Digital Business Resolutions LLC"
-    };
+    // Lê a URL atual e resolve a página e a seção correspondentes
+    function resolveLocation() {
+        if (ROUTER_MODE === 'path') {
+            // Links do modo hash (#/quem-somos) continuam valendo no modo path
+            if (window.location.hash.charAt(1) === '/') {
+                return matchRoute(window.location.hash.slice(1), '');
+            }
+            // Aceita também os arquivos do build (/index.html, /quem-somos.html)
+            const path = window.location.pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, '');
+            return matchRoute(path, window.location.hash.slice(1));
+        }
+        const hash = window.location.hash.slice(1);
+        if (hash.charAt(0) === '/') {
+            return matchRoute(hash, '');
+        }
+        return matchRoute('/', hash);
+    }
+
+    // Insere o fragmento de uma página no layout já traduzido, com os links prontos,
+    // e avisa os ganchos da página (Pages.onInit)
+    function insertPage(pageId, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const page = template.content.getElementById(pageId);
+        if (!page || !page.classList.contains('page')) {
+            throw new Error(`${PARTIALS_PATH}${pageId}.html has no <section id="${pageId}" class="page">`);
+        }
+
+        page.classList.remove('active');
+        prepareLinks(page);
+        if (window.I18n) {
+            window.I18n.apply(page);
+        }
+        pagesContainer.insertBefore(page, document.getElementById(NOT_FOUND_PAGE));
+
+        window.dispatchEvent(new CustomEvent('page:load', { detail: { page: pageId, element: page } }));
+        return page;
+    }
+
+    // Busca o fragmento de uma página e o insere no layout (uma busca por página: as navegações
+    // seguintes usam o que já está no DOM). Se a busca falhar, a próxima visita tenta de novo.
+    function loadPage(pageId) {
+        if (!pageRequests[pageId]) {
+            const request = fetch(`${PARTIALS_PATH}${encodeURIComponent(pageId)}.html`, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(html => insertPage(pageId, html));
+
+            pageRequests[pageId] = request;
+            request.catch(() => {
+                delete pageRequests[pageId];
+            });
+        }
+        return pageRequests[pageId];
+    }
+
+    // Função para trocar de página: as que ainda não estão no DOM são carregadas antes
+    function switchPage(targetPage, options) {
+        const settings = options || {};
+        const navigation = ++navigationId;
+        currentPage = targetPage;
+
+        if (isLoaded(targetPage)) {
+            showPage(targetPage, settings);
+            return;
+        }
+
+        // A tela de loading acompanha a busca e, em seguida, as imagens da página
+        trackLoading(loadPage(targetPage).then(function() {
+            if (navigation !== navigationId) {
+                return;
+            }
+            // Link curto para uma seção que a home não tem
+            if (settings.sectionRequired && !document.getElementById(settings.section)) {
+                showPage(NOT_FOUND_PAGE, { initial: settings.initial });
+                return;
+            }
+            showPage(targetPage, settings);
+        }, function(error) {
+            if (navigation !== navigationId) {
+                return;
+            }
+            console.error(`Failed to load page "${targetPage}":`, error);
+            failedNavigation = { page: targetPage, settings: settings };
+            showPage(ERROR_PAGE, { initial: settings.initial });
+        }));
+    }
+
+    // Exibe uma página que já está no DOM
+    function showPage(targetPage, settings) {
+        currentPage = targetPage;
 
-    // Função para trocar de página
-    function switchPage(targetPage) {
-        // Mostra a tela de loading
-        showLoadingScreen();
-        
         // Remove a classe active de todas as páginas
-        pages.forEach(page => {
+        pagesContainer.querySelectorAll('.page').forEach(page => {
             page.classList.remove('active');
         });
 
@@ -113,7 +458,7 @@ document.addEventListener('DOMContentLoaded', function() {
         });
         
         // Adiciona a classe active e aria-current no link correspondente
-        const selectedLink = document.querySelector(`[data-page="${targetPage}"]`);
+        const selectedLink = document.querySelector(`.nav-link[data-page="${targetPage}"]`);
         if (selectedLink) {
             selectedLink.classList.add('active');
             selectedLink.setAttribute('aria-current', 'page');
@@ -126,77 +471,137 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
 
-        // Pequeno delay para animação suave
-        setTimeout(() => {
-            // Adiciona a classe active na página selecionada
-            const selectedPage = document.getElementById(targetPage);
-            if (selectedPage) {
-                selectedPage.classList.add('active');
+        // Adiciona a classe active na página selecionada
+        const selectedPage = document.getElementById(targetPage);
+        if (selectedPage) {
+            selectedPage.classList.add('active');
+            // A tela de loading só aparece se alguma imagem visível da página ainda estiver carregando
+            trackImages(selectedPage);
+        }
+
+        updateTitle(targetPage);
+        updateMeta(targetPage);
+
+        // Avisa os outros módulos (ex.: structured-data.js) da página exibida
+        window.dispatchEvent(new CustomEvent('page:change', { detail: { page: targetPage } }));
+
+        if (settings.initial) {
+            // Aguarda o layout antes de rolar até a seção do link profundo
+            if (settings.section) {
+                if (document.readyState === 'complete') {
+                    scrollToSection(settings.section);
+                } else {
+                    window.addEventListener('load', () => scrollToSection(settings.section));
+                }
             }
+            return;
+        }
+
+        // Scroll suave até a seção pedida ou para o topo
+        if (settings.section) {
+            scrollToSection(settings.section);
+        } else {
+            window.scrollTo({ top: 0, behavior: scrollBehavior() });
+        }
+    }
 
-            // Atualiza o título da página seguindo o padrão "Página — Marca"
-            if (pageTitles[targetPage]) {
-                document.title = pageTitles[targetPage];
+    // Navega para uma página registrando a entrada no histórico do navegador
+    function navigate(pageId, options) {
+        const settings = options || {};
+        const section = settings.section || '';
+        const state = { page: pageId, section: section };
+        const url = urlFor(pageId, section);
+
+        if (settings.replace) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+
+        // Já estamos na página: apenas rola até a seção, sem recarregar a visão
+        if (pageId === currentPage) {
+            if (section) {
+                scrollToSection(section);
             } else {
-                // Fallback caso a página não esteja no mapeamento
-                const pageName = targetPage.charAt(0).toUpperCase() + targetPage.slice(1).replace('-', ' ');
-                document.title = `${pageName} — Digital Business Resolutions LLC`;
+                window.scrollTo({ top: 0, behavior: scrollBehavior() });
             }
+            return;
+        }
 
-            // Esconde a tela de loading após a transição
-            hideLoadingScreen();
-
-            // Scroll suave para o topo
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        }, 100);
+        switchPage(pageId, { section: section });
     }
 
-    // Adiciona evento de clique no logo para ir para home
-    const logo = document.getElementById('logo-home');
-    if (logo) {
-        logo.addEventListener('click', function() {
-            switchPage('home');
-        });
+    // Trata cliques em links de página, preservando ctrl/cmd+clique para abrir em nova aba
+    // (delegado no documento, vale também para os links das páginas carregadas depois)
+    function handlePageLinkClick(e) {
+        const link = e.target.closest ? e.target.closest('a[data-page]') : null;
+        if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+        e.preventDefault();
+        navigate(link.getAttribute('data-page'), { section: link.getAttribute('data-section') || '' });
     }
 
-    // Adiciona evento de clique em cada link de navegação do header
-    navLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const targetPage = this.getAttribute('data-page');
-            switchPage(targetPage);
-        });
-    });
+    if (routerEnabled) {
+        prepareLinks(document);
 
-    // Adiciona evento de clique em cada link de navegação do footer
-    footerLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const targetPage = this.getAttribute('data-page');
-            switchPage(targetPage);
+        // Restaura a página e a seção indicadas na URL
+        const initial = resolveLocation();
+        const legacyHash = ROUTER_MODE === 'path' && window.location.hash.charAt(1) === '/';
+        history.replaceState({ page: initial.page, section: initial.section }, '',
+            legacyHash ? urlFor(initial.page, initial.section) : window.location.href);
+        switchPage(initial.page, { section: initial.section, sectionRequired: initial.sectionRequired, initial: true });
+
+        // Botões voltar/avançar do navegador
+        window.addEventListener('popstate', function() {
+            const target = resolveLocation();
+            if (target.page === currentPage) {
+                if (target.section) {
+                    scrollToSection(target.section);
+                }
+                return;
+            }
+            switchPage(target.page, { section: target.section, sectionRequired: target.sectionRequired });
         });
-    });
 
-    // Adiciona interatividade ao botão CTA do hero
-    const ctaButton = document.querySelector('#cta-hero');
-    if (ctaButton) {
-        ctaButton.addEventListener('click', function(e) {
-            e.preventDefault();
-            
-            // Garante que estamos na página home
-            const homePage = document.getElementById('home');
-            if (!homePage.classList.contains('active')) {
-                switchPage('home');
-                // Aguarda a página carregar antes de fazer scroll
-                setTimeout(() => {
-                    scrollToSection('como-trabalhamos');
-                }, 300);
-            } else {
-                scrollToSection('como-trabalhamos');
+        // Troca de idioma: traduz o título da página atual e refaz os links traduzidos com marcação
+        window.addEventListener('i18n:change', function() {
+            if (currentPage) {
+                updateTitle(currentPage);
+                updateMeta(currentPage);
             }
+            prepareLinks(document);
+        });
+
+        // Página de erro: tenta carregar de novo a página que falhou
+        const retryButton = document.getElementById('page-error-retry');
+        if (retryButton) {
+            retryButton.addEventListener('click', function() {
+                if (failedNavigation) {
+                    switchPage(failedNavigation.page, failedNavigation.settings);
+                }
+            });
+        }
+    }
+
+    // Nada pendente no carregamento inicial (ex.: página vinda do cache): esconde a tela de loading já
+    if (loading.total === 0) {
+        finishLoading();
+    }
+
+    // Adiciona evento de clique no logo para ir para home
+    const logo = document.getElementById('logo-home');
+    if (logo && routerEnabled) {
+        logo.addEventListener('click', function() {
+            navigate('home');
         });
     }
 
+    // Adiciona evento de clique em todos os links de página (header, footer e conteúdo)
+    if (routerEnabled) {
+        document.addEventListener('click', handlePageLinkClick);
+    }
+
     // Função para scroll suave até uma seção
     function scrollToSection(sectionId) {
         const section = document.getElementById(sectionId);
@@ -205,29 +610,36 @@ document.addEventListener('DOMContentLoaded', function() {
             const sectionPosition = section.offsetTop - headerHeight - 20;
             window.scrollTo({
                 top: sectionPosition,
-                behavior: 'smooth'
+                behavior: scrollBehavior()
             });
         }
     }
 
-    // Trata links de âncora em geral (para acessibilidade)
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function(e) {
-            const href = this.getAttribute('href');
-            // Se não for um link de navegação de página, trata como âncora
-            if (href !== '#' && !this.hasAttribute('data-page')) {
-                const targetId = href.substring(1);
-                const targetElement = document.getElementById(targetId);
-                
-                // Se a seção existe e estamos na mesma página, faz scroll suave
-                if (targetElement) {
-                    const currentPage = document.querySelector('.page.active');
-                    if (currentPage && currentPage.contains(targetElement)) {
-                        e.preventDefault();
+    // Trata links de âncora em geral (para acessibilidade), inclusive os das páginas carregadas depois
+    document.addEventListener('click', function(e) {
+        const anchor = e.target.closest ? e.target.closest('a[href^="#"]') : null;
+        if (!anchor) {
+            return;
+        }
+        const href = anchor.getAttribute('href');
+        // Se não for um link de navegação de página, trata como âncora
+        if (!e.defaultPrevented && href !== '#' && href.charAt(1) !== '/' && !anchor.hasAttribute('data-page')) {
+            const targetId = href.substring(1);
+            const targetElement = document.getElementById(targetId);
+            
+            // Se a seção existe e estamos na mesma página, faz scroll suave
+            if (targetElement) {
+                const currentPageElement = document.querySelector('.page.active');
+                if (currentPageElement && currentPageElement.contains(targetElement)) {
+                    e.preventDefault();
+                    if (routerEnabled && currentPageElement !== targetElement) {
+                        // Registra a seção na URL para que possa ser compartilhada
+                        navigate(currentPageElement.id, { section: targetId });
+                    } else {
                         scrollToSection(targetId);
                     }
                 }
             }
-        });
+        }
     });
 });
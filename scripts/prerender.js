@@ -0,0 +1,285 @@
+/**
+ * Static build - renders every route in routes.js into its own HTML file, with the page's
+ * content already in place and its own <title>, description, canonical URL, Open Graph /
+ * Twitter tags, hreflang alternates and JSON-LD, plus sitemap.xml and robots.txt.
+ *
+ * The output runs the router in path mode (/quem-somos); once the scripts load, the site
+ * behaves exactly like the source version.
+ *
+ * Usage: node scripts/prerender.js [outDir]   (default: dist)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Language the pages are written in (see i18n.js); the others are the catalogs in locales/
+const SOURCE_LANGUAGE = 'en';
+
+// Copied as they are, next to the generated pages
+const STATIC_DIRS = ['assets', 'data', 'locales', 'pages'];
+
+const NOT_FOUND_TITLE = 'Page Not Found — Digital Business Resolutions LLC';
+
+/**
+ * Route table shared with the browser (routes.js assigns window.SiteRoutes)
+ */
+function loadRoutes() {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'routes.js'), 'utf8'), sandbox, { filename: 'routes.js' });
+    return sandbox.window.SiteRoutes;
+}
+
+/**
+ * JSON-LD builder from structured-data.js, run on the same data files the browser loads
+ */
+function loadStructuredData() {
+    const window = new JSDOM('', { runScripts: 'outside-only' }).window;
+    ['routes.js', 'site-data.js', 'structured-data.js'].forEach(file => {
+        window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    });
+    return window.StructuredData;
+}
+
+/**
+ * Source language first, then one language per catalog in locales/
+ */
+function listLanguages() {
+    const catalogs = fs.readdirSync(path.join(ROOT, 'locales'))
+        .filter(file => file.endsWith('.js'))
+        .map(file => file.slice(0, -3))
+        .sort();
+    return [SOURCE_LANGUAGE].concat(catalogs);
+}
+
+/**
+ * Public URL of a route; ?lang= picks the language (i18n.js reads it)
+ */
+function pageUrl(site, page, language) {
+    return site.origin + page.path + (language ? '?lang=' + encodeURIComponent(language) : '');
+}
+
+/**
+ * File a route is written to: / is index.html, /quem-somos is quem-somos.html
+ * (static hosts serve it for the clean URL, and it replaces the old redirect stubs)
+ */
+function pageFile(page) {
+    return page.path === '/' ? 'index.html' : page.path.slice(1) + '.html';
+}
+
+/**
+ * Set a <meta> in the head; a missing one is created next to its group (og:*, twitter:*)
+ */
+function setMeta(document, attribute, key, content) {
+    let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.setAttribute(attribute, key);
+        const group = document.head.querySelectorAll(`meta[${attribute}^="${key.split(':')[0]}"]`);
+        const metas = group.length ? group : document.head.querySelectorAll('meta');
+        metas[metas.length - 1].after('\n    ', meta);
+    }
+    meta.setAttribute('content', content);
+}
+
+function addLink(document, attributes) {
+    const link = document.createElement('link');
+    Object.keys(attributes).forEach(name => link.setAttribute(name, attributes[name]));
+    document.head.querySelector('title').after('\n    ', link);
+}
+
+/**
+ * Relative asset URLs of the layout become root-absolute, so they work from any path
+ */
+function absolutizeUrls(document) {
+    document.querySelectorAll('[src], link[href]').forEach(element => {
+        const attribute = element.hasAttribute('src') ? 'src' : 'href';
+        const value = element.getAttribute(attribute);
+        if (!/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(value)) {
+            element.setAttribute(attribute, '/' + value);
+        }
+    });
+}
+
+/**
+ * Page links point to the path-mode URLs (the same ones script.js builds)
+ */
+function rewritePageLinks(root, site) {
+    root.querySelectorAll('a[data-page]').forEach(link => {
+        const page = site.pages.find(item => item.id === link.getAttribute('data-page'));
+        const section = link.getAttribute('data-section');
+        if (page) {
+            link.setAttribute('href', page.path + (section ? '#' + section : ''));
+        }
+    });
+}
+
+/**
+ * Show one page in the layout: its section is the active one and its nav links are current
+ */
+function activatePage(document, pageId) {
+    document.querySelectorAll('.page.active').forEach(page => page.classList.remove('active'));
+    document.getElementById(pageId).classList.add('active');
+    document.querySelectorAll('.nav-link').forEach(link => {
+        const current = link.getAttribute('data-page') === pageId;
+        link.classList.toggle('active', current);
+        if (current) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Parse the layout (index.html) ready for path mode; scripts are kept but not run
+ */
+function createLayout(site) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'));
+    const document = dom.window.document;
+    document.documentElement.setAttribute('data-router', 'path');
+    absolutizeUrls(document);
+    rewritePageLinks(document, site);
+    return dom;
+}
+
+/**
+ * Render one route: content, title and every tag used by search engines and link previews
+ */
+function renderPage(site, page, languages, structuredData) {
+    const dom = createLayout(site);
+    const document = dom.window.document;
+
+    const template = document.createElement('template');
+    template.innerHTML = fs.readFileSync(path.join(ROOT, 'pages', page.id + '.html'), 'utf8');
+    rewritePageLinks(template.content, site);
+    document.getElementById('not-found').before(template.content);
+    activatePage(document, page.id);
+
+    const url = pageUrl(site, page);
+    const image = site.origin + site.image.path;
+    document.title = page.title;
+    setMeta(document, 'name', 'description', page.description);
+    if (page.index === false) {
+        setMeta(document, 'name', 'robots', 'noindex');
+    }
+
+    setMeta(document, 'property', 'og:url', url);
+    setMeta(document, 'property', 'og:title', page.title);
+    setMeta(document, 'property', 'og:description', page.description);
+    setMeta(document, 'property', 'og:image', image);
+    setMeta(document, 'property', 'og:image:width', String(site.image.width));
+    setMeta(document, 'property', 'og:image:height', String(site.image.height));
+    setMeta(document, 'property', 'og:image:alt', site.image.alt);
+    setMeta(document, 'name', 'twitter:title', page.title);
+    setMeta(document, 'name', 'twitter:description', page.description);
+    setMeta(document, 'name', 'twitter:image', image);
+    setMeta(document, 'name', 'twitter:image:alt', site.image.alt);
+
+    // Inserted right after <title>, so they end up in reverse order
+    addLink(document, { rel: 'alternate', hreflang: 'x-default', href: url });
+    languages.slice().reverse().forEach(language => {
+        addLink(document, { rel: 'alternate', hreflang: language, href: pageUrl(site, page, language) });
+    });
+    addLink(document, { rel: 'canonical', href: url });
+
+    const jsonLd = document.createElement('script');
+    jsonLd.type = 'application/ld+json';
+    jsonLd.id = 'structured-data';
+    jsonLd.textContent = structuredData.serialize(structuredData.build(page.id));
+    document.head.append('    ', jsonLd, '\n');
+
+    return dom.serialize();
+}
+
+/**
+ * Page for unknown URLs (served by the host as 404.html)
+ */
+function renderNotFound(site) {
+    const dom = createLayout(site);
+    const document = dom.window.document;
+    activatePage(document, 'not-found');
+    document.title = NOT_FOUND_TITLE;
+    setMeta(document, 'name', 'robots', 'noindex');
+    return dom.serialize();
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml with the indexable pages and their language alternates
+ */
+function renderSitemap(site, languages) {
+    const urls = site.pages.filter(page => page.index !== false).map(page => {
+        const alternates = languages.map(language =>
+            `    <xhtml:link rel="alternate" hreflang="${language}" href="${escapeXml(pageUrl(site, page, language))}"/>`
+        ).concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(pageUrl(site, page))}"/>`);
+        return ['  <url>', `    <loc>${escapeXml(pageUrl(site, page))}</loc>`].concat(alternates, '  </url>').join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+    ].concat(urls, '</urlset>', '').join('\n');
+}
+
+/**
+ * robots.txt: everything but the API is crawlable (noindex pages must stay crawlable to be seen)
+ */
+function renderRobots(site) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        'Disallow: /api/',
+        '',
+        `Sitemap: ${site.origin}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build the site into outDir (replaced if it exists); returns the generated files
+ */
+function build(options) {
+    const outDir = path.resolve((options && options.outDir) || path.join(ROOT, 'dist'));
+    const site = loadRoutes();
+    const languages = listLanguages();
+    const structuredData = loadStructuredData();
+    const written = [];
+
+    function write(file, content) {
+        fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(outDir, file), content);
+        written.push(file);
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+
+    fs.readdirSync(ROOT).filter(file => file.endsWith('.js') || file.endsWith('.css')).forEach(file => {
+        fs.copyFileSync(path.join(ROOT, file), path.join(outDir, file));
+    });
+    STATIC_DIRS.forEach(dir => {
+        fs.cpSync(path.join(ROOT, dir), path.join(outDir, dir), { recursive: true });
+    });
+
+    site.pages.forEach(page => write(pageFile(page), renderPage(site, page, languages, structuredData)));
+    write('404.html', renderNotFound(site));
+    write('sitemap.xml', renderSitemap(site, languages));
+    write('robots.txt', renderRobots(site));
+
+    return { outDir: outDir, files: written };
+}
+
+module.exports = { build: build };
+
+if (require.main === module) {
+    const result = build({ outDir: process.argv[2] });
+    console.log(`Built ${result.files.length} pages and files into ${path.relative(process.cwd(), result.outDir) || '.'}`);
+}
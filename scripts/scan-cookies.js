@@ -0,0 +1,485 @@
+/**
+ * Cookie and storage scanner - opens the site offline in jsdom once per consent state (no choice
+ * yet, necessary only, every combination of the optional categories, everything accepted), visits
+ * every route in routes.js and replays a few visitor actions, recording each cookie, localStorage
+ * and sessionStorage key that appears and under which consent. A key needs the categories common
+ * to every state it appeared under: none makes it necessary, one makes it that category's, and a key
+ * that needs several together is reported (the inventory gives each key one category). With six
+ * optional categories that is 65 visits, run a few at a time.
+ *
+ * The findings are checked against data/cookie-inventory.json, the list the consent modal, the
+ * preferences center and the cookie policy render from (cookie-consent.js, policy-pages.js).
+ * Names, categories, providers, purposes and durations there are maintained by hand; the
+ * scanner fills in "observed" (the optional categories each key needed and the pages where it
+ * first appeared) and "scannedAt".
+ *
+ * The check fails when a key is not in the inventory (uncategorized), appears under a consent
+ * that doesn't match its category (e.g. an analytics key before analytics was accepted) or in a
+ * storage the inventory doesn't list. Third-party cookies (Google, Meta, YouTube) never appear
+ * offline; they stay declared by hand. It also fails when the inventory's cookies and the cookie
+ * names in cookie-consent-config.js differ: the config's names are the ones deleted when consent
+ * is withdrawn, so they must not wait for the inventory to load.
+ *
+ * Usage: node scripts/scan-cookies.js [--check]   (--check reports without writing the inventory)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'http://localhost';
+const INVENTORY_FILE = path.join(ROOT, 'data', 'cookie-inventory.json');
+
+// Strict opt-in profile (cookie-consent-config.js): nothing optional may run before a choice,
+// whatever the time zone of the machine running the scan
+const JURISDICTION = 'gdpr';
+
+// Consent states besides the combinations of optional categories (named like "analytics+marketing")
+const NO_CHOICE = 'none';
+const NECESSARY_ONLY = 'necessary';
+const ACCEPT_ALL = 'all';
+const COMBINATION_SEPARATOR = '+';
+
+// Visits run at the same time; each one mostly waits for the page to settle
+const PARALLEL_VISITS = 4;
+
+// Time for consent-driven scripts to settle; the banner and on-demand pages are waited for
+const SETTLE_MS = 200;
+// Longest wait for the banner or a page, with several visits sharing the CPU
+const READY_TIMEOUT_MS = 10000;
+
+// What a visitor does on the home page once consent is settled; add the controls that store something
+const ACTIONS = [
+    window => changeSelect(window.document.querySelector('.theme-switcher select'), 'dark'),
+    window => changeSelect(window.document.querySelector('.language-switcher select'), 'pt-BR'),
+    window => window.dispatchEvent(new window.Event('scroll'))
+];
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolves once ready() is true; rejects with the description after READY_TIMEOUT_MS
+ */
+async function waitFor(ready, description) {
+    const deadline = Date.now() + READY_TIMEOUT_MS;
+    while (!ready()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}`);
+        }
+        await wait(20);
+    }
+}
+
+function changeSelect(select, value) {
+    select.value = value;
+    select.dispatchEvent(new select.ownerDocument.defaultView.Event('change', { bubbles: true }));
+}
+
+function click(element) {
+    const window = element.ownerDocument.defaultView;
+    element.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+}
+
+/**
+ * index.html with its local scripts inlined and the jurisdiction hint the server would add
+ */
+function readLayout(head) {
+    const hint = `<meta name="consent-jurisdiction" content="${JURISDICTION}">`;
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace('</head>', `${hint}${head || ''}</head>`);
+    return html.replace(/<script src="([^"]+)"><\/script>/g, (tag, src) =>
+        `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+}
+
+/**
+ * Browser shims jsdom lacks; page fragments and data files come from disk, everything else is offline
+ */
+function prepareWindow(window) {
+    window.matchMedia = function(query) {
+        return {
+            matches: false,
+            media: query,
+            addEventListener: function() {},
+            removeEventListener: function() {},
+            addListener: function() {},
+            removeListener: function() {}
+        };
+    };
+    window.scrollTo = function() {};
+    window.fetch = function(resource) {
+        const url = new window.URL(String(resource), window.location.href);
+        const dir = url.pathname.split('/')[1];
+        const file = path.join(ROOT, decodeURIComponent(url.pathname));
+        if (url.origin === ORIGIN && (dir === 'pages' || dir === 'data') && fs.existsSync(file)) {
+            const body = fs.readFileSync(file, 'utf8');
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                text: () => Promise.resolve(body),
+                json: () => Promise.resolve(JSON.parse(body))
+            });
+        }
+        return Promise.reject(new window.TypeError('Failed to fetch'));
+    };
+}
+
+/**
+ * Every key the page has stored, as "storage:name"
+ */
+function listKeys(window) {
+    const keys = window.document.cookie.split(';')
+        .map(entry => entry.split('=')[0].trim())
+        .filter(Boolean)
+        .map(name => 'cookie:' + name);
+    ['localStorage', 'sessionStorage'].forEach(storage => {
+        const area = window[storage];
+        for (let i = 0; i < area.length; i++) {
+            keys.push(storage + ':' + area.key(i));
+        }
+    });
+    return keys;
+}
+
+/**
+ * Give consent the way a visitor would: through the banner, or the modal for a combination
+ */
+function giveConsent(window, state) {
+    const document = window.document;
+    if (state === NO_CHOICE) return;
+    if (state === NECESSARY_ONLY) {
+        click(document.getElementById('cookie-reject'));
+    } else if (state === ACCEPT_ALL) {
+        click(document.getElementById('cookie-accept-all'));
+    } else {
+        click(document.getElementById('cookie-manage'));
+        state.split(COMBINATION_SEPARATOR).forEach(category => {
+            document.getElementById('cookie-' + category).checked = true;
+        });
+        click(document.getElementById('cookie-modal-save'));
+    }
+}
+
+/**
+ * Consent states for the optional categories: necessary only, every combination (smallest first,
+ * in category order) and everything accepted
+ */
+function listStates(optional) {
+    const combinations = [];
+    function extend(combination, from) {
+        for (let i = from; i < optional.length; i++) {
+            combinations.push(combination.concat(optional[i]));
+            extend(combination.concat(optional[i]), i + 1);
+        }
+    }
+    extend([], 0);
+    combinations.sort((a, b) => a.length - b.length);
+    // Every category at once is ACCEPT_ALL, given through the banner
+    const partial = combinations.filter(combination => combination.length < optional.length);
+    return [NECESSARY_ONLY].concat(partial.map(combination => combination.join(COMBINATION_SEPARATOR)), ACCEPT_ALL);
+}
+
+/**
+ * Optional categories granted in a consent state
+ */
+function grantedIn(state, optional) {
+    if (state === NO_CHOICE || state === NECESSARY_ONLY) return [];
+    return state === ACCEPT_ALL ? optional.slice() : state.split(COMBINATION_SEPARATOR);
+}
+
+/**
+ * Run visit(state) for every state, PARALLEL_VISITS at a time; resolves with the results in state order
+ */
+async function visitAll(states, visit) {
+    const results = new Array(states.length);
+    let next = 0;
+    async function worker() {
+        while (next < states.length) {
+            const index = next++;
+            results[index] = await visit(states[index]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(PARALLEL_VISITS, states.length) }, worker));
+    return results;
+}
+
+/**
+ * One visit under one consent state; calls record(key, pageId) after every step
+ */
+async function visit(state, pages, options, record) {
+    const dom = new JSDOM(readLayout(options.head), {
+        url: `${ORIGIN}/`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse: prepareWindow
+    });
+    const window = dom.window;
+    const snapshot = pageId => listKeys(window).forEach(key => record(key, pageId));
+
+    try {
+        await waitFor(() => window.document.getElementById('cookie-banner'), 'the cookie banner');
+        await wait(SETTLE_MS);
+        snapshot('home');
+        giveConsent(window, state);
+        await wait(SETTLE_MS);
+        snapshot('home');
+
+        for (const action of ACTIONS) {
+            action(window);
+            await wait(50);
+            snapshot('home');
+        }
+
+        for (const pageId of pages) {
+            const link = window.document.querySelector(`a[data-page="${pageId}"]`);
+            if (!link) continue;
+            click(link);
+            await waitFor(() => {
+                const page = window.document.getElementById(pageId);
+                return page && page.classList.contains('active');
+            }, `the page ${pageId}`);
+            await wait(50);
+            snapshot(pageId);
+        }
+
+        // Leaving the site flushes what is still pending (statistics, consent receipts)
+        window.dispatchEvent(new window.Event('pagehide'));
+        await wait(50);
+        snapshot(pages[pages.length - 1]);
+
+        // Copied out of the page, which is closed next
+        return state === NO_CHOICE ? Array.from(window.CookieConsent.getCategories(), category => ({
+            id: category.id,
+            required: category.required
+        })) : null;
+    } finally {
+        window.close();
+    }
+}
+
+/**
+ * Cookie names each category lists in cookie-consent-config.js, by category id
+ */
+function readConfigCookies() {
+    const window = new JSDOM('', { runScripts: 'outside-only' }).window;
+    let options = null;
+    window.CookieConsent = { init: settings => { options = settings; }, refreshUI: function() {} };
+    window.eval(fs.readFileSync(path.join(ROOT, 'cookie-consent-config.js'), 'utf8'));
+    window.close();
+
+    const cookies = {};
+    options.categories.forEach(category => {
+        cookies[category.id] = Array.from(category.cookies || [], cookie => typeof cookie === 'string' ? cookie : cookie.name);
+    });
+    return cookies;
+}
+
+/**
+ * Scan the site; resolves with the categories, the cookie names cookie-consent-config.js lists
+ * for each and, per key, the consent states it appeared under and the pages where it first appeared.
+ *
+ * Options:
+ *   pages   route ids to visit (default: every route in routes.js)
+ *   head    extra markup for <head> (e.g. a script under test)
+ */
+async function scan(options) {
+    const settings = options || {};
+    const window = new JSDOM('', { runScripts: 'outside-only' }).window;
+    window.eval(fs.readFileSync(path.join(ROOT, 'routes.js'), 'utf8'));
+    const pages = settings.pages || window.SiteRoutes.pages.map(page => page.id);
+    window.close();
+
+    // Pages only count where a key first appears in a visit (it stays stored on the next ones)
+    function observe(state) {
+        const sightings = [];
+        const seen = new Set();
+        const record = function(key, pageId) {
+            if (seen.has(key)) return;
+            seen.add(key);
+            sightings.push({ key: key, pageId: pageId });
+        };
+        return visit(state, pages, settings, record).then(categories => ({ categories: categories, sightings: sightings }));
+    }
+
+    // The first visit also tells which categories there are
+    const first = await observe(NO_CHOICE);
+    const categories = first.categories;
+    const optional = categories.filter(category => !category.required).map(category => category.id);
+    const states = [NO_CHOICE].concat(listStates(optional));
+    const visits = [first].concat(await visitAll(states.slice(1), observe));
+
+    // Merged in state order, so the result doesn't depend on which visit finished first
+    const found = new Map();
+    visits.forEach((result, index) => {
+        result.sightings.forEach(sighting => {
+            if (!found.has(sighting.key)) {
+                const separator = sighting.key.indexOf(':');
+                found.set(sighting.key, {
+                    storage: sighting.key.slice(0, separator),
+                    name: sighting.key.slice(separator + 1),
+                    consent: [],
+                    pages: []
+                });
+            }
+            const entry = found.get(sighting.key);
+            entry.consent.push(states[index]);
+            if (entry.pages.indexOf(sighting.pageId) === -1) entry.pages.push(sighting.pageId);
+        });
+    });
+    found.forEach(entry => {
+        entry.requires = requiredCategories(entry.consent, optional);
+    });
+
+    return {
+        categories: categories.map(category => category.id),
+        configCookies: readConfigCookies(),
+        states: states,
+        keys: Array.from(found.values())
+    };
+}
+
+/**
+ * Optional categories granted in every one of the states (none for a key that appears without consent)
+ */
+function requiredCategories(states, optional) {
+    return states.reduce((common, state) => {
+        const granted = grantedIn(state, optional);
+        return common.filter(category => granted.indexOf(category) !== -1);
+    }, optional.slice());
+}
+
+/**
+ * Category a key belongs to judging by what it needed: necessary without consent, else the one
+ * optional category it needs; null when it needs several together
+ */
+function observedCategory(requires) {
+    if (requires.length === 0) return 'necessary';
+    return requires.length === 1 ? requires[0] : null;
+}
+
+/**
+ * When a key appeared, in words: "set before any choice", "set only with analytics + marketing consent"
+ */
+function describeSighting(entry) {
+    if (entry.consent.indexOf(NO_CHOICE) !== -1) return 'set before any choice';
+    if (entry.requires.length === 0) return 'set without optional consent';
+    return `set only with ${entry.requires.join(' + ')} consent`;
+}
+
+function nameMatches(name, pattern) {
+    return pattern.charAt(pattern.length - 1) === '*' ? name.indexOf(pattern.slice(0, -1)) === 0 : name === pattern;
+}
+
+function findItem(inventory, name) {
+    return inventory.items.find(item => nameMatches(name, item.name)) || null;
+}
+
+/**
+ * Problems of an inventory against a scan result (empty when everything is declared and in its category)
+ */
+function check(inventory, result) {
+    const problems = [];
+
+    inventory.items.forEach(item => {
+        if (result.categories.indexOf(item.category) === -1) {
+            problems.push(`${item.name}: unknown category "${item.category}"`);
+        }
+    });
+
+    result.keys.forEach(entry => {
+        const label = `${entry.name} (${entry.storage})`;
+        const seen = `${describeSighting(entry)} on ${entry.pages.join(', ')}`;
+        const item = findItem(inventory, entry.name);
+        if (!item) {
+            problems.push(`${label}: uncategorized - not in the inventory; ${seen}`);
+            return;
+        }
+        if ((item.storage || []).indexOf(entry.storage) === -1) {
+            problems.push(`${label}: the inventory lists ${item.name} in ${(item.storage || []).join(', ') || 'no storage'}`);
+        }
+        const category = observedCategory(entry.requires);
+        if (category !== item.category) {
+            problems.push(`${label}: declared as ${item.category}, but ${seen}`);
+        }
+    });
+
+    // Cookies are deleted on withdrawal by the names in the config, so both lists must agree
+    const configCookies = result.configCookies || {};
+    const listedIn = name => Object.keys(configCookies).filter(id => configCookies[id].indexOf(name) !== -1);
+    inventory.items.forEach(item => {
+        if ((item.storage || []).indexOf('cookie') === -1) return;
+        const listed = listedIn(item.name);
+        if (listed.indexOf(item.category) === -1) {
+            problems.push(`${item.name} (cookie): not among the ${item.category} cookies in cookie-consent-config.js` +
+                (listed.length ? ` (listed under ${listed.join(', ')})` : '') + ', so withdrawing consent would not delete it');
+        }
+    });
+    Object.keys(configCookies).forEach(id => {
+        configCookies[id].forEach(name => {
+            const declared = inventory.items.some(item => item.name === name && item.category === id &&
+                (item.storage || []).indexOf('cookie') !== -1);
+            if (!declared) {
+                problems.push(`${name} (cookie): listed under ${id} in cookie-consent-config.js, but not in the inventory`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * The inventory with this scan's findings in "observed" (removed from items that didn't appear)
+ */
+function update(inventory, result, date) {
+    return Object.assign({}, inventory, {
+        scannedAt: date.toISOString().slice(0, 10),
+        items: inventory.items.map(item => {
+            const entries = result.keys.filter(entry => nameMatches(entry.name, item.name));
+            const updated = Object.assign({}, item);
+            delete updated.observed;
+            if (entries.length) {
+                const pages = [];
+                entries.forEach(entry => entry.pages.forEach(page => {
+                    if (pages.indexOf(page) === -1) pages.push(page);
+                }));
+                const states = result.states.filter(state => entries.some(entry => entry.consent.indexOf(state) !== -1));
+                updated.observed = {
+                    requires: requiredCategories(states, result.categories.filter(id => id !== 'necessary')),
+                    pages: pages
+                };
+            }
+            return updated;
+        })
+    });
+}
+
+function readInventory() {
+    return JSON.parse(fs.readFileSync(INVENTORY_FILE, 'utf8'));
+}
+
+module.exports = { scan: scan, check: check, update: update, readInventory: readInventory };
+
+if (require.main === module) {
+    const checkOnly = process.argv.indexOf('--check') !== -1;
+    scan().then(result => {
+        const inventory = readInventory();
+        const problems = check(inventory, result);
+        console.log(`Scanned ${result.states.length} consent states: ${result.keys.length} cookies and storage keys found`);
+        if (!checkOnly) {
+            fs.writeFileSync(INVENTORY_FILE, JSON.stringify(update(inventory, result, new Date()), null, 2) + '\n');
+            console.log(`Updated ${path.relative(process.cwd(), INVENTORY_FILE)}`);
+        }
+        if (problems.length) {
+            console.error(problems.map(problem => '  ' + problem).join('\n'));
+            console.error(`${problems.length} problem(s): declare each key in data/cookie-inventory.json with its category`);
+            process.exitCode = 1;
+        }
+    }).catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
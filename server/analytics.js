@@ -0,0 +1,244 @@
+/**
+ * First-party analytics collector - stores the event batches sent by analytics.js and
+ * aggregates them for the report page (reports/analytics.html)
+ *
+ * POST /api/analytics          store a batch ({ events: [...] }); duplicates by id are ignored
+ * GET  /api/analytics/report   views per page, CTA clicks, scroll depth, outbound links and
+ *                              conversion to contact
+ */
+
+'use strict';
+
+const utils = require('./utils');
+
+const TYPES = ['pageview', 'cta_click', 'scroll_depth', 'outbound_click', 'mailto_click', 'contact_submit'];
+const SCROLL_MARKS = [25, 50, 75, 100];
+const MAX_EVENTS = 50;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Events that count as the visitor getting in touch
+const CONTACT_TYPES = ['contact_submit', 'mailto_click'];
+
+function isText(value, maxLength) {
+    return typeof value === 'string' && value.length > 0 && value.length <= maxLength;
+}
+
+/**
+ * Validate one event; returns an error message or null
+ */
+function validateEvent(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return 'Event must be an object';
+    }
+    if (!isText(event.id, 100)) {
+        return 'Invalid id';
+    }
+    if (TYPES.indexOf(event.type) === -1) {
+        return 'Invalid type';
+    }
+    if (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp))) {
+        return 'Invalid timestamp';
+    }
+    if (!isText(event.sessionId, 100) || !isText(event.viewId, 100)) {
+        return 'Invalid sessionId or viewId';
+    }
+    if (!isText(event.page, 100)) {
+        return 'Invalid page';
+    }
+    if (event.type === 'scroll_depth' && (!isText(event.section, 100) || SCROLL_MARKS.indexOf(event.depth) === -1)) {
+        return 'Invalid scroll depth';
+    }
+    if (event.type === 'cta_click' && !isText(event.target, 100)) {
+        return 'Invalid target';
+    }
+    if (event.type === 'outbound_click' && !(isText(event.url, 500) && /^https?:\/\//.test(event.url))) {
+        return 'Invalid url';
+    }
+    return null;
+}
+
+/**
+ * Keep only the known fields of a valid event
+ */
+function toRecord(event) {
+    const record = {
+        id: event.id,
+        type: event.type,
+        timestamp: event.timestamp,
+        sessionId: event.sessionId,
+        viewId: event.viewId,
+        page: event.page
+    };
+    if (event.type === 'pageview' && isText(event.language, 20)) record.language = event.language;
+    if (event.type === 'cta_click') record.target = event.target;
+    if (event.type === 'scroll_depth') {
+        record.section = event.section;
+        record.depth = event.depth;
+    }
+    if (event.type === 'outbound_click') record.url = event.url;
+    record.receivedAt = new Date().toISOString();
+    return record;
+}
+
+/**
+ * Count values by key into a sorted list of { <keyName>, <countName> }
+ */
+function countBy(events, keyOf, keyName, countName) {
+    const counts = new Map();
+    events.forEach(function(event) {
+        const key = keyOf(event);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return Array.from(counts, function(entry) {
+        return { [keyName]: entry[0], [countName]: entry[1] };
+    }).sort(function(a, b) {
+        return b[countName] - a[countName];
+    });
+}
+
+/**
+ * Aggregate the stored events for the report
+ */
+function buildReport(events) {
+    const byType = {};
+    TYPES.forEach(function(type) {
+        byType[type] = events.filter(function(event) {
+            return event.type === type;
+        });
+    });
+
+    const sessions = new Set(events.map(function(event) {
+        return event.sessionId;
+    }));
+    const contactSessions = new Set(events.filter(function(event) {
+        return CONTACT_TYPES.indexOf(event.type) !== -1;
+    }).map(function(event) {
+        return event.sessionId;
+    }));
+
+    // Views, visits and conversion of the visits that saw each page
+    const pages = new Map();
+    byType.pageview.forEach(function(event) {
+        const page = pages.get(event.page) || { page: event.page, views: 0, sessions: new Set() };
+        page.views += 1;
+        page.sessions.add(event.sessionId);
+        pages.set(event.page, page);
+    });
+
+    // Deepest mark reached in each view of each section
+    const deepest = new Map();
+    byType.scroll_depth.forEach(function(event) {
+        const key = `${event.page}\n${event.section}\n${event.viewId}`;
+        deepest.set(key, Math.max(deepest.get(key) || 0, event.depth));
+    });
+    const sections = new Map();
+    deepest.forEach(function(depth, key) {
+        const parts = key.split('\n');
+        const sectionKey = `${parts[0]}\n${parts[1]}`;
+        const section = sections.get(sectionKey) || { page: parts[0], section: parts[1], views: 0, reached: {} };
+        section.views += 1;
+        SCROLL_MARKS.forEach(function(mark) {
+            section.reached[mark] = (section.reached[mark] || 0) + (depth >= mark ? 1 : 0);
+        });
+        sections.set(sectionKey, section);
+    });
+
+    function rate(part, total) {
+        return total ? Math.round(part / total * 1000) / 10 : 0;
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        sessions: sessions.size,
+        pageviews: byType.pageview.length,
+        pages: Array.from(pages.values()).map(function(page) {
+            const converted = Array.from(page.sessions).filter(function(id) {
+                return contactSessions.has(id);
+            }).length;
+            return {
+                page: page.page,
+                views: page.views,
+                sessions: page.sessions.size,
+                contactSessions: converted,
+                conversionRate: rate(converted, page.sessions.size)
+            };
+        }).sort(function(a, b) {
+            return b.views - a.views;
+        }),
+        ctaClicks: countBy(byType.cta_click, function(event) {
+            return event.target;
+        }, 'target', 'clicks'),
+        scrollDepth: Array.from(sections.values()),
+        outboundClicks: countBy(byType.outbound_click, function(event) {
+            return event.url;
+        }, 'url', 'clicks'),
+        contact: {
+            submits: byType.contact_submit.length,
+            mailtoClicks: byType.mailto_click.length,
+            sessions: contactSessions.size,
+            conversionRate: rate(contactSessions.size, sessions.size)
+        }
+    };
+}
+
+/**
+ * Create the request handler; returns false for requests it doesn't own
+ */
+function createAnalyticsHandler(options) {
+    const store = utils.createJsonLinesStore(options.file);
+    const seen = new Set(store.readAll().map(function(event) {
+        return event.id;
+    }));
+
+    return function handle(req, res, url) {
+        if (url.pathname === '/api/analytics/report') {
+            if (req.method !== 'GET') {
+                utils.sendJson(res, 405, { error: 'Method not allowed' });
+                return true;
+            }
+            utils.sendJson(res, 200, buildReport(store.readAll()));
+            return true;
+        }
+
+        if (url.pathname !== '/api/analytics') return false;
+
+        if (req.method !== 'POST') {
+            utils.sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+
+        utils.readJsonBody(req, MAX_BODY_BYTES).then(function(body) {
+            const events = body && body.events;
+            if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS) {
+                utils.sendJson(res, 400, { error: `events must be an array of 1 to ${MAX_EVENTS} events` });
+                return;
+            }
+
+            // Invalid events are dropped without failing the batch, so one bad event can't
+            // keep the rest queued in the browser forever
+            let stored = 0;
+            let rejected = 0;
+            events.forEach(function(event) {
+                if (validateEvent(event)) {
+                    rejected += 1;
+                    return;
+                }
+                if (!seen.has(event.id)) {
+                    seen.add(event.id);
+                    store.append(toRecord(event));
+                    stored += 1;
+                }
+            });
+            utils.sendJson(res, 200, { stored: stored, rejected: rejected });
+        }).catch(function(e) {
+            utils.sendJson(res, e.status || 500, { error: e.message });
+        });
+        return true;
+    };
+}
+
+module.exports = {
+    createAnalyticsHandler: createAnalyticsHandler,
+    validateEvent: validateEvent,
+    buildReport: buildReport
+};
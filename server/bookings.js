@@ -0,0 +1,156 @@
+/**
+ * Consultation booking receiver - mock endpoint for the form in booking-form.js
+ *
+ * POST /api/bookings   validate and store one booking request
+ *
+ * Submissions that trip the spam checks (filled honeypot or sent too fast) get the
+ * same answer as real ones but are not stored, so bots learn nothing from the response.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const utils = require('./utils');
+
+const SERVICE_LINES = ['digital-marketing', 'tax-advisory', 'both'];
+const COUNTRIES = ['DO', 'PY', 'PH', 'AE', 'undecided'];
+const CONTACT_METHODS = ['email', 'phone', 'whatsapp'];
+const PREFERRED_TIMES = ['morning', 'afternoon', 'evening'];
+
+// Same minimum fill time as booking-form.js
+const MIN_FILL_MS = 3000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]{7,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Without a valid time zone, the last one where today is still today (UTC-12), so no visitor is turned away
+const FALLBACK_TIME_ZONE = 'Etc/GMT+12';
+
+function isString(value, maxLength) {
+    return typeof value === 'string' && value.length <= maxLength;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a time zone, the way booking-form.js sees it in the browser
+ */
+function todayIn(timeZone, now) {
+    function format(zone) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+    }
+    try {
+        return format(timeZone || FALLBACK_TIME_ZONE);
+    } catch (e) {
+        // Unknown time zone name
+        return format(FALLBACK_TIME_ZONE);
+    }
+}
+
+/**
+ * Validate a booking; returns an error message or null.
+ * now (default: the current time) decides which dates are in the past.
+ */
+function validateBooking(booking, now) {
+    if (!booking || typeof booking !== 'object' || Array.isArray(booking)) {
+        return 'Booking must be an object';
+    }
+    if (!isString(booking.name, 100) || booking.name.trim().length < 2) {
+        return 'Invalid name';
+    }
+    if (!isString(booking.email, 254) || !EMAIL_PATTERN.test(booking.email)) {
+        return 'Invalid email';
+    }
+    if (SERVICE_LINES.indexOf(booking.serviceLine) === -1) {
+        return 'Invalid serviceLine';
+    }
+    if (booking.country !== null && booking.country !== undefined && COUNTRIES.indexOf(booking.country) === -1) {
+        return 'Invalid country';
+    }
+    if (!booking.country && booking.serviceLine !== 'digital-marketing') {
+        return 'country is required for tax advisory';
+    }
+    if (!Array.isArray(booking.contactMethods) || booking.contactMethods.length === 0 ||
+        !booking.contactMethods.every(function(method) { return CONTACT_METHODS.indexOf(method) !== -1; })) {
+        return 'Invalid contactMethods';
+    }
+    const needsPhone = booking.contactMethods.indexOf('phone') !== -1 || booking.contactMethods.indexOf('whatsapp') !== -1;
+    if (booking.phone ? !isString(booking.phone, 20) || !PHONE_PATTERN.test(booking.phone) : needsPhone) {
+        return 'Invalid phone';
+    }
+    if (!isString(booking.preferredDate, 10) || !DATE_PATTERN.test(booking.preferredDate) || isNaN(Date.parse(booking.preferredDate))) {
+        return 'Invalid preferredDate';
+    }
+    // Same rule as the form: today or later, in the visitor's time zone
+    if (booking.preferredDate < todayIn(isString(booking.timezone, 64) ? booking.timezone : null, now || new Date())) {
+        return 'preferredDate is in the past';
+    }
+    if (PREFERRED_TIMES.indexOf(booking.preferredTime) === -1) {
+        return 'Invalid preferredTime';
+    }
+    if (booking.message !== undefined && !isString(booking.message, 2000)) {
+        return 'Invalid message';
+    }
+    if (booking.consent !== true) {
+        return 'Consent is required';
+    }
+    return null;
+}
+
+/**
+ * Honeypot filled or form sent faster than a person could fill it
+ */
+function isSpam(booking) {
+    return Boolean(booking.website) || typeof booking.elapsedMs !== 'number' || booking.elapsedMs < MIN_FILL_MS;
+}
+
+/**
+ * Create the request handler; returns false for requests it doesn't own
+ */
+function createBookingsHandler(options) {
+    const store = utils.createJsonLinesStore(options.file);
+
+    return function handle(req, res, url) {
+        if (url.pathname !== '/api/bookings') return false;
+
+        if (req.method !== 'POST') {
+            utils.sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+
+        utils.readJsonBody(req).then(function(booking) {
+            const error = validateBooking(booking);
+            if (error) {
+                utils.sendJson(res, 400, { error: error });
+                return;
+            }
+
+            const bookingId = crypto.randomUUID();
+            if (!isSpam(booking)) {
+                store.append({
+                    bookingId: bookingId,
+                    name: booking.name.trim(),
+                    email: booking.email,
+                    serviceLine: booking.serviceLine,
+                    country: booking.country || null,
+                    contactMethods: booking.contactMethods,
+                    phone: booking.phone || null,
+                    preferredDate: booking.preferredDate,
+                    preferredTime: booking.preferredTime,
+                    timezone: isString(booking.timezone, 64) ? booking.timezone : null,
+                    message: booking.message || '',
+                    language: isString(booking.language, 10) ? booking.language : null,
+                    receivedAt: new Date().toISOString()
+                });
+            }
+            utils.sendJson(res, 201, { received: true, bookingId: bookingId });
+        }).catch(function(e) {
+            utils.sendJson(res, e.status || 500, { error: e.message });
+        });
+        return true;
+    };
+}
+
+module.exports = {
+    createBookingsHandler: createBookingsHandler,
+    validateBooking: validateBooking
+};
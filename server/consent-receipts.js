@@ -0,0 +1,109 @@
+/**
+ * Consent receipt receiver - stores the receipts sent by cookie-consent.js
+ *
+ * POST /api/consent-receipts          store one receipt (duplicates by receiptId are ignored)
+ * GET  /api/consent-receipts?consentId=<id>   list the receipts of one consent id
+ */
+
+'use strict';
+
+const utils = require('./utils');
+
+const ACTIONS = ['accept_all', 'reject_all', 'save', 'withdraw', 'acknowledge', 'do_not_sell', 'browser_signal'];
+
+/**
+ * Validate a receipt; returns an error message or null
+ */
+function validateReceipt(receipt) {
+    if (!receipt || typeof receipt !== 'object' || Array.isArray(receipt)) {
+        return 'Receipt must be an object';
+    }
+    if (typeof receipt.receiptId !== 'string' || !receipt.receiptId || receipt.receiptId.length > 100) {
+        return 'Invalid receiptId';
+    }
+    if (typeof receipt.consentId !== 'string' || !receipt.consentId || receipt.consentId.length > 100) {
+        return 'Invalid consentId';
+    }
+    if (ACTIONS.indexOf(receipt.action) === -1) {
+        return 'Invalid action';
+    }
+    if (typeof receipt.timestamp !== 'string' || isNaN(Date.parse(receipt.timestamp))) {
+        return 'Invalid timestamp';
+    }
+    if (!receipt.categories || typeof receipt.categories !== 'object') {
+        return 'Invalid categories';
+    }
+    const categoriesValid = Object.keys(receipt.categories).every(function(id) {
+        return typeof receipt.categories[id] === 'boolean';
+    });
+    if (!categoriesValid) {
+        return 'Category choices must be booleans';
+    }
+    return null;
+}
+
+/**
+ * Create the request handler; returns false for requests it doesn't own
+ */
+function createConsentReceiptsHandler(options) {
+    const store = utils.createJsonLinesStore(options.file);
+    const seen = new Set(store.readAll().map(function(receipt) {
+        return receipt.receiptId;
+    }));
+
+    return function handle(req, res, url) {
+        if (url.pathname !== '/api/consent-receipts') return false;
+
+        if (req.method === 'GET') {
+            const consentId = url.searchParams.get('consentId');
+            if (!consentId) {
+                utils.sendJson(res, 400, { error: 'consentId is required' });
+                return true;
+            }
+            const receipts = store.readAll().filter(function(receipt) {
+                return receipt.consentId === consentId;
+            });
+            utils.sendJson(res, 200, { receipts: receipts });
+            return true;
+        }
+
+        if (req.method !== 'POST') {
+            utils.sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+
+        utils.readJsonBody(req).then(function(receipt) {
+            const error = validateReceipt(receipt);
+            if (error) {
+                utils.sendJson(res, 400, { error: error });
+                return;
+            }
+
+            if (!seen.has(receipt.receiptId)) {
+                seen.add(receipt.receiptId);
+                store.append({
+                    receiptId: receipt.receiptId,
+                    consentId: receipt.consentId,
+                    recordVersion: receipt.recordVersion || null,
+                    policyRevision: receipt.policyRevision || null,
+                    jurisdiction: typeof receipt.jurisdiction === 'string' ? receipt.jurisdiction.slice(0, 50) : null,
+                    timestamp: receipt.timestamp,
+                    action: receipt.action,
+                    categories: receipt.categories,
+                    optOutSignals: receipt.optOutSignals && typeof receipt.optOutSignals === 'object' ? receipt.optOutSignals : {},
+                    page: typeof receipt.page === 'string' ? receipt.page.slice(0, 200) : null,
+                    receivedAt: new Date().toISOString()
+                });
+            }
+            utils.sendJson(res, 201, { stored: true, receiptId: receipt.receiptId });
+        }).catch(function(e) {
+            utils.sendJson(res, e.status || 500, { error: e.message });
+        });
+        return true;
+    };
+}
+
+module.exports = {
+    createConsentReceiptsHandler: createConsentReceiptsHandler,
+    validateReceipt: validateReceipt
+};
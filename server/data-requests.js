@@ -0,0 +1,332 @@
+/**
+ * Data subject request receiver (LGPD/GDPR rights) - mock endpoint for the portal in data-requests.js
+ *
+ * POST /api/data-requests                   open a request; a verification code goes to the email
+ * POST /api/data-requests/verify            confirm the email with the code; the request is opened
+ * GET  /api/data-requests/status?reference=<ref>&email=<email>   status of one request
+ * GET  /api/data-requests                   open requests by due date (for the team answering them)
+ * POST /api/data-requests/resolve           mark a request completed or rejected
+ *
+ * The last two are for the team only: they need "Authorization: Bearer <adminToken>" and answer
+ * 401 to everyone while no token is configured.
+ *
+ * Every change appends the whole request to the JSON-lines file; the last line of a reference wins.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const utils = require('./utils');
+
+const TYPES = ['access', 'rectification', 'erasure', 'portability', 'consent-withdrawal'];
+const RESOLUTIONS = ['completed', 'rejected'];
+
+// Time to answer, counted from the receipt of the request (both laws count from the request itself,
+// so the days spent confirming the email are part of the deadline)
+const DEADLINES = {
+    lgpd: { days: 15 },    // LGPD art. 19, II
+    gdpr: { months: 1 },   // GDPR art. 12(3); can be extended by two months when justified
+    other: { days: 15 }    // no specific law: the shortest of the two
+};
+
+const CODE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I, so references can be read over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_PATTERN = /^DSR-[A-Z0-9]{8}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isString(value, maxLength) {
+    return typeof value === 'string' && value.length <= maxLength;
+}
+
+/**
+ * Validate a new request; returns an error message or null
+ */
+function validateRequest(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        return 'Request must be an object';
+    }
+    if (TYPES.indexOf(request.type) === -1) {
+        return 'Invalid type';
+    }
+    if (!Object.prototype.hasOwnProperty.call(DEADLINES, request.law)) {
+        return 'Invalid law';
+    }
+    if (!isString(request.name, 100) || request.name.trim().length < 2) {
+        return 'Invalid name';
+    }
+    if (!isString(request.email, 254) || !EMAIL_PATTERN.test(request.email)) {
+        return 'Invalid email';
+    }
+    if (request.details !== undefined && !isString(request.details, 2000)) {
+        return 'Invalid details';
+    }
+    if (request.type === 'rectification' && !(request.details || '').trim()) {
+        return 'details are required for rectification';
+    }
+    if (request.confirmed !== true) {
+        return 'The requester must confirm they are the data subject or authorized by them';
+    }
+    return null;
+}
+
+function createReference() {
+    const bytes = crypto.randomBytes(8);
+    let reference = 'DSR-';
+    for (let i = 0; i < bytes.length; i++) {
+        reference += REFERENCE_ALPHABET[bytes[i] % REFERENCE_ALPHABET.length];
+    }
+    return reference;
+}
+
+function hashCode(reference, code) {
+    return crypto.createHash('sha256').update(`${reference}:${code}`).digest('hex');
+}
+
+/**
+ * Due date for a law, counted from the moment the request was received
+ */
+function getDueDate(law, from) {
+    const deadline = DEADLINES[law];
+    const due = new Date(from.getTime());
+    if (deadline.months) {
+        // One month later, on the last day of the month when it is shorter (31 Jan -> 28/29 Feb)
+        const day = due.getUTCDate();
+        due.setUTCDate(1);
+        due.setUTCMonth(due.getUTCMonth() + deadline.months);
+        const lastDay = new Date(Date.UTC(due.getUTCFullYear(), due.getUTCMonth() + 1, 0)).getUTCDate();
+        due.setUTCDate(Math.min(day, lastDay));
+    } else {
+        due.setTime(due.getTime() + deadline.days * DAY_MS);
+    }
+    return due;
+}
+
+/**
+ * What the requester (and the team) may see of a request: no code, no attempts
+ */
+function describe(request, now) {
+    const status = {
+        reference: request.reference,
+        type: request.type,
+        law: request.law,
+        status: request.status,
+        receivedAt: request.receivedAt,
+        verifiedAt: request.verifiedAt || null,
+        dueAt: request.dueAt || null,
+        resolvedAt: request.resolvedAt || null
+    };
+    if (request.status === 'open') {
+        const msLeft = Date.parse(request.dueAt) - now.getTime();
+        status.daysLeft = Math.max(0, Math.ceil(msLeft / DAY_MS));
+        status.overdue = msLeft < 0;
+    }
+    return status;
+}
+
+/**
+ * Default code delivery: there is no mail service in the reference server, so the code is logged
+ */
+function logVerificationCode(request, code) {
+    console.log(`[data-requests] Verification code for ${request.reference} (${request.email}): ${code}`);
+}
+
+/**
+ * Whether a request carries the admin token; never true without a configured token
+ */
+function isAuthorized(req, adminToken) {
+    const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+    if (!adminToken || !match) return false;
+    // Compared as hashes, so the time taken reveals neither the token nor its length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(adminToken));
+}
+
+/**
+ * Create the request handler; returns false for requests it doesn't own.
+ * options.sendVerificationCode(request, code) delivers the code (logged by default);
+ * options.adminToken unlocks the list and resolve routes.
+ */
+function createDataRequestsHandler(options) {
+    const store = utils.createJsonLinesStore(options.file);
+    const sendVerificationCode = options.sendVerificationCode || logVerificationCode;
+    const adminToken = options.adminToken || '';
+
+    /**
+     * Latest version of a request, or null
+     */
+    function find(reference) {
+        let found = null;
+        store.readAll().forEach(function(request) {
+            if (request.reference === reference) found = request;
+        });
+        return found;
+    }
+
+    /**
+     * Request matching a reference and its email (the same 404 for both, so neither is revealed)
+     */
+    function findOwn(reference, email) {
+        if (!isString(reference, 20) || !REFERENCE_PATTERN.test(reference) || !isString(email, 254)) {
+            throw new utils.HttpError(404, 'Request not found');
+        }
+        const request = find(reference);
+        if (!request || request.email.toLowerCase() !== email.trim().toLowerCase()) {
+            throw new utils.HttpError(404, 'Request not found');
+        }
+        return request;
+    }
+
+    function open(body) {
+        const error = validateRequest(body);
+        if (error) {
+            throw new utils.HttpError(400, error);
+        }
+
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const now = new Date();
+        const reference = createReference();
+        const request = {
+            reference: reference,
+            type: body.type,
+            law: body.law,
+            name: body.name.trim(),
+            email: body.email,
+            details: (body.details || '').trim(),
+            language: isString(body.language, 10) ? body.language : null,
+            status: 'awaiting_verification',
+            receivedAt: now.toISOString(),
+            codeHash: hashCode(reference, code),
+            codeExpiresAt: new Date(now.getTime() + CODE_TTL_MS).toISOString(),
+            codeAttempts: 0
+        };
+        store.append(request);
+        sendVerificationCode(request, code);
+        return { reference: request.reference, status: request.status, codeExpiresAt: request.codeExpiresAt };
+    }
+
+    function verify(body) {
+        const request = findOwn(body && body.reference, body && body.email);
+        if (request.status !== 'awaiting_verification') {
+            throw new utils.HttpError(409, 'Request already verified');
+        }
+        if (request.codeAttempts >= MAX_CODE_ATTEMPTS) {
+            throw new utils.HttpError(429, 'Too many attempts');
+        }
+        if (Date.parse(request.codeExpiresAt) < Date.now()) {
+            throw new utils.HttpError(410, 'Verification code expired');
+        }
+
+        const code = isString(body.code, 20) ? body.code.replace(/\s/g, '') : '';
+        if (hashCode(request.reference, code) !== request.codeHash) {
+            store.append(Object.assign({}, request, { codeAttempts: request.codeAttempts + 1 }));
+            throw new utils.HttpError(400, 'Invalid verification code');
+        }
+
+        const now = new Date();
+        const verified = Object.assign({}, request, {
+            status: 'open',
+            verifiedAt: now.toISOString(),
+            dueAt: getDueDate(request.law, new Date(request.receivedAt)).toISOString(),
+            codeHash: null
+        });
+        store.append(verified);
+        return describe(verified, now);
+    }
+
+    function resolve(body) {
+        const request = body && isString(body.reference, 20) ? find(body.reference) : null;
+        if (!request) {
+            throw new utils.HttpError(404, 'Request not found');
+        }
+        if (RESOLUTIONS.indexOf(body.status) === -1) {
+            throw new utils.HttpError(400, 'Invalid status');
+        }
+        if (request.status !== 'open') {
+            throw new utils.HttpError(409, 'Only open requests can be resolved');
+        }
+        const resolved = Object.assign({}, request, {
+            status: body.status,
+            resolvedAt: new Date().toISOString(),
+            resolutionNote: isString(body.note, 2000) ? body.note : ''
+        });
+        store.append(resolved);
+        return describe(resolved, new Date());
+    }
+
+    /**
+     * Open requests, the closest deadline first
+     */
+    function listOpen() {
+        const latest = new Map();
+        store.readAll().forEach(function(request) {
+            latest.set(request.reference, request);
+        });
+        const now = new Date();
+        return Array.from(latest.values())
+            .filter(function(request) { return request.status === 'open'; })
+            .sort(function(a, b) { return Date.parse(a.dueAt) - Date.parse(b.dueAt); })
+            .map(function(request) {
+                return Object.assign(describe(request, now), { name: request.name, email: request.email });
+            });
+    }
+
+    /**
+     * Answer a POST: the action runs on the parsed body; its result is sent with the given status
+     */
+    function handlePost(req, res, status, action) {
+        utils.readJsonBody(req).then(function(body) {
+            utils.sendJson(res, status, action(body));
+        }).catch(function(e) {
+            utils.sendJson(res, e.status || 500, { error: e.message });
+        });
+    }
+
+    return function handle(req, res, url) {
+        if (url.pathname.indexOf('/api/data-requests') !== 0) return false;
+        const route = url.pathname.slice('/api/data-requests'.length);
+
+        if ((route === '' && req.method === 'GET') || route === '/resolve') {
+            if (!isAuthorized(req, adminToken)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                utils.sendJson(res, 401, { error: 'Unauthorized' });
+                return true;
+            }
+        }
+
+        if (route === '/status' && req.method === 'GET') {
+            try {
+                const request = findOwn(url.searchParams.get('reference'), url.searchParams.get('email'));
+                utils.sendJson(res, 200, describe(request, new Date()));
+            } catch (e) {
+                utils.sendJson(res, e.status || 500, { error: e.message });
+            }
+            return true;
+        }
+        if (route === '' && req.method === 'GET') {
+            utils.sendJson(res, 200, { requests: listOpen() });
+            return true;
+        }
+
+        const actions = { '': [201, open], '/verify': [200, verify], '/resolve': [200, resolve] };
+        if (!Object.prototype.hasOwnProperty.call(actions, route)) {
+            utils.sendJson(res, 404, { error: 'Not found' });
+            return true;
+        }
+        if (req.method !== 'POST') {
+            utils.sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+        handlePost(req, res, actions[route][0], actions[route][1]);
+        return true;
+    };
+}
+
+module.exports = {
+    createDataRequestsHandler: createDataRequestsHandler,
+    validateRequest: validateRequest,
+    getDueDate: getDueDate
+};
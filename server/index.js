@@ -0,0 +1,163 @@
+/**
+ * Local reference server - serves the site and the reference API endpoints,
+ * so the whole flow can be tested offline.
+ *
+ * Usage: node server/index.js   (PORT and DATA_DIR can be set in the environment;
+ *        SITE_DIR=dist serves the prerendered build from `npm run build` instead of the sources;
+ *        DATA_REQUESTS_TOKEN unlocks the team's data subject request routes)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createAnalyticsHandler } = require('./analytics');
+const { createBookingsHandler } = require('./bookings');
+const { createConsentReceiptsHandler } = require('./consent-receipts');
+const { createDataRequestsHandler } = require('./data-requests');
+const { sendJson } = require('./utils');
+
+const ROOT = path.resolve(process.env.SITE_DIR || path.join(__dirname, '..'));
+const PORT = Number(process.env.PORT) || 8080;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const DATA_REQUESTS_TOKEN = process.env.DATA_REQUESTS_TOKEN || '';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+// Never served as static files
+const PRIVATE_DIRS = ['server', 'node_modules', 'test'];
+
+// Read by cookie-consent.js to pick the visitor's jurisdiction profile
+const JURISDICTION_META = 'consent-jurisdiction';
+
+/**
+ * Jurisdiction hint for cookie-consent.js: a profile id or region set by the proxy in
+ * X-Consent-Jurisdiction, else the region from the CDN's geolocation headers (e.g. 'US-CA')
+ */
+function getJurisdictionHint(req) {
+    const explicit = req.headers['x-consent-jurisdiction'];
+    if (explicit) {
+        return /^[A-Za-z0-9_-]{1,32}$/.test(explicit) ? explicit : null;
+    }
+
+    const country = req.headers['cf-ipcountry'] || req.headers['x-vercel-ip-country'];
+    const region = req.headers['cf-region-code'] || req.headers['x-vercel-ip-country-region'];
+    if (!country || !/^[A-Za-z]{2}$/.test(country)) return null;
+    const code = country.toUpperCase();
+    return region && /^[A-Za-z0-9]{1,3}$/.test(region) ? `${code}-${region.toUpperCase()}` : code;
+}
+
+/**
+ * Serve a file from the site directory; clean URLs (/cookie-policy) map to .html files.
+ * Misses get the build's 404.html when there is one.
+ */
+function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (e) {
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const hidden = segments.some(function(segment) {
+        return segment.charAt(0) === '.';
+    });
+    if (hidden || PRIVATE_DIRS.indexOf(segments[0]) !== -1) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const candidates = [];
+    const filePath = path.join(ROOT, pathname);
+    if (pathname.endsWith('/')) {
+        candidates.push(path.join(filePath, 'index.html'));
+    } else {
+        candidates.push(filePath, filePath + '.html');
+    }
+
+    const found = candidates.find(function(candidate) {
+        return candidate.startsWith(ROOT + path.sep) && fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+    });
+    const notFoundPage = path.join(ROOT, '404.html');
+    if (!found && fs.existsSync(notFoundPage)) {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+        fs.createReadStream(notFoundPage).pipe(res);
+        return;
+    }
+    if (!found) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const type = MIME_TYPES[path.extname(found).toLowerCase()] || 'application/octet-stream';
+    const hint = path.extname(found).toLowerCase() === '.html' ? getJurisdictionHint(req) : null;
+    if (!hint) {
+        res.writeHead(200, { 'Content-Type': type });
+        fs.createReadStream(found).pipe(res);
+        return;
+    }
+
+    // The hint is validated above, so it is safe to write into the markup
+    const meta = `<meta name="${JURISDICTION_META}" content="${hint}">`;
+    const html = fs.readFileSync(found, 'utf8').replace(/<\/head>/i, function(tag) {
+        return `    ${meta}\n${tag}`;
+    });
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'private, no-cache' });
+    res.end(html);
+}
+
+/**
+ * Build the server with every reference API handler mounted
+ * (options: dataDir; sendVerificationCode and dataRequestsToken for the data subject requests)
+ */
+function createServer(options) {
+    const settings = options || {};
+    const dataDir = settings.dataDir || DATA_DIR;
+    const handlers = [
+        createConsentReceiptsHandler({ file: path.join(dataDir, 'consent-receipts.jsonl') }),
+        createBookingsHandler({ file: path.join(dataDir, 'bookings.jsonl') }),
+        createAnalyticsHandler({ file: path.join(dataDir, 'analytics.jsonl') }),
+        createDataRequestsHandler({
+            file: path.join(dataDir, 'data-requests.jsonl'),
+            sendVerificationCode: settings.sendVerificationCode,
+            adminToken: settings.dataRequestsToken !== undefined ? settings.dataRequestsToken : DATA_REQUESTS_TOKEN
+        })
+    ];
+
+    return http.createServer(function(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        for (let i = 0; i < handlers.length; i++) {
+            if (handlers[i](req, res, url)) return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        serveStatic(req, res, url);
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, function() {
+        console.log(`Reference server on http://localhost:${PORT} (data in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { createServer: createServer };
@@ -0,0 +1,97 @@
+/**
+ * Shared helpers for the local reference server
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body (any content type, so sendBeacon text/plain works)
+ */
+function readJsonBody(req, maxBytes) {
+    const limit = maxBytes || MAX_BODY_BYTES;
+    return new Promise(function(resolve, reject) {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', function(chunk) {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Append-only JSON-lines file store
+ */
+function createJsonLinesStore(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    return {
+        file: file,
+
+        append: function(record) {
+            fs.appendFileSync(file, JSON.stringify(record) + '\n');
+        },
+
+        readAll: function() {
+            if (!fs.existsSync(file)) return [];
+            return fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .map(function(line) {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        }
+    };
+}
+
+module.exports = {
+    HttpError: HttpError,
+    sendJson: sendJson,
+    readJsonBody: readJsonBody,
+    createJsonLinesStore: createJsonLinesStore
+};
@@ -0,0 +1,74 @@
+/**
+ * Dados da empresa - nome, endereço, contato e linhas de serviço
+ * Fonte única dos dados estruturados (structured-data.js gera o JSON-LD de cada página a partir
+ * daqui e de routes.js). Ao mudar endereço, contato ou serviços, altere só este arquivo.
+ */
+
+(function() {
+    'use strict';
+
+    window.SiteData = {
+        business: {
+            name: 'Digital Business Resolutions LLC',
+            legalName: 'Digital Business Resolutions LLC',
+            description: 'Digital marketing (SEO, SEM and strategic positioning) combined with national and international tax advisory, including tax residency relocation.',
+            logo: '/assets/logo-transparent.png',
+            email: 'info@digitalbusinessresolutions.com',
+            // Endereço da LLC nos Estados Unidos (o mesmo do rodapé)
+            address: {
+                streetAddress: '412 W 7th St Ste 1141',
+                addressLocality: 'Clovis',
+                addressRegion: 'NM',
+                postalCode: '88101',
+                addressCountry: 'US'
+            },
+            // Idiomas de atendimento (os mesmos do seletor de idioma)
+            languages: ['en', 'pt-BR', 'es'],
+            // Rota e seção onde o visitante pede uma consultoria
+            contactPage: { page: 'quem-somos', section: 'agendar-consultoria' }
+        },
+
+        // Linhas de serviço; areaServed segue o schema.org (Country, City ou texto livre)
+        services: [
+            {
+                id: 'digital-marketing',
+                name: 'Digital Marketing — SEO & SEM',
+                serviceType: 'Digital marketing',
+                description: 'Search engine optimization, search engine marketing, paid campaigns and strategic positioning.',
+                areaServed: 'Worldwide'
+            },
+            {
+                id: 'tax-residency-do',
+                name: 'Tax Residency Relocation — Dominican Republic',
+                serviceType: 'Tax residency advisory',
+                description: 'Tax residency planning, relocation and territorial taxation advisory in the Dominican Republic.',
+                areaServed: { '@type': 'Country', name: 'Dominican Republic', identifier: 'DO' }
+            },
+            {
+                id: 'tax-residency-py',
+                name: 'Tax Residency Relocation — Paraguay',
+                serviceType: 'Tax residency advisory',
+                description: 'Tax residency planning, relocation and territorial taxation advisory in Paraguay.',
+                areaServed: { '@type': 'Country', name: 'Paraguay', identifier: 'PY' }
+            },
+            {
+                id: 'tax-residency-ph',
+                name: 'Tax Residency Relocation — Philippines',
+                serviceType: 'Tax residency advisory',
+                description: 'Tax residency planning, relocation and international tax advisory in the Philippines.',
+                areaServed: { '@type': 'Country', name: 'Philippines', identifier: 'PH' }
+            },
+            {
+                id: 'tax-residency-ae',
+                name: 'Tax Residency Relocation — Dubai',
+                serviceType: 'Tax residency advisory',
+                description: 'Tax residency planning, relocation and company structuring in Dubai, United Arab Emirates.',
+                areaServed: {
+                    '@type': 'City',
+                    name: 'Dubai',
+                    containedInPlace: { '@type': 'Country', name: 'United Arab Emirates', identifier: 'AE' }
+                }
+            }
+        ]
+    };
+})();
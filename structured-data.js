@@ -0,0 +1,170 @@
+/**
+ * Dados estruturados (JSON-LD do schema.org) - empresa, site, página atual e serviços
+ * Gerados a partir de site-data.js (empresa e serviços) e routes.js (páginas) e gravados em
+ * <script type="application/ld+json" id="structured-data"> no <head>; refeitos a cada troca de
+ * página (evento page:change do script.js) e de idioma. O build (scripts/prerender.js) grava o
+ * mesmo JSON-LD em cada HTML estático.
+ * Deve ser carregado depois do routes.js e do site-data.js.
+ */
+
+(function() {
+    'use strict';
+
+    const ELEMENT_ID = 'structured-data';
+
+    let currentPage = null;
+
+    function absolute(path) {
+        return window.SiteRoutes.origin + path;
+    }
+
+    // Identificadores fixos dos nós compartilhados entre as páginas
+    function organizationId() {
+        return absolute('/#organization');
+    }
+
+    function websiteId() {
+        return absolute('/#website');
+    }
+
+    /**
+     * Idioma atual (o de origem, 'en', quando o i18n não está carregado, como no build)
+     */
+    function currentLanguage() {
+        return window.I18n ? window.I18n.getLanguage() : 'en';
+    }
+
+    function translate(key, fallback) {
+        return window.I18n ? window.I18n.t(key, fallback) : fallback;
+    }
+
+    /**
+     * A empresa: ProfessionalService (um tipo de Organization) com endereço e ponto de contato
+     */
+    function organization() {
+        const business = window.SiteData.business;
+        const contactRoute = window.SiteRoutes.pages.find(page => page.id === business.contactPage.page);
+
+        return {
+            '@type': 'ProfessionalService',
+            '@id': organizationId(),
+            name: business.name,
+            legalName: business.legalName,
+            description: business.description,
+            url: absolute('/'),
+            logo: { '@type': 'ImageObject', url: absolute(business.logo) },
+            image: absolute(window.SiteRoutes.image.path),
+            email: business.email,
+            address: Object.assign({ '@type': 'PostalAddress' }, business.address),
+            contactPoint: {
+                '@type': 'ContactPoint',
+                contactType: 'customer service',
+                email: business.email,
+                url: absolute(contactRoute.path + '#' + business.contactPage.section),
+                availableLanguage: business.languages.slice()
+            }
+        };
+    }
+
+    function website() {
+        return {
+            '@type': 'WebSite',
+            '@id': websiteId(),
+            url: absolute('/'),
+            name: window.SiteData.business.name,
+            inLanguage: window.SiteData.business.languages.slice(),
+            publisher: { '@id': organizationId() }
+        };
+    }
+
+    /**
+     * Uma linha de serviço, oferecida pela empresa na região de areaServed
+     */
+    function service(item) {
+        return {
+            '@type': 'Service',
+            '@id': absolute('/#service-' + item.id),
+            name: item.name,
+            serviceType: item.serviceType,
+            description: item.description,
+            provider: { '@id': organizationId() },
+            areaServed: item.areaServed
+        };
+    }
+
+    /**
+     * JSON-LD de uma página com rota (null para as demais, como a de não encontrada)
+     */
+    function build(pageId) {
+        const page = window.SiteRoutes.pages.find(item => item.id === pageId);
+        if (!page) return null;
+
+        const url = absolute(page.path);
+        const services = page.services ? window.SiteData.services.map(service) : [];
+        const webPage = {
+            '@type': page.schemaType || 'WebPage',
+            '@id': url + '#webpage',
+            url: url,
+            name: translate(`title.${page.id}`, page.title),
+            description: translate(`meta.${page.id}.description`, page.description),
+            inLanguage: currentLanguage(),
+            isPartOf: { '@id': websiteId() },
+            about: { '@id': organizationId() }
+        };
+        if (services.length) {
+            webPage.mainEntity = services.map(item => ({ '@id': item['@id'] }));
+        }
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [organization(), website(), webPage].concat(services)
+        };
+    }
+
+    /**
+     * Serializa para dentro de um <script> ("<" escapado: nenhum texto fecha a tag)
+     */
+    function serialize(data) {
+        return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * Grava (ou remove, se a página não tiver dados) o JSON-LD da página no <head>
+     */
+    function update(pageId) {
+        currentPage = pageId;
+        const data = build(pageId);
+        let element = document.getElementById(ELEMENT_ID);
+
+        if (!data) {
+            if (element) element.remove();
+            return;
+        }
+        if (!element) {
+            element = document.createElement('script');
+            element.type = 'application/ld+json';
+            element.id = ELEMENT_ID;
+            document.head.appendChild(element);
+        }
+        element.textContent = serialize(data);
+    }
+
+    if (!window.SiteRoutes || !window.SiteData) return;
+
+    window.addEventListener('page:change', function(e) {
+        update(e.detail.page);
+    });
+
+    // Troca de idioma: nome, descrição e inLanguage da página acompanham
+    window.addEventListener('i18n:change', function() {
+        if (currentPage) {
+            update(currentPage);
+        }
+    });
+
+    window.StructuredData = {
+        build: build,
+        serialize: serialize,
+        update: update
+    };
+})();
@@ -0,0 +1,431 @@
+/**
+ * Comparador de residência fiscal - seção "Countries of Expertise" da Home
+ * Lê data/tax-residency.json (tributação, regras para a renda do exterior, permanência mínima,
+ * investimento e prazo de cada país) e monta a tabela comparativa com filtros e o questionário
+ * que ordena os países. Os botões de consultoria preenchem o formulário de agendamento
+ * (BookingForm.prefill, em booking-form.js) com o país e as respostas.
+ * Deve ser carregado depois do i18n.js, do script.js e do booking-form.js.
+ */
+
+(function() {
+    'use strict';
+
+    // Relativo ao site: vale na raiz e nas rotas do modo path
+    const DATA_URL = 'data/tax-residency.json';
+
+    const QUESTIONS = ['income', 'stay', 'budget', 'setup'];
+    // Peso de cada pergunta na nota (total 10)
+    const WEIGHTS = { income: 4, stay: 2, budget: 2, setup: 2 };
+    const MAX_SCORE = 10;
+
+    // Quanto da renda do exterior fica livre de imposto
+    const FOREIGN_INCOME_SHARE = { exempt: 1, partial: 0.5, taxed: 0 };
+
+    // Textos do comparador em inglês; as traduções ficam em locales/*.js (tax.*)
+    const MESSAGES = {
+        'tax.loading': 'Loading the comparison…',
+        'tax.loadError': 'We could not load the comparison. Reload the page, or book a consultation and we will walk you through it.',
+        'tax.reviewed': 'Information reviewed on {date}.',
+        'tax.taxation.territorial': 'Territorial',
+        'tax.taxation.worldwide': 'Worldwide',
+        'tax.taxation.none': 'No personal income tax',
+        'tax.topRate': 'up to {rate}%',
+        'tax.row.taxation': 'Taxation',
+        'tax.row.incomeRules': 'Income from abroad',
+        'tax.row.minimumStay': 'Stay for tax residency',
+        'tax.row.investment': 'Investment or deposit',
+        'tax.row.setup': 'Setup time',
+        'tax.foreignIncome.exempt': 'Not taxed',
+        'tax.foreignIncome.partial': 'Partly taxed',
+        'tax.foreignIncome.taxed': 'Taxed',
+        'tax.days': '{days} days a year',
+        'tax.noInvestment': 'None required',
+        'tax.fromAmount': 'From {amount}',
+        'tax.months': '{min}–{max} months',
+        'tax.book': 'Book a consultation',
+        'tax.bookCountry': 'Book a consultation about {country}',
+        'tax.quiz.missing': 'Answer every question to see your ranking.',
+        'tax.ranking.score': 'Match: {score}/10',
+        'tax.reason.foreign.exempt': 'Income from abroad is not taxed.',
+        'tax.reason.foreign.partial': 'Part of your income from abroad may be taxed.',
+        'tax.reason.foreign.taxed': 'Income from abroad is taxed.',
+        'tax.reason.local.none': 'No tax on income earned in the country.',
+        'tax.reason.local.rate': 'Income earned in the country pays up to {rate}%.',
+        'tax.reason.stay.ok': 'Your time there is enough for tax residency ({days} days).',
+        'tax.reason.stay.short': 'Tax residency needs about {days} days a year.',
+        'tax.reason.budget.ok': 'Residency fits your budget.',
+        'tax.reason.budget.over': 'The most affordable route needs {amount}.',
+        'tax.reason.setup.ok': 'Usually ready in {min}–{max} months.',
+        'tax.reason.setup.slow': 'Usually takes {min}–{max} months.',
+        'tax.prefill.country': 'I am interested in tax residency in {country}.',
+        'tax.prefill.answers': 'My answers to the country comparison: {answers}.'
+    };
+    const text = window.I18n.translator(MESSAGES);
+
+    function currentLanguage() {
+        return window.I18n.getLanguage();
+    }
+
+    /**
+     * Texto do dataset no idioma atual ({ en, pt-BR, es }; inglês se faltar a tradução)
+     */
+    function localized(value) {
+        return value[currentLanguage()] || value.en;
+    }
+
+    function formatAmount(amount) {
+        return new Intl.NumberFormat(currentLanguage(), {
+            style: 'currency',
+            currency: 'USD',
+            currencyDisplay: 'code',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    function loadData() {
+        const request = fetch(DATA_URL).then(response => {
+            if (!response.ok) {
+                throw new Error(`${DATA_URL} returned ${response.status}`);
+            }
+            return response.json();
+        });
+        return window.LoadingScreen ? window.LoadingScreen.track(request) : request;
+    }
+
+    /**
+     * País passa nos filtros (valor vazio = qualquer um)
+     */
+    function matchesFilters(country, filters) {
+        return (!filters.taxation || country.taxation.type === filters.taxation) &&
+            (!filters.stay || country.minimumStay.days <= Number(filters.stay)) &&
+            (!filters.budget || country.investment.minimumUSD <= Number(filters.budget)) &&
+            (!filters.setup || country.setupMonths.max <= Number(filters.setup));
+    }
+
+    /**
+     * Nota de um país para as respostas do questionário, com os motivos (ok = ponto a favor)
+     */
+    function score(country, answers) {
+        const reasons = [];
+        let total = 0;
+
+        // Renda: do exterior, no próprio país ou as duas (média)
+        const foreign = FOREIGN_INCOME_SHARE[country.incomeRules.foreignIncome];
+        const rate = country.taxation.topRate;
+        const local = rate === 0 ? 1 : rate <= 10 ? 0.75 : rate <= 25 ? 0.25 : 0;
+        if (answers.income !== 'local') {
+            reasons.push({ ok: foreign === 1, text: text(`tax.reason.foreign.${country.incomeRules.foreignIncome}`) });
+        }
+        if (answers.income !== 'foreign') {
+            reasons.push({ ok: local >= 0.75, text: rate === 0 ? text('tax.reason.local.none') : text('tax.reason.local.rate', { rate: rate }) });
+        }
+        const incomeShare = answers.income === 'foreign' ? foreign : answers.income === 'local' ? local : (foreign + local) / 2;
+        total += WEIGHTS.income * incomeShare;
+
+        const days = country.minimumStay.days;
+        const staysEnough = Number(answers.stay) >= days;
+        reasons.push({ ok: staysEnough, text: text(staysEnough ? 'tax.reason.stay.ok' : 'tax.reason.stay.short', { days: days }) });
+        total += staysEnough ? WEIGHTS.stay : 0;
+
+        const budget = answers.budget === 'unlimited' ? Infinity : Number(answers.budget);
+        const affordable = country.investment.minimumUSD <= budget;
+        reasons.push({
+            ok: affordable,
+            text: affordable ? text('tax.reason.budget.ok') : text('tax.reason.budget.over', { amount: formatAmount(country.investment.minimumUSD) })
+        });
+        total += affordable ? WEIGHTS.budget : 0;
+
+        // Prazo: cabe inteiro (nota cheia) ou só no melhor caso (meia)
+        const months = country.setupMonths;
+        const needed = Number(answers.setup);
+        const fast = months.max <= needed;
+        reasons.push({ ok: fast, text: text(fast ? 'tax.reason.setup.ok' : 'tax.reason.setup.slow', { min: months.min, max: months.max }) });
+        total += fast ? WEIGHTS.setup : months.min <= needed ? WEIGHTS.setup / 2 : 0;
+
+        return { country: country, score: total, reasons: reasons };
+    }
+
+    /**
+     * Países do melhor para o pior (empates mantêm a ordem do dataset)
+     */
+    function rank(countries, answers) {
+        return countries.map(country => score(country, answers)).sort((a, b) => b.score - a.score);
+    }
+
+    function initTaxComparison(tool) {
+        const status = tool.querySelector('.tax-status');
+        const filters = tool.querySelector('.tax-filters');
+        const taxationFilter = filters.querySelector('select[name="taxation"]');
+        const table = tool.querySelector('.tax-table');
+        const empty = tool.querySelector('.tax-empty');
+        const quiz = tool.querySelector('.tax-quiz');
+        const quizError = quiz.querySelector('.tax-quiz-error');
+        const ranking = tool.querySelector('.tax-ranking');
+        const reviewed = tool.querySelector('.tax-reviewed');
+
+        let data = null;
+        let statusKey = 'tax.loading';
+        let answers = null;
+        let quizErrorShown = false;
+
+        function renderStatus() {
+            status.textContent = statusKey ? text(statusKey) : '';
+        }
+
+        /**
+         * Respostas do questionário ('' nas perguntas sem resposta)
+         */
+        function readAnswers() {
+            const values = {};
+            QUESTIONS.forEach(name => {
+                const checked = quiz.querySelector(`input[name="${name}"]:checked`);
+                values[name] = checked ? checked.value : '';
+            });
+            return values;
+        }
+
+        /**
+         * Respostas enviadas (as do ranking, não as marcadas agora) como texto para a mensagem
+         * do agendamento ("Pergunta: resposta; ...")
+         */
+        function describeAnswers(values) {
+            return QUESTIONS.map(name => {
+                const input = quiz.querySelector(`input[name="${name}"][value="${values[name]}"]`);
+                const legend = input.closest('fieldset').querySelector('legend').textContent.trim();
+                return `${legend} ${input.closest('label').textContent.trim()}`;
+            }).join('; ');
+        }
+
+        /**
+         * Link para o formulário de agendamento, já preenchido com o país (e as respostas, se houver)
+         */
+        function createBookingLink(country) {
+            const name = localized(country.name);
+            const link = document.createElement('a');
+            link.className = 'cta-button tax-book';
+            link.setAttribute('data-page', 'quem-somos');
+            link.setAttribute('data-section', 'agendar-consultoria');
+            link.href = window.Pages.urlFor ? window.Pages.urlFor('quem-somos', 'agendar-consultoria') : '#agendar-consultoria';
+            link.textContent = text('tax.book');
+            link.setAttribute('aria-label', text('tax.bookCountry', { country: name }));
+
+            // Roda antes da navegação (delegada no documento pelo script.js)
+            link.addEventListener('click', function() {
+                const message = [text('tax.prefill.country', { country: name })];
+                if (answers) {
+                    message.push(text('tax.prefill.answers', { answers: describeAnswers(answers) }));
+                }
+                window.BookingForm.prefill({
+                    serviceLine: 'tax-advisory',
+                    country: country.id,
+                    message: message.join(' ')
+                });
+            });
+            return link;
+        }
+
+        function createCell(tagName, value, note) {
+            const cell = document.createElement(tagName);
+            const strong = document.createElement('strong');
+            strong.textContent = value;
+            cell.appendChild(strong);
+            if (note) {
+                const detail = document.createElement('span');
+                detail.className = 'tax-note';
+                detail.textContent = localized(note);
+                cell.appendChild(detail);
+            }
+            return cell;
+        }
+
+        // Linhas da tabela: título e conteúdo da célula de cada país
+        const ROWS = [
+            {
+                key: 'tax.row.taxation',
+                cell: country => {
+                    const type = text(`tax.taxation.${country.taxation.type}`);
+                    const value = country.taxation.topRate ? `${type} — ${text('tax.topRate', { rate: country.taxation.topRate })}` : type;
+                    return createCell('td', value, country.taxation.note);
+                }
+            },
+            {
+                key: 'tax.row.incomeRules',
+                cell: country => createCell('td', text(`tax.foreignIncome.${country.incomeRules.foreignIncome}`), country.incomeRules.note)
+            },
+            {
+                key: 'tax.row.minimumStay',
+                cell: country => createCell('td', text('tax.days', { days: country.minimumStay.days }), country.minimumStay.note)
+            },
+            {
+                key: 'tax.row.investment',
+                cell: country => {
+                    const amount = country.investment.minimumUSD;
+                    return createCell('td', amount ? text('tax.fromAmount', { amount: formatAmount(amount) }) : text('tax.noInvestment'), country.investment.note);
+                }
+            },
+            {
+                key: 'tax.row.setup',
+                cell: country => createCell('td', text('tax.months', { min: country.setupMonths.min, max: country.setupMonths.max }), country.setupMonths.note)
+            }
+        ];
+
+        /**
+         * Opções do filtro de tributação: só os tipos que aparecem no dataset
+         */
+        function renderTaxationFilter() {
+            const selected = taxationFilter.value;
+            const types = [];
+            data.countries.forEach(country => {
+                if (types.indexOf(country.taxation.type) === -1) types.push(country.taxation.type);
+            });
+            Array.from(taxationFilter.options).slice(1).forEach(option => option.remove());
+            types.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = text(`tax.taxation.${type}`);
+                taxationFilter.appendChild(option);
+            });
+            taxationFilter.value = selected;
+        }
+
+        /**
+         * Tabela lado a lado: uma coluna por país que passa nos filtros
+         */
+        function renderTable() {
+            const values = {};
+            Array.from(filters.querySelectorAll('select')).forEach(select => {
+                values[select.name] = select.value;
+            });
+            const countries = data.countries.filter(country => matchesFilters(country, values));
+
+            const head = document.createElement('tr');
+            head.appendChild(document.createElement('td'));
+            countries.forEach(country => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = localized(country.name);
+                head.appendChild(th);
+            });
+            table.tHead.replaceChildren(head);
+
+            const body = table.tBodies[0];
+            body.replaceChildren();
+            ROWS.forEach(row => {
+                const tr = document.createElement('tr');
+                const th = document.createElement('th');
+                th.scope = 'row';
+                th.textContent = text(row.key);
+                tr.appendChild(th);
+                countries.forEach(country => tr.appendChild(row.cell(country)));
+                body.appendChild(tr);
+            });
+            const actions = document.createElement('tr');
+            actions.appendChild(document.createElement('td'));
+            countries.forEach(country => {
+                const td = document.createElement('td');
+                td.appendChild(createBookingLink(country));
+                actions.appendChild(td);
+            });
+            body.appendChild(actions);
+
+            table.hidden = countries.length === 0;
+            empty.hidden = countries.length > 0;
+        }
+
+        function renderRanking() {
+            const list = ranking.querySelector('ol');
+            list.replaceChildren();
+            if (!answers) return;
+
+            rank(data.countries, answers).forEach(result => {
+                const item = document.createElement('li');
+                item.className = 'tax-ranking-item';
+
+                const title = document.createElement('h4');
+                title.textContent = localized(result.country.name);
+                const badge = document.createElement('span');
+                badge.className = 'tax-score';
+                badge.textContent = text('tax.ranking.score', { score: Math.round(result.score * 10) / 10 });
+                title.append(' ', badge);
+
+                const reasons = document.createElement('ul');
+                reasons.className = 'tax-reasons';
+                result.reasons.forEach(reason => {
+                    const li = document.createElement('li');
+                    li.className = reason.ok ? 'tax-reason-ok' : 'tax-reason-warn';
+                    li.textContent = reason.text;
+                    reasons.appendChild(li);
+                });
+
+                item.append(title, reasons, createBookingLink(result.country));
+                list.appendChild(item);
+            });
+        }
+
+        function renderQuizError() {
+            quizError.textContent = quizErrorShown ? text('tax.quiz.missing') : '';
+            quizError.hidden = !quizErrorShown;
+        }
+
+        function renderReviewed() {
+            const date = data ? new Date(data.reviewed + 'T00:00:00') : null;
+            reviewed.textContent = date && !isNaN(date) ? text('tax.reviewed', { date: window.I18n.formatDate(date) }) : '';
+        }
+
+        function render() {
+            renderStatus();
+            renderQuizError();
+            if (!data) return;
+            renderTaxationFilter();
+            renderTable();
+            renderRanking();
+            renderReviewed();
+        }
+
+        filters.addEventListener('change', renderTable);
+
+        quiz.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (!data) return;
+
+            const values = readAnswers();
+            const missing = QUESTIONS.find(name => !values[name]);
+            quizErrorShown = Boolean(missing);
+            renderQuizError();
+            if (missing) {
+                quiz.querySelector(`input[name="${missing}"]`).focus();
+                return;
+            }
+
+            answers = values;
+            renderRanking();
+            ranking.hidden = false;
+            ranking.focus();
+        });
+
+        // Troca de idioma: tabela, filtros, ranking e mensagens acompanham
+        window.addEventListener('i18n:change', render);
+
+        renderStatus();
+        loadData().then(result => {
+            data = result;
+            statusKey = '';
+            filters.disabled = false;
+            render();
+        }).catch(error => {
+            console.warn('Error loading the tax residency comparison:', error);
+            statusKey = 'tax.loadError';
+            renderStatus();
+        });
+    }
+
+    if (!window.Pages) return;
+
+    // A seção fica na Home, carregada sob demanda (pages/home.html)
+    window.Pages.onInit('home', function(page) {
+        const tool = page.querySelector('.tax-tool');
+        if (tool) {
+            initTaxComparison(tool);
+        }
+    });
+})();
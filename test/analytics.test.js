@@ -0,0 +1,280 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ORIGIN, openPage, wait, click } = require('./helpers/dom');
+const { createServer } = require('../server/index');
+const { buildReport } = require('../server/analytics');
+
+/**
+ * Open the site recording the batches analytics.js posts; online: false starts offline
+ */
+async function openSite(options) {
+    const settings = options || {};
+    const batches = [];
+    const dom = await openPage('index.html', {
+        url: settings.url,
+        storage: settings.storage,
+        fetch: function(url, init) {
+            if (url === '/api/analytics') {
+                if (settings.failing) {
+                    return Promise.reject(new TypeError('Failed to fetch'));
+                }
+                batches.push(JSON.parse(init.body).events);
+            }
+            return Promise.resolve({ ok: true, status: 200 });
+        },
+        beforeParse: function(window) {
+            if (settings.online === false) {
+                Object.defineProperty(window.navigator, 'onLine', { value: false, configurable: true });
+            }
+        }
+    });
+    dom.batches = batches;
+    dom.sent = function() {
+        return [].concat.apply([], batches);
+    };
+    return dom;
+}
+
+function acceptAll(dom) {
+    click(dom.window.document.getElementById('cookie-accept-all'));
+}
+
+function queued(dom) {
+    return JSON.parse(dom.window.localStorage.getItem('analytics_queue') || '[]');
+}
+
+test('nothing is collected or stored before analytics is allowed', async function() {
+    const dom = await openSite();
+    const { document, Analytics } = dom.window;
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+
+    assert.equal(Analytics.isRunning(), false);
+    assert.deepEqual(dom.batches, []);
+    assert.equal(dom.window.localStorage.getItem('analytics_queue'), null);
+    assert.equal(dom.window.sessionStorage.getItem('analytics_session'), null);
+
+    click(document.getElementById('cookie-reject'));
+    assert.equal(Analytics.isRunning(), false);
+    dom.window.close();
+});
+
+test('accepting analytics counts the page on screen, then page views, CTA, mailto and outbound clicks', async function() {
+    const dom = await openSite();
+    const { document, Analytics } = dom.window;
+
+    acceptAll(dom);
+    await wait(0);
+    assert.equal(Analytics.isRunning(), true);
+    const [first] = dom.sent();
+    assert.equal(first.type, 'pageview');
+    assert.equal(first.page, 'home');
+    assert.equal(first.sessionId, dom.window.sessionStorage.getItem('analytics_session'));
+
+    // The CTA also navigates to the booking form: a click and a new page view
+    click(document.getElementById('cta-hero'));
+    await wait(150);
+
+    const mailto = document.createElement('a');
+    mailto.href = 'mailto:info@digitalbusinessresolutions.com';
+    const outbound = document.createElement('a');
+    outbound.href = 'https://www.linkedin.com/company/example?utm_source=site#top';
+    [mailto, outbound].forEach(link => {
+        link.addEventListener('click', e => e.preventDefault());
+        document.getElementById('quem-somos').appendChild(link);
+        click(link);
+    });
+
+    // Under the batch size, the rest waits for the timer (or an explicit flush)
+    assert.equal(dom.batches.length, 1);
+    Analytics.flush();
+    await wait(0);
+
+    const events = dom.sent().slice(1).map(event => [event.type, event.page, event.target || event.url || '']);
+    assert.deepEqual(events, [
+        ['cta_click', 'home', 'cta-hero'],
+        ['pageview', 'quem-somos', ''],
+        ['mailto_click', 'quem-somos', ''],
+        ['outbound_click', 'quem-somos', 'https://www.linkedin.com/company/example']
+    ]);
+    assert.equal(new Set(dom.sent().map(event => event.sessionId)).size, 1);
+    assert.deepEqual(queued(dom), []);
+    dom.window.close();
+});
+
+test('scroll depth is recorded per content section when the visitor leaves the page', async function() {
+    const dom = await openSite();
+    const { document } = dom.window;
+    const sections = Array.from(document.querySelectorAll('#home .content-section'));
+    let offset = 0;
+    // Each section is 1000px tall, stacked below an 800px viewport; scrolling moves them up
+    sections.forEach((section, index) => {
+        section.getBoundingClientRect = () => ({ top: 800 + index * 1000 - offset, height: 1000 });
+    });
+    dom.window.innerHeight = 800;
+
+    acceptAll(dom);
+    offset = 1600;
+    dom.window.dispatchEvent(new dom.window.Event('scroll'));
+    await wait(50);
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+    dom.window.Analytics.flush();
+    await wait(0);
+
+    const depths = dom.sent().filter(event => event.type === 'scroll_depth').map(event => [event.section, event.depth, event.page]);
+    assert.deepEqual(depths, [
+        ['como-trabalhamos', 100, 'home'],
+        ['servicos-digitais', 50, 'home']
+    ]);
+    dom.window.close();
+});
+
+test('events are sent in batches and kept in the queue while offline', async function() {
+    const dom = await openSite({ online: false });
+    const { document } = dom.window;
+
+    acceptAll(dom);
+    for (let i = 0; i < 4; i++) {
+        click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+        await wait(100);
+        click(document.querySelector('.nav-link[data-page="home"]'));
+        await wait(100);
+    }
+    assert.deepEqual(dom.batches, []);
+    assert.ok(queued(dom).length >= 9);
+
+    // Back online: the whole queue goes out, in batches
+    Object.defineProperty(dom.window.navigator, 'onLine', { value: true, configurable: true });
+    dom.window.dispatchEvent(new dom.window.Event('online'));
+    await wait(50);
+    assert.ok(dom.batches.length >= 1);
+    assert.deepEqual(queued(dom), []);
+    assert.equal(dom.sent().filter(event => event.type === 'pageview').length, 9);
+    dom.window.close();
+});
+
+test('a queue left by a failed send is delivered on the next visit', async function() {
+    const offline = await openSite({ failing: true });
+    acceptAll(offline);
+    await wait(0);
+    const storage = { analytics_queue: offline.window.localStorage.getItem('analytics_queue') };
+    const consent = offline.window.localStorage.getItem('cookie_consent');
+    offline.window.close();
+    assert.equal(JSON.parse(storage.analytics_queue).length, 1);
+
+    const dom = await openSite({ storage: Object.assign(storage, { cookie_consent: consent }) });
+    assert.deepEqual(dom.sent().map(event => event.id), JSON.parse(storage.analytics_queue).map(event => event.id));
+    // This visit's page view waits for its own batch
+    assert.deepEqual(queued(dom).map(event => [event.type, event.page]), [['pageview', 'home']]);
+    dom.window.close();
+});
+
+test('withdrawing analytics stops collection and erases what it stored, without a reload prompt', async function() {
+    const dom = await openSite({ online: false });
+    const { document, CookieConsent, Analytics } = dom.window;
+
+    acceptAll(dom);
+    assert.equal(queued(dom).length, 1);
+
+    CookieConsent.showModal();
+    await wait(30);
+    document.querySelector('.cookie-modal input[data-cookie-category="analytics"]').checked = false;
+    click(document.getElementById('cookie-modal-save'));
+    assert.equal(CookieConsent.isCategoryAllowed('analytics'), false);
+
+    assert.equal(Analytics.isRunning(), false);
+    assert.equal(dom.window.localStorage.getItem('analytics_queue'), null);
+    assert.equal(dom.window.sessionStorage.getItem('analytics_session'), null);
+    assert.equal(document.getElementById('cookie-reload-now'), null);
+    dom.window.close();
+});
+
+test('the collector stores valid events once and reports views, scroll depth and conversion', async function(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    const server = createServer({ dataDir: dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(function() {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    let count = 0;
+    function event(sessionId, type, page, extra) {
+        count += 1;
+        return Object.assign({
+            id: `event-${count}`,
+            type: type,
+            timestamp: new Date().toISOString(),
+            sessionId: sessionId,
+            viewId: `${sessionId}-${page}`,
+            page: page
+        }, extra);
+    }
+    const events = [
+        event('a', 'pageview', 'home'),
+        event('a', 'cta_click', 'home', { target: 'cta-hero' }),
+        event('a', 'scroll_depth', 'home', { section: 'como-trabalhamos', depth: 50 }),
+        event('a', 'scroll_depth', 'home', { section: 'como-trabalhamos', depth: 100 }),
+        event('a', 'pageview', 'quem-somos'),
+        event('a', 'contact_submit', 'quem-somos'),
+        event('b', 'pageview', 'home'),
+        event('b', 'scroll_depth', 'home', { section: 'como-trabalhamos', depth: 25 }),
+        event('b', 'outbound_click', 'home', { url: 'https://www.linkedin.com/company/example' }),
+        { id: 'bad', type: 'pageview' }
+    ];
+
+    function post(body) {
+        return fetch(`${base}/api/analytics`, { method: 'POST', body: JSON.stringify(body) }).then(response => response.json());
+    }
+
+    assert.deepEqual(await post({ events: events }), { stored: 9, rejected: 1 });
+    // A batch sent again (e.g. by sendBeacon and a retry) is not counted twice
+    assert.deepEqual(await post({ events: events.slice(0, 3) }), { stored: 0, rejected: 0 });
+    const invalid = await fetch(`${base}/api/analytics`, { method: 'POST', body: '{"events":[]}' });
+    assert.equal(invalid.status, 400);
+
+    const report = await fetch(`${base}/api/analytics/report`).then(response => response.json());
+    assert.equal(report.sessions, 2);
+    assert.equal(report.pageviews, 3);
+    assert.deepEqual(report.pages.map(page => [page.page, page.views, page.sessions, page.conversionRate]), [
+        ['home', 2, 2, 50],
+        ['quem-somos', 1, 1, 100]
+    ]);
+    assert.deepEqual(report.ctaClicks, [{ target: 'cta-hero', clicks: 1 }]);
+    assert.deepEqual(report.scrollDepth, [
+        { page: 'home', section: 'como-trabalhamos', views: 2, reached: { 25: 2, 50: 1, 75: 1, 100: 1 } }
+    ]);
+    assert.deepEqual(report.outboundClicks, [{ url: 'https://www.linkedin.com/company/example', clicks: 1 }]);
+    assert.deepEqual(report.contact, { submits: 1, mailtoClicks: 0, sessions: 1, conversionRate: 50 });
+});
+
+test('the report page shows the collector summary', async function() {
+    const report = buildReport([
+        { type: 'pageview', sessionId: 's1', viewId: 'v1', page: 'home' },
+        { type: 'mailto_click', sessionId: 's1', viewId: 'v1', page: 'home' },
+        { type: 'pageview', sessionId: 's2', viewId: 'v2', page: 'home' }
+    ]);
+    const dom = await openPage('reports/analytics.html', {
+        url: `${ORIGIN}/reports/analytics.html`,
+        fetch: function(url) {
+            assert.equal(url, '/api/analytics/report');
+            return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(report) });
+        }
+    });
+    const { document } = dom.window;
+
+    assert.equal(document.getElementById('report-sessions').textContent, '2');
+    assert.equal(document.getElementById('report-conversion').textContent, '50%');
+    const rows = Array.from(document.querySelectorAll('#report-pages tbody tr'), row => Array.from(row.cells, cell => cell.textContent));
+    assert.deepEqual(rows, [['home', '2', '2', '1', '50%']]);
+    assert.equal(document.querySelector('#report-cta tbody td').textContent, 'No CTA clicks yet.');
+    dom.window.close();
+});
@@ -0,0 +1,284 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ORIGIN, openPage, wait, click } = require('./helpers/dom');
+const { createServer } = require('../server/index');
+const { validateBooking } = require('../server/bookings');
+
+const BOOKING = {
+    name: 'Ana Silva',
+    email: 'ana@example.com',
+    serviceLine: 'tax-advisory',
+    country: 'PY',
+    contactMethods: ['email'],
+    preferredDate: '2026-10-19',
+    preferredTime: 'morning',
+    timezone: 'America/Sao_Paulo',
+    consent: true,
+    website: '',
+    elapsedMs: 10000
+};
+
+/**
+ * Reference server in a temporary folder
+ */
+async function startServer(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    const server = createServer({ dataDir: dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(function() {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { base: `http://127.0.0.1:${server.address().port}`, dataDir: dataDir };
+}
+
+/**
+ * About page with the booking form; requests to the API go to the reference server when there is one
+ */
+async function openForm(backend, options) {
+    const dom = await openPage('index.html', Object.assign({
+        url: `${ORIGIN}/#/quem-somos`,
+        fetch: function(url, init) {
+            if (!backend) return Promise.reject(new TypeError('Failed to fetch'));
+            return fetch(backend.base + url, init);
+        }
+    }, options));
+    await wait(30);
+    return { dom: dom, form: dom.window.document.getElementById('booking-form') };
+}
+
+/**
+ * Fill the form like the visitor would, one field at a time (each change revalidates)
+ */
+function fillBooking(form, values) {
+    const window = form.ownerDocument.defaultView;
+    Object.keys(values).forEach(name => {
+        const value = values[name];
+        if (name === 'serviceLine') {
+            form.querySelector(`input[name="serviceLine"][value="${value}"]`).checked = true;
+        } else if (name === 'contactMethods') {
+            form.querySelectorAll('input[name="contactMethods"]').forEach(input => {
+                input.checked = value.indexOf(input.value) !== -1;
+            });
+        } else if (name === 'consent') {
+            form.elements.namedItem('consent').checked = value;
+        } else {
+            form.elements.namedItem(name).value = value;
+        }
+        form.dispatchEvent(new window.Event('change'));
+    });
+}
+
+const VALID = {
+    name: 'Ana Silva',
+    email: 'ana@example.com',
+    serviceLine: 'tax-advisory',
+    country: 'PY',
+    contactMethods: ['email'],
+    preferredDate: '2099-01-15',
+    preferredTime: 'morning',
+    consent: true
+};
+
+function errors(form) {
+    return Array.from(form.querySelectorAll('.form-error:not([hidden])')).map(error => error.id);
+}
+
+function summaryLinks(form) {
+    return Array.from(form.querySelectorAll('#booking-error-summary a')).map(link => [link.getAttribute('href'), link.textContent]);
+}
+
+test('the server rejects a preferred date in the past, judged in the visitor\'s time zone', async function(t) {
+    // 01:30 UTC on the 20th is still the 19th in São Paulo (UTC-3), but already the 20th in Dubai
+    const now = new Date('2026-10-20T01:30:00Z');
+    assert.equal(validateBooking(BOOKING, now), null);
+    assert.equal(validateBooking(Object.assign({}, BOOKING, { timezone: 'Asia/Dubai' }), now), 'preferredDate is in the past');
+    assert.equal(validateBooking(Object.assign({}, BOOKING, { preferredDate: '2026-10-18' }), now), 'preferredDate is in the past');
+    // Without a usable time zone, only dates past everywhere are turned away
+    assert.equal(validateBooking(Object.assign({}, BOOKING, { timezone: 'Not/AZone' }), now), null);
+    assert.equal(validateBooking(Object.assign({}, BOOKING, { timezone: null, preferredDate: '2026-10-18' }), now), 'preferredDate is in the past');
+
+    const { base, dataDir } = await startServer(t);
+    const response = await fetch(`${base}/api/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.assign({}, BOOKING, { preferredDate: '2020-01-01' }))
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'preferredDate is in the past' });
+    assert.equal(fs.existsSync(path.join(dataDir, 'bookings.jsonl')), false);
+});
+
+test('the booking form lists the errors on submit and links each message to its field', async function() {
+    const { dom, form } = await openForm();
+    const { document } = dom.window;
+    const summary = document.getElementById('booking-error-summary');
+
+    // No message before the first attempt, even after editing a field
+    fillBooking(form, { email: 'ana@' });
+    assert.deepEqual(errors(form), []);
+    assert.equal(summary.hidden, true);
+
+    click(document.getElementById('booking-submit'));
+    assert.equal(summary.hidden, false);
+    assert.equal(document.activeElement, summary);
+    assert.deepEqual(summaryLinks(form), [
+        ['#booking-name', 'Enter your full name.'],
+        ['#booking-email', 'Enter a valid email address, like name@example.com.'],
+        ['#booking-service-digital-marketing', 'Choose the service you are interested in.'],
+        ['#booking-country', 'Choose a country of interest for tax advisory (or "Not sure yet").'],
+        ['#booking-contact-email', 'Choose at least one way for us to contact you.'],
+        ['#booking-date', 'Choose a preferred date.'],
+        ['#booking-time', 'Choose a preferred time.'],
+        ['#booking-consent', 'Confirm that we may use these details to contact you.']
+    ]);
+
+    // Each message is announced with its field, and the field is marked invalid
+    errors(form).forEach(id => {
+        const described = Array.from(form.querySelectorAll(`[aria-describedby~="${id}"]`));
+        assert.ok(described.length > 0, `nothing is described by ${id}`);
+    });
+    assert.equal(document.getElementById('booking-name').getAttribute('aria-invalid'), 'true');
+    form.querySelectorAll('input[name="serviceLine"]').forEach(radio => {
+        assert.equal(radio.getAttribute('aria-invalid'), 'true');
+    });
+    assert.equal(document.getElementById('booking-phone').hasAttribute('aria-invalid'), false);
+
+    // The summary links move the focus to the field
+    click(summary.querySelectorAll('a')[1]);
+    assert.equal(document.activeElement, document.getElementById('booking-email'));
+
+    // Fixed fields drop their message right away; new problems wait for the next submit
+    fillBooking(form, { name: 'Ana Silva', serviceLine: 'digital-marketing', contactMethods: ['whatsapp'], preferredDate: '2020-01-01' });
+    assert.equal(document.getElementById('booking-name-error').hidden, true);
+    assert.equal(document.getElementById('booking-name').hasAttribute('aria-invalid'), false);
+    assert.equal(document.getElementById('booking-country-error').hidden, true);
+    assert.equal(document.getElementById('booking-phone-error').hidden, true);
+    assert.equal(document.getElementById('booking-preferredDate-error').textContent, 'Choose today or a later date.');
+
+    click(document.getElementById('booking-submit'));
+    assert.deepEqual(errors(form), [
+        'booking-email-error',
+        'booking-phone-error',
+        'booking-preferredDate-error',
+        'booking-preferredTime-error',
+        'booking-consent-error'
+    ]);
+    assert.equal(document.getElementById('booking-phone-error').textContent,
+        'Enter a phone number so we can call you or message you on WhatsApp.');
+
+    fillBooking(form, { phone: 'call me' });
+    assert.equal(document.getElementById('booking-phone-error').textContent,
+        'Enter a valid phone number with the country code, like +1 555 123 4567.');
+    dom.window.close();
+});
+
+test('the booking form holds back spam and sends the request to the server', async function(t) {
+    const backend = await startServer(t);
+    const { dom, form } = await openForm(backend);
+    const { document } = dom.window;
+    const status = document.getElementById('booking-status');
+    const file = path.join(backend.dataDir, 'bookings.jsonl');
+    const sent = [];
+    form.addEventListener('booking:sent', () => sent.push(true));
+
+    // Sent right after the form appeared: the visitor is asked to review it, nothing leaves the page
+    fillBooking(form, VALID);
+    click(document.getElementById('booking-submit'));
+    assert.equal(status.textContent, 'Please take a moment to review your details, then send the form again.');
+    await wait(50);
+    assert.equal(fs.existsSync(file), false);
+
+    // A bot that fills the hidden field is told it worked, and nothing is sent either
+    fillBooking(form, { website: 'https://spam.example' });
+    click(document.getElementById('booking-submit'));
+    assert.equal(status.textContent, 'Thank you! Your request was sent. We will contact you to confirm your consultation.');
+    assert.equal(form.elements.namedItem('name').value, '');
+    await wait(50);
+    assert.equal(fs.existsSync(file), false);
+    assert.deepEqual(sent, []);
+
+    // A person who took their time gets through
+    const now = dom.window.Date.now;
+    dom.window.Date.now = () => now() + 5000;
+    fillBooking(form, Object.assign({}, VALID, { contactMethods: ['email', 'phone'], phone: '+1 555 123 4567', message: 'Residency in Paraguay' }));
+    click(document.getElementById('booking-submit'));
+    assert.equal(form.getAttribute('aria-busy'), 'true');
+    assert.equal(document.getElementById('booking-submit').disabled, true);
+    assert.equal(status.textContent, 'Sending your request…');
+
+    for (let i = 0; i < 100 && !sent.length; i++) {
+        await wait(20);
+    }
+    assert.deepEqual(sent, [true]);
+    assert.equal(status.textContent, 'Thank you! Your request was sent. We will contact you to confirm your consultation.');
+    assert.equal(form.getAttribute('aria-busy'), 'false');
+    assert.equal(form.elements.namedItem('name').value, '');
+
+    const stored = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].name, 'Ana Silva');
+    assert.equal(stored[0].country, 'PY');
+    assert.deepEqual(stored[0].contactMethods, ['email', 'phone']);
+    assert.equal(stored[0].timezone, 'UTC');
+    dom.window.close();
+});
+
+test('the booking form says so when the request cannot be sent', async function() {
+    const { dom, form } = await openForm(null);
+    const { document } = dom.window;
+    const now = dom.window.Date.now;
+    dom.window.Date.now = () => now() + 5000;
+    const warn = dom.window.console.warn;
+    dom.window.console.warn = function() {};
+
+    fillBooking(form, VALID);
+    click(document.getElementById('booking-submit'));
+    await wait(50);
+    assert.equal(document.getElementById('booking-status').textContent,
+        'We could not send your request. Please try again, or email us at info@digitalbusinessresolutions.com.');
+    // What the visitor typed is kept so they can try again
+    assert.equal(form.elements.namedItem('name').value, 'Ana Silva');
+    assert.equal(document.getElementById('booking-submit').disabled, false);
+    dom.window.console.warn = warn;
+    dom.window.close();
+});
+
+test('BookingForm.prefill fills the form, even before it is loaded, without replacing what the visitor wrote', async function() {
+    const dom = await openPage('index.html');
+    const { document, BookingForm } = dom.window;
+
+    // The About page (and its form) is only fetched when the visitor opens it
+    assert.equal(document.getElementById('booking-form'), null);
+    BookingForm.prefill({ serviceLine: 'tax-advisory', country: 'PY', message: 'About Paraguay.' });
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+
+    const form = document.getElementById('booking-form');
+    assert.equal(form.querySelector('input[name="serviceLine"]:checked').value, 'tax-advisory');
+    assert.equal(form.elements.namedItem('country').value, 'PY');
+    assert.equal(form.elements.namedItem('message').value, 'About Paraguay.');
+
+    // A later prefill replaces the previous one and clears the errors it fixes
+    fillBooking(form, { country: '' });
+    click(document.getElementById('booking-submit'));
+    assert.ok(errors(form).indexOf('booking-country-error') !== -1);
+    BookingForm.prefill({ country: 'AE', message: 'About Dubai.' });
+    assert.equal(form.elements.namedItem('country').value, 'AE');
+    assert.equal(form.elements.namedItem('message').value, 'About Dubai.');
+    assert.equal(errors(form).indexOf('booking-country-error'), -1);
+
+    // The visitor's own message stays
+    form.elements.namedItem('message').value = 'Please call me in the morning.';
+    BookingForm.prefill({ serviceLine: 'both', country: 'PH', message: 'About the Philippines.' });
+    assert.equal(form.querySelector('input[name="serviceLine"]:checked').value, 'both');
+    assert.equal(form.elements.namedItem('country').value, 'PH');
+    assert.equal(form.elements.namedItem('message').value, 'Please call me in the morning.');
+    dom.window.close();
+});
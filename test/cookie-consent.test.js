@@ -0,0 +1,749 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORIGIN, openPage, reopen, wait, pressKey, click, readConsentCookie, runAxe } = require('./helpers/dom');
+
+// The preferences center is a route of the site (pages/cookie-preferences.html)
+const CENTER_URL = `${ORIGIN}/#/cookie-preferences`;
+
+let policyRevision = null;
+
+/**
+ * Policy revision declared in cookie-consent-config.js
+ */
+async function getPolicyRevision() {
+    if (policyRevision === null) {
+        const dom = await openPage('index.html');
+        policyRevision = dom.window.CookieConsent.getPolicyRevision();
+        dom.window.close();
+    }
+    return policyRevision;
+}
+
+/**
+ * A stored record for the current policy, with every optional category rejected
+ */
+async function storedRecord(overrides) {
+    return Object.assign({
+        version: '2.1',
+        consentId: 'test-consent-id',
+        policyRevision: await getPolicyRevision(),
+        jurisdiction: 'gdpr',
+        timestamp: new Date().toISOString(),
+        optOutSignals: {},
+        necessary: true,
+        functional: false,
+        analytics: false,
+        marketing: false,
+        personalization: false,
+        youtube: false,
+        media: false
+    }, overrides);
+}
+
+function consentCookie(record) {
+    return `cookie_consent=${encodeURIComponent(JSON.stringify(record))};path=/`;
+}
+
+/**
+ * Make both cookie and localStorage writes fail; returns a function that restores them
+ */
+function breakStorage(window) {
+    const cookie = Object.getOwnPropertyDescriptor(window.Document.prototype, 'cookie');
+    const setItem = window.Storage.prototype.setItem;
+    Object.defineProperty(window.document, 'cookie', {
+        configurable: true,
+        get: function() { return ''; },
+        set: function() {}
+    });
+    window.Storage.prototype.setItem = function() {
+        throw new Error('QuotaExceededError');
+    };
+    return function restore() {
+        delete window.document.cookie;
+        Object.defineProperty(window.Document.prototype, 'cookie', cookie);
+        window.Storage.prototype.setItem = setItem;
+    };
+}
+
+function silenceConsole(t) {
+    t.mock.method(console, 'warn', function() {});
+    t.mock.method(console, 'error', function() {});
+}
+
+test('shows the banner on a first visit, with links to both policies', async function() {
+    const dom = await openPage('index.html');
+    const document = dom.window.document;
+
+    const banner = document.getElementById('cookie-banner');
+    assert.ok(banner, 'banner is rendered');
+    assert.equal(banner.getAttribute('role'), 'dialog');
+    assert.ok(banner.classList.contains('cookie-banner-visible'));
+    assert.deepEqual(Array.from(banner.querySelectorAll('.cookie-link')).map(link => link.getAttribute('href')),
+        ['/#/privacy-policy', '/#/cookie-policy']);
+    assert.equal(dom.window.CookieConsent.hasConsent(), false);
+    dom.window.close();
+});
+
+test('the modal lists every configured category, with necessary locked on', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    click(document.getElementById('cookie-manage'));
+    await wait(50);
+
+    const modal = document.getElementById('cookie-modal');
+    assert.equal(modal.getAttribute('aria-modal'), 'true');
+    assert.equal(modal.hasAttribute('aria-hidden'), false);
+    assert.equal(modal.querySelectorAll('.cookie-category').length, CookieConsent.getCategories().length);
+
+    const necessary = modal.querySelector('.cookie-toggle-disabled input');
+    assert.ok(necessary.checked && necessary.disabled);
+    CookieConsent.getCategories().filter(category => !category.required).forEach(function(category) {
+        const toggle = document.getElementById(`cookie-${category.id}`);
+        assert.ok(toggle, `toggle for ${category.id}`);
+        assert.equal(toggle.checked, false);
+    });
+    dom.window.close();
+});
+
+test('accept all persists the choice to the cookie and localStorage and hides the banner', async function() {
+    const dom = await openPage('index.html');
+    const { document, localStorage, CookieConsent } = dom.window;
+
+    click(document.getElementById('cookie-accept-all'));
+
+    const record = readConsentCookie(document);
+    assert.equal(record.version, '2.1');
+    assert.equal(record.jurisdiction, 'gdpr');
+    assert.equal(record.analytics, true);
+    assert.equal(record.marketing, true);
+    assert.equal(record.policyRevision, CookieConsent.getPolicyRevision());
+    assert.ok(record.consentId);
+    assert.deepEqual(JSON.parse(localStorage.getItem('cookie_consent')), record);
+
+    assert.ok(!document.getElementById('cookie-banner').classList.contains('cookie-banner-visible'));
+    await wait(350);
+    assert.equal(document.getElementById('cookie-banner'), null);
+
+    // The choice survives a reload
+    const reloaded = await reopen(dom);
+    assert.equal(reloaded.window.CookieConsent.hasConsent(), true);
+    assert.equal(reloaded.window.CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(reloaded.window.document.getElementById('cookie-banner'), null);
+    reloaded.window.close();
+});
+
+test('reject keeps every optional category off', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    click(document.getElementById('cookie-reject'));
+
+    const consent = CookieConsent.getConsent();
+    assert.equal(consent.necessary, true);
+    CookieConsent.getCategories().filter(category => !category.required).forEach(function(category) {
+        assert.equal(consent[category.id], false, category.id);
+    });
+    dom.window.close();
+});
+
+test('saving from the modal stores exactly the toggled categories', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    CookieConsent.showModal();
+    document.getElementById('cookie-analytics').checked = true;
+    click(document.getElementById('cookie-modal-save'));
+
+    assert.equal(CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(CookieConsent.isCategoryAllowed('marketing'), false);
+    assert.equal(readConsentCookie(document).analytics, true);
+    dom.window.close();
+});
+
+test('consent events fire for granted categories and for necessary', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+    const fired = [];
+    ['necessary', 'analytics', 'marketing'].forEach(function(id) {
+        dom.window.addEventListener(`cookieConsent:${id}`, function() {
+            fired.push(id);
+        });
+    });
+
+    dom.window.CookieConsent.showModal();
+    document.getElementById('cookie-analytics').checked = true;
+    click(document.getElementById('cookie-modal-save'));
+
+    assert.deepEqual(fired.sort(), ['analytics', 'necessary']);
+    dom.window.close();
+});
+
+test('gated scripts only run after their category is granted', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    const gated = document.createElement('script');
+    gated.type = 'text/plain';
+    gated.setAttribute('data-cookie-category', 'analytics');
+    gated.textContent = 'window.__analyticsRan = true;';
+    document.body.appendChild(gated);
+    await wait(10);
+    assert.equal(dom.window.__analyticsRan, undefined);
+
+    click(document.getElementById('cookie-accept-all'));
+    assert.equal(dom.window.__analyticsRan, true);
+    dom.window.close();
+});
+
+test('withdrawing a category dispatches the revoked event and deletes its cookies', async function() {
+    const record = await storedRecord({ marketing: true });
+    const dom = await openPage('index.html', {
+        beforeParse: function(window) {
+            window.document.cookie = consentCookie(record);
+            window.document.cookie = '_fbp=fb.1.123;path=/';
+        }
+    });
+    const { document, CookieConsent } = dom.window;
+    const revoked = [];
+    dom.window.addEventListener('cookieConsent:revoked:marketing', function(e) {
+        revoked.push(e.detail.category);
+    });
+
+    CookieConsent.showModal();
+    const toggle = document.getElementById('cookie-marketing');
+    assert.equal(toggle.checked, true);
+    toggle.checked = false;
+    click(document.getElementById('cookie-modal-save'));
+
+    assert.deepEqual(revoked, ['marketing']);
+    assert.equal(document.cookie.indexOf('_fbp='), -1, '_fbp deleted');
+    assert.equal(CookieConsent.isCategoryAllowed('marketing'), false);
+    dom.window.close();
+});
+
+test('cookies are deleted on withdrawal even when the cookie inventory does not load', async function(t) {
+    silenceConsole(t);
+    const record = await storedRecord({ analytics: true, marketing: true });
+    const dom = await openPage('index.html', {
+        beforeParse: function(window) {
+            const fetchData = window.fetch;
+            window.fetch = function(resource, init) {
+                if (String(resource).indexOf('cookie-inventory.json') !== -1) {
+                    return Promise.reject(new window.TypeError('Failed to fetch'));
+                }
+                return fetchData(resource, init);
+            };
+            Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+            window.document.cookie = consentCookie(record);
+            window.document.cookie = '_fbp=fb.1.123;path=/';
+            window.document.cookie = '_ga=GA1.1.123;path=/';
+            window.document.cookie = '_ga_ABC123=GS1.1;path=/';
+        }
+    });
+    const { document, CookieConsent } = dom.window;
+
+    // Global Privacy Control turns marketing off during init, before the inventory was requested
+    assert.equal(CookieConsent.isCategoryAllowed('marketing'), false);
+    assert.equal(document.cookie.indexOf('_fbp='), -1, '_fbp deleted');
+    assert.equal((await CookieConsent.getInventory()).length, 0);
+
+    CookieConsent.showModal();
+    document.getElementById('cookie-analytics').checked = false;
+    click(document.getElementById('cookie-modal-save'));
+    assert.equal(document.cookie.indexOf('_ga'), -1, '_ga and _ga_* deleted');
+    dom.window.close();
+});
+
+test('CookieUtils falls back to localStorage when the cookie is missing', async function() {
+    const record = await storedRecord({ analytics: true });
+    const dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(record) } });
+
+    assert.equal(dom.window.document.cookie.indexOf('cookie_consent='), -1);
+    assert.equal(dom.window.CookieConsent.hasConsent(), true);
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(dom.window.document.getElementById('cookie-banner'), null);
+    dom.window.close();
+});
+
+test('CookieUtils prefers a newer cookie over localStorage and syncs the backup', async function() {
+    const fromCookie = await storedRecord({ analytics: true });
+    const fromStorage = await storedRecord({ analytics: false, timestamp: new Date(Date.now() - 60000).toISOString() });
+    const dom = await openPage('index.html', {
+        storage: { cookie_consent: JSON.stringify(fromStorage) },
+        beforeParse: function(window) {
+            window.document.cookie = consentCookie(fromCookie);
+        }
+    });
+
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(JSON.parse(dom.window.localStorage.getItem('cookie_consent')).analytics, true);
+    dom.window.close();
+});
+
+test('CookieUtils uses a newer localStorage copy over an older cookie', async function() {
+    const fromCookie = await storedRecord({ analytics: true, timestamp: new Date(Date.now() - 60000).toISOString() });
+    const fromStorage = await storedRecord({ analytics: false });
+    const dom = await openPage('index.html', {
+        storage: { cookie_consent: JSON.stringify(fromStorage) },
+        beforeParse: function(window) {
+            window.document.cookie = consentCookie(fromCookie);
+        }
+    });
+
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('analytics'), false);
+    assert.equal(JSON.parse(dom.window.localStorage.getItem('cookie_consent')).analytics, false);
+    dom.window.close();
+});
+
+test('CookieUtils ignores an unreadable cookie and uses localStorage instead', async function(t) {
+    silenceConsole(t);
+    const record = await storedRecord({ marketing: true });
+    const dom = await openPage('index.html', {
+        storage: { cookie_consent: JSON.stringify(record) },
+        beforeParse: function(window) {
+            window.document.cookie = 'cookie_consent=%7Bnot-json;path=/';
+        }
+    });
+
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('marketing'), true);
+    dom.window.close();
+});
+
+for (const scenario of [
+    { name: 'handleAcceptAll', open: null, button: 'cookie-accept-all', expected: true },
+    { name: 'handleReject', open: null, button: 'cookie-reject', expected: false },
+    { name: 'handleSave', open: 'modal', button: 'cookie-modal-save', expected: true }
+]) {
+    test(`${scenario.name} retries once when the first save fails`, async function(t) {
+        silenceConsole(t);
+        const dom = await openPage('index.html');
+        const { document, CookieConsent } = dom.window;
+
+        if (scenario.open === 'modal') {
+            CookieConsent.showModal();
+            document.getElementById('cookie-analytics').checked = true;
+        }
+
+        const restore = breakStorage(dom.window);
+        click(document.getElementById(scenario.button));
+        assert.equal(CookieConsent.hasConsent(), false, 'first save failed');
+        assert.ok(console.error.mock.calls.some(call => call.arguments[0] === 'Failed to save consent'));
+
+        // Storage is back before the retry (100ms later)
+        restore();
+        await wait(150);
+
+        assert.equal(CookieConsent.hasConsent(), true, 'retry saved the choice');
+        assert.equal(CookieConsent.isCategoryAllowed('analytics'), scenario.expected);
+        dom.window.close();
+    });
+}
+
+test('a retry that fails again leaves the banner up', async function(t) {
+    silenceConsole(t);
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    breakStorage(dom.window);
+    click(document.getElementById('cookie-accept-all'));
+    await wait(150);
+
+    assert.equal(CookieConsent.hasConsent(), false);
+    assert.ok(document.getElementById('cookie-banner').classList.contains('cookie-banner-visible'));
+    dom.window.close();
+});
+
+test('getConsent migrates records written before versioning', async function() {
+    const legacy = await storedRecord({ analytics: true });
+    delete legacy.version;
+    delete legacy.policyRevision;
+    const dom = await openPage('index.html', {
+        beforeParse: function(window) {
+            window.document.cookie = consentCookie(legacy);
+        }
+    });
+    const { CookieConsent } = dom.window;
+
+    assert.equal(CookieConsent.hasConsent(), true);
+    // Given before the current policy revision: the choice applies but needs review
+    assert.equal(CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(CookieConsent.needsRenewal(), true);
+    assert.ok(dom.window.document.getElementById('cookie-banner').classList.contains('cookie-banner-renewal'));
+    dom.window.close();
+});
+
+test('getConsent migrates 1.0 records and keeps their choices', async function() {
+    const record = await storedRecord({ version: '1.0', marketing: true });
+    delete record.policyRevision;
+    delete record.jurisdiction;
+    const dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(record) } });
+
+    const consent = dom.window.CookieConsent.getConsent();
+    assert.equal(consent.version, '2.1');
+    assert.equal(consent.policyRevision, null);
+    assert.equal(consent.jurisdiction, null);
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('marketing'), true);
+    dom.window.close();
+});
+
+test('getConsent rejects unknown record versions', async function() {
+    const record = await storedRecord({ version: '99.0', analytics: true });
+    const dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(record) } });
+
+    assert.equal(dom.window.CookieConsent.getConsent(), null);
+    assert.equal(dom.window.CookieConsent.hasConsent(), false);
+    assert.ok(dom.window.document.getElementById('cookie-banner'));
+    dom.window.close();
+});
+
+test('getConsent treats expired and timestamp-less records as missing', async function() {
+    const expired = await storedRecord({ timestamp: new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString() });
+    let dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(expired) } });
+    assert.equal(dom.window.CookieConsent.getConsent(), null);
+    dom.window.close();
+
+    const undated = await storedRecord();
+    delete undated.timestamp;
+    dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(undated) } });
+    assert.equal(dom.window.CookieConsent.getConsent(), null);
+    dom.window.close();
+});
+
+test('the modal traps focus and closes on Escape', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    dom.window.CookieConsent.showModal();
+    await wait(30);
+    const modal = document.getElementById('cookie-modal');
+    const focusable = dom.window.Dialog.getFocusable(modal);
+    assert.ok(focusable.every(element => !element.disabled));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    assert.equal(document.activeElement, first);
+
+    assert.equal(pressKey(first, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+
+    assert.equal(pressKey(last, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+
+    // Tab in the middle of the dialog is left to the browser
+    const middle = focusable[1];
+    middle.focus();
+    assert.equal(pressKey(middle, 'Tab').defaultPrevented, false);
+
+    pressKey(middle, 'Escape');
+    assert.equal(modal.getAttribute('aria-hidden'), 'true');
+    await wait(350);
+    assert.equal(document.getElementById('cookie-modal'), null);
+    dom.window.close();
+});
+
+test('reset removes the stored choice and shows the banner again', async function() {
+    const dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(await storedRecord()) } });
+    const { document, CookieConsent } = dom.window;
+    assert.equal(document.getElementById('cookie-banner'), null);
+
+    CookieConsent.reset();
+
+    assert.equal(CookieConsent.hasConsent(), false);
+    assert.equal(dom.window.localStorage.getItem('cookie_consent'), null);
+    assert.ok(document.getElementById('cookie-banner'));
+    dom.window.close();
+});
+
+test('the footer "Cookie settings" control reopens the preferences after a choice', async function() {
+    const dom = await openPage('index.html', { storage: { cookie_consent: JSON.stringify(await storedRecord()) } });
+    const { document } = dom.window;
+    assert.equal(document.getElementById('cookie-banner'), null);
+
+    const launcher = document.getElementById('cookie-settings-launcher');
+    assert.equal(launcher.parentElement, document.querySelector('footer .footer-nav'));
+    assert.equal(launcher.textContent, 'Cookie settings');
+
+    launcher.focus();
+    click(launcher);
+    await wait(30);
+    const modal = document.getElementById('cookie-modal');
+    assert.ok(modal.classList.contains('cookie-modal-visible'));
+    assert.equal(modal.querySelector('.cookie-modal-more a').getAttribute('href'), '/#/cookie-preferences');
+
+    click(document.getElementById('cookie-modal-close'));
+    assert.equal(document.activeElement, launcher);
+    dom.window.close();
+});
+
+test('the preferences center lists every cookie and the stored consent record', async function() {
+    const record = await storedRecord({ analytics: true });
+    const dom = await openPage('index.html', { url: CENTER_URL, storage: { cookie_consent: JSON.stringify(record) } });
+    const { document, CookieConsent } = dom.window;
+    const center = document.getElementById('cookie-preferences-center');
+
+    assert.equal(document.getElementById('cookie-center-consent-id').textContent, 'test-consent-id');
+    assert.equal(center.querySelector('time').getAttribute('datetime'), record.timestamp);
+    assert.equal(center.querySelectorAll('.cookie-category').length, CookieConsent.getCategories().length);
+    assert.equal(document.getElementById('cookie-center-analytics').checked, true);
+    assert.equal(document.getElementById('cookie-center-marketing').checked, false);
+
+    const analytics = document.getElementById('cookie-center-analytics').closest('.cookie-category');
+    const rows = Array.from(analytics.querySelectorAll('tbody tr'), row => Array.from(row.children, cell => cell.textContent));
+    assert.deepEqual(rows[0], ['_ga', 'Google Analytics', 'Distinguishes unique visitors', '2 years']);
+    assert.deepEqual(rows.map(row => row[0]), ['_ga', '_ga_*', '_gid', '_gat*', 'analytics_session', 'analytics_queue']);
+    const functional = document.getElementById('cookie-center-functional').closest('.cookie-category');
+    assert.ok(functional.querySelector('.cookie-center-empty'));
+    assert.deepEqual(await runAxe(dom, center), []);
+
+    // The modal doesn't link to the page it is opened from
+    CookieConsent.showModal();
+    await wait(30);
+    assert.equal(document.querySelector('.cookie-modal-more'), null);
+    dom.window.close();
+});
+
+test('choices can be changed and withdrawn from the preferences center', async function() {
+    const receipts = [];
+    const dom = await openPage('index.html', {
+        url: CENTER_URL,
+        storage: { cookie_consent: JSON.stringify(await storedRecord()) },
+        fetch: function(url, options) {
+            // Granting analytics also starts analytics.js, which posts to its own collector
+            if (url === '/api/consent-receipts') {
+                receipts.push(JSON.parse(options.body));
+            }
+            return Promise.resolve({ ok: true, status: 201 });
+        }
+    });
+    const { document } = dom.window;
+
+    document.getElementById('cookie-center-analytics').checked = true;
+    click(document.getElementById('cookie-center-save'));
+    assert.equal(readConsentCookie(document).analytics, true);
+    assert.equal(document.getElementById('cookie-center-status').textContent, 'Your choices were saved.');
+    assert.equal(document.getElementById('cookie-center-analytics').checked, true);
+
+    document.cookie = '_ga=GA1.1.123;path=/';
+    click(document.getElementById('cookie-center-withdraw'));
+    const cookie = readConsentCookie(document);
+    assert.equal(cookie.analytics, false);
+    assert.equal(cookie.consentId, 'test-consent-id');
+    assert.ok(!document.cookie.includes('_ga='));
+    assert.equal(document.getElementById('cookie-center-status').textContent, 'Your consent was withdrawn.');
+    assert.deepEqual(receipts.map(receipt => receipt.action), ['save', 'withdraw']);
+    dom.window.close();
+});
+
+test('the preferences center works before any choice and hides the banner once one is made', async function() {
+    const dom = await openPage('index.html', { url: CENTER_URL });
+    const { document } = dom.window;
+    const center = document.getElementById('cookie-preferences-center');
+
+    assert.equal(document.getElementById('cookie-center-consent-id'), null);
+    assert.ok(center.textContent.includes('You have not made a choice yet'));
+    assert.ok(document.getElementById('cookie-banner'));
+
+    click(document.getElementById('cookie-center-accept-all'));
+    assert.equal(readConsentCookie(document).marketing, true);
+    assert.ok(document.getElementById('cookie-center-consent-id').textContent);
+    await wait(350);
+    assert.equal(document.getElementById('cookie-banner'), null);
+    dom.window.close();
+});
+
+test('the consent cookie is shared with subdomains and Secure on https', async function() {
+    const url = 'https://www.digitalbusinessresolutions.com/';
+    const legacy = await storedRecord({ timestamp: new Date(Date.now() - 60000).toISOString() });
+    const dom = await openPage('index.html', {
+        url: url,
+        beforeParse: function(window) {
+            // Host-only copy written before the domain was configured
+            window.document.cookie = consentCookie(legacy);
+        }
+    });
+    dom.window.CookieConsent.showModal();
+    await wait(30);
+    click(dom.window.document.getElementById('cookie-modal-accept-all'));
+
+    const jar = dom.cookieJarForReload;
+    const onWww = jar.getCookiesSync(url).filter(cookie => cookie.key === 'cookie_consent');
+    assert.equal(onWww.length, 1, 'the host-only copy was replaced');
+    assert.equal(onWww[0].domain, 'digitalbusinessresolutions.com');
+    assert.equal(onWww[0].secure, true);
+    assert.equal(onWww[0].sameSite, 'lax');
+
+    const onBlog = jar.getCookiesSync('https://blog.digitalbusinessresolutions.com/').filter(cookie => cookie.key === 'cookie_consent');
+    assert.equal(onBlog.length, 1);
+    assert.equal(JSON.parse(decodeURIComponent(onBlog[0].value)).analytics, true);
+    dom.window.close();
+});
+
+test('on other hosts the consent cookie stays host-only and is not Secure over http', async function() {
+    const dom = await openPage('index.html');
+    click(dom.window.document.getElementById('cookie-accept-all'));
+
+    const [cookie] = dom.cookieJarForReload.getCookiesSync('http://localhost/').filter(entry => entry.key === 'cookie_consent');
+    assert.equal(cookie.hostOnly, true);
+    assert.equal(cookie.secure, false);
+    dom.window.close();
+});
+
+test('a choice made in another tab is applied without reloading', async function() {
+    const first = await openPage('index.html');
+    const second = await openPage('index.html', { cookieJar: first.cookieJarForReload });
+    const granted = [];
+    const revoked = [];
+    second.window.addEventListener('cookieConsent:analytics', () => granted.push('analytics'));
+    second.window.addEventListener('cookieConsent:revoked:analytics', () => revoked.push('analytics'));
+    assert.ok(second.window.document.getElementById('cookie-banner'));
+
+    click(first.window.document.getElementById('cookie-accept-all'));
+    second.window.dispatchEvent(new second.window.StorageEvent('storage', { key: 'cookie_consent' }));
+    assert.equal(second.window.CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.deepEqual(granted, ['analytics']);
+    await wait(350);
+    assert.equal(second.window.document.getElementById('cookie-banner'), null);
+
+    // The same change reported twice (storage event and BroadcastChannel) is applied once
+    second.window.dispatchEvent(new second.window.StorageEvent('storage', { key: 'cookie_consent' }));
+    assert.deepEqual(granted, ['analytics']);
+
+    first.window.CookieConsent.showModal();
+    await wait(30);
+    click(first.window.document.getElementById('cookie-modal-reject'));
+    second.window.document.dispatchEvent(new second.window.Event('visibilitychange'));
+    assert.equal(second.window.CookieConsent.isCategoryAllowed('analytics'), false);
+    assert.deepEqual(revoked, ['analytics']);
+
+    first.window.close();
+    second.window.close();
+});
+
+test('without a server hint or matching heuristics the strict opt-in fallback applies', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    assert.deepEqual({ ...CookieConsent.getJurisdiction() }, { id: 'gdpr', mode: 'opt-in' });
+    assert.equal(CookieConsent.getConsent(), null);
+    const buttons = Array.from(document.querySelectorAll('#cookie-banner button'), button => button.id);
+    assert.deepEqual(buttons, ['cookie-reject', 'cookie-manage', 'cookie-accept-all']);
+    dom.window.close();
+});
+
+test('the jurisdiction comes from the server hint, then the time zone, then the language region', async function() {
+    const cases = [
+        [{ head: '<meta name="consent-jurisdiction" content="US-CA">' }, 'cpra'],
+        [{ head: '<meta name="consent-jurisdiction" content="lgpd">', timeZone: 'Europe/Berlin' }, 'lgpd'],
+        // A hint no profile covers goes to the fallback without guessing
+        [{ head: '<meta name="consent-jurisdiction" content="JP">', timeZone: 'America/Los_Angeles' }, 'gdpr'],
+        [{ timeZone: 'America/Sao_Paulo' }, 'lgpd'],
+        [{ timeZone: 'Asia/Dubai', languages: ['de-DE'] }, 'notice'],
+        [{ languages: ['es-PY', 'es'] }, 'notice'],
+        [{ languages: ['pt-PT'] }, 'gdpr']
+    ];
+    for (const [options, expected] of cases) {
+        const dom = await openPage('index.html', options);
+        assert.equal(dom.window.CookieConsent.getJurisdiction().id, expected, JSON.stringify(options));
+        dom.window.close();
+    }
+});
+
+test('an opt-out profile runs its defaults before a choice and offers "Do Not Sell or Share"', async function() {
+    const receipts = [];
+    const dom = await openPage('index.html', {
+        head: '<meta name="consent-jurisdiction" content="US-CA">',
+        fetch: function(url, options) {
+            receipts.push(JSON.parse(options.body));
+            return Promise.resolve({ ok: true, status: 201 });
+        }
+    });
+    const { document, CookieConsent } = dom.window;
+
+    // Implied, not given: the banner stays until the visitor acts
+    assert.equal(CookieConsent.hasConsent(), false);
+    assert.equal(CookieConsent.getConsent().implied, true);
+    assert.equal(CookieConsent.isCategoryAllowed('marketing'), true);
+    assert.ok(document.getElementById('cookie-banner').textContent.includes('opt out of the sale or sharing'));
+    const buttons = Array.from(document.querySelectorAll('#cookie-banner button'), button => button.id);
+    assert.deepEqual(buttons, ['cookie-do-not-sell', 'cookie-reject', 'cookie-manage', 'cookie-acknowledge']);
+    assert.ok(document.getElementById('cookie-do-not-sell-launcher'));
+
+    document.cookie = '_fbp=fb.1.123;path=/';
+    click(document.getElementById('cookie-do-not-sell'));
+    const record = readConsentCookie(document);
+    assert.equal(record.jurisdiction, 'cpra');
+    assert.equal(record.marketing, false);
+    assert.equal(record.analytics, true);
+    assert.ok(!document.cookie.includes('_fbp='));
+    assert.equal(CookieConsent.hasConsent(), true);
+    assert.deepEqual(receipts.map(receipt => [receipt.action, receipt.jurisdiction]), [['do_not_sell', 'cpra']]);
+    dom.window.close();
+});
+
+test('a browser opt-out signal keeps marketing off under an opt-out profile', async function() {
+    const dom = await openPage('index.html', {
+        head: '<meta name="consent-jurisdiction" content="cpra">',
+        beforeParse: function(window) {
+            Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+        }
+    });
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('marketing'), false);
+    assert.equal(dom.window.CookieConsent.isCategoryAllowed('analytics'), true);
+    dom.window.close();
+});
+
+test('a notice profile only informs, and acknowledging stores its defaults', async function() {
+    const dom = await openPage('index.html', { url: CENTER_URL, timeZone: 'America/Asuncion' });
+    const { document, CookieConsent } = dom.window;
+
+    const buttons = Array.from(document.querySelectorAll('#cookie-banner button'), button => button.id);
+    assert.deepEqual(buttons, ['cookie-manage', 'cookie-acknowledge']);
+    assert.ok(document.getElementById('cookie-preferences-center').textContent.includes('are in use until you turn them off'));
+    assert.equal(CookieConsent.isCategoryAllowed('analytics'), true);
+    assert.equal(CookieConsent.isCategoryAllowed('marketing'), false);
+
+    click(document.getElementById('cookie-acknowledge'));
+    const record = readConsentCookie(document);
+    assert.equal(record.jurisdiction, 'notice');
+    assert.equal(record.analytics, true);
+    assert.equal(record.marketing, false);
+    assert.equal(document.getElementById('cookie-center-jurisdiction').textContent, 'Other markets');
+    dom.window.close();
+});
+
+test('a receipt the endpoint rejects for good is dropped; one that fails for now is retried', async function(t) {
+    silenceConsole(t);
+    function queuedReceipts(dom) {
+        return JSON.parse(dom.window.localStorage.getItem('cookie_consent_receipts') || '[]');
+    }
+
+    // 400: the receiver's validation will never accept it
+    const rejected = await openPage('index.html', {
+        fetch: () => Promise.resolve({ ok: false, status: 400 })
+    });
+    click(rejected.window.document.getElementById('cookie-reject'));
+    await wait(20);
+    assert.deepEqual(queuedReceipts(rejected), []);
+    rejected.window.close();
+
+    // 503: kept and sent on the next visit
+    const unavailable = await openPage('index.html', {
+        fetch: () => Promise.resolve({ ok: false, status: 503 })
+    });
+    click(unavailable.window.document.getElementById('cookie-reject'));
+    await wait(20);
+    assert.deepEqual(queuedReceipts(unavailable).map(receipt => receipt.action), ['reject_all']);
+
+    const sent = [];
+    const next = await reopen(unavailable, {
+        fetch: function(url, options) {
+            sent.push(JSON.parse(options.body).action);
+            return Promise.resolve({ ok: true, status: 201 });
+        }
+    });
+    assert.deepEqual(sent, ['reject_all']);
+    assert.deepEqual(queuedReceipts(next), []);
+    next.window.close();
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORIGIN, openPage, wait, click, runAxe } = require('./helpers/dom');
+const { scan, check, update, readInventory } = require('../scripts/scan-cookies');
+
+const CATEGORIES = ['necessary', 'functional', 'analytics', 'marketing', 'personalization', 'youtube', 'media'];
+
+let site;
+
+test.before(async function() {
+    site = await scan();
+});
+
+/**
+ * "storage:name" -> optional categories the key needed
+ */
+function requirementsByKey(result) {
+    const keys = {};
+    result.keys.forEach(entry => {
+        keys[`${entry.storage}:${entry.name}`] = entry.requires;
+    });
+    return keys;
+}
+
+function copyInventory() {
+    return JSON.parse(JSON.stringify(readInventory()));
+}
+
+test('the scanner visits every consent combination and records what each key needed', function() {
+    const optional = CATEGORIES.slice(1);
+
+    assert.deepEqual(site.categories, CATEGORIES);
+    // No choice, necessary only, the 62 partial combinations of the six optional categories, everything
+    assert.equal(site.states.length, 65);
+    assert.deepEqual(site.states.slice(0, 9), ['none', 'necessary'].concat(optional, 'functional+analytics'));
+    assert.deepEqual(site.states.slice(-2), [optional.slice(1).join('+'), 'all']);
+    assert.deepEqual(requirementsByKey(site), {
+        'localStorage:theme': [],
+        'localStorage:language': [],
+        'cookie:cookie_consent': [],
+        'localStorage:cookie_consent': [],
+        // Offline, the consent receipts and the statistics wait in the queue
+        'localStorage:cookie_consent_receipts': [],
+        'sessionStorage:analytics_session': ['analytics'],
+        'localStorage:analytics_queue': ['analytics']
+    });
+    const key = name => site.keys.find(entry => entry.name === name);
+    assert.deepEqual(key('theme').consent, site.states);
+    assert.deepEqual(key('cookie_consent').consent, site.states.slice(1));
+    assert.deepEqual(key('analytics_session').consent,
+        site.states.filter(state => state === 'all' || state.split('+').indexOf('analytics') !== -1));
+    assert.deepEqual(check(readInventory(), site), []);
+});
+
+test('the check fails for uncategorized keys, keys set before consent and undeclared storage', async function() {
+    const inventory = copyInventory();
+    inventory.items = inventory.items.filter(item => item.name !== 'theme');
+    inventory.items.find(item => item.name === 'analytics_queue').category = 'necessary';
+    inventory.items.find(item => item.name === 'language').category = 'functional';
+    inventory.items.find(item => item.name === 'cookie_consent').storage = ['cookie'];
+
+    assert.deepEqual(check(inventory, site), [
+        'theme (localStorage): uncategorized - not in the inventory; set before any choice on home',
+        'language (localStorage): declared as functional, but set before any choice on home',
+        'cookie_consent (localStorage): the inventory lists cookie_consent in cookie',
+        'analytics_queue (localStorage): declared as necessary, but set only with analytics consent on home'
+    ]);
+
+    // Cookies are deleted by the names in cookie-consent-config.js, which must match the inventory
+    const moved = copyInventory();
+    moved.items.find(item => item.name === '_fbp').category = 'analytics';
+    moved.items = moved.items.filter(item => item.name !== 'NID');
+    assert.deepEqual(check(moved, site), [
+        '_fbp (cookie): not among the analytics cookies in cookie-consent-config.js (listed under marketing), so withdrawing consent would not delete it',
+        '_fbp (cookie): listed under marketing in cookie-consent-config.js, but not in the inventory',
+        'NID (cookie): listed under media in cookie-consent-config.js, but not in the inventory'
+    ]);
+
+    // A script that sets its own cookie without asking is caught on the page that loads it, and so is
+    // one that waits for two categories at once (the inventory gives each key one category)
+    const result = await scan({
+        pages: ['quem-somos'],
+        head: '<script>window.addEventListener("page:load", function(e) {' +
+            ' if (e.detail.page !== "quem-somos") return;' +
+            ' document.cookie = "promo_seen=1;path=/";' +
+            ' if (CookieConsent.isCategoryAllowed("analytics") && CookieConsent.isCategoryAllowed("marketing"))' +
+            ' localStorage.setItem("combo_offer", "1"); });</script>'
+    });
+    const declared = copyInventory();
+    declared.items.push({ name: 'combo_offer', storage: ['localStorage'], category: 'marketing' });
+    assert.deepEqual(check(declared, result), [
+        'promo_seen (cookie): uncategorized - not in the inventory; set before any choice on quem-somos',
+        'combo_offer (localStorage): declared as marketing, but set only with analytics + marketing consent on quem-somos'
+    ]);
+});
+
+test('the scan result is written into the inventory, keeping what is maintained by hand', function() {
+    const inventory = copyInventory();
+    const updated = update(inventory, site, new Date('2026-10-19T12:00:00Z'));
+
+    assert.equal(updated.scannedAt, '2026-10-19');
+    const session = updated.items.find(item => item.name === 'analytics_session');
+    assert.deepEqual(session.observed, { requires: ['analytics'], pages: ['home'] });
+    assert.deepEqual(updated.items.find(item => item.name === 'theme').observed, { requires: [], pages: ['home'] });
+    assert.equal(session.purpose, 'Groups the pages viewed in one visit (sessionStorage)');
+    // Third-party cookies never appear offline
+    assert.equal(updated.items.find(item => item.name === '_ga').observed, undefined);
+    assert.deepEqual(updated.items.map(item => item.name), inventory.items.map(item => item.name));
+    // The committed inventory is up to date
+    assert.deepEqual(updated.items, readInventory().items);
+});
+
+test('the consent modal and the cookie policy list the inventory', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/cookie-policy` });
+    const { document, CookieConsent, I18n } = dom.window;
+    await wait(30);
+
+    const necessary = document.querySelector('[data-inventory-category="necessary"]');
+    const rows = Array.from(necessary.querySelectorAll('tbody tr'), row => Array.from(row.children, cell => cell.textContent));
+    assert.equal(necessary.querySelector('caption').textContent, 'Cookies and storage: Necessary Cookies');
+    assert.deepEqual(rows.map(row => row[0]), ['cookie_consent', 'cookie_consent_receipts', 'theme', 'language']);
+    assert.deepEqual(rows[0], ['cookie_consent', 'Cookie, Local storage', 'Digital Business Resolutions LLC', 'Stores your cookie preferences', '365 days']);
+    assert.equal(document.querySelector('[data-inventory-category="functional"]').textContent,
+        'We do not use any cookies or storage of this type at the moment.');
+    assert.deepEqual(await runAxe(dom, document.getElementById('cookie-policy')), []);
+
+    CookieConsent.showModal();
+    await wait(30);
+    const analytics = document.getElementById('cookie-analytics').closest('.cookie-category');
+    assert.equal(analytics.querySelector('summary').textContent, 'Cookies and storage used (6)');
+    assert.equal(analytics.querySelectorAll('.cookie-category-cookies li')[4].textContent,
+        'analytics_session — Groups the pages viewed in one visit (sessionStorage)');
+    click(document.getElementById('cookie-modal-close'));
+
+    I18n.setLanguage('pt-BR');
+    assert.equal(necessary.querySelector('caption').textContent, 'Cookies e armazenamento: Cookies Necessários');
+    assert.equal(necessary.querySelectorAll('tbody tr')[2].children[3].textContent, 'Lembra o tema que você escolheu (claro, escuro ou do sistema)');
+    dom.window.close();
+});
@@ -0,0 +1,325 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ORIGIN, openPage, wait, click, runAxe } = require('./helpers/dom');
+const { createServer } = require('../server/index');
+const { validateRequest, getDueDate } = require('../server/data-requests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_TOKEN = 'team-secret';
+const ADMIN = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+/**
+ * Reference server in a temporary folder; the verification codes it "emails" are kept in codes.
+ * The team's routes take ADMIN_TOKEN unless another token (or none, '') is given.
+ */
+async function startServer(t, token) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-requests-'));
+    const codes = {};
+    const server = createServer({
+        dataDir: dataDir,
+        dataRequestsToken: token !== undefined ? token : ADMIN_TOKEN,
+        sendVerificationCode: function(request, code) {
+            codes[request.reference] = code;
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(function() {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { base: `http://127.0.0.1:${server.address().port}`, codes: codes, dataDir: dataDir };
+}
+
+/**
+ * Privacy Policy page; the portal's API calls go to the reference server when there is one
+ */
+async function openPortal(backend, options) {
+    const dom = await openPage('index.html', Object.assign({
+        url: `${ORIGIN}/#/privacy-policy`,
+        fetch: function(url, init) {
+            if (!backend) return Promise.reject(new TypeError('Failed to fetch'));
+            return fetch(backend.base + url, init);
+        }
+    }, options));
+    await wait(30);
+    return { dom: dom, portal: dom.window.document.getElementById('exercer-direitos') };
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await wait(20);
+    }
+    assert.ok(condition(), 'timed out waiting for the page');
+}
+
+function fillRequest(portal, values) {
+    const form = portal.querySelector('#dsar-request-form');
+    if (values.type) {
+        form.querySelector(`input[name="type"][value="${values.type}"]`).checked = true;
+    }
+    ['law', 'name', 'email', 'details'].forEach(name => {
+        if (values[name] !== undefined) form.elements.namedItem(name).value = values[name];
+    });
+    form.elements.namedItem('confirmed').checked = Boolean(values.confirmed);
+    click(form.querySelector('button[type="submit"]'));
+}
+
+function errors(form) {
+    return Array.from(form.querySelectorAll('.form-error:not([hidden])')).map(error => error.id);
+}
+
+/**
+ * Rows of the tracking result: [label, value]
+ */
+function result(portal) {
+    const terms = Array.from(portal.querySelectorAll('.dsar-result dt'));
+    return terms.map(term => [term.textContent, term.nextElementSibling.textContent]);
+}
+
+test('the request form checks every field and ties each message to its control', async function() {
+    const { dom, portal } = await openPortal(null);
+    const { document } = dom.window;
+    const form = portal.querySelector('#dsar-request-form');
+
+    fillRequest(portal, {});
+    assert.deepEqual(errors(form), ['dsar-type-error', 'dsar-law-error', 'dsar-name-error', 'dsar-email-error', 'dsar-confirmed-error']);
+    assert.equal(document.activeElement, document.getElementById('dsar-type-access'));
+    assert.equal(document.getElementById('dsar-email').getAttribute('aria-invalid'), 'true');
+    assert.equal(document.getElementById('dsar-email-error').textContent, 'Enter your email address.');
+
+    // Correcting data needs to say what is wrong
+    fillRequest(portal, { type: 'rectification', law: 'lgpd', name: 'Ana Souza', email: 'ana@example', confirmed: true });
+    assert.deepEqual(errors(form), ['dsar-email-error', 'dsar-details-error']);
+    assert.equal(document.getElementById('dsar-email-error').textContent, 'Enter a valid email address, like name@example.com.');
+
+    form.elements.namedItem('email').value = 'ana@example.com';
+    form.elements.namedItem('email').dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    assert.deepEqual(errors(form), ['dsar-details-error']);
+
+    // Without a connection, the request is kept and the visitor can try again
+    form.elements.namedItem('details').value = 'My phone number is wrong.';
+    click(form.querySelector('button[type="submit"]'));
+    await waitFor(() => form.querySelector('.dsar-status').textContent.indexOf('could not send') !== -1);
+    assert.equal(form.elements.namedItem('name').value, 'Ana Souza');
+    assert.equal(portal.querySelector('#dsar-verify-form').hidden, true);
+
+    dom.window.I18n.setLanguage('pt-BR');
+    assert.match(form.querySelector('.dsar-status').textContent, /Não foi possível enviar seu pedido/);
+    assert.deepEqual(await runAxe(dom, portal), []);
+    dom.window.close();
+});
+
+test('a request is confirmed with the emailed code and tracked against its legal deadline', async function(t) {
+    const backend = await startServer(t);
+    const { dom, portal } = await openPortal(backend);
+    const { document } = dom.window;
+    const verifyForm = portal.querySelector('#dsar-verify-form');
+
+    fillRequest(portal, { type: 'access', law: 'lgpd', name: 'Ana Souza', email: 'ana@example.com', confirmed: true });
+    await waitFor(() => !verifyForm.hidden);
+
+    const reference = Object.keys(backend.codes)[0];
+    assert.match(reference, /^DSR-[A-Z2-9]{8}$/);
+    assert.equal(verifyForm.querySelector('.dsar-code-sent').textContent,
+        `Your reference is ${reference}. We sent a 6-digit code to ana@example.com: enter it below within 24 hours to confirm your identity.`);
+    assert.equal(document.activeElement, verifyForm);
+    assert.equal(portal.querySelector('#dsar-request-form').elements.namedItem('name').value, '');
+
+    const code = backend.codes[reference];
+    const wrong = code === '000000' ? '111111' : '000000';
+    verifyForm.elements.namedItem('code').value = wrong;
+    click(verifyForm.querySelector('button[type="submit"]'));
+    await waitFor(() => verifyForm.querySelector('.dsar-status').textContent.indexOf('not correct') !== -1);
+
+    verifyForm.elements.namedItem('code').value = code;
+    click(verifyForm.querySelector('button[type="submit"]'));
+    await waitFor(() => verifyForm.hidden);
+
+    const due = new Date(Date.now() + 15 * DAY_MS);
+    const dueText = due.toLocaleDateString('en', { year: 'numeric', month: 'long', day: 'numeric' });
+    const statusForm = portal.querySelector('#dsar-status-form');
+    assert.equal(statusForm.querySelector('.dsar-status').textContent, `Request ${reference} confirmed. We will answer by ${dueText}.`);
+    assert.deepEqual(result(portal).slice(0, 4), [
+        ['Reference', reference],
+        ['Request', 'Give me a copy of my data (access)'],
+        ['Law', 'Brazil (LGPD)'],
+        ['Status', 'In progress']
+    ]);
+    assert.deepEqual(result(portal)[5], ['Answer due by', `${dueText} (15 days left)`]);
+    assert.equal(document.activeElement, portal.querySelector('.dsar-result'));
+    assert.equal(statusForm.elements.namedItem('reference').value, reference);
+    assert.equal(statusForm.elements.namedItem('email').value, 'ana@example.com');
+
+    // The team sees it in the deadline list, closes it, and the visitor sees the answer
+    const list = await fetch(`${backend.base}/api/data-requests`, { headers: ADMIN }).then(response => response.json());
+    assert.deepEqual(list.requests.map(request => [request.reference, request.daysLeft, request.overdue]), [[reference, 15, false]]);
+    const resolved = await fetch(`${backend.base}/api/data-requests/resolve`, {
+        method: 'POST',
+        headers: ADMIN,
+        body: JSON.stringify({ reference: reference, status: 'completed', note: 'Copy sent by email' })
+    });
+    assert.equal(resolved.status, 200);
+
+    click(statusForm.querySelector('button[type="submit"]'));
+    await waitFor(() => result(portal).length === 6 && result(portal)[3][1] === 'Answered');
+    assert.equal(result(portal)[5][0], 'Closed on');
+
+    dom.window.I18n.setLanguage('pt-BR');
+    assert.deepEqual(result(portal)[3], ['Situação', 'Respondido']);
+
+    // Another email does not reveal the request
+    statusForm.elements.namedItem('email').value = 'someone@example.com';
+    click(statusForm.querySelector('button[type="submit"]'));
+    await waitFor(() => statusForm.querySelector('.dsar-status').textContent !== '' &&
+        statusForm.querySelector('.dsar-status').textContent !== 'Procurando seu pedido…');
+    assert.equal(statusForm.querySelector('.dsar-status').textContent, 'Não encontramos nenhum pedido com esta referência e este e-mail.');
+    assert.equal(portal.querySelector('.dsar-result').hidden, true);
+    dom.window.close();
+});
+
+test('the reference backend validates requests, limits code attempts and stores them on disk', async function(t) {
+    const backend = await startServer(t);
+
+    assert.equal(validateRequest({ type: 'erasure', law: 'ccpa', name: 'Ana', email: 'ana@example.com', confirmed: true }), 'Invalid law');
+    assert.equal(validateRequest({ type: 'rectification', law: 'gdpr', name: 'Ana', email: 'ana@example.com', confirmed: true }),
+        'details are required for rectification');
+    assert.equal(validateRequest({ type: 'erasure', law: 'gdpr', name: 'Ana', email: 'ana@example.com' }),
+        'The requester must confirm they are the data subject or authorized by them');
+
+    // One month under the GDPR, the last day of a shorter month; 15 days under the LGPD
+    assert.equal(getDueDate('gdpr', new Date('2026-01-31T10:00:00Z')).toISOString(), '2026-02-28T10:00:00.000Z');
+    assert.equal(getDueDate('gdpr', new Date('2026-10-19T10:00:00Z')).toISOString(), '2026-11-19T10:00:00.000Z');
+    assert.equal(getDueDate('lgpd', new Date('2026-10-19T10:00:00Z')).toISOString(), '2026-11-03T10:00:00.000Z');
+
+    function post(route, body) {
+        return fetch(`${backend.base}/api/data-requests${route}`, { method: 'POST', body: JSON.stringify(body) });
+    }
+
+    const invalid = await post('', { type: 'erasure', law: 'gdpr', name: 'Ana', email: 'ana@example.com' });
+    assert.equal(invalid.status, 400);
+
+    const created = await post('', { type: 'erasure', law: 'gdpr', name: 'Ana', email: 'Ana@Example.com', confirmed: true });
+    assert.equal(created.status, 201);
+    const { reference, status } = await created.json();
+    assert.equal(status, 'awaiting_verification');
+
+    const stored = fs.readFileSync(path.join(backend.dataDir, 'data-requests.jsonl'), 'utf8');
+    assert.ok(stored.indexOf(reference) !== -1);
+    assert.ok(stored.indexOf(backend.codes[reference]) === -1, 'the code itself is never stored');
+
+    const lookup = await fetch(`${backend.base}/api/data-requests/status?reference=${reference}&email=ana@example.com`);
+    assert.equal((await lookup.json()).status, 'awaiting_verification');
+
+    const wrong = backend.codes[reference] === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await post('/verify', { reference: reference, email: 'ana@example.com', code: wrong })).status, 400);
+    }
+    const locked = await post('/verify', { reference: reference, email: 'ana@example.com', code: backend.codes[reference] });
+    assert.equal(locked.status, 429);
+
+    const list = await fetch(`${backend.base}/api/data-requests`, { headers: ADMIN }).then(response => response.json());
+    assert.deepEqual(list.requests, [], 'unverified requests have no deadline yet');
+});
+
+test('the legal deadline counts from the day the request was received, not from the verification', async function(t) {
+    const backend = await startServer(t);
+    const created = await fetch(`${backend.base}/api/data-requests`, {
+        method: 'POST',
+        body: JSON.stringify({ type: 'access', law: 'lgpd', name: 'Ana', email: 'ana@example.com', confirmed: true })
+    });
+    const { reference } = await created.json();
+
+    // The email was confirmed five days after the request arrived (the last line of a reference wins)
+    const file = path.join(backend.dataDir, 'data-requests.jsonl');
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8').trim().split('\n').pop());
+    const receivedAt = new Date(Date.now() - 5 * DAY_MS).toISOString();
+    fs.appendFileSync(file, JSON.stringify(Object.assign(stored, { receivedAt: receivedAt })) + '\n');
+
+    const verified = await fetch(`${backend.base}/api/data-requests/verify`, {
+        method: 'POST',
+        body: JSON.stringify({ reference: reference, email: 'ana@example.com', code: backend.codes[reference] })
+    }).then(response => response.json());
+    assert.equal(verified.dueAt, getDueDate('lgpd', new Date(receivedAt)).toISOString());
+    assert.equal(verified.daysLeft, 10);
+    assert.notEqual(verified.verifiedAt, receivedAt);
+});
+
+test('only the team, with the configured token, lists and resolves requests', async function(t) {
+    const backend = await startServer(t);
+    const unlocked = await startServer(t, '');
+    const resolveBody = JSON.stringify({ reference: 'DSR-AAAAAAAA', status: 'completed' });
+
+    const anonymous = await fetch(`${backend.base}/api/data-requests`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.deepEqual(await anonymous.json(), { error: 'Unauthorized' });
+    const wrong = await fetch(`${backend.base}/api/data-requests`, { headers: { Authorization: 'Bearer guess' } });
+    assert.equal(wrong.status, 401);
+    const resolve = await fetch(`${backend.base}/api/data-requests/resolve`, { method: 'POST', body: resolveBody });
+    assert.equal(resolve.status, 401);
+    assert.equal(fs.existsSync(path.join(backend.dataDir, 'data-requests.jsonl')), false);
+
+    // Without a configured token, nobody gets in (not even with an empty one)
+    assert.equal((await fetch(`${unlocked.base}/api/data-requests`)).status, 401);
+    assert.equal((await fetch(`${unlocked.base}/api/data-requests`, { headers: { Authorization: 'Bearer ' } })).status, 401);
+    assert.equal((await fetch(`${unlocked.base}/api/data-requests/resolve`, { method: 'POST', headers: ADMIN, body: resolveBody })).status, 401);
+
+    // The visitor's own routes stay open
+    const lookup = await fetch(`${backend.base}/api/data-requests/status?reference=DSR-AAAAAAAA&email=ana@example.com`);
+    assert.equal(lookup.status, 404);
+    assert.equal((await fetch(`${backend.base}/api/data-requests`, { headers: ADMIN })).status, 200);
+});
+
+test('the browser data download holds the consent record, theme and language', async function() {
+    const downloads = [];
+    const { dom, portal } = await openPortal(null, {
+        beforeParse: function(window) {
+            window.URL.createObjectURL = function(blob) {
+                downloads.push({ blob: blob });
+                return 'blob:local-data';
+            };
+            window.URL.revokeObjectURL = function() {};
+        }
+    });
+    const { document, CookieConsent, Theme, I18n, DataRequests } = dom.window;
+
+    click(document.getElementById('cookie-accept-all'));
+    Theme.setMode('dark');
+    I18n.setLanguage('es');
+
+    // Compared as the JSON that goes into the file (the object comes from the page's realm)
+    const data = JSON.parse(JSON.stringify(DataRequests.exportLocalData()));
+    assert.equal(data.site, ORIGIN);
+    assert.deepEqual(data.preferences, { theme: 'dark', language: 'es' });
+    assert.equal(data.consent.consentId, CookieConsent.getConsentId());
+    assert.equal(data.consent.analytics, true);
+    assert.equal(data.otherData.localStorage.theme, undefined);
+    assert.equal(data.otherData.cookies.cookie_consent, undefined);
+
+    // A cookie another script wrote with a broken % sequence is exported as it is
+    document.cookie = 'x=%E0%A4%A;path=/';
+    document.cookie = 'campaign=spring%20sale;path=/';
+    const cookies = JSON.parse(JSON.stringify(DataRequests.exportLocalData())).otherData.cookies;
+    assert.equal(cookies.x, '%E0%A4%A');
+    assert.equal(cookies.campaign, 'spring sale');
+
+    document.addEventListener('click', function(e) {
+        if (e.target.hasAttribute('download')) {
+            downloads[downloads.length - 1].name = e.target.download;
+            e.preventDefault();
+        }
+    });
+    click(document.getElementById('dsar-export'));
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].name, /^digitalbusinessresolutions-data-\d{4}-\d{2}-\d{2}\.json$/);
+    assert.equal(downloads[0].blob.type, 'application/json');
+    assert.equal(portal.querySelector('.dsar-export .dsar-status').textContent,
+        'El archivo se descargó. Contiene solo lo que este navegador guarda de nuestro sitio.');
+    dom.window.close();
+});
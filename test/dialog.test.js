@@ -0,0 +1,185 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, wait, pressKey, click, runAxe } = require('./helpers/dom');
+
+/**
+ * Page with a plain test dialog next to the site's own markup
+ */
+async function openWithDialog() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+    const dialog = document.createElement('div');
+    dialog.id = 'test-dialog';
+    dialog.innerHTML = `
+        <h2 id="test-dialog-title">Test dialog</h2>
+        <button type="button" id="test-first">First</button>
+        <input type="text" id="test-disabled" disabled>
+        <button type="button" id="test-last">Last</button>`;
+    document.body.appendChild(dialog);
+    return { dom, document, dialog, Dialog: dom.window.Dialog };
+}
+
+test('a modal dialog is labelled, focused and makes the rest of the page inert', async function() {
+    const { dom, document, dialog, Dialog } = await openWithDialog();
+    const opener = document.querySelector('.theme-switcher select');
+    opener.focus();
+
+    Dialog.open(dialog, { labelledBy: 'test-dialog-title' });
+
+    assert.equal(dialog.getAttribute('role'), 'dialog');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(dialog.getAttribute('aria-labelledby'), 'test-dialog-title');
+    assert.equal(document.activeElement.id, 'test-first');
+    assert.ok(document.querySelector('main').closest('[inert]'));
+    assert.ok(document.querySelector('footer').closest('[inert]'));
+    assert.equal(dialog.closest('[inert]'), null);
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    Dialog.close(dialog);
+    assert.equal(document.querySelectorAll('[inert]').length, 0);
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(document.activeElement, opener);
+    dom.window.close();
+});
+
+test('the focus trap skips disabled controls and follows content added later', async function() {
+    const { dom, document, dialog, Dialog } = await openWithDialog();
+    Dialog.open(dialog, { label: 'Test' });
+    const first = document.getElementById('test-first');
+    const last = document.getElementById('test-last');
+
+    assert.equal(pressKey(first, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+    assert.equal(pressKey(last, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+
+    const added = document.createElement('a');
+    added.href = '#';
+    added.textContent = 'Added';
+    dialog.appendChild(added);
+    last.focus();
+    assert.equal(pressKey(last, 'Tab').defaultPrevented, false);
+    added.focus();
+    assert.equal(pressKey(added, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+
+    // Focus that lands outside is pulled back in
+    document.querySelector('.logo').focus();
+    assert.ok(dialog.contains(document.activeElement));
+    Dialog.close(dialog);
+    dom.window.close();
+});
+
+test('opening twice keeps one instance, and Escape closes only the top dialog', async function() {
+    const { dom, document, dialog, Dialog } = await openWithDialog();
+    const inner = document.createElement('div');
+    inner.innerHTML = '<button type="button" id="inner-button">Inner</button>';
+    document.body.appendChild(inner);
+
+    const instance = Dialog.open(dialog, { label: 'Outer' });
+    assert.equal(Dialog.open(dialog, { label: 'Outer' }), instance);
+    Dialog.open(inner, { label: 'Inner' });
+    assert.ok(dialog.closest('[inert]'));
+
+    pressKey(document.getElementById('test-first'), 'Escape');
+    assert.equal(Dialog.isOpen(dialog), true);
+    pressKey(document.getElementById('inner-button'), 'Escape');
+    assert.equal(Dialog.isOpen(inner), false);
+    assert.equal(dialog.closest('[inert]'), null);
+    assert.equal(document.activeElement.id, 'test-first');
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    pressKey(document.getElementById('test-first'), 'Escape');
+    assert.equal(Dialog.isOpen(dialog), false);
+    assert.equal(document.body.style.overflow, '');
+    dom.window.close();
+});
+
+test('focus falls back to the main content when the opener is gone', async function() {
+    const { dom, document, dialog, Dialog } = await openWithDialog();
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    Dialog.open(dialog, { label: 'Test' });
+    opener.remove();
+    Dialog.close(dialog);
+    assert.equal(document.activeElement, document.querySelector('main'));
+    dom.window.close();
+});
+
+test('announcements go through a polite status region', async function() {
+    const { dom, document, Dialog } = await openWithDialog();
+    Dialog.announce('Saved');
+    await wait(80);
+    const announcer = document.getElementById('dialog-announcer');
+    assert.equal(announcer.getAttribute('role'), 'status');
+    assert.equal(announcer.getAttribute('aria-live'), 'polite');
+    assert.equal(announcer.textContent, 'Saved');
+    dom.window.close();
+});
+
+test('the cookie banner is a labelled non-modal dialog that leaves focus on the page', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+    const banner = document.getElementById('cookie-banner');
+
+    assert.equal(banner.getAttribute('role'), 'dialog');
+    assert.equal(banner.getAttribute('aria-modal'), 'false');
+    assert.equal(document.getElementById(banner.getAttribute('aria-labelledby')).textContent, 'Cookie Consent');
+    assert.ok(document.getElementById(banner.getAttribute('aria-describedby')).textContent.trim());
+    assert.equal(document.querySelectorAll('[inert]').length, 0);
+    assert.ok(!banner.contains(document.activeElement));
+    assert.deepEqual(await runAxe(dom, banner), []);
+    dom.window.close();
+});
+
+test('the consent modal passes axe, restores focus and announces the saved choice', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+    const opener = document.querySelector('.theme-switcher select');
+    opener.focus();
+
+    CookieConsent.showModal();
+    await wait(30);
+    const modal = document.getElementById('cookie-modal');
+    assert.equal(modal.getAttribute('aria-labelledby'), 'cookie-modal-title');
+    assert.equal(modal.getAttribute('aria-describedby'), 'cookie-modal-description');
+    assert.equal(document.activeElement.id, 'cookie-modal-close');
+    assert.ok(document.querySelector('main').closest('[inert]'));
+    assert.deepEqual(await runAxe(dom, modal), []);
+
+    // Showing it again doesn't create a second modal
+    CookieConsent.showModal();
+    await wait(30);
+    assert.equal(document.querySelectorAll('#cookie-modal').length, 1);
+
+    click(document.getElementById('cookie-modal-save'));
+    assert.equal(document.activeElement, opener);
+    assert.equal(document.querySelectorAll('[inert]').length, 0);
+    await wait(80);
+    assert.equal(document.getElementById('dialog-announcer').textContent, 'Your cookie preferences were saved.');
+    dom.window.close();
+});
+
+test('changing language re-renders the open modal without closing it', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent, I18n } = dom.window;
+
+    CookieConsent.showModal();
+    await wait(30);
+    const modal = document.getElementById('cookie-modal');
+    const toggle = modal.querySelector('input[data-cookie-category]:not([disabled])');
+    toggle.checked = !toggle.checked;
+    const checked = toggle.checked;
+
+    I18n.setLanguage('pt-BR');
+    assert.equal(document.getElementById('cookie-modal'), modal);
+    assert.equal(document.getElementById('cookie-modal-title').textContent, 'Preferências de Cookies');
+    assert.equal(document.getElementById(toggle.id).checked, checked);
+    assert.ok(modal.contains(document.activeElement));
+    assert.equal(dom.window.Dialog.isOpen(modal), true);
+    dom.window.close();
+});
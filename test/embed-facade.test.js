@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, wait, click, runAxe, readConsentCookie } = require('./helpers/dom');
+
+const HERO_PHOTO = 'https://images.unsplash.com/photo-1451187580459-43490279c0fa?w=1920&q=80';
+
+// A hero video, as the README shows it (the site has no video yet)
+const VIDEO_FACADE = `
+    <div class="embed-facade" id="hero-video" data-facade-provider="YouTube" data-facade-kind="video" data-facade-placeholder="/assets/hero-youtube.png">
+        <iframe data-cookie-category="youtube" data-src="https://www.youtube-nocookie.com/embed/VIDEO_ID" title="Hero video"></iframe>
+    </div>`;
+
+function pillars(document) {
+    return Array.from(document.querySelectorAll('#home .pillar-image'));
+}
+
+/**
+ * What a facade shows: the content (with its src) or the local placeholder
+ */
+function facadeState(facade) {
+    const embed = facade.querySelector('[data-cookie-category]');
+    return {
+        loaded: embed.hasAttribute('src') && !embed.hidden,
+        placeholder: facade.querySelector('.embed-facade-placeholder') !== null
+    };
+}
+
+async function openAboutPage(dom) {
+    click(dom.window.document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+    return dom.window.document.getElementById('quem-somos');
+}
+
+test('third-party images, the hero photo and the map wait behind local placeholders', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    const facades = pillars(document);
+    assert.equal(facades.length, 3);
+    facades.forEach(facade => {
+        assert.deepEqual(facadeState(facade), { loaded: false, placeholder: true });
+        assert.equal(facade.querySelector('img.pillar-img').getAttribute('src'), null);
+    });
+    assert.equal(document.querySelector('#home .hero').style.backgroundImage, '');
+
+    const placeholder = facades[0].querySelector('.embed-facade-placeholder');
+    assert.match(placeholder.querySelector('.embed-facade-text').textContent, /hosted by Unsplash/);
+    assert.equal(placeholder.querySelector('.embed-facade-button').textContent, 'Load image');
+    assert.equal(placeholder.querySelector('.embed-facade-remember').textContent, 'Always allow “External Media”');
+    assert.deepEqual(await runAxe(dom, facades[0]), []);
+
+    const page = await openAboutPage(dom);
+    const map = page.querySelector('.embed-facade-map');
+    assert.deepEqual(facadeState(map), { loaded: false, placeholder: true });
+    assert.equal(map.querySelector('.embed-facade-button').textContent, 'Load map');
+    assert.match(map.querySelector('.embed-facade-text').textContent, /provided by Google Maps/);
+    dom.window.close();
+});
+
+test('"Load image" loads that image only, once, without saving a choice', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+    const [first, second] = pillars(document);
+
+    click(first.querySelector('.embed-facade-button'));
+
+    assert.deepEqual(facadeState(first), { loaded: true, placeholder: false });
+    assert.equal(first.querySelector('img').getAttribute('src'), 'https://images.unsplash.com/photo-1581291518633-83b4ebd1d83e?w=400&q=80');
+    assert.equal(document.activeElement, first);
+    assert.deepEqual(facadeState(second), { loaded: false, placeholder: true });
+    assert.equal(CookieConsent.hasConsent(), false);
+    assert.ok(document.getElementById('cookie-banner'), 'the banner still asks');
+    dom.window.close();
+});
+
+test('"Always allow" saves the category: every image, the hero photo and the map load, now and later', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+    const [first] = pillars(document);
+
+    first.querySelector('.embed-facade-remember input').checked = true;
+    click(first.querySelector('.embed-facade-button'));
+
+    assert.equal(CookieConsent.isCategoryAllowed('media'), true);
+    const record = readConsentCookie(document);
+    assert.equal(record.media, true);
+    assert.equal(record.analytics, false);
+    assert.equal(record.youtube, false);
+    pillars(document).forEach(facade => {
+        assert.deepEqual(facadeState(facade), { loaded: true, placeholder: false });
+    });
+    assert.equal(document.querySelector('#home .hero').style.backgroundImage, `url("${HERO_PHOTO}")`);
+
+    // Pages loaded afterwards come in with their content already there
+    const page = await openAboutPage(dom);
+    assert.deepEqual(facadeState(page.querySelector('.methodology-image-wrapper')), { loaded: true, placeholder: false });
+    assert.deepEqual(facadeState(page.querySelector('.embed-facade-map')), { loaded: true, placeholder: false });
+    dom.window.close();
+});
+
+test('withdrawing external media brings the placeholders back without a reload prompt', async function() {
+    const dom = await openPage('index.html');
+    const { document, CookieConsent } = dom.window;
+
+    click(document.getElementById('cookie-accept-all'));
+    pillars(document).forEach(facade => {
+        assert.deepEqual(facadeState(facade), { loaded: true, placeholder: false });
+    });
+
+    CookieConsent.showModal();
+    await wait(30);
+    document.querySelector('.cookie-modal input[data-cookie-category="media"]').checked = false;
+    click(document.getElementById('cookie-modal-save'));
+
+    pillars(document).forEach(facade => {
+        assert.deepEqual(facadeState(facade), { loaded: false, placeholder: true });
+        assert.equal(facade.querySelector('img').getAttribute('src'), null);
+    });
+    assert.equal(document.querySelector('#home .hero').style.backgroundImage, '');
+    assert.equal(document.getElementById('cookie-reload-now'), null);
+    dom.window.close();
+});
+
+test('a video facade shows its local poster, follows the language and loads with YouTube consent', async function() {
+    const dom = await openPage('index.html');
+    const { document, I18n, CookieConsent, EmbedFacade } = dom.window;
+
+    document.querySelector('#home .hero-image').innerHTML = VIDEO_FACADE;
+    EmbedFacade.refresh(document.getElementById('home'));
+    const facade = document.getElementById('hero-video');
+
+    assert.deepEqual(facadeState(facade), { loaded: false, placeholder: true });
+    assert.equal(facade.querySelector('.embed-facade-image').getAttribute('src'), '/assets/hero-youtube.png');
+    assert.equal(facade.querySelector('.embed-facade-button').textContent, 'Load video');
+
+    I18n.setLanguage('pt-BR');
+    assert.equal(facade.querySelector('.embed-facade-button').textContent, 'Carregar vídeo');
+    assert.equal(facade.querySelector('.embed-facade-remember').textContent, 'Sempre permitir “Vídeos do YouTube”');
+
+    CookieConsent.allowCategory('youtube');
+    assert.deepEqual(facadeState(facade), { loaded: true, placeholder: false });
+    assert.equal(facade.querySelector('iframe').getAttribute('src'), 'https://www.youtube-nocookie.com/embed/VIDEO_ID');
+    // The other categories keep their state: the photos still wait
+    assert.equal(CookieConsent.isCategoryAllowed('media'), false);
+    assert.deepEqual(facadeState(pillars(document)[0]), { loaded: false, placeholder: true });
+    dom.window.close();
+});
@@ -0,0 +1,226 @@
+/**
+ * Test helpers - load a page of the site in jsdom with its local scripts inlined,
+ * so the suite runs offline and without a browser.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, CookieJar } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+/**
+ * Read an HTML file from the repository root, inlining its <script src> tags
+ */
+function readPage(file, head) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8').replace('</head>', `${head || ''}</head>`);
+    return html.replace(/<script src="([^"]+)"><\/script>/g, function(tag, src) {
+        return `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`;
+    });
+}
+
+/**
+ * Response for a page fragment (script.js) or a data file (tax-comparison.js); 404 if the file does not exist
+ */
+function readPartial(pathname, dir) {
+    const file = path.join(ROOT, decodeURIComponent(pathname));
+    const found = file.startsWith(path.join(ROOT, dir) + path.sep) && fs.existsSync(file);
+    const body = found ? fs.readFileSync(file, 'utf8') : '';
+    return {
+        ok: found,
+        status: found ? 200 : 404,
+        text: function() {
+            return Promise.resolve(body);
+        },
+        json: function() {
+            return Promise.resolve(JSON.parse(body));
+        }
+    };
+}
+
+/**
+ * Open a page and wait until its DOMContentLoaded handlers and the first timers ran.
+ *
+ * Options:
+ *   url           page URL (default http://localhost/)
+ *   cookieJar     jsdom CookieJar shared between loads (cookies survive a reload)
+ *   storage       localStorage entries to seed before the scripts run
+ *   prefersDark   value reported for (prefers-color-scheme: dark); dom.setPrefersDark(value)
+ *                 changes it later and notifies the page's listeners, like an OS theme switch
+ *   reducedMotion value reported for (prefers-reduced-motion: reduce)
+ *   pendingImages images stay unloaded until the test dispatches their load event
+ *                 (by default every image reports complete, as if cached: jsdom never fetches them)
+ *   fetch         window.fetch stub (by default every request succeeds locally: tests never hit the network);
+ *                 page fragments (pages/*.html) and data files (data/*.json) are always served from the repository
+ *   head          extra markup for <head> (e.g. the server's jurisdiction hint)
+ *   timeZone      time zone the browser reports (default UTC, so no jurisdiction heuristic matches)
+ *   languages     navigator.languages (default jsdom's ['en-US'])
+ *   beforeParse   extra setup, called with the window before the scripts run
+ */
+async function openPage(file, options) {
+    const settings = options || {};
+    const cookieJar = settings.cookieJar || new CookieJar();
+    const darkScheme = { matches: Boolean(settings.prefersDark), listeners: [] };
+
+    const dom = new JSDOM(readPage(file, settings.head), {
+        url: settings.url || `${ORIGIN}/`,
+        cookieJar: cookieJar,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        beforeParse: function(window) {
+            window.matchMedia = function(query) {
+                const isDark = query.indexOf('dark') !== -1;
+                const isReducedMotion = query.indexOf('reduced-motion') !== -1;
+                return {
+                    get matches() {
+                        return isDark ? darkScheme.matches : isReducedMotion && Boolean(settings.reducedMotion);
+                    },
+                    media: query,
+                    addEventListener: function(type, listener) {
+                        if (isDark) darkScheme.listeners.push(listener);
+                    },
+                    removeEventListener: function() {},
+                    addListener: function(listener) {
+                        if (isDark) darkScheme.listeners.push(listener);
+                    },
+                    removeListener: function() {}
+                };
+            };
+            window.scrollTo = function() {};
+            if (!settings.pendingImages) {
+                Object.defineProperty(window.HTMLImageElement.prototype, 'complete', { get: () => true, configurable: true });
+            }
+            const fetchStub = settings.fetch || function() {
+                return Promise.resolve({ ok: true, status: 204 });
+            };
+            window.fetch = function(resource, init) {
+                const url = new window.URL(String(resource), window.location.href);
+                const dir = url.pathname.split('/')[1];
+                if (url.origin === ORIGIN && (dir === 'pages' || dir === 'data')) {
+                    return Promise.resolve(readPartial(url.pathname, dir));
+                }
+                return fetchStub(resource, init);
+            };
+            const resolvedOptions = window.Intl.DateTimeFormat.prototype.resolvedOptions;
+            window.Intl.DateTimeFormat.prototype.resolvedOptions = function() {
+                return Object.assign(resolvedOptions.call(this), { timeZone: settings.timeZone || 'UTC' });
+            };
+            if (settings.languages) {
+                Object.defineProperty(window.navigator, 'languages', { value: settings.languages, configurable: true });
+                Object.defineProperty(window.navigator, 'language', { value: settings.languages[0], configurable: true });
+            }
+            Object.keys(settings.storage || {}).forEach(function(key) {
+                window.localStorage.setItem(key, settings.storage[key]);
+            });
+            if (settings.beforeParse) {
+                settings.beforeParse(window);
+            }
+        }
+    });
+
+    dom.cookieJarForReload = cookieJar;
+    dom.setPrefersDark = function(value) {
+        darkScheme.matches = Boolean(value);
+        darkScheme.listeners.forEach(function(listener) {
+            listener({ matches: darkScheme.matches, media: '(prefers-color-scheme: dark)' });
+        });
+    };
+    dom.file = file;
+    await wait(0);
+    if (dom.window.document.readyState === 'loading') {
+        await new Promise(function(resolve) {
+            dom.window.document.addEventListener('DOMContentLoaded', resolve);
+        });
+    }
+    // Banner and modal appear after short (100ms) delays
+    await wait(150);
+    return dom;
+}
+
+/**
+ * Open the same page again, keeping its cookies and localStorage (like a browser reload)
+ */
+function reopen(dom, options) {
+    const storage = {};
+    const localStorage = dom.window.localStorage;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        storage[key] = localStorage.getItem(key);
+    }
+    const settings = Object.assign({ url: dom.window.location.href }, options, {
+        cookieJar: dom.cookieJarForReload,
+        storage: Object.assign(storage, options && options.storage)
+    });
+    dom.window.close();
+    return openPage(dom.file, settings);
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Dispatch a key press on an element
+ */
+function pressKey(element, key, init) {
+    const window = element.ownerDocument.defaultView;
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init));
+    element.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Left-click an element the way a user would (cancelable, bubbling)
+ */
+function click(element) {
+    const window = element.ownerDocument.defaultView;
+    const event = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    element.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Run axe-core inside the page on one element; resolves with the violations.
+ * Rules that need layout or colors (which jsdom doesn't compute) are left out.
+ */
+async function runAxe(dom, element) {
+    const window = dom.window;
+    if (!window.axe) {
+        window.eval(require('axe-core').source);
+    }
+    const results = await window.axe.run(element, {
+        rules: {
+            'color-contrast': { enabled: false },
+            region: { enabled: false }
+        }
+    });
+    return Array.from(results.violations, function(violation) {
+        return `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`;
+    });
+}
+
+/**
+ * Parse the consent cookie from document.cookie (null if missing)
+ */
+function readConsentCookie(document) {
+    const entry = document.cookie.split('; ').find(function(cookie) {
+        return cookie.indexOf('cookie_consent=') === 0;
+    });
+    return entry ? JSON.parse(decodeURIComponent(entry.slice('cookie_consent='.length))) : null;
+}
+
+module.exports = {
+    ORIGIN: ORIGIN,
+    openPage: openPage,
+    reopen: reopen,
+    wait: wait,
+    pressKey: pressKey,
+    click: click,
+    runAxe: runAxe,
+    readConsentCookie: readConsentCookie
+};
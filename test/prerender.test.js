@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { build } = require('../scripts/prerender');
+
+const SITE = 'https://digitalbusinessresolutions.com';
+
+let outDir;
+
+test.before(function() {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+    build({ outDir: outDir });
+});
+
+test.after(function() {
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+function readPage(file) {
+    return new JSDOM(fs.readFileSync(path.join(outDir, file), 'utf8')).window.document;
+}
+
+function attribute(document, selector, name) {
+    const element = document.querySelector(selector);
+    return element ? element.getAttribute(name || 'content') : null;
+}
+
+test('every route gets its own HTML file with the page content in place', function() {
+    const home = readPage('index.html');
+    assert.equal(home.querySelector('.page.active').id, 'home');
+    assert.equal(home.documentElement.getAttribute('data-router'), 'path');
+
+    const about = readPage('quem-somos.html');
+    assert.equal(about.querySelector('.page.active').id, 'quem-somos');
+    assert.ok(about.querySelector('#booking-form'));
+    assert.equal(attribute(about, '.nav-link[aria-current="page"]', 'data-page'), 'quem-somos');
+    assert.equal(attribute(about, '.nav-link[data-page="home"]', 'href'), '/');
+    assert.equal(attribute(about, 'link[rel="stylesheet"]', 'href'), '/styles.css');
+    assert.equal(attribute(about, 'script[src$="script.js"]', 'src'), '/script.js');
+
+    ['privacy-policy.html', 'cookie-policy.html', 'cookie-preferences.html', 'pages/home.html', 'routes.js'].forEach(function(file) {
+        assert.ok(fs.existsSync(path.join(outDir, file)), file);
+    });
+});
+
+test('each page has its own title, description, canonical URL, social tags and hreflang alternates', function() {
+    const document = readPage('cookie-policy.html');
+    const url = `${SITE}/cookie-policy`;
+
+    assert.equal(document.title, 'Cookie Policy — Digital Business Resolutions LLC');
+    assert.match(attribute(document, 'meta[name="description"]'), /^Which cookies/);
+    assert.equal(attribute(document, 'link[rel="canonical"]', 'href'), url);
+    assert.equal(attribute(document, 'meta[property="og:url"]'), url);
+    assert.equal(attribute(document, 'meta[property="og:title"]'), document.title);
+    assert.equal(attribute(document, 'meta[property="og:image"]'), `${SITE}/assets/logo.jpeg`);
+    assert.equal(attribute(document, 'meta[name="twitter:title"]'), document.title);
+    assert.equal(attribute(document, 'meta[name="robots"]'), null);
+
+    const alternates = Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'), link =>
+        `${link.getAttribute('hreflang')} ${link.getAttribute('href')}`
+    );
+    assert.deepEqual(alternates, [
+        `en ${url}?lang=en`,
+        `es ${url}?lang=es`,
+        `pt-BR ${url}?lang=pt-BR`,
+        `x-default ${url}`
+    ]);
+});
+
+test('each page carries its JSON-LD, the same the browser builds', function() {
+    const document = readPage('quem-somos.html');
+    const data = JSON.parse(document.querySelector('script[type="application/ld+json"]#structured-data').textContent);
+    const types = data['@graph'].map(node => node['@type']);
+
+    assert.equal(data['@context'], 'https://schema.org');
+    assert.deepEqual(types.slice(0, 3), ['ProfessionalService', 'WebSite', 'AboutPage']);
+    assert.equal(types.filter(type => type === 'Service').length, 5);
+    assert.equal(data['@graph'][2].url, `${SITE}/quem-somos`);
+});
+
+test('pages marked index: false and the 404 page are kept out of search engines', function() {
+    assert.equal(attribute(readPage('cookie-preferences.html'), 'meta[name="robots"]'), 'noindex');
+
+    const notFound = readPage('404.html');
+    assert.equal(notFound.querySelector('.page.active').id, 'not-found');
+    assert.equal(attribute(notFound, 'meta[name="robots"]'), 'noindex');
+});
+
+test('sitemap.xml lists the indexable pages with their alternates, robots.txt points to it', function() {
+    const sitemap = fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf8');
+    const locations = Array.from(sitemap.matchAll(/<loc>([^<]+)<\/loc>/g), match => match[1]);
+
+    assert.deepEqual(locations, [`${SITE}/`, `${SITE}/quem-somos`, `${SITE}/privacy-policy`, `${SITE}/cookie-policy`]);
+    assert.ok(sitemap.includes(`<xhtml:link rel="alternate" hreflang="pt-BR" href="${SITE}/quem-somos?lang=pt-BR"/>`));
+
+    const robots = fs.readFileSync(path.join(outDir, 'robots.txt'), 'utf8');
+    assert.match(robots, /^User-agent: \*$/m);
+    assert.match(robots, /^Disallow: \/api\/$/m);
+    assert.match(robots, new RegExp(`^Sitemap: ${SITE}/sitemap.xml$`, 'm'));
+});
@@ -0,0 +1,411 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORIGIN, openPage, reopen, wait, click } = require('./helpers/dom');
+
+function activePage(document) {
+    return document.querySelector('.page.active').id;
+}
+
+function currentNavLinks(document) {
+    return Array.from(document.querySelectorAll('[aria-current="page"]')).map(link => link.getAttribute('data-page'));
+}
+
+test('opens on the home page with its title and aria-current', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    assert.equal(activePage(document), 'home');
+    assert.equal(document.title, 'Digital Business Resolutions LLC — Digital Strategy & International Tax Optimization');
+    assert.deepEqual(currentNavLinks(document), ['home', 'home']);
+    dom.window.close();
+});
+
+test('switching pages updates the title, the active link and aria-current', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+
+    assert.equal(activePage(document), 'quem-somos');
+    assert.equal(document.title, 'About Us — Digital Business Resolutions LLC');
+    assert.deepEqual(currentNavLinks(document), ['quem-somos', 'quem-somos']);
+    assert.ok(document.querySelector('.nav-link[data-page="quem-somos"]').classList.contains('active'));
+    assert.ok(!document.querySelector('.nav-link[data-page="home"]').classList.contains('active'));
+    assert.equal(dom.window.location.hash, '#/quem-somos');
+    dom.window.close();
+});
+
+test('the back button returns to the previous page', async function() {
+    const dom = await openPage('index.html');
+    const { document, history } = dom.window;
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+    history.back();
+    await wait(200);
+
+    assert.equal(activePage(document), 'home');
+    assert.deepEqual(currentNavLinks(document), ['home', 'home']);
+    dom.window.close();
+});
+
+test('deep links open the page they point to', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/quem-somos` });
+    assert.equal(activePage(dom.window.document), 'quem-somos');
+    dom.window.close();
+
+    // Legacy anchors from before the router keep working
+    const legacy = await openPage('index.html', { url: `${ORIGIN}/#quem-somos` });
+    assert.equal(activePage(legacy.window.document), 'quem-somos');
+    legacy.window.close();
+});
+
+test('unknown routes show the not-found page without a current nav link', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/does-not-exist` });
+    const { document } = dom.window;
+
+    assert.equal(activePage(document), 'not-found');
+    assert.equal(document.title, 'Page Not Found — Digital Business Resolutions LLC');
+    assert.deepEqual(currentNavLinks(document), []);
+    dom.window.close();
+});
+
+test('the booking CTA opens the About page at the booking form', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    click(document.getElementById('cta-hero'));
+    await wait(150);
+
+    assert.equal(activePage(document), 'quem-somos');
+    assert.equal(dom.window.location.hash, '#/quem-somos/agendar-consultoria');
+    dom.window.close();
+});
+
+/**
+ * Record the page fragments the site fetches (on top of the helper's local responses)
+ */
+function recordPageRequests(requests) {
+    return function(window) {
+        const fetch = window.fetch;
+        window.fetch = function(url, init) {
+            if (String(url).indexOf('pages/') === 0) {
+                requests.push(String(url));
+            }
+            return fetch(url, init);
+        };
+    };
+}
+
+test('pages are fetched on their first visit, kept for the next ones and initialized once', async function() {
+    const requests = [];
+    const dom = await openPage('index.html', { beforeParse: recordPageRequests(requests) });
+    const { document, Pages } = dom.window;
+    const initialized = [];
+    Pages.onInit('quem-somos', page => initialized.push(page.id));
+
+    assert.deepEqual(requests, ['pages/home.html']);
+    assert.equal(document.getElementById('quem-somos'), null);
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(50);
+    click(document.querySelector('.nav-link[data-page="home"]'));
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(50);
+
+    assert.equal(activePage(document), 'quem-somos');
+    assert.deepEqual(requests, ['pages/home.html', 'pages/quem-somos.html']);
+    assert.deepEqual(initialized, ['quem-somos']);
+    // The page's own scripts ran (booking-form.js) and its links point to routes
+    assert.ok(document.getElementById('booking-timezone').textContent);
+    assert.equal(document.querySelector('#quem-somos a[data-page="privacy-policy"]').getAttribute('href'), '#/privacy-policy');
+
+    // Hooks registered after the page arrived run right away
+    Pages.onInit('quem-somos', page => initialized.push(page.id));
+    assert.deepEqual(initialized, ['quem-somos', 'quem-somos']);
+    dom.window.close();
+});
+
+test('policy pages are routes of the same document, translated and initialized', async function() {
+    const dom = await openPage('index.html', { storage: { language: 'pt-BR' } });
+    const { document } = dom.window;
+    dom.window.notReloaded = true;
+
+    click(document.querySelector('#cookie-banner .cookie-link[href$="cookie-policy"]'));
+    await wait(50);
+
+    assert.equal(dom.window.notReloaded, true);
+    assert.equal(activePage(document), 'cookie-policy');
+    assert.equal(document.title, 'Política de Cookies — Digital Business Resolutions LLC');
+    assert.ok(document.querySelector('#cookie-policy .policy-last-updated').textContent);
+    assert.equal(document.querySelector('#cookie-policy .policy-language-note').hidden, false);
+
+    // Links between policies stay inside the app too
+    click(document.querySelector('#cookie-policy a[data-page="cookie-preferences"]'));
+    await wait(50);
+    assert.equal(activePage(document), 'cookie-preferences');
+    assert.ok(document.getElementById('cookie-center-save'));
+    assert.equal(dom.window.location.hash, '#/cookie-preferences');
+    dom.window.close();
+});
+
+test('a page that cannot be loaded shows an error page with a retry button', async function() {
+    let failures = 1;
+    const dom = await openPage('index.html', {
+        beforeParse: function(window) {
+            const fetch = window.fetch;
+            window.fetch = function(url, init) {
+                if (url === 'pages/quem-somos.html' && failures > 0) {
+                    failures--;
+                    return Promise.reject(new TypeError('Failed to fetch'));
+                }
+                return fetch(url, init);
+            };
+        }
+    });
+    const { document } = dom.window;
+    const errors = [];
+    dom.window.console.error = (...args) => errors.push(args.join(' '));
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(50);
+    assert.equal(activePage(document), 'page-error');
+    assert.equal(document.title, 'Page Unavailable — Digital Business Resolutions LLC');
+    assert.equal(errors.length, 1);
+
+    click(document.getElementById('page-error-retry'));
+    await wait(50);
+    assert.equal(activePage(document), 'quem-somos');
+    assert.deepEqual(currentNavLinks(document), ['quem-somos', 'quem-somos']);
+    dom.window.close();
+});
+
+/**
+ * Loading screen state: whether it covers the page and the progress it announces
+ */
+function loadingState(document) {
+    const screen = document.getElementById('loading-screen');
+    return {
+        visible: !screen.classList.contains('hidden'),
+        progress: screen.querySelector('[role="progressbar"]').getAttribute('aria-valuenow')
+    };
+}
+
+/**
+ * Make the images inside the elements matching selector count as laid out on screen (jsdom has no layout)
+ */
+function showOnScreen(window, selector) {
+    const layout = window.HTMLImageElement.prototype.getBoundingClientRect;
+    window.HTMLImageElement.prototype.getBoundingClientRect = function() {
+        return this.closest(selector) ? { top: 0, bottom: 400, left: 0, right: 1000, width: 1000, height: 400 } : layout.call(this);
+    };
+}
+
+test('the loading screen closes as soon as the page has loaded, with no fixed delay', async function() {
+    const dom = await openPage('index.html');
+    assert.deepEqual(loadingState(dom.window.document), { visible: false, progress: '100' });
+    dom.window.close();
+});
+
+test('switching to a page with nothing pending skips the loading screen', async function() {
+    const dom = await openPage('index.html');
+    const { document } = dom.window;
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(200);
+
+    assert.equal(activePage(document), 'quem-somos');
+    assert.equal(loadingState(document).visible, false);
+    dom.window.close();
+});
+
+test('the loading screen follows the images still loading, on the first load and on navigation', async function() {
+    const dom = await openPage('index.html', { pendingImages: true });
+    const { document } = dom.window;
+    const eagerImages = Array.from(document.querySelectorAll('img:not([loading="lazy"])'));
+
+    // The load event already fired; the eager images are still arriving
+    const initial = loadingState(document);
+    assert.equal(initial.visible, true);
+    assert.ok(Number(initial.progress) > 0 && Number(initial.progress) < 100);
+    eagerImages.forEach(img => img.dispatchEvent(new dom.window.Event('load')));
+    await wait(0);
+    assert.deepEqual(loadingState(document), { visible: false, progress: '100' });
+
+    // The next page's photo is external media (embed-facade.js): allowed, it loads with the page
+    dom.window.CookieConsent.allowCategory('media');
+    showOnScreen(dom.window, '#quem-somos');
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(200);
+    // The fragment arrived, its image has not
+    assert.deepEqual(loadingState(document), { visible: true, progress: '50' });
+
+    const image = document.querySelector('#quem-somos img');
+    image.dispatchEvent(new dom.window.Event('load'));
+    await wait(0);
+    assert.deepEqual(loadingState(document), { visible: false, progress: '100' });
+    dom.window.close();
+});
+
+test('fetched content keeps the loading screen up; reduced motion drops the fade and smooth scrolling', async function() {
+    const scrolls = [];
+    const dom = await openPage('index.html', {
+        reducedMotion: true,
+        beforeParse: function(window) {
+            window.scrollTo = options => scrolls.push(options.behavior);
+        }
+    });
+    const { document } = dom.window;
+    const screen = document.getElementById('loading-screen');
+    assert.equal(screen.style.display, 'none');
+
+    let finish;
+    dom.window.LoadingScreen.track(new dom.window.Promise(resolve => {
+        finish = resolve;
+    }));
+    await wait(200);
+    assert.deepEqual(loadingState(document), { visible: true, progress: '0' });
+
+    finish();
+    await wait(0);
+    assert.equal(loadingState(document).visible, false);
+    assert.equal(screen.style.display, 'none');
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(50);
+    assert.deepEqual(scrolls, ['auto']);
+    dom.window.close();
+});
+
+/**
+ * Theme applied to the document and the mode selected in the header
+ */
+function themeState(document) {
+    return {
+        theme: document.documentElement.getAttribute('data-theme'),
+        mode: document.documentElement.getAttribute('data-theme-mode'),
+        selected: document.querySelector('.theme-switcher select').value
+    };
+}
+
+function selectTheme(document, mode) {
+    const select = document.querySelector('.theme-switcher select');
+    select.value = mode;
+    select.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+}
+
+test('the theme is applied in <head>, before the body renders', async function() {
+    const dom = await openPage('index.html', {
+        storage: { theme: 'dark' },
+        // Runs right after the bootstrap, before any body markup or deferred script
+        head: '<script>window.themeInHead = document.documentElement.getAttribute("data-theme");</script>'
+    });
+    assert.equal(dom.window.themeInHead, 'dark');
+    assert.equal(dom.window.document.documentElement.getAttribute('data-theme-mode'), 'dark');
+    dom.window.close();
+});
+
+test('light, dark and system modes are selectable, persist and are restored on the next visit', async function() {
+    const dom = await openPage('index.html');
+    const { document, localStorage } = dom.window;
+
+    assert.deepEqual(themeState(document), { theme: 'light', mode: 'system', selected: 'system' });
+    const options = Array.from(document.querySelectorAll('.theme-switcher option'), option => option.value);
+    assert.deepEqual(options, ['system', 'light', 'dark']);
+
+    selectTheme(document, 'dark');
+    assert.deepEqual(themeState(document), { theme: 'dark', mode: 'dark', selected: 'dark' });
+    assert.equal(localStorage.getItem('theme'), 'dark');
+
+    const reloaded = await reopen(dom);
+    assert.deepEqual(themeState(reloaded.window.document), { theme: 'dark', mode: 'dark', selected: 'dark' });
+
+    selectTheme(reloaded.window.document, 'system');
+    assert.equal(reloaded.window.localStorage.getItem('theme'), 'system');
+    assert.equal(themeState(reloaded.window.document).theme, 'light');
+    reloaded.window.close();
+});
+
+test('system mode follows the OS theme live, a saved choice ignores it', async function() {
+    const dom = await openPage('index.html', { prefersDark: true });
+    const { document } = dom.window;
+    const changes = [];
+    dom.window.addEventListener('theme:change', e => changes.push(e.detail.theme));
+    assert.equal(themeState(document).theme, 'dark');
+
+    dom.setPrefersDark(false);
+    assert.equal(themeState(document).theme, 'light');
+    assert.deepEqual(changes, ['light']);
+
+    selectTheme(document, 'dark');
+    dom.setPrefersDark(true);
+    dom.setPrefersDark(false);
+    assert.equal(themeState(document).theme, 'dark');
+    dom.window.close();
+
+    const chosen = await openPage('index.html', { prefersDark: true, storage: { theme: 'light' } });
+    assert.equal(themeState(chosen.window.document).theme, 'light');
+    chosen.window.close();
+});
+
+test('a theme chosen in another tab is applied without reloading', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/cookie-policy` });
+    const { document, localStorage } = dom.window;
+
+    localStorage.setItem('theme', 'dark');
+    dom.window.dispatchEvent(new dom.window.StorageEvent('storage', { key: 'theme', newValue: 'dark' }));
+    assert.deepEqual(themeState(document), { theme: 'dark', mode: 'dark', selected: 'dark' });
+
+    // An unknown value falls back to following the system
+    localStorage.setItem('theme', 'sepia');
+    dom.window.dispatchEvent(new dom.window.StorageEvent('storage', { key: 'theme', newValue: 'sepia' }));
+    assert.deepEqual(themeState(document), { theme: 'light', mode: 'system', selected: 'system' });
+    dom.window.close();
+});
+
+test('theme names follow the selected language', async function() {
+    const dom = await openPage('index.html', { storage: { language: 'pt-BR' } });
+    const { document, I18n } = dom.window;
+    const labels = () => Array.from(document.querySelectorAll('.theme-switcher option'), option => option.textContent);
+
+    assert.deepEqual(labels(), ['Sistema', 'Claro', 'Escuro']);
+    assert.equal(document.querySelector('.theme-switcher select').getAttribute('aria-label'), 'Tema');
+    I18n.setLanguage('en');
+    assert.deepEqual(labels(), ['System', 'Light', 'Dark']);
+    dom.window.close();
+});
+
+test('page titles follow the selected language', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/quem-somos`, storage: { language: 'pt-BR' } });
+    const { document, I18n } = dom.window;
+
+    assert.equal(document.documentElement.lang, 'pt-BR');
+    assert.equal(document.title, 'Quem Somos — Digital Business Resolutions LLC');
+
+    I18n.setLanguage('es');
+    assert.equal(document.documentElement.lang, 'es');
+    assert.equal(document.title, 'Quiénes Somos — Digital Business Resolutions LLC');
+    assert.equal(dom.window.localStorage.getItem('language'), 'es');
+    dom.window.close();
+});
+
+test('the meta description follows the page and the language; ?lang= picks the language without saving it', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/?lang=es#/quem-somos` });
+    const { document, I18n } = dom.window;
+    const description = () => document.querySelector('meta[name="description"]').getAttribute('content');
+
+    assert.equal(document.documentElement.lang, 'es');
+    assert.match(description(), /^Conozca Digital Business Resolutions LLC/);
+    assert.equal(dom.window.localStorage.getItem('language'), null);
+
+    I18n.setLanguage('en');
+    assert.match(description(), /^Meet Digital Business Resolutions LLC/);
+
+    click(document.querySelector('.nav-link[data-page="home"]'));
+    await wait(150);
+    assert.match(description(), /^Digital Business Resolutions LLC - Digital Strategy/);
+    dom.window.close();
+});
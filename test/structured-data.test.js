@@ -0,0 +1,215 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORIGIN, openPage, wait, click } = require('./helpers/dom');
+
+const SITE = 'https://digitalbusinessresolutions.com';
+
+// Subset of the schema.org vocabulary the site uses: allowed properties of each type and
+// the types (or 'Text' / 'URL') each property accepts. A reference ({ "@id" }) must point
+// to a node of an accepted type elsewhere in the graph.
+const ORGANIZATION = {
+    name: ['Text'],
+    legalName: ['Text'],
+    description: ['Text'],
+    url: ['URL'],
+    logo: ['ImageObject', 'URL'],
+    image: ['ImageObject', 'URL'],
+    email: ['Text'],
+    address: ['PostalAddress', 'Text'],
+    contactPoint: ['ContactPoint'],
+    areaServed: ['Place', 'Country', 'City', 'Text']
+};
+const WEB_PAGE = {
+    url: ['URL'],
+    name: ['Text'],
+    description: ['Text'],
+    inLanguage: ['Text'],
+    isPartOf: ['WebSite'],
+    about: ['Organization', 'ProfessionalService'],
+    mainEntity: ['Service']
+};
+const PLACE = {
+    name: ['Text'],
+    identifier: ['Text'],
+    containedInPlace: ['Place', 'Country']
+};
+const SCHEMA = {
+    Organization: ORGANIZATION,
+    ProfessionalService: ORGANIZATION,
+    WebSite: { url: ['URL'], name: ['Text'], inLanguage: ['Text'], publisher: ['Organization', 'ProfessionalService'] },
+    WebPage: WEB_PAGE,
+    AboutPage: WEB_PAGE,
+    Service: {
+        name: ['Text'],
+        serviceType: ['Text'],
+        description: ['Text'],
+        provider: ['Organization', 'ProfessionalService'],
+        areaServed: ['Place', 'Country', 'City', 'Text']
+    },
+    ImageObject: { url: ['URL'] },
+    PostalAddress: { streetAddress: ['Text'], addressLocality: ['Text'], addressRegion: ['Text'], postalCode: ['Text'], addressCountry: ['Text'] },
+    ContactPoint: { contactType: ['Text'], email: ['Text'], url: ['URL'], availableLanguage: ['Text'] },
+    Country: PLACE,
+    City: PLACE,
+    Place: PLACE
+};
+
+// Properties search engines need for each node
+const REQUIRED = {
+    ProfessionalService: ['name', 'url', 'address', 'contactPoint'],
+    PostalAddress: ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry'],
+    ContactPoint: ['contactType'],
+    Service: ['name', 'provider', 'areaServed'],
+    WebPage: ['url', 'name'],
+    AboutPage: ['url', 'name']
+};
+
+/**
+ * Every problem found in a JSON-LD document (empty when it is valid)
+ */
+function validate(data) {
+    const problems = [];
+    const nodes = {};
+    data['@graph'].forEach(node => {
+        nodes[node['@id']] = node;
+    });
+
+    function check(value, accepted, where) {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => check(item, accepted, `${where}[${index}]`));
+            return;
+        }
+        if (typeof value === 'string') {
+            const isUrl = /^https:\/\/[^\s]+$/.test(value);
+            if (!accepted.includes('Text') && !(accepted.includes('URL') && isUrl)) {
+                problems.push(`${where}: "${value}" is not a ${accepted.join(' / ')}`);
+            }
+            return;
+        }
+        if (value && value['@id'] && !value['@type']) {
+            const target = nodes[value['@id']];
+            if (!target) {
+                problems.push(`${where}: ${value['@id']} is not in the graph`);
+            } else if (!accepted.includes(target['@type'])) {
+                problems.push(`${where}: ${target['@type']} is not a ${accepted.join(' / ')}`);
+            }
+            return;
+        }
+        if (!value || !accepted.includes(value['@type'])) {
+            problems.push(`${where}: expected ${accepted.join(' / ')}`);
+            return;
+        }
+        checkNode(value, where);
+    }
+
+    function checkNode(node, where) {
+        const properties = SCHEMA[node['@type']];
+        if (!properties) {
+            problems.push(`${where}: unknown type ${node['@type']}`);
+            return;
+        }
+        Object.keys(node).filter(key => key.charAt(0) !== '@').forEach(key => {
+            if (!properties[key]) {
+                problems.push(`${where}.${key}: not a property of ${node['@type']}`);
+            } else {
+                check(node[key], properties[key], `${where}.${key}`);
+            }
+        });
+        (REQUIRED[node['@type']] || []).forEach(key => {
+            if (node[key] === undefined) {
+                problems.push(`${where}: ${node['@type']} without ${key}`);
+            }
+        });
+    }
+
+    if (data['@context'] !== 'https://schema.org') {
+        problems.push('@context is not https://schema.org');
+    }
+    data['@graph'].forEach((node, index) => checkNode(node, `@graph[${index}] ${node['@type']}`));
+    return problems;
+}
+
+function readJsonLd(document) {
+    const element = document.querySelector('script[type="application/ld+json"]#structured-data');
+    return element ? JSON.parse(element.textContent) : null;
+}
+
+function nodesOfType(data, type) {
+    return data['@graph'].filter(node => node['@type'] === type);
+}
+
+test('the home page describes the business, its address, contact point and services', async function() {
+    const dom = await openPage('index.html');
+    const data = readJsonLd(dom.window.document);
+
+    assert.deepEqual(validate(data), []);
+
+    const [business] = nodesOfType(data, 'ProfessionalService');
+    assert.equal(business['@id'], `${SITE}/#organization`);
+    assert.deepEqual(business.address, {
+        '@type': 'PostalAddress',
+        streetAddress: '412 W 7th St Ste 1141',
+        addressLocality: 'Clovis',
+        addressRegion: 'NM',
+        postalCode: '88101',
+        addressCountry: 'US'
+    });
+    assert.equal(business.contactPoint.email, 'info@digitalbusinessresolutions.com');
+    assert.equal(business.contactPoint.url, `${SITE}/quem-somos#agendar-consultoria`);
+
+    const areas = nodesOfType(data, 'Service').map(service => service.areaServed.name || service.areaServed);
+    assert.deepEqual(areas, ['Worldwide', 'Dominican Republic', 'Paraguay', 'Philippines', 'Dubai']);
+
+    const [page] = nodesOfType(data, 'WebPage');
+    assert.equal(page.url, `${SITE}/`);
+    assert.equal(page.mainEntity.length, 5);
+    dom.window.close();
+});
+
+test('switching pages rewrites the JSON-LD for the new page, in the current language', async function() {
+    const dom = await openPage('index.html');
+    const { document, I18n } = dom.window;
+
+    click(document.querySelector('.nav-link[data-page="quem-somos"]'));
+    await wait(150);
+    let data = readJsonLd(document);
+    assert.deepEqual(validate(data), []);
+    assert.equal(nodesOfType(data, 'AboutPage')[0].url, `${SITE}/quem-somos`);
+    assert.equal(document.querySelectorAll('script[type="application/ld+json"]').length, 1);
+
+    I18n.setLanguage('pt-BR');
+    data = readJsonLd(document);
+    assert.equal(nodesOfType(data, 'AboutPage')[0].inLanguage, 'pt-BR');
+    assert.equal(nodesOfType(data, 'AboutPage')[0].name, 'Quem Somos — Digital Business Resolutions LLC');
+
+    // Policy pages describe themselves, without the service list
+    click(document.querySelector('a[data-page="privacy-policy"]'));
+    await wait(150);
+    data = readJsonLd(document);
+    assert.deepEqual(validate(data), []);
+    assert.equal(nodesOfType(data, 'WebPage')[0].url, `${SITE}/privacy-policy`);
+    assert.deepEqual(nodesOfType(data, 'Service'), []);
+    dom.window.close();
+});
+
+test('pages without a route carry no page data', async function() {
+    const dom = await openPage('index.html', { url: `${ORIGIN}/#/does-not-exist` });
+    assert.equal(readJsonLd(dom.window.document), null);
+    dom.window.close();
+});
+
+test('the validator rejects unknown properties, wrong types and dangling references', function() {
+    const problems = validate({
+        '@context': 'https://schema.org',
+        '@graph': [
+            { '@type': 'Service', '@id': 'x', name: 'A', provider: { '@id': 'missing' }, areaServed: { '@type': 'PostalAddress' }, price: 1 }
+        ]
+    });
+    assert.deepEqual(problems, [
+        '@graph[0] Service.provider: missing is not in the graph',
+        '@graph[0] Service.areaServed: expected Place / Country / City / Text',
+        '@graph[0] Service.price: not a property of Service'
+    ]);
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, wait, click, runAxe } = require('./helpers/dom');
+
+const COUNTRIES = ['Dominican Republic', 'Paraguay', 'Philippines', 'Dubai (United Arab Emirates)'];
+
+async function openTool(options) {
+    const dom = await openPage('index.html', options);
+    await wait(30);
+    return { dom: dom, tool: dom.window.document.getElementById('comparar-paises') };
+}
+
+function columns(tool) {
+    return Array.from(tool.querySelectorAll('.tax-table thead th')).map(th => th.textContent);
+}
+
+/**
+ * Row title followed by each country's headline value
+ */
+function row(tool, index) {
+    const tr = tool.querySelectorAll('.tax-table tbody tr')[index];
+    const cells = [tr.querySelector('th')].concat(Array.from(tr.querySelectorAll('td strong')));
+    return cells.map(cell => cell.textContent.replace(/\s/g, ' '));
+}
+
+function setFilter(tool, name, value) {
+    const select = tool.querySelector(`.tax-filters select[name="${name}"]`);
+    select.value = value;
+    select.dispatchEvent(new select.ownerDocument.defaultView.Event('change', { bubbles: true }));
+}
+
+function answer(tool, values) {
+    Object.keys(values).forEach(name => {
+        tool.querySelector(`.tax-quiz input[name="${name}"][value="${values[name]}"]`).checked = true;
+    });
+    click(tool.querySelector('.tax-quiz button[type="submit"]'));
+}
+
+function ranking(tool) {
+    return Array.from(tool.querySelectorAll('.tax-ranking-item h4')).map(h4 => h4.textContent);
+}
+
+test('the comparison table shows every country side by side from the dataset', async function() {
+    const { dom, tool } = await openTool();
+
+    assert.equal(tool.querySelector('.tax-filters').disabled, false);
+    assert.equal(tool.querySelector('.tax-status').textContent, '');
+    assert.deepEqual(columns(tool), COUNTRIES);
+    assert.deepEqual(row(tool, 0), ['Taxation', 'Territorial — up to 25%', 'Territorial — up to 10%', 'Territorial — up to 35%', 'No personal income tax']);
+    assert.deepEqual(row(tool, 1), ['Income from abroad', 'Partly taxed', 'Not taxed', 'Not taxed', 'Not taxed']);
+    assert.deepEqual(row(tool, 2), ['Stay for tax residency', '183 days a year', '120 days a year', '180 days a year', '90 days a year']);
+    assert.deepEqual(row(tool, 3), ['Investment or deposit', 'None required', 'None required', 'From USD 10,000', 'None required']);
+    assert.deepEqual(row(tool, 4), ['Setup time', '4–8 months', '3–6 months', '1–3 months', '1–2 months']);
+    assert.match(tool.querySelector('.tax-note').textContent, /progressive rates up to 25%/);
+    assert.equal(tool.querySelector('.tax-reviewed').textContent, 'Information reviewed on October 19, 2026.');
+
+    const options = Array.from(tool.querySelectorAll('select[name="taxation"] option')).map(option => option.textContent);
+    assert.deepEqual(options, ['Any', 'Territorial', 'No personal income tax']);
+    assert.deepEqual(await runAxe(dom, tool), []);
+    dom.window.close();
+});
+
+test('filters narrow the columns and say so when no country is left', async function() {
+    const { dom, tool } = await openTool();
+
+    setFilter(tool, 'stay', '120');
+    assert.deepEqual(columns(tool), ['Paraguay', 'Dubai (United Arab Emirates)']);
+
+    setFilter(tool, 'setup', '3');
+    assert.deepEqual(columns(tool), ['Dubai (United Arab Emirates)']);
+
+    setFilter(tool, 'taxation', 'territorial');
+    assert.equal(tool.querySelector('.tax-table').hidden, true);
+    assert.equal(tool.querySelector('.tax-empty').hidden, false);
+
+    setFilter(tool, 'stay', '');
+    setFilter(tool, 'budget', '25000');
+    assert.deepEqual(columns(tool), ['Philippines']);
+    assert.equal(tool.querySelector('.tax-empty').hidden, true);
+    dom.window.close();
+});
+
+test('the questionnaire asks for every answer, then ranks the countries with the reasons', async function() {
+    const { dom, tool } = await openTool();
+    const { document } = dom.window;
+
+    answer(tool, { income: 'foreign', stay: '150' });
+    const error = tool.querySelector('.tax-quiz-error');
+    assert.equal(error.hidden, false);
+    assert.equal(error.textContent, 'Answer every question to see your ranking.');
+    assert.equal(document.activeElement, tool.querySelector('input[name="budget"]'));
+    assert.equal(tool.querySelector('.tax-ranking').hidden, true);
+
+    answer(tool, { budget: '0', setup: '3' });
+    assert.equal(error.hidden, true);
+    assert.equal(document.activeElement, tool.querySelector('.tax-ranking'));
+    assert.deepEqual(ranking(tool), [
+        'Dubai (United Arab Emirates) Match: 10/10',
+        'Paraguay Match: 9/10',
+        'Philippines Match: 6/10',
+        'Dominican Republic Match: 4/10'
+    ]);
+
+    const philippines = tool.querySelectorAll('.tax-ranking-item')[2];
+    const warnings = Array.from(philippines.querySelectorAll('.tax-reason-warn')).map(li => li.textContent.replace(/\s/g, ' '));
+    assert.deepEqual(warnings, ['Tax residency needs about 180 days a year.', 'The most affordable route needs USD 10,000.']);
+
+    // A local business weighs the local tax rate instead
+    answer(tool, { income: 'local', stay: '365', budget: 'unlimited', setup: '12' });
+    assert.deepEqual(ranking(tool), [
+        'Dubai (United Arab Emirates) Match: 10/10',
+        'Paraguay Match: 9/10',
+        'Dominican Republic Match: 7/10',
+        'Philippines Match: 6/10'
+    ]);
+    assert.deepEqual(await runAxe(dom, tool), []);
+    dom.window.close();
+});
+
+test('booking from the comparison prefills the consultation request with the country and the answers', async function() {
+    const { dom, tool } = await openTool();
+    const { document } = dom.window;
+
+    answer(tool, { income: 'mixed', stay: '150', budget: '25000', setup: '6' });
+    // Changed but not submitted: the message describes the answers behind the ranking
+    tool.querySelector('.tax-quiz input[name="stay"][value="365"]').checked = true;
+    // Dubai comes first; Paraguay is the runner-up
+    const link = tool.querySelectorAll('.tax-ranking-item .tax-book')[1];
+    assert.equal(link.getAttribute('aria-label'), 'Book a consultation about Paraguay');
+    assert.equal(link.getAttribute('href'), '#/quem-somos/agendar-consultoria');
+
+    click(link);
+    await wait(150);
+
+    const form = document.getElementById('booking-form');
+    assert.ok(document.getElementById('quem-somos').contains(form));
+    assert.equal(form.querySelector('input[name="serviceLine"]:checked').value, 'tax-advisory');
+    assert.equal(form.elements.namedItem('country').value, 'PY');
+    assert.equal(form.elements.namedItem('message').value,
+        'I am interested in tax residency in Paraguay. My answers to the country comparison: ' +
+        'Where will most of your income come from? Both; ' +
+        'How much time can you spend in the country each year? 3 to 6 months; ' +
+        'How much can you invest or deposit to get residency? Up to USD 25,000; ' +
+        'When do you need your residency? Within 6 months.');
+
+    // The table links prefill too, without overwriting what the visitor wrote
+    form.elements.namedItem('message').value = 'Please call me in the morning.';
+    click(document.querySelector('.nav-link[data-page="home"]'));
+    await wait(50);
+    click(tool.querySelectorAll('.tax-table .tax-book')[3]);
+    await wait(50);
+    assert.equal(form.elements.namedItem('country').value, 'AE');
+    assert.equal(form.elements.namedItem('message').value, 'Please call me in the morning.');
+    dom.window.close();
+});
+
+test('the comparison follows the selected language and reports a dataset that fails to load', async function() {
+    const { dom, tool } = await openTool();
+    const { I18n } = dom.window;
+
+    answer(tool, { income: 'foreign', stay: '365', budget: '0', setup: '12' });
+    I18n.setLanguage('pt-BR');
+    assert.deepEqual(columns(tool), ['República Dominicana', 'Paraguai', 'Filipinas', 'Dubai (Emirados Árabes Unidos)']);
+    assert.deepEqual(row(tool, 3), ['Investimento ou depósito', 'Não exigido', 'Não exigido', 'A partir de USD 10.000', 'Não exigido']);
+    assert.match(tool.querySelector('.tax-note').textContent, /alíquotas progressivas/);
+    assert.equal(tool.querySelector('.tax-ranking-item .tax-score').textContent, 'Compatibilidade: 10/10');
+    assert.equal(tool.querySelector('.tax-reviewed').textContent, 'Informações revisadas em 19 de outubro de 2026.');
+    dom.window.close();
+
+    const offline = await openTool({
+        beforeParse: function(window) {
+            const fetch = window.fetch;
+            window.fetch = function(resource, init) {
+                return String(resource).indexOf('data/') === 0 ? Promise.reject(new Error('offline')) : fetch(resource, init);
+            };
+        }
+    });
+    assert.match(offline.tool.querySelector('.tax-status').textContent, /could not load the comparison/);
+    assert.equal(offline.tool.querySelector('.tax-filters').disabled, true);
+    offline.dom.window.close();
+});
@@ -0,0 +1,158 @@
+/**
+ * Sistema de temas - claro / escuro / sistema
+ * O tema é aplicado como data-theme no <html> pelo bootstrap inline no <head> de cada página,
+ * antes da primeira pintura; este módulo assume depois: liga os seletores de tema, segue o
+ * prefers-color-scheme do sistema ao vivo e sincroniza a escolha entre abas.
+ * As cores ficam nos tokens CSS de cada tema (styles.css, :root[data-theme="<id>"]).
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'theme';
+    const SYSTEM = 'system';
+    const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+    // Temas disponíveis (o primeiro é o padrão quando o sistema não prefere o escuro).
+    // Para um novo tema, registre-o aqui e defina seus tokens no styles.css.
+    const THEMES = [
+        { id: 'light', label: 'Light' },
+        { id: 'dark', label: 'Dark' }
+    ];
+
+    const darkQuery = window.matchMedia ? window.matchMedia(DARK_QUERY) : null;
+
+    let currentMode = SYSTEM;
+
+    /**
+     * Verifica se um valor é um modo conhecido ('system' ou o id de um tema)
+     */
+    function isMode(value) {
+        return value === SYSTEM || THEMES.some(theme => theme.id === value);
+    }
+
+    /**
+     * Modo salvo (ou 'system' se não houver escolha válida)
+     */
+    function readMode() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (isMode(saved)) return saved;
+        } catch (e) {}
+        return SYSTEM;
+    }
+
+    /**
+     * Tema efetivo de um modo: no modo sistema, segue o prefers-color-scheme
+     */
+    function resolve(mode) {
+        if (mode !== SYSTEM) return mode;
+        return darkQuery && darkQuery.matches ? 'dark' : THEMES[0].id;
+    }
+
+    /**
+     * Aplica o modo no <html>, atualiza os seletores e avisa a página (evento theme:change)
+     */
+    function apply(mode) {
+        const previousTheme = document.documentElement.getAttribute('data-theme');
+        const previousMode = currentMode;
+        currentMode = mode;
+
+        const theme = resolve(mode);
+        document.documentElement.setAttribute('data-theme', theme);
+        document.documentElement.setAttribute('data-theme-mode', mode);
+        updateSwitchers();
+
+        if (theme !== previousTheme || mode !== previousMode) {
+            window.dispatchEvent(new CustomEvent('theme:change', { detail: { mode: mode, theme: theme } }));
+        }
+    }
+
+    /**
+     * Troca o modo e salva a escolha ('system' volta a seguir o sistema operacional)
+     */
+    function setMode(mode) {
+        if (!isMode(mode)) {
+            console.warn('Unknown theme:', mode);
+            return;
+        }
+        try {
+            localStorage.setItem(STORAGE_KEY, mode);
+        } catch (e) {}
+        apply(mode);
+    }
+
+    /**
+     * Nome de um modo no idioma atual
+     */
+    function label(mode) {
+        if (mode === SYSTEM) {
+            return window.I18n ? window.I18n.t('theme.system', 'System') : 'System';
+        }
+        const theme = THEMES.find(item => item.id === mode);
+        return window.I18n ? window.I18n.t(`theme.${mode}`, theme.label) : theme.label;
+    }
+
+    /**
+     * Preenche os seletores de tema (select dentro de .theme-switcher) com os modos disponíveis
+     */
+    function updateSwitchers() {
+        const modes = [SYSTEM].concat(THEMES.map(theme => theme.id));
+        document.querySelectorAll('.theme-switcher select').forEach(select => {
+            select.innerHTML = modes.map(mode =>
+                `<option value="${mode}">${label(mode)}</option>`
+            ).join('');
+            select.value = currentMode;
+        });
+    }
+
+    /**
+     * Liga os seletores de tema e os ouvintes do sistema e das outras abas
+     */
+    function init() {
+        document.querySelectorAll('.theme-switcher select').forEach(select => {
+            select.addEventListener('change', function() {
+                setMode(this.value);
+            });
+        });
+
+        // Mudança de tema do sistema operacional (vale apenas no modo sistema)
+        if (darkQuery) {
+            const onSystemChange = function() {
+                if (currentMode === SYSTEM) {
+                    apply(SYSTEM);
+                }
+            };
+            if (darkQuery.addEventListener) {
+                darkQuery.addEventListener('change', onSystemChange);
+            } else if (darkQuery.addListener) {
+                darkQuery.addListener(onSystemChange);
+            }
+        }
+
+        // Escolha feita em outra aba (key null: o armazenamento inteiro foi limpo)
+        window.addEventListener('storage', function(e) {
+            if (e.key === STORAGE_KEY || e.key === null) {
+                apply(readMode());
+            }
+        });
+
+        // Troca de idioma: traduz os nomes dos modos
+        window.addEventListener('i18n:change', updateSwitchers);
+
+        apply(readMode());
+    }
+
+    window.Theme = {
+        THEMES: THEMES.map(theme => theme.id),
+        getMode: () => currentMode,
+        getTheme: () => resolve(currentMode),
+        setMode: setMode
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();